@@ -1,77 +1,229 @@
-// Gemini adapter (generic REST shape).
+// Gemini adapter (native generateContent API).
 const nodeFetch = (typeof fetch !== 'undefined') ? fetch : require('node-fetch');
+const { fetchWithRetry } = require('../lib/retry');
+const { createLogger } = require('../lib/logger');
+const { textUsage } = require('../lib/usage');
+const { providerErrorFromResponse, AuthError, ConfigError, SafetyBlockError, IncompleteResponseError } = require('../lib/providerErrors');
+const { readSseData } = require('../lib/sse');
+const { pcmToWav, audioResult } = require('../lib/audio');
+const { registerAdapter } = require('./registry');
+
+const log = createLogger('Gemini');
+
+const DEFAULT_BASE_URL = 'https://generativelanguage.googleapis.com/v1beta';
+const DEFAULT_MODELS = {
+  text: 'gemini-2.0-flash',
+  image: 'gemini-2.0-flash-preview-image-generation',
+  tts: 'gemini-2.5-flash-preview-tts',
+};
+const DEFAULT_VOICE = 'Kore';
+// Default voice name shared by all TTS providers (see lib/pipelines.js)
+const CROSS_PROVIDER_VOICE = 'chatgpt';
+// Prebuilt voices of the speech models; other names (e.g. OpenAI's) are rejected
+const GEMINI_VOICES = [
+  'Zephyr', 'Puck', 'Charon', 'Kore', 'Fenrir', 'Leda', 'Orus', 'Aoede', 'Callirrhoe', 'Autonoe',
+  'Enceladus', 'Iapetus', 'Umbriel', 'Algieba', 'Despina', 'Erinome', 'Algenib', 'Rasalgethi', 'Laomedeia', 'Achernar',
+  'Alnilam', 'Schedar', 'Gacrux', 'Pulcherrima', 'Achird', 'Zubenelgenubi', 'Vindemiatrix', 'Sadachbia', 'Sadaltager', 'Sulafat',
+];
+// Students are the audience, so the stricter threshold is the default
+const DEFAULT_SAFETY_THRESHOLD = 'BLOCK_LOW_AND_ABOVE';
+const SAFETY_CATEGORIES = [
+  'HARM_CATEGORY_HARASSMENT',
+  'HARM_CATEGORY_HATE_SPEECH',
+  'HARM_CATEGORY_SEXUALLY_EXPLICIT',
+  'HARM_CATEGORY_DANGEROUS_CONTENT',
+];
+// Finish reasons meaning the output was withheld by a safety filter
+const SAFETY_FINISH_REASONS = ['SAFETY', 'BLOCKLIST', 'PROHIBITED_CONTENT', 'SPII', 'IMAGE_SAFETY'];
+const INVALID_KEY_PATTERN = /API_KEY_INVALID|API key not valid/i;
+
+// Maps a conversation to Gemini contents; assistant turns use the 'model' role
+function toContents({ prompt, messages }) {
+  const turns = messages && messages.length ? messages : [{ role: 'user', content: prompt }];
+  return turns.map(turn => ({ role: turn.role === 'assistant' ? 'model' : 'user', parts: [{ text: turn.content }] }));
+}
+
+// Sample rate from a PCM mime type such as 'audio/L16;codec=pcm;rate=24000'
+function pcmSampleRate(mimeType) {
+  const match = /rate=(\d+)/.exec(mimeType || '');
+  return match ? parseInt(match[1], 10) : undefined;
+}
 
 module.exports = function createGeminiAdapter(cfg) {
-  const providerId = 'gemini';
-  const baseUrl = cfg.url;
+  const providerId = cfg.id || 'gemini';
+  const baseUrl = cfg.url || DEFAULT_BASE_URL;
   const apiKey = cfg.key;
 
-  if (!baseUrl) {
-    console.warn(`[Gemini] Adapter created without API URL configuration. Set PROVIDER_GEMINI_API_URL or GEMINI_API_URL environment variable.`);
+  // A custom URL (e.g. a proxy) may not need a key; Google's API does
+  if (!apiKey && !cfg.url) {
+    log.warn('Adapter created without API key. Set PROVIDER_GEMINI_API_KEY or GEMINI_API_KEY environment variable.', { provider: providerId });
+    const notConfigured = async () => {
+      throw new ConfigError('Gemini API key not configured. Set PROVIDER_GEMINI_API_KEY environment variable.', { provider: providerId });
+    };
     return {
       providerId,
-      generateText: async () => { throw new Error('Gemini API URL not configured. Set PROVIDER_GEMINI_API_URL environment variable.'); },
-      generateImage: async () => null,
-      generateTTS: async () => null,
+      generateText: notConfigured,
+      generateImage: notConfigured,
+      generateTTS: notConfigured,
     };
   }
 
-  async function call(endpointPath, payload, signal) {
-    const url = cfg.endpoint ? cfg.endpoint : baseUrl;
-    const body = JSON.stringify(payload || {});
-    console.log(`[Gemini] Making API request to ${url}`);
-    const res = await nodeFetch(url, {
+  // Request model, else the configured model for the capability
+  function modelFor(options, capability) {
+    return (options && options.model) || (cfg.models && cfg.models[capability]) || DEFAULT_MODELS[capability];
+  }
+
+  function safetySettings() {
+    const threshold = cfg.safetyThreshold || DEFAULT_SAFETY_THRESHOLD;
+    return SAFETY_CATEGORIES.map(category => ({ category, threshold }));
+  }
+
+  async function post(model, method, body, signal) {
+    // A custom endpoint replaces the method path; '{model}' is substituted
+    const path = (cfg.endpoint || `models/{model}:${method}`).replace('{model}', model);
+    const url = `${baseUrl.replace(/\/$/, '')}/${path.replace(/^\//, '')}`;
+    log.debug('Making API request', { provider: providerId, model, method });
+    const res = await fetchWithRetry(nodeFetch, url, {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json',
-        ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {}),
+        ...(apiKey ? { 'x-goog-api-key': apiKey } : {}),
       },
-      body,
+      body: JSON.stringify(body),
       signal,
-    });
+    }, { label: 'Gemini' });
     if (!res.ok) {
-      const txt = await res.text().catch(() => '');
-      const errorMsg = `Gemini API error ${res.status}: ${txt || 'No response body'}`;
-      console.error(`[Gemini] ${errorMsg}`);
-      throw new Error(errorMsg);
+      let err = await providerErrorFromResponse(providerId, res, 'Gemini API error');
+      // Gemini reports a bad key as 400 INVALID_ARGUMENT
+      if (err.status === 400 && INVALID_KEY_PATTERN.test(err.body)) {
+        err = new AuthError(err.message, { provider: providerId, status: err.status, body: err.body });
+      }
+      log.debug('API error', { provider: providerId, status: err.status, errorType: err.type, body: err.body });
+      throw err;
+    }
+    return res;
+  }
+
+  async function generateContent(model, body, signal) {
+    const res = await post(model, 'generateContent', body, signal);
+    return res.json().catch(() => ({}));
+  }
+
+  // Returns the parts of the first candidate, throwing typed errors for
+  // blocked prompts and for candidates that finished without content
+  function candidateParts(json, { partial = false } = {}) {
+    const blockReason = json?.promptFeedback?.blockReason;
+    if (blockReason) {
+      throw new SafetyBlockError(`Gemini blocked the prompt: ${blockReason}`, { provider: providerId, reason: blockReason });
     }
-    const json = await res.json().catch(() => ({}));
-    return json;
+    const candidate = json?.candidates?.[0];
+    const parts = candidate?.content?.parts || [];
+    const finishReason = candidate?.finishReason;
+    if (SAFETY_FINISH_REASONS.includes(finishReason)) {
+      throw new SafetyBlockError(`Gemini blocked the response: ${finishReason}`, { provider: providerId, reason: finishReason });
+    }
+    if (finishReason && finishReason !== 'STOP' && !partial) {
+      if (!parts.length) {
+        throw new IncompleteResponseError(`Gemini stopped without output: ${finishReason}`, { provider: providerId, reason: finishReason });
+      }
+      log.warn('Response may be incomplete', { provider: providerId, finishReason });
+    }
+    return parts;
+  }
+
+  function textOf(parts) {
+    return parts.filter(p => typeof p.text === 'string' && !p.thought).map(p => p.text).join('');
+  }
+
+  function textBody({ prompt, messages, system }, options) {
+    const generationConfig = {};
+    if (options && options.max_tokens) generationConfig.maxOutputTokens = options.max_tokens;
+    if (options && options.temperature !== undefined) generationConfig.temperature = options.temperature;
+    return {
+      contents: toContents({ prompt, messages }),
+      ...(system ? { systemInstruction: { parts: [{ text: system }] } } : {}),
+      safetySettings: safetySettings(),
+      generationConfig,
+    };
   }
 
+  // Streaming needs the generateContent shape, so it is only offered without a custom endpoint
+  const streaming = cfg.endpoint ? {} : {
+    async *streamText({ prompt, messages, system, options, signal }) {
+      log.debug('Streaming text', { provider: providerId, promptLength: prompt?.length || 0, historyLength: messages?.length || 0 });
+      const res = await post(modelFor(options, 'text'), 'streamGenerateContent?alt=sse', textBody({ prompt, messages, system }, options), signal);
+      if (!res.body) throw new Error('Gemini API returned no response body for stream');
+      for await (const data of readSseData(res.body)) {
+        let json;
+        try {
+          json = JSON.parse(data);
+        } catch (e) {
+          log.warn('Ignoring malformed stream event', { provider: providerId });
+          continue;
+        }
+        const delta = textOf(candidateParts(json, { partial: true }));
+        if (delta) yield delta;
+      }
+    },
+  };
+
   return {
     providerId,
-    async generateText({ prompt, options, signal }) {
-      console.log(`[Gemini] Generating text for prompt length: ${prompt?.length || 0}`);
-      const json = await call('', { prompt, options }, signal);
-      const text = json?.text || json?.output || json?.result || '';
+    ...streaming,
+    async generateText({ prompt, messages, system, options, signal }) {
+      log.debug('Generating text', { provider: providerId, promptLength: prompt?.length || 0, historyLength: messages?.length || 0 });
+      const json = await generateContent(modelFor(options, 'text'), textBody({ prompt, messages, system }, options), signal);
+      const text = textOf(candidateParts(json));
       if (!text) {
-        console.warn(`[Gemini] API returned success but no text in response`);
+        log.warn('API returned success but no text in response', { provider: providerId });
+        return null;
       }
-      return text ? { text } : null;
+      const reported = json?.usageMetadata && {
+        prompt_tokens: json.usageMetadata.promptTokenCount,
+        completion_tokens: json.usageMetadata.candidatesTokenCount,
+      };
+      return { text, usage: textUsage({ prompt, messages, system }, text, reported) };
     },
     async generateImage({ prompt, options, signal }) {
-      console.log(`[Gemini] Generating image for prompt length: ${prompt?.length || 0}`);
-      const json = await call('', { prompt, options }, signal);
-      const imageUrl = json?.url || json?.image_url || json?.data?.[0]?.url || null;
-      const base64 = json?.base64 || null;
-      if (!imageUrl && !base64) {
-        console.warn(`[Gemini] API returned success but no image data in response`);
+      log.debug('Generating image', { provider: providerId, promptLength: prompt?.length || 0 });
+      const json = await generateContent(modelFor(options, 'image'), {
+        contents: [{ role: 'user', parts: [{ text: prompt }] }],
+        safetySettings: safetySettings(),
+        generationConfig: { responseModalities: ['TEXT', 'IMAGE'] },
+      }, signal);
+      const image = candidateParts(json).find(p => p.inlineData && p.inlineData.data);
+      if (!image) {
+        log.warn('API returned success but no image data in response', { provider: providerId });
         return null;
       }
-      return { imageUrl, base64 };
+      return { imageUrl: null, base64: image.inlineData.data, mimeType: image.inlineData.mimeType || 'image/png', usage: { images: 1 } };
     },
     async generateTTS({ text, voice, options, signal }) {
-      console.log(`[Gemini] Generating TTS for text length: ${text?.length || 0}`);
-      // Gemini may not provide TTS in your integration; try and map if present.
-      const json = await call('', { text, voice, options }, signal);
-      const audioUrl = json?.url || json?.audio_url || null;
-      const base64 = json?.base64 || null;
-      if (!audioUrl && !base64) {
-        console.warn(`[Gemini] API returned success but no audio data in response`);
+      // options.voice overrides the request voice; the shared default maps to a Gemini voice
+      const requested = (options && options.voice) || voice || process.env.DEFAULT_TTS_VOICE;
+      const voiceName = !requested || requested === CROSS_PROVIDER_VOICE ? DEFAULT_VOICE : requested;
+      log.debug('Generating TTS', { provider: providerId, textLength: text?.length || 0, voice: voiceName });
+      const json = await generateContent(modelFor(options, 'tts'), {
+        contents: [{ role: 'user', parts: [{ text }] }],
+        generationConfig: {
+          responseModalities: ['AUDIO'],
+          speechConfig: { voiceConfig: { prebuiltVoiceConfig: { voiceName } } },
+        },
+      }, signal);
+      const audio = candidateParts(json).find(p => p.inlineData && p.inlineData.data);
+      if (!audio) {
+        log.warn('API returned success but no audio data in response', { provider: providerId });
         return null;
       }
-      return { audioUrl, base64 };
+      // Speech comes back as raw 16-bit PCM, which browsers cannot play
+      const { data, mimeType = '' } = audio.inlineData;
+      if (!/^audio\/(L16|pcm)/i.test(mimeType)) {
+        return { audioUrl: null, base64: data, mimeType, usage: { characters: text.length } };
+      }
+      const wav = pcmToWav(Buffer.from(data, 'base64'), { sampleRate: pcmSampleRate(mimeType) });
+      return { ...(await audioResult(wav, 'audio/wav')), usage: { characters: text.length } };
     },
   };
 };
+
+registerAdapter('gemini', module.exports, { text: true, stream: true, image: true, tts: true, voices: GEMINI_VOICES });
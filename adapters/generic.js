@@ -2,21 +2,36 @@
 // Sends POST {prompt/options} or {text/voice/options} and tries to map common response shapes.
 
 const nodeFetch = (typeof fetch !== 'undefined') ? fetch : require('node-fetch');
+const { fetchWithRetry } = require('../lib/retry');
+const { createLogger } = require('../lib/logger');
+const { textUsage } = require('../lib/usage');
+const { providerErrorFromResponse } = require('../lib/providerErrors');
+const { toTranscript } = require('../lib/conversation');
+const { isAudioContentType, audioResult } = require('../lib/audio');
+const { registerAdapter } = require('./registry');
+
+const log = createLogger('Generic');
 
 module.exports = function createGenericAdapter(cfg) {
   const providerId = (cfg && cfg.id) || 'generic';
   const baseUrl = cfg.url;
   const apiKey = cfg.key;
 
-  async function postJson(path, body, signal) {
+  // Adds the configured model for a capability unless the request names one
+  function withModel(options, capability) {
+    const model = cfg.models && cfg.models[capability];
+    return model && !(options && options.model) ? { ...options, model } : options;
+  }
+
+  async function post(path, body, signal) {
     if (!baseUrl) {
       const errorMsg = `No base URL configured for generic adapter '${providerId}'. Check environment variable configuration.`;
-      console.error(`[Generic:${providerId}] ${errorMsg}`);
+      log.error(errorMsg, { provider: providerId });
       throw new Error(errorMsg);
     }
     const url = path ? `${baseUrl.replace(/\/$/, '')}/${path.replace(/^\//, '')}` : baseUrl;
-    console.log(`[Generic:${providerId}] Making API request to ${url}`);
-    const res = await nodeFetch(url, {
+    log.debug('Making API request', { provider: providerId, url });
+    const res = await fetchWithRetry(nodeFetch, url, {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json',
@@ -24,49 +39,65 @@ module.exports = function createGenericAdapter(cfg) {
       },
       body: JSON.stringify(body || {}),
       signal,
-    });
+    }, { label: `Generic:${providerId}` });
     if (!res.ok) {
-      const txt = await res.text().catch(() => '');
-      const errorMsg = `HTTP ${res.status}: ${txt || 'No response body'}`;
-      console.error(`[Generic:${providerId}] API error: ${errorMsg}`);
-      throw new Error(errorMsg);
+      const err = await providerErrorFromResponse(providerId, res, 'HTTP');
+      log.debug('API error', { provider: providerId, status: err.status, errorType: err.type, body: err.body });
+      throw err;
     }
+    return res;
+  }
+
+  async function postJson(path, body, signal) {
+    const res = await post(path, body, signal);
     const json = await res.json().catch(() => ({}));
     return json;
   }
 
   return {
     providerId,
-    async generateText({ prompt, options, signal }) {
-      console.log(`[Generic:${providerId}] Generating text for prompt length: ${prompt?.length || 0}`);
-      const json = await postJson('', { prompt, options }, signal);
+    async generateText({ prompt, messages, system, options, signal }) {
+      // Multi-turn history is flattened into a single transcript prompt
+      const transcript = toTranscript({ prompt, messages, system });
+      log.debug('Generating text', { provider: providerId, promptLength: transcript?.length || 0 });
+      const json = await postJson('', { prompt: transcript, options: withModel(options, 'text') }, signal);
       const text = json?.text || json?.output || json?.result || (Array.isArray(json?.choices) && json.choices[0]?.text) || '';
       if (!text) {
-        console.warn(`[Generic:${providerId}] API returned success but no text in response`);
+        log.warn('API returned success but no text in response', { provider: providerId });
       }
-      return text ? { text } : null;
+      return text ? { text, usage: textUsage({ prompt, messages, system }, text, json?.usage) } : null;
     },
     async generateImage({ prompt, options, signal }) {
-      console.log(`[Generic:${providerId}] Generating image for prompt length: ${prompt?.length || 0}`);
-      const json = await postJson('', { prompt, options }, signal);
+      log.debug('Generating image', { provider: providerId, promptLength: prompt?.length || 0 });
+      const json = await postJson('', { prompt, options: withModel(options, 'image') }, signal);
       const imageUrl = json?.url || json?.image_url || json?.data?.[0]?.url || null;
       const base64 = json?.base64 || null;
       if (!imageUrl && !base64) {
-        console.warn(`[Generic:${providerId}] API returned success but no image data in response`);
+        log.warn('API returned success but no image data in response', { provider: providerId });
         return null;
       }
-      return { imageUrl, base64 };
+      return { imageUrl, base64, usage: { images: 1 } };
     },
     async generateTTS({ text, voice, options, signal }) {
-      console.log(`[Generic:${providerId}] Generating TTS for text length: ${text?.length || 0}`);
-      const json = await postJson('', { text, voice, options }, signal);
+      log.debug('Generating TTS', { provider: providerId, textLength: text?.length || 0 });
+      const res = await post('', { text, voice, options: withModel(options, 'tts') }, signal);
+      const usage = { characters: text.length };
+      // Some speech servers answer with the audio bytes instead of JSON
+      const contentType = res.headers && typeof res.headers.get === 'function' ? res.headers.get('content-type') : '';
+      if (isAudioContentType(contentType)) {
+        const audio = Buffer.from(await res.arrayBuffer());
+        return audio.length ? { ...(await audioResult(audio, contentType)), usage } : null;
+      }
+      const json = await res.json().catch(() => ({}));
       const audioUrl = json?.url || json?.audio_url || null;
       const base64 = json?.base64 || null;
       if (!audioUrl && !base64) {
-        console.warn(`[Generic:${providerId}] API returned success but no audio data in response`);
+        log.warn('API returned success but no audio data in response', { provider: providerId });
         return null;
       }
-      return { audioUrl, base64 };
+      return { audioUrl, base64, usage };
     },
   };
 };
+
+registerAdapter('generic', module.exports, { text: true, image: true, tts: true });
@@ -1,13 +1,21 @@
 // Grok adapter (generic).
 const nodeFetch = (typeof fetch !== 'undefined') ? fetch : require('node-fetch');
+const { fetchWithRetry } = require('../lib/retry');
+const { createLogger } = require('../lib/logger');
+const { textUsage } = require('../lib/usage');
+const { providerErrorFromResponse } = require('../lib/providerErrors');
+const { toTranscript } = require('../lib/conversation');
+const { registerAdapter } = require('./registry');
+
+const log = createLogger('Grok');
 
 module.exports = function createGrokAdapter(cfg) {
-  const providerId = 'grok';
+  const providerId = cfg.id || 'grok';
   const baseUrl = cfg.url;
   const apiKey = cfg.key;
 
   if (!baseUrl) {
-    console.warn(`[Grok] Adapter created without API URL configuration. Set PROVIDER_GROK_API_URL or GROK_API_URL environment variable.`);
+    log.warn('Adapter created without API URL configuration. Set PROVIDER_GROK_API_URL or GROK_API_URL environment variable.', { provider: providerId });
     return {
       providerId,
       generateText: async () => { throw new Error('Grok API URL not configured. Set PROVIDER_GROK_API_URL environment variable.'); },
@@ -16,9 +24,15 @@ module.exports = function createGrokAdapter(cfg) {
     };
   }
 
+  // Adds the configured model for a capability unless the request names one
+  function withModel(options, capability) {
+    const model = cfg.models && cfg.models[capability];
+    return model && !(options && options.model) ? { ...options, model } : options;
+  }
+
   async function call(payload, signal) {
-    console.log(`[Grok] Making API request to ${baseUrl}`);
-    const res = await nodeFetch(baseUrl, {
+    log.debug('Making API request', { provider: providerId, url: baseUrl });
+    const res = await fetchWithRetry(nodeFetch, baseUrl, {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json',
@@ -26,12 +40,11 @@ module.exports = function createGrokAdapter(cfg) {
       },
       body: JSON.stringify(payload || {}),
       signal,
-    });
+    }, { label: 'Grok' });
     if (!res.ok) {
-      const txt = await res.text().catch(() => '');
-      const errorMsg = `Grok API error ${res.status}: ${txt || 'No response body'}`;
-      console.error(`[Grok] ${errorMsg}`);
-      throw new Error(errorMsg);
+      const err = await providerErrorFromResponse(providerId, res, 'Grok API error');
+      log.debug('API error', { provider: providerId, status: err.status, errorType: err.type, body: err.body });
+      throw err;
     }
     const json = await res.json().catch(() => ({}));
     return json;
@@ -39,36 +52,40 @@ module.exports = function createGrokAdapter(cfg) {
 
   return {
     providerId,
-    async generateText({ prompt, options, signal }) {
-      console.log(`[Grok] Generating text for prompt length: ${prompt?.length || 0}`);
-      const json = await call({ prompt, options }, signal);
+    async generateText({ prompt, messages, system, options, signal }) {
+      // Multi-turn history is flattened into a single transcript prompt
+      const transcript = toTranscript({ prompt, messages, system });
+      log.debug('Generating text', { provider: providerId, promptLength: transcript?.length || 0 });
+      const json = await call({ prompt: transcript, options: withModel(options, 'text') }, signal);
       const text = json?.text || json?.output || json?.result || '';
       if (!text) {
-        console.warn(`[Grok] API returned success but no text in response`);
+        log.warn('API returned success but no text in response', { provider: providerId });
       }
-      return text ? { text } : null;
+      return text ? { text, usage: textUsage({ prompt, messages, system }, text, json?.usage) } : null;
     },
     async generateImage({ prompt, options, signal }) {
-      console.log(`[Grok] Generating image for prompt length: ${prompt?.length || 0}`);
-      const json = await call({ prompt, options }, signal);
+      log.debug('Generating image', { provider: providerId, promptLength: prompt?.length || 0 });
+      const json = await call({ prompt, options: withModel(options, 'image') }, signal);
       const imageUrl = json?.url || json?.image_url || json?.data?.[0]?.url || null;
       const base64 = json?.base64 || null;
       if (!imageUrl && !base64) {
-        console.warn(`[Grok] API returned success but no image data in response`);
+        log.warn('API returned success but no image data in response', { provider: providerId });
         return null;
       }
-      return { imageUrl, base64 };
+      return { imageUrl, base64, usage: { images: 1 } };
     },
     async generateTTS({ text, voice, options, signal }) {
-      console.log(`[Grok] Generating TTS for text length: ${text?.length || 0}`);
-      const json = await call({ text, voice, options }, signal);
+      log.debug('Generating TTS', { provider: providerId, textLength: text?.length || 0 });
+      const json = await call({ text, voice, options: withModel(options, 'tts') }, signal);
       const audioUrl = json?.url || json?.audio_url || null;
       const base64 = json?.base64 || null;
       if (!audioUrl && !base64) {
-        console.warn(`[Grok] API returned success but no audio data in response`);
+        log.warn('API returned success but no audio data in response', { provider: providerId });
         return null;
       }
-      return { audioUrl, base64 };
+      return { audioUrl, base64, usage: { characters: text.length } };
     },
   };
 };
+
+registerAdapter('grok', module.exports, { text: true, image: true, tts: true });
@@ -1,42 +1,30 @@
-const path = require('path');
-
-function getEnv(name) {
-  return process.env[name] || '';
-}
+const { resolveProviderSettings } = require('../lib/envValidator');
+const { createAdapter, getAdapterType, loadAdapterDirectory } = require('./registry');
 
+// Provider settings come from providers.json (when present) with
+// PROVIDER_<ID>_* environment overrides
 function buildConfigForId(id) {
-  const up = id ? id.toUpperCase() : '';
-  return {
-    id,
-    url: getEnv(`PROVIDER_${up}_API_URL`) || getEnv(`${id}_API_URL`) || '',
-    key: getEnv(`PROVIDER_${up}_API_KEY`) || getEnv(`${id}_API_KEY`) || '',
-    endpoint: getEnv(`PROVIDER_${up}_API_ENDPOINT`) || '',
-  };
+  return resolveProviderSettings(id);
 }
 
-// adapter factories
-const geminiFactory = require('./gemini');
-const openaiFactory = require('./openai');
-const grokFactory = require('./grok');
-const murfFactory = require('./murf');
+// Built-in adapters register their types when loaded
+require('./gemini');
+require('./openai');
+require('./grok');
+require('./murf');
+require('./ollama');
+require('./mock');
+require('./generic');
+
+// Third-party adapters
+if (process.env.ADAPTERS_DIR) loadAdapterDirectory(process.env.ADAPTERS_DIR);
 
 function getAdapter(providerId) {
   if (!providerId) return null;
   const id = providerId.toLowerCase().trim();
   const cfg = buildConfigForId(id);
-  switch (id) {
-    case 'gemini':
-      return geminiFactory(cfg);
-    case 'openai':
-      return openaiFactory(cfg);
-    case 'grok':
-      return grokFactory(cfg);
-    case 'murf':
-      return murfFactory(cfg);
-    default:
-      // Generic adapter that posts {prompt, options} and maps common fields
-      return require('./generic')(cfg);
-  }
+  // Generic adapter that posts {prompt, options} and maps common fields
+  return createAdapter(getAdapterType(cfg.type) ? cfg.type : 'generic', cfg);
 }
 
 module.exports = { getAdapter };
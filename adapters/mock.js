@@ -0,0 +1,169 @@
+// Mock adapter: deterministic offline responses for development and tests.
+// No network calls. Text is derived from the prompt, images are SVG
+// placeholders and speech is a WAV tone (or silence) lasting about as long as
+// reading the text aloud. cfg.mock scripts failures so fallback can be
+// exercised end-to-end:
+//   latencyMs  delay before answering (aborted by the request signal)
+//   failure    'http' | 'network' | 'timeout' | 'empty'
+//   status     HTTP status for 'http' failures (default 503)
+//   failCount  fail only the first N calls of each capability on this
+//              adapter instance, then answer
+//   failOn     capabilities that fail (default all)
+//   audio      'tone' (default) or 'silence'
+
+const crypto = require('crypto');
+const { createLogger } = require('../lib/logger');
+const { textUsage } = require('../lib/usage');
+const { errorClassFor, TimeoutError } = require('../lib/providerErrors');
+const { toChatMessages, toTranscript } = require('../lib/conversation');
+const { pcmToWav } = require('../lib/audio');
+const { registerAdapter } = require('./registry');
+
+const log = createLogger('Mock');
+
+const SAMPLE_RATE = 8000;
+const WORDS_PER_SECOND = 2.5;
+const MAX_AUDIO_SECONDS = 30;
+const DEFAULT_FAILURE_STATUS = 503;
+
+function digest(text) {
+  return crypto.createHash('sha256').update(String(text)).digest('hex');
+}
+
+function abortError() {
+  const err = new Error('The operation was aborted');
+  err.name = 'AbortError';
+  return err;
+}
+
+function sleep(ms, signal) {
+  if (!ms) return Promise.resolve();
+  return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) return reject(abortError());
+    const onAbort = () => {
+      clearTimeout(id);
+      reject(abortError());
+    };
+    const id = setTimeout(() => {
+      if (signal) signal.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    if (signal) signal.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+function escapeXml(text) {
+  return text.replace(/[<>&"']/g, c => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', '"': '&quot;', "'": '&apos;' }[c]));
+}
+
+function placeholderSvg(prompt) {
+  const hash = digest(prompt);
+  const label = escapeXml(String(prompt || '').slice(0, 40));
+  return [
+    '<svg xmlns="http://www.w3.org/2000/svg" width="512" height="512" viewBox="0 0 512 512">',
+    `<rect width="512" height="512" fill="#${hash.slice(0, 6)}"/>`,
+    `<circle cx="256" cy="220" r="96" fill="#${hash.slice(6, 12)}" opacity="0.6"/>`,
+    `<text x="256" y="400" font-family="sans-serif" font-size="22" text-anchor="middle" fill="#fff">${label}</text>`,
+    '</svg>',
+  ].join('');
+}
+
+// 16-bit mono WAV of a 440 Hz tone or silence
+function wav(seconds, tone) {
+  const samples = Math.round(seconds * SAMPLE_RATE);
+  const pcm = Buffer.alloc(samples * 2);
+  if (tone) {
+    for (let i = 0; i < samples; i++) {
+      pcm.writeInt16LE(Math.round(Math.sin((2 * Math.PI * 440 * i) / SAMPLE_RATE) * 3000), i * 2);
+    }
+  }
+  return pcmToWav(pcm, { sampleRate: SAMPLE_RATE });
+}
+
+function speechSeconds(text) {
+  const words = String(text || '').trim().split(/\s+/).filter(Boolean).length;
+  return Math.min(Math.max(words / WORDS_PER_SECOND, 0.5), MAX_AUDIO_SECONDS);
+}
+
+module.exports = function createMockAdapter(cfg) {
+  const providerId = (cfg && cfg.id) || 'mock';
+  const behavior = (cfg && cfg.mock) || {};
+  // Failures so far per capability, for failCount
+  const failures = new Map();
+
+  function reply(input) {
+    const latest = input.prompt || (toChatMessages(input).filter(m => m.role === 'user').pop() || {}).content || '';
+    const words = String(latest).trim().split(/\s+/).filter(Boolean);
+    const excerpt = words.slice(0, 12).join(' ');
+    return `Mock reply ${digest(toTranscript(input)).slice(0, 8)}: you wrote ${words.length} word(s) starting with "${excerpt}".`;
+  }
+
+  // Applies the scripted latency and failure; resolves true for an empty result
+  async function behave(capability, signal) {
+    await sleep(behavior.latencyMs, signal);
+    if (!behavior.failure) return false;
+    if (behavior.failOn && !behavior.failOn.includes(capability)) return false;
+    const count = failures.get(capability) || 0;
+    if (behavior.failCount && count >= behavior.failCount) return false;
+    failures.set(capability, count + 1);
+
+    log.debug('Simulating failure', { provider: providerId, capability, failure: behavior.failure });
+    if (behavior.failure === 'empty') return true;
+    if (behavior.failure === 'network') {
+      const err = new Error('socket hang up (simulated)');
+      err.code = 'ECONNRESET';
+      throw err;
+    }
+    if (behavior.failure === 'timeout') {
+      if (!signal) throw new TimeoutError('Mock provider timed out (simulated)', { provider: providerId });
+      // Hang until the orchestrator gives up on the attempt
+      return new Promise((resolve, reject) => {
+        if (signal.aborted) reject(abortError());
+        signal.addEventListener('abort', () => reject(abortError()), { once: true });
+      });
+    }
+    const status = behavior.status || DEFAULT_FAILURE_STATUS;
+    const ErrorClass = errorClassFor(status, 'simulated failure');
+    throw new ErrorClass(`Mock API error ${status}: simulated failure`, { provider: providerId, status, body: 'simulated failure' });
+  }
+
+  return {
+    providerId,
+    async generateText({ prompt, messages, system, signal }) {
+      log.debug('Generating text', { provider: providerId, promptLength: prompt?.length || 0 });
+      if (await behave('text', signal)) return null;
+      const text = reply({ prompt, messages, system });
+      return { text, usage: textUsage({ prompt, messages, system }, text) };
+    },
+    async *streamText({ prompt, messages, system, signal }) {
+      log.debug('Streaming text', { provider: providerId, promptLength: prompt?.length || 0 });
+      if (await behave('text', signal)) return;
+      const words = reply({ prompt, messages, system }).split(' ');
+      for (let i = 0; i < words.length; i++) {
+        yield i ? ` ${words[i]}` : words[i];
+      }
+    },
+    async generateImage({ prompt, signal }) {
+      log.debug('Generating image', { provider: providerId, promptLength: prompt?.length || 0 });
+      if (await behave('image', signal)) return null;
+      const base64 = Buffer.from(placeholderSvg(prompt)).toString('base64');
+      return { imageUrl: `data:image/svg+xml;base64,${base64}`, base64, mimeType: 'image/svg+xml', usage: { images: 1 } };
+    },
+    async generateTTS({ text, signal }) {
+      log.debug('Generating TTS', { provider: providerId, textLength: text?.length || 0 });
+      if (await behave('tts', signal)) return null;
+      const seconds = speechSeconds(text);
+      const audio = wav(seconds, behavior.audio !== 'silence');
+      return {
+        audioUrl: null,
+        base64: audio.toString('base64'),
+        mimeType: 'audio/wav',
+        format: 'wav',
+        durationMs: Math.round(seconds * 1000),
+        usage: { characters: text.length },
+      };
+    },
+  };
+};
+
+registerAdapter('mock', module.exports, { text: true, stream: true, image: true, tts: true });
@@ -1,24 +1,28 @@
-// Murf adapter (TTS-focused)
+// Murf adapter (TTS only)
 const nodeFetch = (typeof fetch !== 'undefined') ? fetch : require('node-fetch');
+const { fetchWithRetry } = require('../lib/retry');
+const { createLogger } = require('../lib/logger');
+const { providerErrorFromResponse } = require('../lib/providerErrors');
+const { registerAdapter } = require('./registry');
+
+const log = createLogger('Murf');
 
 module.exports = function createMurfAdapter(cfg) {
-  const providerId = 'murf';
+  const providerId = cfg.id || 'murf';
   const baseUrl = cfg.url;
   const apiKey = cfg.key;
 
   if (!baseUrl) {
-    console.warn(`[Murf] Adapter created without API URL configuration`);
+    log.warn('Adapter created without API URL configuration', { provider: providerId });
     return {
       providerId,
-      generateText: async () => null,
-      generateImage: async () => null,
       generateTTS: async () => { throw new Error('Murf API URL not configured. Set PROVIDER_MURF_API_URL environment variable.'); },
     };
   }
 
   async function call(payload, signal) {
-    console.log(`[Murf] Making API request to ${baseUrl}`);
-    const res = await nodeFetch(baseUrl, {
+    log.debug('Making API request', { provider: providerId, url: baseUrl });
+    const res = await fetchWithRetry(nodeFetch, baseUrl, {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json',
@@ -26,12 +30,11 @@ module.exports = function createMurfAdapter(cfg) {
       },
       body: JSON.stringify(payload || {}),
       signal,
-    });
+    }, { label: 'Murf' });
     if (!res.ok) {
-      const txt = await res.text().catch(() => '');
-      const errorMsg = `Murf API error ${res.status}: ${txt || 'No response body'}`;
-      console.error(`[Murf] ${errorMsg}`);
-      throw new Error(errorMsg);
+      const err = await providerErrorFromResponse(providerId, res, 'Murf API error');
+      log.debug('API error', { provider: providerId, status: err.status, errorType: err.type, body: err.body });
+      throw err;
     }
     const json = await res.json().catch(() => ({}));
     return json;
@@ -39,19 +42,19 @@ module.exports = function createMurfAdapter(cfg) {
 
   return {
     providerId,
-    async generateText() { return null; },
-    async generateImage() { return null; },
     async generateTTS({ text, voice, options, signal }) {
       const body = { text, voice: voice || process.env.DEFAULT_TTS_VOICE || 'chatgpt', options };
-      console.log(`[Murf] Generating TTS for text length: ${text?.length || 0}, voice: ${body.voice}`);
+      log.debug('Generating TTS', { provider: providerId, textLength: text?.length || 0, voice: body.voice });
       const json = await call(body, signal);
       const audioUrl = json?.url || json?.audio_url || null;
       const base64 = json?.base64 || null;
       if (!audioUrl && !base64) {
-        console.warn(`[Murf] API returned success but no audio data in response`);
+        log.warn('API returned success but no audio data in response', { provider: providerId });
         return null;
       }
-      return { audioUrl, base64 };
+      return { audioUrl, base64, usage: { characters: text.length } };
     },
   };
 };
+
+registerAdapter('murf', module.exports, { tts: true });
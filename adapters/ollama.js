@@ -0,0 +1,111 @@
+// Ollama adapter (locally hosted models; text only).
+// Uses /api/chat by default; an endpoint ending in 'generate' (e.g.
+// PROVIDER_OLLAMA_API_ENDPOINT=api/generate) switches to /api/generate with a
+// flattened prompt. keepAlive keeps the model loaded between requests, which
+// matters on classroom hardware where loading takes longer than answering.
+const nodeFetch = (typeof fetch !== 'undefined') ? fetch : require('node-fetch');
+const { fetchWithRetry } = require('../lib/retry');
+const { createLogger } = require('../lib/logger');
+const { textUsage } = require('../lib/usage');
+const { providerErrorFromResponse, ServerError } = require('../lib/providerErrors');
+const { readNdjsonLines } = require('../lib/ndjson');
+const { toChatMessages, toTranscript } = require('../lib/conversation');
+const { registerAdapter } = require('./registry');
+
+const log = createLogger('Ollama');
+
+const DEFAULT_BASE_URL = 'http://localhost:11434';
+const DEFAULT_MODEL = 'llama3.2';
+
+module.exports = function createOllamaAdapter(cfg) {
+  const providerId = cfg.id || 'ollama';
+  const baseUrl = cfg.url || DEFAULT_BASE_URL;
+  const apiKey = cfg.key;
+  const path = cfg.endpoint || 'api/chat';
+  const generateApi = /generate\/?$/.test(path);
+
+  // Request model, else the configured model
+  function modelFor(options) {
+    return (options && options.model) || (cfg.models && cfg.models.text) || DEFAULT_MODEL;
+  }
+
+  function requestBody({ prompt, messages, system }, options, stream) {
+    const body = { model: modelFor(options), stream };
+    if (generateApi) {
+      body.prompt = toTranscript({ prompt, messages });
+      if (system) body.system = system;
+    } else {
+      body.messages = toChatMessages({ prompt, messages, system });
+    }
+    const keepAlive = (options && options.keep_alive) || cfg.keepAlive;
+    if (keepAlive) body.keep_alive = keepAlive;
+    const modelOptions = {};
+    if (options && options.max_tokens) modelOptions.num_predict = options.max_tokens;
+    if (options && options.temperature !== undefined) modelOptions.temperature = options.temperature;
+    if (Object.keys(modelOptions).length) body.options = modelOptions;
+    return body;
+  }
+
+  async function post(body, signal) {
+    const url = `${baseUrl.replace(/\/$/, '')}/${path.replace(/^\//, '')}`;
+    log.debug('Making API request', { provider: providerId, path, model: body.model });
+    const res = await fetchWithRetry(nodeFetch, url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        // Only needed behind an authenticating proxy
+        ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {}),
+      },
+      body: JSON.stringify(body),
+      signal,
+    }, { label: 'Ollama' });
+    if (!res.ok) {
+      const err = await providerErrorFromResponse(providerId, res, 'Ollama API error');
+      log.debug('API error', { provider: providerId, status: err.status, errorType: err.type, body: err.body });
+      throw err;
+    }
+    return res;
+  }
+
+  // Text of a chat or generate response object (whole or one stream line)
+  function textOf(json) {
+    return (generateApi ? json?.response : json?.message?.content) || '';
+  }
+
+  return {
+    providerId,
+    async generateText({ prompt, messages, system, options, signal }) {
+      log.debug('Generating text', { provider: providerId, promptLength: prompt?.length || 0, historyLength: messages?.length || 0 });
+      const res = await post(requestBody({ prompt, messages, system }, options, false), signal);
+      const json = await res.json().catch(() => ({}));
+      const text = textOf(json);
+      if (!text) {
+        log.warn('API returned success but no text in response', { provider: providerId });
+        return null;
+      }
+      const reported = { prompt_tokens: json.prompt_eval_count, completion_tokens: json.eval_count };
+      return { text, usage: textUsage({ prompt, messages, system }, text, reported) };
+    },
+    async *streamText({ prompt, messages, system, options, signal }) {
+      log.debug('Streaming text', { provider: providerId, promptLength: prompt?.length || 0, historyLength: messages?.length || 0 });
+      const res = await post(requestBody({ prompt, messages, system }, options, true), signal);
+      if (!res.body) throw new Error('Ollama API returned no response body for stream');
+      for await (const line of readNdjsonLines(res.body)) {
+        let json;
+        try {
+          json = JSON.parse(line);
+        } catch (e) {
+          log.warn('Ignoring malformed stream line', { provider: providerId });
+          continue;
+        }
+        // Errors after the stream started arrive as a line, not a status
+        if (json.error) throw new ServerError(`Ollama stream error: ${json.error}`, { provider: providerId, body: json.error });
+        const delta = textOf(json);
+        if (delta) yield delta;
+        if (json.done) return;
+      }
+    },
+  };
+};
+
+registerAdapter('ollama', module.exports, { text: true, stream: true });
@@ -1,23 +1,38 @@
 // OpenAI adapter (generic REST mapping).
 const nodeFetch = (typeof fetch !== 'undefined') ? fetch : require('node-fetch');
+const { fetchWithRetry } = require('../lib/retry');
+const { createLogger } = require('../lib/logger');
+const { textUsage } = require('../lib/usage');
+const { providerErrorFromResponse } = require('../lib/providerErrors');
+const { readSseData } = require('../lib/sse');
+const { toChatMessages, toTranscript } = require('../lib/conversation');
+const { isAudioContentType, audioResult } = require('../lib/audio');
+const { registerAdapter } = require('./registry');
+
+const log = createLogger('OpenAI');
+
+const DEFAULT_VOICE = 'alloy';
+// Default voice name shared by all TTS providers (see lib/pipelines.js)
+const CROSS_PROVIDER_VOICE = 'chatgpt';
+const OPENAI_VOICES = ['alloy', 'ash', 'ballad', 'coral', 'echo', 'fable', 'nova', 'onyx', 'sage', 'shimmer', 'verse'];
 
 module.exports = function createOpenAIAdapter(cfg) {
-  const providerId = 'openai';
+  const providerId = cfg.id || 'openai';
   const baseUrl = cfg.url || 'https://api.openai.com/v1';
   const apiKey = cfg.key;
 
   if (!apiKey) {
-    console.warn(`[OpenAI] Adapter created without API key. Set PROVIDER_OPENAI_API_KEY or OPENAI_API_KEY environment variable.`);
+    log.warn('Adapter created without API key. Set PROVIDER_OPENAI_API_KEY or OPENAI_API_KEY environment variable.', { provider: providerId });
   }
 
   function authHeaders() {
     return apiKey ? { Authorization: `Bearer ${apiKey}` } : {};
   }
 
-  async function postJson(path, body, signal) {
+  async function post(path, body, signal) {
     const url = `${baseUrl.replace(/\/$/, '')}/${path.replace(/^\//, '')}`;
-    console.log(`[OpenAI] Making API request to ${path}`);
-    const res = await nodeFetch(url, {
+    log.debug('Making API request', { provider: providerId, path });
+    const res = await fetchWithRetry(nodeFetch, url, {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json',
@@ -25,67 +40,151 @@ module.exports = function createOpenAIAdapter(cfg) {
       },
       body: JSON.stringify(body || {}),
       signal,
-    });
+    }, { label: 'OpenAI' });
     if (!res.ok) {
-      const txt = await res.text().catch(() => '');
-      const errorMsg = `OpenAI API error ${res.status}: ${txt || 'No response body'}`;
-      console.error(`[OpenAI] ${errorMsg}`);
-      throw new Error(errorMsg);
+      const err = await providerErrorFromResponse(providerId, res, 'OpenAI API error');
+      log.debug('API error', { provider: providerId, status: err.status, errorType: err.type, body: err.body });
+      throw err;
     }
+    return res;
+  }
+
+  async function postJson(path, body, signal) {
+    const res = await post(path, body, signal);
     const json = await res.json().catch(() => ({}));
     return json;
   }
 
+  // Request model, else the configured model for the capability
+  function modelFor(options, capability) {
+    return (options && options.model) || (cfg.models && cfg.models[capability]) || null;
+  }
+
+  // Speech API body; options.voice overrides the request voice
+  function speechBody(text, voice, options = {}) {
+    const requested = options.voice || voice || process.env.DEFAULT_TTS_VOICE;
+    const body = {
+      model: modelFor(options, 'tts') || 'tts-1',
+      input: text,
+      voice: !requested || requested === CROSS_PROVIDER_VOICE ? DEFAULT_VOICE : requested,
+    };
+    if (options.speed !== undefined) body.speed = options.speed;
+    if (options.response_format) body.response_format = options.response_format;
+    return body;
+  }
+
+  function chatBody(conversation, options) {
+    return {
+      model: modelFor(options, 'text') || 'gpt-4o-mini', // generic
+      messages: toChatMessages(conversation),
+      max_tokens: options && options.max_tokens,
+    };
+  }
+
+  // Streaming needs the Chat Completions shape, so it is only offered without a custom endpoint
+  const streaming = cfg.endpoint ? {} : {
+    async *streamText({ prompt, messages, system, options, signal }) {
+      log.debug('Streaming text', { provider: providerId, promptLength: prompt?.length || 0, historyLength: messages?.length || 0 });
+      const res = await post('chat/completions', { ...chatBody({ prompt, messages, system }, options), stream: true }, signal);
+      if (!res.body) throw new Error('OpenAI API returned no response body for stream');
+      for await (const data of readSseData(res.body)) {
+        if (data === '[DONE]') return;
+        let json;
+        try {
+          json = JSON.parse(data);
+        } catch (e) {
+          log.warn('Ignoring malformed stream event', { provider: providerId });
+          continue;
+        }
+        const delta = json?.choices?.[0]?.delta?.content;
+        if (delta) yield delta;
+      }
+    },
+  };
+
   return {
     providerId,
-    async generateText({ prompt, options, signal }) {
-      console.log(`[OpenAI] Generating text for prompt length: ${prompt?.length || 0}`);
+    ...streaming,
+    async generateText({ prompt, messages, system, options, signal }) {
+      log.debug('Generating text', { provider: providerId, promptLength: prompt?.length || 0, historyLength: messages?.length || 0 });
       // Try Responses or Chat Completions; prefer a generic call to the Responses endpoint if path configured
       const respPath = cfg.endpoint || 'chat/completions';
-      const body = cfg.endpoint ? { prompt, options } : {
-        model: (options && options.model) || 'gpt-4o-mini', // generic
-        messages: [{ role: 'user', content: prompt }],
-        max_tokens: options && options.max_tokens,
-      };
+      const body = cfg.endpoint
+        ? { prompt: toTranscript({ prompt, messages, system }), options }
+        : chatBody({ prompt, messages, system }, options);
       const json = await postJson(respPath, body, signal);
       // Map different shapes
       const text = json?.output || (json?.choices && (json.choices[0]?.message?.content || json.choices[0]?.text)) || json?.text || '';
       if (!text) {
-        console.warn(`[OpenAI] API returned success but no text in response`);
+        log.warn('API returned success but no text in response', { provider: providerId });
       }
-      return text ? { text } : null;
+      return text ? { text, usage: textUsage({ prompt, messages, system }, text, json?.usage) } : null;
+    },
+    async moderate({ text, signal }) {
+      log.debug('Moderating text', { provider: providerId, textLength: text?.length || 0 });
+      const json = await postJson('moderations', { input: text }, signal);
+      const result = json?.results?.[0];
+      if (!result) {
+        log.warn('API returned success but no moderation result in response', { provider: providerId });
+        return null;
+      }
+      const categories = Object.entries(result.categories || {}).filter(([, flagged]) => flagged).map(([name]) => name);
+      return { flagged: !!result.flagged, categories };
     },
     async generateImage({ prompt, options, signal }) {
-      console.log(`[OpenAI] Generating image for prompt length: ${prompt?.length || 0}`);
+      log.debug('Generating image', { provider: providerId, promptLength: prompt?.length || 0 });
       // Use Images API (openai/images) if available
       const imagePath = cfg.endpoint || 'images/generations';
       const body = cfg.endpoint ? { prompt, options } : {
         prompt,
         n: 1,
         size: (options && options.size) || '1024x1024',
+        ...(modelFor(options, 'image') ? { model: modelFor(options, 'image') } : {}),
       };
       const json = await postJson(imagePath, body, signal);
       const imageUrl = json?.data?.[0]?.url || json?.url || json?.image_url || null;
       const base64 = json?.data?.[0]?.b64_json || json?.base64 || null;
       if (!imageUrl && !base64) {
-        console.warn(`[OpenAI] API returned success but no image data in response`);
+        log.warn('API returned success but no image data in response', { provider: providerId });
         return null;
       }
-      return { imageUrl, base64 };
+      return { imageUrl, base64, usage: { images: 1 } };
     },
     async generateTTS({ text, voice, options, signal }) {
-      console.log(`[OpenAI] Generating TTS for text length: ${text?.length || 0}, voice: ${voice}`);
-      // OpenAI's TTS endpoints vary; send generic request to configured endpoint if present
-      const ttsPath = cfg.endpoint || 'audio/generate';
-      const body = cfg.endpoint ? { text, voice, options } : { input: text, voice: voice || process.env.DEFAULT_TTS_VOICE || 'chatgpt' };
-      const json = await postJson(ttsPath, body, signal);
+      log.debug('Generating TTS', { provider: providerId, textLength: text?.length || 0, voice });
+      // A configured endpoint gets the generic JSON request; otherwise the speech API
+      const ttsPath = cfg.endpoint || 'audio/speech';
+      const body = cfg.endpoint ? { text, voice, options } : speechBody(text, voice, options);
+      const res = await post(ttsPath, body, signal);
+      const usage = { characters: text.length };
+      const contentType = res.headers && typeof res.headers.get === 'function' ? res.headers.get('content-type') : '';
+      if (isAudioContentType(contentType)) {
+        const audio = Buffer.from(await res.arrayBuffer());
+        if (!audio.length) {
+          log.warn('API returned success but an empty audio body', { provider: providerId });
+          return null;
+        }
+        return { ...(await audioResult(audio, contentType)), usage };
+      }
+      const json = await res.json().catch(() => ({}));
       const audioUrl = json?.url || json?.audio_url || json?.data?.[0]?.url || null;
       const base64 = json?.base64 || null;
       if (!audioUrl && !base64) {
-        console.warn(`[OpenAI] API returned success but no audio data in response`);
+        log.warn('API returned success but no audio data in response', { provider: providerId });
         return null;
       }
-      return { audioUrl, base64 };
+      return { audioUrl, base64, usage };
     },
   };
 };
+
+registerAdapter('openai', module.exports, {
+  text: true,
+  stream: true,
+  image: true,
+  tts: true,
+  moderation: true,
+  voices: OPENAI_VOICES,
+  // The speech endpoint rejects longer input
+  maxInputChars: { tts: 4096 },
+});
@@ -0,0 +1,158 @@
+/**
+ * Adapter registry.
+ * Adapter modules register a factory for their type together with the
+ * capabilities it offers. Built-in adapters register themselves when
+ * adapters/index.js loads them; third-party adapters are loaded from the
+ * directory named by ADAPTERS_DIR. Each .js file there exports a function
+ * that receives { registerAdapter } and registers one or more types.
+ *
+ * Declared capabilities:
+ *   text, image, tts, stream, vision, moderation - booleans
+ *   voices        - TTS voice names the adapter accepts, or null for any
+ *   maxInputChars - Longest input accepted per capability, e.g. { tts: 4096 }
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { addAdapterType } = require('../lib/envValidator');
+const { createLogger } = require('../lib/logger');
+
+const log = createLogger('AdapterRegistry');
+
+// Adapter method that serves each capability
+const CAPABILITY_METHODS = {
+  text: 'generateText',
+  stream: 'streamText',
+  image: 'generateImage',
+  tts: 'generateTTS',
+  moderation: 'moderate',
+};
+const CAPABILITY_FLAGS = ['text', 'image', 'tts', 'stream', 'vision', 'moderation'];
+const TYPE_PATTERN = /^[a-z0-9_-]+$/;
+
+const adapterTypes = new Map();
+
+function normalizeCapabilities(declared = {}) {
+  const capabilities = {};
+  for (const flag of CAPABILITY_FLAGS) capabilities[flag] = declared[flag] === true;
+  capabilities.voices = Array.isArray(declared.voices) ? [...declared.voices] : null;
+  capabilities.maxInputChars = { ...(declared.maxInputChars || {}) };
+  return capabilities;
+}
+
+/**
+ * Registers an adapter type. Registering a type again replaces it.
+ * @param {string} type - Adapter type used as `type` in providers.json (and as the provider ID of built-ins)
+ * @param {Function} create - (cfg) => adapter, where cfg comes from resolveProviderSettings
+ * @param {Object} [capabilities] - Declared capabilities (see above)
+ */
+function registerAdapter(type, create, capabilities) {
+  if (typeof type !== 'string' || !TYPE_PATTERN.test(type)) {
+    throw new Error(`Adapter type must be lowercase letters, digits, '-' or '_' (got '${type}')`);
+  }
+  if (typeof create !== 'function') {
+    throw new Error(`Adapter type '${type}' needs a factory function`);
+  }
+  adapterTypes.set(type, { type, create, capabilities: normalizeCapabilities(capabilities) });
+  addAdapterType(type);
+  log.debug('Registered adapter type', { type });
+}
+
+/**
+ * Returns a registered adapter type.
+ * @param {string} type - Adapter type
+ * @returns {Object|null} { type, create, capabilities }
+ */
+function getAdapterType(type) {
+  return adapterTypes.get(type) || null;
+}
+
+/**
+ * Lists the registered adapter types.
+ * @returns {string[]} Types in registration order
+ */
+function listAdapterTypes() {
+  return [...adapterTypes.keys()];
+}
+
+/**
+ * Creates an adapter of a registered type. The instance's `capabilities`
+ * are what its type declares, limited to the methods it actually has (for
+ * example, an adapter only streams when it has streamText).
+ * @param {string} type - Adapter type
+ * @param {Object} cfg - Provider settings
+ * @returns {Object|null} Adapter, or null for an unknown type
+ */
+function createAdapter(type, cfg) {
+  const entry = adapterTypes.get(type);
+  if (!entry) return null;
+  const adapter = entry.create(cfg);
+  if (!adapter) return null;
+  const capabilities = { ...entry.capabilities };
+  for (const [capability, method] of Object.entries(CAPABILITY_METHODS)) {
+    capabilities[capability] = capabilities[capability] && typeof adapter[method] === 'function';
+  }
+  adapter.capabilities = capabilities;
+  return adapter;
+}
+
+/**
+ * Checks whether an adapter can serve a request. Adapters built outside the
+ * registry have no declared capabilities and are judged by their methods.
+ * @param {Object} adapter - Adapter
+ * @param {string} capability - 'text', 'stream', 'image', 'tts' or 'moderation'
+ * @param {Object} [requirements] - { inputChars, voice } of the request
+ * @returns {string|null} Why the adapter cannot serve it ('capability',
+ *   'input_too_long' or 'voice'), or null when it can
+ */
+function unsupportedReason(adapter, capability, { inputChars, voice } = {}) {
+  const caps = adapter.capabilities;
+  if (!caps) return typeof adapter[CAPABILITY_METHODS[capability]] === 'function' ? null : 'capability';
+  if (!caps[capability]) return 'capability';
+  const maxChars = caps.maxInputChars[capability === 'stream' ? 'text' : capability];
+  if (maxChars && inputChars > maxChars) return 'input_too_long';
+  if (voice && caps.voices && !caps.voices.includes(voice)) return 'voice';
+  return null;
+}
+
+/**
+ * Loads third-party adapters from a directory. A file that fails to load is
+ * logged and skipped so one broken adapter does not take the API down.
+ * @param {string} dir - Directory of adapter modules
+ * @returns {Object} { loaded, errors } file names and "file: problem" strings
+ */
+function loadAdapterDirectory(dir) {
+  const loaded = [];
+  const errors = [];
+  const root = path.resolve(dir);
+  let files;
+  try {
+    files = fs.readdirSync(root).filter(name => name.endsWith('.js')).sort();
+  } catch (err) {
+    log.error('Cannot read adapter directory', { dir: root, error: err.message });
+    return { loaded, errors: [`${root}: ${err.message}`] };
+  }
+  for (const name of files) {
+    try {
+      const plugin = require(path.join(root, name));
+      if (typeof plugin !== 'function') throw new Error('must export a function receiving { registerAdapter }');
+      plugin({ registerAdapter });
+      loaded.push(name);
+    } catch (err) {
+      log.error('Cannot load adapter', { file: name, error: err.message });
+      errors.push(`${name}: ${err.message}`);
+    }
+  }
+  if (loaded.length) log.info('Loaded adapters', { dir: root, files: loaded });
+  return { loaded, errors };
+}
+
+module.exports = {
+  CAPABILITY_METHODS,
+  registerAdapter,
+  getAdapterType,
+  listAdapterTypes,
+  createAdapter,
+  unsupportedReason,
+  loadAdapterDirectory,
+};
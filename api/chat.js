@@ -1,93 +1,192 @@
-const { getAdapter } = require('../adapters/index');
-const { logValidationWarnings } = require('../lib/envValidator');
-const { formatErrorDetails } = require('../lib/errorUtils');
-
-const TIMEOUT_MS = parseInt(process.env.TIMEOUT_MS || '15000', 10);
-
-// Validate environment variables on module load
-logValidationWarnings(process.env.NODE_ENV === 'development');
-
-function createTimeoutController(timeoutMs) {
-  const controller = new AbortController();
-  const id = setTimeout(() => controller.abort(), timeoutMs);
-  return { controller, clear: () => clearTimeout(id) };
-}
-
-function parseProvidersEnv(envVar, fallbackUrlName) {
-  const list = process.env[envVar];
-  if (list && list.trim()) return list.split(',').map(s => s.trim()).filter(Boolean);
-  // Backwards compatibility: if primary single URL env present, use "primary" pseudo provider
-  if (process.env[fallbackUrlName]) return ['primary'];
-  return [];
-}
-
-function buildAdapters(providerIds) {
-  return providerIds.map(id => {
-    if (id === 'primary') {
-      // map old PRIMARY_* envs to a generic adapter config. Expect PRIMARY_TEXT_API_URL and PRIMARY_TEXT_API_KEY
-      const cfg = {
-        id: 'primary',
-        url: process.env.PRIMARY_TEXT_API_URL || process.env.PRIMARY_TEXT_API_ENDPOINT || '',
-        key: process.env.PRIMARY_TEXT_API_KEY || '',
-      };
-      return getAdapter(cfg.id) || require('../adapters/generic')(cfg);
-    }
-    const adapter = getAdapter(id);
-    if (!adapter) {
-      // fallback to generic adapter built from PROVIDER_<ID>_*
-      const cfg = {
-        id,
-        url: process.env[`PROVIDER_${id.toUpperCase()}_API_URL`] || '',
-        key: process.env[`PROVIDER_${id.toUpperCase()}_API_KEY`] || '',
-      };
-      return require('../adapters/generic')(cfg);
-    }
-    return adapter;
-  });
-}
-
-module.exports = async function handler(req, res) {
-  if (req.method !== 'POST') return res.status(405).end();
-
-  const { prompt, options } = req.body || {};
-  if (!prompt) return res.status(400).json({ error: 'Missing prompt', code: 'MISSING_PROMPT' });
-
-  const providerIds = parseProvidersEnv('TEXT_PROVIDERS', 'PRIMARY_TEXT_API_URL');
-  // default order if not provided
-  const ids = providerIds.length ? providerIds : ['gemini', 'openai', 'grok'];
-
-  const adapters = buildAdapters(ids);
-  const errors = []; // Collect all errors for detailed response
-
-  for (const adapter of adapters) {
-    if (!adapter || !adapter.generateText) continue;
-    const adapterId = adapter.providerId || adapter.provider || 'unknown';
-    const { controller, clear } = createTimeoutController(TIMEOUT_MS);
-    try {
-      console.log(`[Chat] Attempting provider: ${adapterId}`);
-      const result = await adapter.generateText({ prompt, options, signal: controller.signal });
-      clear();
-      if (result && result.text) {
-        console.log(`[Chat] Success with provider: ${adapterId}`);
-        return res.status(200).json({ text: result.text, provider: adapterId });
-      }
-      // Result was empty/null - log and continue
-      console.warn(`[Chat] Provider ${adapterId} returned empty result`);
-      errors.push({ provider: adapterId, error: 'Empty result returned', errorType: 'empty_response' });
-    } catch (err) {
-      clear();
-      const errorDetails = formatErrorDetails(err, adapterId);
-      console.error(`[Chat] Provider ${adapterId} failed:`, JSON.stringify(errorDetails));
-      errors.push({ provider: adapterId, error: errorDetails.message, errorType: errorDetails.errorType });
-    }
-  }
-
-  // Return detailed error response
-  console.error(`[Chat] All providers failed. Attempted: ${ids.join(', ')}`);
-  return res.status(502).json({
-    error: 'Unable to generate text. All text providers failed.',
-    code: 'ALL_PROVIDERS_FAILED',
-    attemptedProviders: ids,
-    details: errors,
-  });
-};
+const { logValidationWarnings } = require('../lib/envValidator');
+const { requireAuth } = require('../lib/auth');
+const { applyRateLimit, resolveClientKey } = require('../lib/rateLimiter');
+const { applyBudget } = require('../lib/usage');
+const { runTextPipeline, runGradedTextPipeline, runTextStreamPipeline } = require('../lib/pipelines');
+const { providerFailureStatus } = require('../lib/errorUtils');
+const { wantsEventStream, openEventStream, writeEvent } = require('../lib/sse');
+const { normalizeConversation, truncateHistory } = require('../lib/conversation');
+const { ACTIONS, moderateText, screenText, createStreamScreen, usesModerationProvider, blockedResponse } = require('../lib/moderation');
+const { scoreReadability, validateGradeOptions, gradeLevelInstruction } = require('../lib/readability');
+const { renderTemplate } = require('../lib/prompts');
+const { createLogger, withRequestLogging } = require('../lib/logger');
+
+const log = createLogger('Chat');
+
+// Validate environment variables on module load
+logValidationWarnings(process.env.NODE_ENV === 'development');
+
+// Screens every turn and the system prompt: the client sends the whole
+// history, so earlier turns are as untrusted as the newest one. The history
+// is moderated as one text, so a request costs at most one provider check;
+// blocklist rewrites are then applied turn by turn. Returns the blocking
+// decision, or the conversation with rewrites applied.
+async function moderateConversation(messages, system, context) {
+  const texts = (system ? [system] : []).concat(messages.map(m => m.content));
+  const decision = await moderateText(texts.join('\n\n'), { ...context, stage: 'input' });
+  if (decision.action === ACTIONS.BLOCK) return { blocked: decision };
+  if (decision.action === ACTIONS.ALLOW) return { messages, system };
+  return {
+    messages: messages.map(m => ({ ...m, content: screenText(m.content).text })),
+    system: system ? screenText(system).text : system,
+  };
+}
+
+module.exports = withRequestLogging('chat', async function handler(req, res) {
+  if (req.method !== 'POST') return res.status(405).end();
+
+  const unauthorized = requireAuth(req, res);
+  if (unauthorized) return unauthorized;
+
+  const limited = applyRateLimit(req, res, 'chat');
+  if (limited) return limited;
+  const overBudget = applyBudget(req, res, 'chat');
+  if (overBudget) return overBudget;
+
+  const { messages, system, options, template, variables } = req.body || {};
+  const language = (options && options.language) || 'es';
+
+  // A server-side template replaces the raw prompt as the latest user turn
+  let rendered = null;
+  if (template !== undefined) {
+    rendered = renderTemplate(template, variables, { kind: 'text', language });
+    if (rendered.error) return res.status(400).json({ error: rendered.error, code: rendered.code });
+  }
+  const prompt = rendered ? rendered.text : (req.body || {}).prompt;
+  if (!prompt && !(Array.isArray(messages) && messages.length)) {
+    return res.status(400).json({ error: 'Missing prompt', code: 'MISSING_PROMPT' });
+  }
+
+  const conversation = normalizeConversation({ prompt, messages, system });
+  if (conversation.error) {
+    return res.status(400).json({ error: `Invalid messages: ${conversation.error}`, code: 'INVALID_MESSAGES' });
+  }
+  if (rendered && rendered.system) {
+    conversation.system = [rendered.system, conversation.system].filter(Boolean).join('\n\n');
+  }
+  // Optional grade level: adapts the answer and scores its readability
+  const graded = !!options && options.gradeLevel !== undefined && options.gradeLevel !== null;
+  const gradeLevel = graded ? Number(options.gradeLevel) : null;
+  if (graded) {
+    const invalid = validateGradeOptions(gradeLevel, language);
+    if (invalid) return res.status(400).json(invalid);
+  }
+  // Keep long sessions within the request size budget
+  const history = truncateHistory(conversation.messages, undefined, conversation.system);
+  if (history.error) {
+    return res.status(413).json({ error: history.error, code: 'CONVERSATION_TOO_LARGE' });
+  }
+  if (history.dropped) log.info(`Dropped ${history.dropped} old message(s) from history`);
+
+  const context = { endpoint: 'chat', clientKey: resolveClientKey(req) };
+  const screened = await moderateConversation(history.messages, conversation.system, context);
+  if (screened.blocked) {
+    return res.status(422).json(blockedResponse(screened.blocked, 'input', language));
+  }
+
+  const input = {
+    prompt: screened.messages[screened.messages.length - 1].content,
+    messages: screened.messages,
+    system: graded
+      ? [screened.system, gradeLevelInstruction(gradeLevel, language)].filter(Boolean).join('\n\n')
+      : screened.system,
+    options,
+  };
+
+  // A moderation provider only sees whole replies, so they are not streamed
+  if (wantsEventStream(req, options) && !usesModerationProvider()) {
+    return streamChat(res, input, { ...context, language, gradeLevel, template: rendered && rendered.template });
+  }
+
+  const { result, adapterId, errors, skipped, unsupported, attemptedProviders } = graded
+    ? await runGradedTextPipeline(input, { gradeLevel, language })
+    : await runTextPipeline(input);
+
+  if (result) {
+    const outputDecision = await moderateText(result.text, { ...context, stage: 'output', provider: adapterId });
+    if (outputDecision.action === ACTIONS.BLOCK) {
+      return res.status(422).json(blockedResponse(outputDecision, 'output', language));
+    }
+    const body = { text: outputDecision.text, provider: adapterId };
+    if (graded) body.readability = { ...result.readability, targetGrade: gradeLevel, simplified: result.simplified };
+    if (rendered) body.template = rendered.template;
+    return res.status(200).json(body);
+  }
+
+  // Return detailed error response
+  log.error('All providers failed', { attemptedProviders });
+  const failure = providerFailureStatus(errors, unsupported, skipped);
+  return res.status(failure.status).json({
+    error: 'Unable to generate text. All text providers failed.',
+    code: failure.code,
+    attemptedProviders,
+    skippedProviders: skipped,
+    unsupportedProviders: unsupported,
+    details: errors,
+  });
+});
+
+// Relays token deltas as SSE events. Headers are only sent once a provider
+// produces its first chunk, so total failure can still be reported as JSON.
+// Text is screened as it arrives (see createStreamScreen): rewrite terms are
+// masked and relaying stops at the first blocked match. Simplification only
+// applies to non-streamed replies; a graded stream reports its readability
+// on 'done'. The upstream request is aborted if the client disconnects.
+async function streamChat(res, input, { language, gradeLevel, template, ...context }) {
+  let streamed = '';
+  const screen = createStreamScreen();
+  const relay = ({ text }) => {
+    if (text) writeEvent(res, { delta: text });
+  };
+  // Watches the response: the request emits 'close' as soon as its body is read
+  const disconnect = new AbortController();
+  const onClose = () => {
+    if (!res.writableEnded) disconnect.abort();
+  };
+  if (typeof res.on === 'function') res.on('close', onClose);
+  const { adapterId, started, errors, skipped, unsupported, streamError, aborted, attemptedProviders } = await runTextStreamPipeline(input, {
+    signal: disconnect.signal,
+    onStart: providerId => {
+      openEventStream(res);
+      writeEvent(res, { provider: providerId }, 'start');
+    },
+    onChunk: delta => {
+      streamed += delta;
+      relay(screen.push(delta));
+    },
+  });
+  if (typeof res.off === 'function') res.off('close', onClose);
+  if (aborted) {
+    log.info('Client disconnected', { provider: adapterId || undefined, receivedChars: streamed.length });
+    return res.end();
+  }
+
+  if (started) {
+    const outputDecision = await moderateText(streamed, { ...context, stage: 'output', provider: adapterId });
+    if (outputDecision.action === ACTIONS.BLOCK) {
+      writeEvent(res, blockedResponse(outputDecision, 'output', language), 'error');
+      return res.end();
+    }
+    relay(screen.flush());
+    if (streamError) {
+      writeEvent(res, { error: 'The text stream was interrupted.', code: 'STREAM_INTERRUPTED', provider: adapterId }, 'error');
+    } else {
+      const done = { provider: adapterId };
+      if (gradeLevel !== null) done.readability = { ...scoreReadability(streamed, language), targetGrade: gradeLevel, simplified: false };
+      if (template) done.template = template;
+      writeEvent(res, done, 'done');
+    }
+    return res.end();
+  }
+
+  log.error('All providers failed', { attemptedProviders });
+  const failure = providerFailureStatus(errors, unsupported, skipped);
+  return res.status(failure.status).json({
+    error: 'Unable to generate text. All text providers failed.',
+    code: failure.code,
+    attemptedProviders,
+    skippedProviders: skipped,
+    unsupportedProviders: unsupported,
+    details: errors,
+  });
+}
@@ -0,0 +1,140 @@
+const { ENV_CONFIG, validateAllEnvVars, validateProviderEnv, resolveProviderSettings, loadProvidersConfig } = require('../lib/envValidator');
+const { applyRateLimit } = require('../lib/rateLimiter');
+const { textProviderIds, imageProviderIds, ttsProviderIds } = require('../lib/pipelines');
+const { buildAdapters, createTimeoutController } = require('../lib/providerOrchestrator');
+const { unsupportedReason } = require('../adapters/registry');
+const { formatErrorDetails } = require('../lib/errorUtils');
+const { getBreakerStates, STATES } = require('../lib/circuitBreaker');
+const { getProviderStats } = require('../lib/providerStats');
+const { hasBearerToken } = require('../lib/bearerToken');
+const { withRequestLogging } = require('../lib/logger');
+
+// Cheap calls used to probe each capability; image generation has none
+const PROBES = {
+  text: (adapter, signal) => adapter.generateText({ prompt: 'Reply with OK.', options: { max_tokens: 1 }, signal }),
+  tts: (adapter, signal) => adapter.generateTTS({ text: 'OK', signal }),
+};
+
+function providerLists() {
+  return { text: textProviderIds(), image: imageProviderIds(), tts: ttsProviderIds() };
+}
+
+// The report rebuilds every provider's settings; reuse it between polls
+const REPORT_TTL_MS = 30000;
+let cachedReport = null;
+
+// Which variables are set, never their values
+function envReport(providers) {
+  const validation = validateAllEnvVars();
+  const categories = {};
+  for (const category of Object.keys(ENV_CONFIG)) {
+    const { configured, missing } = validation.results[category];
+    categories[category] = { configured, missing };
+  }
+  const ids = [...new Set([...providers.text, ...providers.image, ...providers.tts])];
+  const perProvider = {};
+  for (const id of ids) {
+    const { configured, missing } = validateProviderEnv(id);
+    const settings = resolveProviderSettings(id);
+    const [adapter] = buildAdapters([id], 'PRIMARY_TEXT');
+    perProvider[id] = { type: settings.type, configured, missing, hasUrl: !!settings.url, hasKey: !!settings.key, capabilities: adapter.capabilities || null };
+  }
+  return { validation, categories, perProvider };
+}
+
+function cachedEnvReport(providers) {
+  const key = JSON.stringify(providers);
+  if (!cachedReport || cachedReport.key !== key || Date.now() - cachedReport.at > REPORT_TTL_MS) {
+    cachedReport = { key, at: Date.now(), report: envReport(providers) };
+  }
+  return cachedReport.report;
+}
+
+async function probeProvider(adapter, id, capability) {
+  const timeoutMs = parseInt(process.env.HEALTH_PROBE_TIMEOUT_MS || '5000', 10);
+  const { controller, clear } = createTimeoutController(timeoutMs);
+  const startedAt = Date.now();
+  try {
+    const result = await PROBES[capability](adapter, controller.signal);
+    return { provider: id, capability, ok: !!result, reachable: true, latencyMs: Date.now() - startedAt };
+  } catch (err) {
+    const details = formatErrorDetails(err, id);
+    return {
+      provider: id,
+      capability,
+      ok: false,
+      // An HTTP error still means the provider answered
+      reachable: !!details.status,
+      latencyMs: Date.now() - startedAt,
+      errorType: details.errorType,
+      status: details.status,
+    };
+  } finally {
+    clear();
+  }
+}
+
+// One probe per provider, using the cheapest capability it is configured
+// for and supports
+async function runProbes(providers) {
+  const probed = new Set();
+  const jobs = [];
+  for (const capability of ['text', 'tts']) {
+    for (const id of providers[capability]) {
+      if (probed.has(id)) continue;
+      const [adapter] = buildAdapters([id], `PRIMARY_${capability.toUpperCase()}`);
+      if (unsupportedReason(adapter, capability)) continue;
+      probed.add(id);
+      jobs.push(probeProvider(adapter, id, capability));
+    }
+  }
+  const results = await Promise.all(jobs);
+  for (const capability of ['text', 'tts', 'image']) {
+    for (const id of providers[capability]) {
+      if (probed.has(id)) continue;
+      probed.add(id);
+      const skipped = capability === 'image' ? 'No cheap probe for image generation' : `Does not support ${capability}`;
+      results.push({ provider: id, capability, ok: null, reachable: null, skipped });
+    }
+  }
+  return results;
+}
+
+module.exports = withRequestLogging('health', async function handler(req, res) {
+  if (req.method !== 'GET') return res.status(405).end();
+
+  const probe = req.query && String(req.query.probe) === 'true';
+  // The config file path and its raw errors are only shown to the probe token holder
+  const authorized = !!process.env.HEALTH_PROBE_TOKEN && hasBearerToken(req, process.env.HEALTH_PROBE_TOKEN);
+  if (probe) {
+    if (!process.env.HEALTH_PROBE_TOKEN) {
+      return res.status(403).json({ error: 'Provider probes are disabled. Set HEALTH_PROBE_TOKEN to enable them.', code: 'PROBE_DISABLED' });
+    }
+    if (!authorized) {
+      return res.status(401).json({ error: 'A valid bearer token is required for provider probes.', code: 'UNAUTHORIZED' });
+    }
+    const limited = applyRateLimit(req, res, 'health');
+    if (limited) return limited;
+  }
+
+  const providers = providerLists();
+  const { validation, categories, perProvider } = cachedEnvReport(providers);
+  const providersConfig = loadProvidersConfig();
+  const circuits = getBreakerStates();
+
+  const body = {
+    status: validation.configErrors.length || circuits.some(c => c.state !== STATES.CLOSED) ? 'degraded' : 'ok',
+    timestamp: new Date().toISOString(),
+    providers,
+    env: { ...categories, providers: perProvider },
+    providersConfig: authorized
+      ? { path: providersConfig.path, loaded: !!providersConfig.config, errors: providersConfig.errors }
+      : { loaded: !!providersConfig.config, errorCount: providersConfig.errors.length },
+    warnings: authorized ? validation.allWarnings : validation.allWarnings.filter(w => !w.startsWith('[PROVIDERS_CONFIG]')),
+    circuits,
+    latency: getProviderStats(),
+  };
+  if (probe) body.probes = await runProbes(providers);
+
+  return res.status(200).json(body);
+});
@@ -0,0 +1,177 @@
+const { logValidationWarnings } = require('../lib/envValidator');
+const { ROLES, requireAuth } = require('../lib/auth');
+const { applyRateLimit, resolveClientKey } = require('../lib/rateLimiter');
+const { applyBudget } = require('../lib/usage');
+const { runJsonPipeline, runImagePipeline, runTTSPipeline } = require('../lib/pipelines');
+const { providerFailureStatus } = require('../lib/errorUtils');
+const { ACTIONS, moderateText, screenText, blockedResponse } = require('../lib/moderation');
+const { LANGUAGES, MIN_GRADE, MAX_GRADE, MAX_SECTIONS, validateLessonContent, validateLesson } = require('../lib/lessonSchema');
+const { createLogger, withRequestLogging } = require('../lib/logger');
+
+const log = createLogger('Lesson');
+
+const DEFAULT_SECTIONS = 3;
+const MAX_TOPIC_CHARS = 200;
+// Time for the whole lesson: text, narration and illustrations share it
+const DEFAULT_DEADLINE_MS = 60000;
+
+// Validate environment variables on module load
+logValidationWarnings(process.env.NODE_ENV === 'development');
+
+function buildLessonPrompt({ topic, gradeLevel, language, sections }) {
+  const grade = gradeLevel === 0 ? 'kindergarten' : `grade ${gradeLevel}`;
+  const lang = language === 'en' ? 'English' : 'Spanish';
+  return [
+    `Write a short lesson about "${topic}" for a ${grade} student, in ${lang}.`,
+    'Respond with JSON only, no Markdown, using exactly this shape:',
+    '{"title": string, "sections": [{"heading": string, "body": string, "imagePrompt": string}],',
+    ' "vocabulary": [{"term": string, "definition": string}],',
+    ' "quiz": [{"question": string, "options": [string], "answerIndex": number}]}',
+    `Use ${sections} sections with two or three sentences each. Each imagePrompt describes a friendly, child-appropriate illustration in English.`,
+    'Include 3 to 5 vocabulary words and 3 quiz questions with 3 or 4 options each.',
+  ].join('\n');
+}
+
+// Every generated string that reaches the student or an image provider
+function lessonTexts(content) {
+  return [
+    content.title,
+    ...content.sections.flatMap(s => [s.heading, s.body, s.imagePrompt || '']),
+    ...content.vocabulary.flatMap(v => [v.term, v.definition]),
+    ...content.quiz.flatMap(q => [q.question, ...q.options]),
+  ].filter(Boolean);
+}
+
+// Applies blocklist rewrites field by field once the whole lesson is allowed
+function maskLesson(content) {
+  const mask = text => (text ? screenText(text).text : text);
+  return {
+    ...content,
+    title: mask(content.title),
+    sections: content.sections.map(s => ({ ...s, heading: mask(s.heading), body: mask(s.body), imagePrompt: mask(s.imagePrompt) })),
+    vocabulary: content.vocabulary.map(v => ({ ...v, term: mask(v.term), definition: mask(v.definition) })),
+    quiz: content.quiz.map(q => ({ ...q, question: mask(q.question), options: q.options.map(mask) })),
+  };
+}
+
+function mediaFrom(outcome, urlField) {
+  if (!outcome.result) return null;
+  return { [urlField]: outcome.result[urlField] || null, base64: outcome.result.base64 || null, provider: outcome.adapterId };
+}
+
+module.exports = withRequestLogging('lesson', async function handler(req, res) {
+  if (req.method !== 'POST') return res.status(405).end();
+
+  // Students load lessons from the classroom page (public/index.html)
+  const unauthorized = requireAuth(req, res, { roles: [ROLES.TEACHER, ROLES.STUDENT] });
+  if (unauthorized) return unauthorized;
+
+  const limited = applyRateLimit(req, res, 'lesson');
+  if (limited) return limited;
+  const overBudget = applyBudget(req, res, 'lesson');
+  if (overBudget) return overBudget;
+
+  const { topic, gradeLevel, language = 'es', voice, options } = req.body || {};
+  const opts = options || {};
+  if (!topic || typeof topic !== 'string') return res.status(400).json({ error: 'Missing topic', code: 'MISSING_TOPIC' });
+  if (topic.length > MAX_TOPIC_CHARS) {
+    return res.status(400).json({ error: `topic must be at most ${MAX_TOPIC_CHARS} characters`, code: 'TOPIC_TOO_LONG' });
+  }
+
+  const grade = Number(gradeLevel);
+  if (!Number.isInteger(grade) || grade < MIN_GRADE || grade > MAX_GRADE) {
+    return res.status(400).json({ error: `gradeLevel must be an integer between ${MIN_GRADE} and ${MAX_GRADE}`, code: 'INVALID_GRADE_LEVEL' });
+  }
+  if (!LANGUAGES.includes(language)) {
+    return res.status(400).json({ error: `language must be one of: ${LANGUAGES.join(', ')}`, code: 'INVALID_LANGUAGE' });
+  }
+  const context = { endpoint: 'lesson', clientKey: resolveClientKey(req) };
+  const inputDecision = await moderateText(topic, { ...context, stage: 'input' });
+  if (inputDecision.action === ACTIONS.BLOCK) {
+    return res.status(422).json(blockedResponse(inputDecision, 'input', language));
+  }
+  const lessonTopic = inputDecision.text;
+
+  const sectionCount = Math.min(Math.max(parseInt(opts.sections, 10) || DEFAULT_SECTIONS, 1), MAX_SECTIONS);
+  const deadline = Date.now() + (parseInt(process.env.LESSON_DEADLINE_MS || '', 10) || DEFAULT_DEADLINE_MS);
+
+  // 1. Lesson content from the text pipeline; malformed JSON is re-asked, then falls back
+  const textOutcome = await runJsonPipeline({
+    prompt: buildLessonPrompt({ topic: lessonTopic, gradeLevel: grade, language, sections: sectionCount }),
+    options: { ...opts.text, responseFormat: 'json' },
+  }, { label: 'Lesson', validate: validateLessonContent, deadline });
+
+  if (!textOutcome.result) {
+    log.error('All text providers failed', { attemptedProviders: textOutcome.attemptedProviders });
+    const failure = providerFailureStatus(textOutcome.errors, textOutcome.unsupported, textOutcome.skipped);
+    return res.status(failure.status).json({
+      error: 'Unable to generate lesson. All text providers failed.',
+      code: failure.code,
+      attemptedProviders: textOutcome.attemptedProviders,
+      skippedProviders: textOutcome.skipped,
+      unsupportedProviders: textOutcome.unsupported,
+      details: textOutcome.errors,
+    });
+  }
+
+  // The lesson is screened as one text, so a lesson costs one provider check
+  const outputDecision = await moderateText(lessonTexts(textOutcome.result.json).join('\n'), {
+    ...context,
+    stage: 'output',
+    provider: textOutcome.adapterId,
+  });
+  if (outputDecision.action === ACTIONS.BLOCK) {
+    return res.status(422).json(blockedResponse(outputDecision, 'output', language));
+  }
+  const generated = outputDecision.action === ACTIONS.REWRITE ? maskLesson(textOutcome.result.json) : textOutcome.result.json;
+  // Extra sections would each add narration and illustration calls
+  if (generated.sections.length > sectionCount) {
+    log.warn(`Provider returned ${generated.sections.length} sections, keeping ${sectionCount}`, { provider: textOutcome.adapterId });
+  }
+  const content = { ...generated, sections: generated.sections.slice(0, sectionCount) };
+
+  // 2. Narration and illustrations per section; media failures are not fatal
+  const includeAudio = opts.includeAudio !== false;
+  const includeImages = opts.includeImages !== false;
+  const warnings = [];
+  const sections = await Promise.all(content.sections.map(async (section, i) => {
+    const [audio, image] = await Promise.all([
+      includeAudio
+        ? runTTSPipeline({ text: `${section.heading}. ${section.body}`, voice, options: opts.tts }, { label: 'Lesson:TTS', deadline })
+        : null,
+      includeImages
+        ? runImagePipeline({ prompt: section.imagePrompt || `${lessonTopic}: ${section.heading}`, options: opts.image }, { label: 'Lesson:Image', deadline })
+        : null,
+    ]);
+    if (audio && !audio.result) warnings.push({ section: i, type: 'narration', code: 'ALL_PROVIDERS_FAILED', details: audio.errors });
+    if (image && !image.result) warnings.push({ section: i, type: 'illustration', code: 'ALL_PROVIDERS_FAILED', details: image.errors });
+    return {
+      heading: section.heading,
+      body: section.body,
+      narration: audio ? mediaFrom(audio, 'audioUrl') : null,
+      illustration: image ? mediaFrom(image, 'imageUrl') : null,
+    };
+  }));
+
+  const lesson = {
+    topic: lessonTopic,
+    gradeLevel: grade,
+    language,
+    title: content.title,
+    sections,
+    vocabulary: content.vocabulary.map(({ term, definition }) => ({ term, definition })),
+    quiz: content.quiz.map(({ question, options: choices, answerIndex }) => ({ question, options: choices, answerIndex })),
+    provider: textOutcome.adapterId,
+    warnings,
+  };
+
+  // 3. Validate the assembled lesson before handing it to the frontend
+  const lessonErrors = validateLesson(lesson);
+  if (lessonErrors.length) {
+    log.error('Assembled lesson failed validation', { errors: lessonErrors });
+    return res.status(500).json({ error: 'Unable to assemble lesson.', code: 'INVALID_LESSON', details: lessonErrors });
+  }
+
+  log.info(`Generated lesson with ${sections.length} section(s), ${warnings.length} warning(s)`);
+  return res.status(200).json(lesson);
+});
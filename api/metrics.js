@@ -0,0 +1,15 @@
+const { renderMetrics } = require('../lib/metrics');
+const { hasBearerToken } = require('../lib/bearerToken');
+const { withRequestLogging } = require('../lib/logger');
+
+module.exports = withRequestLogging('metrics', async function handler(req, res) {
+  if (req.method !== 'GET') return res.status(405).end();
+
+  // Scrapes need the token only when METRICS_TOKEN is set
+  if (process.env.METRICS_TOKEN && !hasBearerToken(req, process.env.METRICS_TOKEN)) {
+    return res.status(401).json({ error: 'A valid bearer token is required for metrics.', code: 'UNAUTHORIZED' });
+  }
+
+  res.setHeader('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+  return res.status(200).end(renderMetrics());
+});
@@ -0,0 +1,31 @@
+const { ROLES, requireAuth } = require('../lib/auth');
+const { ACTIONS, getDecisions } = require('../lib/moderation');
+const { withRequestLogging } = require('../lib/logger');
+
+const MAX_LIMIT = 500;
+
+// Teachers review the moderation decisions of their own classrooms
+module.exports = withRequestLogging('moderation', async function handler(req, res) {
+  if (req.method !== 'GET') return res.status(405).end();
+
+  const unauthorized = requireAuth(req, res, { roles: [ROLES.TEACHER] });
+  if (unauthorized) return unauthorized;
+
+  const { classroom, action, limit } = req.query || {};
+  if (action !== undefined && !Object.values(ACTIONS).includes(String(action))) {
+    return res.status(400).json({ error: `action must be one of: ${Object.values(ACTIONS).join(', ')}`, code: 'INVALID_ACTION' });
+  }
+  // Without sign-in (AUTH_ENABLED=false) there is no teacher to scope to
+  const classroomIds = req.identity ? req.identity.classroomIds : null;
+  if (classroom !== undefined && classroomIds && !classroomIds.includes(String(classroom))) {
+    return res.status(403).json({ error: 'You do not have access to this classroom.', code: 'FORBIDDEN' });
+  }
+
+  const decisions = getDecisions({
+    limit: Math.min(Math.max(parseInt(limit, 10) || 100, 1), MAX_LIMIT),
+    action: action && String(action),
+    classroomId: classroom && String(classroom),
+    classroomIds,
+  });
+  return res.status(200).json({ decisions });
+});
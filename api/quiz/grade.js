@@ -0,0 +1,100 @@
+const { logValidationWarnings } = require('../../lib/envValidator');
+const { requireAuth } = require('../../lib/auth');
+const { applyRateLimit } = require('../../lib/rateLimiter');
+const { applyBudget, checkBudget } = require('../../lib/usage');
+const { runJsonPipeline, endpointDeadlineMs } = require('../../lib/pipelines');
+const { loadQuiz } = require('../../lib/quizStore');
+const { MAX_QUESTION_COUNT, MAX_ANSWER_CHARS, FEEDBACK, buildRubricPrompt, validateRubricVerdict, gradeClosedQuestion } = require('../../lib/quiz');
+const { createLogger, withRequestLogging } = require('../../lib/logger');
+
+const log = createLogger('Quiz:Grade');
+
+// Short answers scoring at least this much are reported as correct
+const PASSING_SCORE = 0.5;
+
+// Validate environment variables on module load
+logValidationWarnings(process.env.NODE_ENV === 'development');
+
+// Plain values only; true/false questions may also be answered with a boolean
+// and a null answer counts as unanswered
+function isAnswerValue(answer) {
+  return answer === null || ['string', 'number', 'boolean'].includes(typeof answer);
+}
+
+// Left for the teacher instead of marked wrong
+function reviewLater(language) {
+  const messages = FEEDBACK[language] || FEEDBACK.es;
+  return { correct: false, score: 0, feedback: messages.review, needsReview: true };
+}
+
+async function gradeShortAnswer(question, answer, language, deadline) {
+  const { result, adapterId, errors } = await runJsonPipeline({
+    prompt: buildRubricPrompt({ question, answer, language }),
+    options: { responseFormat: 'json' },
+  }, { label: 'Quiz:Grade', validate: validateRubricVerdict, deadline });
+
+  if (!result) {
+    log.warn('Rubric grading failed', { questionId: question.id, errorTypes: errors.map(e => e.errorType) });
+    return reviewLater(language);
+  }
+  const score = Math.round(result.json.score * 100) / 100;
+  return { correct: score >= PASSING_SCORE, score, feedback: result.json.feedback.trim(), gradedBy: adapterId };
+}
+
+module.exports = withRequestLogging('quiz:grade', async function handler(req, res) {
+  if (req.method !== 'POST') return res.status(405).end();
+
+  const unauthorized = requireAuth(req, res);
+  if (unauthorized) return unauthorized;
+
+  const limited = applyRateLimit(req, res, 'quiz');
+  if (limited) return limited;
+  const overBudget = applyBudget(req, res, 'quiz');
+  if (overBudget) return overBudget;
+
+  const { quizId, answers } = req.body || {};
+  if (!quizId || typeof quizId !== 'string') return res.status(400).json({ error: 'Missing quizId', code: 'MISSING_QUIZ_ID' });
+  if (!answers || typeof answers !== 'object' || Array.isArray(answers)) {
+    return res.status(400).json({ error: 'Missing answers', code: 'MISSING_ANSWERS' });
+  }
+  if (Object.keys(answers).length > MAX_QUESTION_COUNT) {
+    return res.status(400).json({ error: `A quiz has at most ${MAX_QUESTION_COUNT} answers`, code: 'TOO_MANY_ANSWERS' });
+  }
+  if (!Object.values(answers).every(isAnswerValue)) {
+    return res.status(400).json({ error: 'Answers must be text, numbers or true/false', code: 'INVALID_ANSWER' });
+  }
+  if (Object.values(answers).some(answer => typeof answer === 'string' && answer.length > MAX_ANSWER_CHARS)) {
+    return res.status(413).json({ error: `Answers must be at most ${MAX_ANSWER_CHARS} characters`, code: 'ANSWER_TOO_LONG' });
+  }
+
+  // Graded against the stored answer key, never one sent by the client
+  const entry = await loadQuiz(quizId, req.identity);
+  if (!entry) return res.status(404).json({ error: 'Quiz not found', code: 'QUIZ_NOT_FOUND' });
+  const { quiz } = entry;
+
+  const language = quiz.language === 'en' ? 'en' : 'es';
+  const classroomId = (req.identity && req.identity.classroomId) || null;
+  const results = [];
+  // One rubric call at a time, each checked against the spending budget; all
+  // of them share one deadline so a long quiz cannot hold the request open
+  const deadline = Date.now() + endpointDeadlineMs('text');
+  for (const question of quiz.questions.slice(0, MAX_QUESTION_COUNT)) {
+    const answer = answers[question.id];
+    let graded = gradeClosedQuestion(question, answer, language);
+    if (!graded) {
+      const budget = checkBudget(classroomId);
+      if (!budget.allowed) log.warn('Rubric grading skipped', { questionId: question.id, code: budget.code });
+      graded = budget.allowed ? await gradeShortAnswer(question, answer, language, deadline) : reviewLater(language);
+    }
+    results.push({ id: question.id, type: question.type, ...graded });
+  }
+
+  const score = Math.round(results.reduce((sum, r) => sum + r.score, 0) * 100) / 100;
+  const maxScore = results.length;
+  return res.status(200).json({
+    score,
+    maxScore,
+    percentage: Math.round((score / maxScore) * 100),
+    results,
+  });
+});
@@ -0,0 +1,75 @@
+const { logValidationWarnings } = require('../../lib/envValidator');
+const { ROLES, requireAuth } = require('../../lib/auth');
+const { applyRateLimit } = require('../../lib/rateLimiter');
+const { applyBudget } = require('../../lib/usage');
+const { runJsonPipeline } = require('../../lib/pipelines');
+const { providerFailureStatus } = require('../../lib/errorUtils');
+const { QUESTION_TYPES, MAX_QUESTION_COUNT, validateQuiz, withoutAnswers, buildQuizPrompt } = require('../../lib/quiz');
+const { saveQuiz, loadQuiz } = require('../../lib/quizStore');
+const { LANGUAGES } = require('../../lib/lessonSchema');
+const { createLogger, withRequestLogging } = require('../../lib/logger');
+
+const log = createLogger('Quiz');
+
+const DEFAULT_QUESTION_COUNT = 5;
+
+// Validate environment variables on module load
+logValidationWarnings(process.env.NODE_ENV === 'development');
+
+// Students open a generated quiz by its ID; the answer key stays on the server
+async function openQuiz(req, res) {
+  const unauthorized = requireAuth(req, res);
+  if (unauthorized) return unauthorized;
+
+  const id = (req.query || {}).id;
+  const entry = await loadQuiz(id, req.identity);
+  if (!entry) return res.status(404).json({ error: 'Quiz not found', code: 'QUIZ_NOT_FOUND' });
+  return res.status(200).json({ quiz: withoutAnswers(entry.quiz, id) });
+}
+
+module.exports = withRequestLogging('quiz', async function handler(req, res) {
+  if (req.method === 'GET') return openQuiz(req, res);
+  if (req.method !== 'POST') return res.status(405).end();
+
+  const unauthorized = requireAuth(req, res, { roles: [ROLES.TEACHER] });
+  if (unauthorized) return unauthorized;
+
+  const limited = applyRateLimit(req, res, 'quiz');
+  if (limited) return limited;
+  const overBudget = applyBudget(req, res, 'quiz');
+  if (overBudget) return overBudget;
+
+  const { text, language = 'es', questionCount, types = QUESTION_TYPES, options } = req.body || {};
+  if (!text || typeof text !== 'string') return res.status(400).json({ error: 'Missing text', code: 'MISSING_TEXT' });
+  if (!LANGUAGES.includes(language)) {
+    return res.status(400).json({ error: `language must be one of: ${LANGUAGES.join(', ')}`, code: 'INVALID_LANGUAGE' });
+  }
+  if (!Array.isArray(types) || !types.length || !types.every(t => QUESTION_TYPES.includes(t))) {
+    return res.status(400).json({ error: `types must list question types from: ${QUESTION_TYPES.join(', ')}`, code: 'INVALID_QUESTION_TYPES' });
+  }
+  const count = Math.min(Math.max(parseInt(questionCount, 10) || DEFAULT_QUESTION_COUNT, 1), MAX_QUESTION_COUNT);
+
+  const { result, adapterId, errors, skipped, unsupported, attemptedProviders } = await runJsonPipeline({
+    prompt: buildQuizPrompt({ text, language, questionCount: count, types }),
+    options: { ...options, responseFormat: 'json' },
+  }, { label: 'Quiz', validate: json => validateQuiz(json, { types }) });
+
+  if (result) {
+    const quiz = { language, questions: result.json.questions.map((q, i) => ({ id: `q${i + 1}`, ...q })) };
+    const id = await saveQuiz(quiz, { classroomId: req.identity ? req.identity.classroomId : null });
+    log.info(`Generated ${quiz.questions.length} question(s)`, { provider: adapterId, quizId: id });
+    return res.status(200).json({ quiz: withoutAnswers(quiz, id), provider: adapterId });
+  }
+
+  // Return detailed error response
+  log.error('All providers failed', { attemptedProviders });
+  const failure = providerFailureStatus(errors, unsupported, skipped);
+  return res.status(failure.status).json({
+    error: 'Unable to generate quiz. All text providers failed.',
+    code: failure.code,
+    attemptedProviders,
+    skippedProviders: skipped,
+    unsupportedProviders: unsupported,
+    details: errors,
+  });
+});
@@ -0,0 +1,50 @@
+const { applyRateLimit, consume, resolveClientKey } = require('../lib/rateLimiter');
+const { issueStudentToken, classroomForJoinCode, studentForCode } = require('../lib/auth');
+const { createLogger, withRequestLogging } = require('../lib/logger');
+
+const log = createLogger('Session');
+
+// Students exchange their classroom's join code (and their personal code,
+// when the classroom has a roster) for a session token
+module.exports = withRequestLogging('session', async function handler(req, res) {
+  if (req.method !== 'POST') return res.status(405).end();
+
+  const limited = applyRateLimit(req, res, 'session');
+  if (limited) return limited;
+
+  if (!process.env.AUTH_SECRET) {
+    return res.status(503).json({ error: 'Student sign-in is not configured. Set AUTH_SECRET to enable it.', code: 'AUTH_NOT_CONFIGURED' });
+  }
+
+  const { joinCode, studentCode, studentId } = req.body || {};
+  if (!joinCode || typeof joinCode !== 'string') return res.status(400).json({ error: 'Missing joinCode', code: 'MISSING_JOIN_CODE' });
+  if (studentId !== undefined) {
+    return res.status(400).json({ error: 'Student IDs are assigned by the server; sign in with your student code instead.', code: 'STUDENT_ID_NOT_ACCEPTED' });
+  }
+
+  // Sign-in pauses for a client whose join codes keep failing; other
+  // clients, and so other classrooms, can still join
+  const clientKey = resolveClientKey(req);
+  const paused = applyRateLimit(req, res, 'session_invalid', { clientKey, peek: true });
+  if (paused) return paused;
+
+  const classroomId = classroomForJoinCode(joinCode);
+  if (!classroomId) {
+    consume('session_invalid', clientKey);
+    log.warn('Rejected join code');
+    return res.status(401).json({ error: 'That join code is not valid.', code: 'INVALID_JOIN_CODE' });
+  }
+
+  const classroomLimited = applyRateLimit(req, res, 'session_classroom', { clientKey: `classroom:${classroomId}` });
+  if (classroomLimited) return classroomLimited;
+
+  const id = studentForCode(classroomId, studentCode);
+  if (!id) {
+    log.warn('Rejected student code', { classroomId });
+    return res.status(401).json({ error: 'That student code is not valid.', code: 'INVALID_STUDENT_CODE' });
+  }
+
+  const { token, expiresAt } = issueStudentToken({ studentId: id, classroomId });
+  log.info('Student session issued', { classroomId, studentId: id });
+  return res.status(200).json({ token, expiresAt, studentId: id, classroomId, role: 'student' });
+});
@@ -1,95 +1,81 @@
-const { getAdapter } = require('../adapters/index');
-const { logValidationWarnings } = require('../lib/envValidator');
-const { formatErrorDetails } = require('../lib/errorUtils');
-
-const TIMEOUT_MS = parseInt(process.env.TIMEOUT_MS || '15000', 10);
-const DEFAULT_VOICE = process.env.DEFAULT_TTS_VOICE || 'chatgpt'; // user requested chatgpt as default
-
-// Validate environment variables on module load
-logValidationWarnings(process.env.NODE_ENV === 'development');
-
-function createTimeoutController(timeoutMs) {
-  const controller = new AbortController();
-  const id = setTimeout(() => controller.abort(), timeoutMs);
-  return { controller, clear: () => clearTimeout(id) };
-}
-
-function parseProvidersEnv(envVar, fallbackUrlName) {
-  const list = process.env[envVar];
-  if (list && list.trim()) return list.split(',').map(s => s.trim()).filter(Boolean);
-  if (process.env[fallbackUrlName]) return ['primary'];
-  return [];
-}
-
-function buildAdapters(providerIds) {
-  return providerIds.map(id => {
-    if (id === 'primary') {
-      const cfg = {
-        id: 'primary',
-        url: process.env.PRIMARY_TTS_API_URL || process.env.PRIMARY_TTS_API_ENDPOINT || '',
-        key: process.env.PRIMARY_TTS_API_KEY || '',
-      };
-      return getAdapter(cfg.id) || require('../adapters/generic')(cfg);
-    }
-    const adapter = getAdapter(id);
-    if (!adapter) {
-      const cfg = {
-        id,
-        url: process.env[`PROVIDER_${id.toUpperCase()}_API_URL`] || '',
-        key: process.env[`PROVIDER_${id.toUpperCase()}_API_KEY`] || '',
-      };
-      return require('../adapters/generic')(cfg);
-    }
-    return adapter;
-  });
-}
-
-module.exports = async function handler(req, res) {
-  if (req.method !== 'POST') return res.status(405).end();
-
-  const { text, voice, options } = req.body || {};
-  if (!text) return res.status(400).json({ error: 'Missing text', code: 'MISSING_TEXT' });
-
-  const providerIds = parseProvidersEnv('TTS_PROVIDERS', 'PRIMARY_TTS_API_URL');
-  // default order; Murf will be tried as specified via TTS_PROVIDERS or AUDIO_FALLBACK_PROVIDER
-  const ids = providerIds.length ? providerIds : ['openai', 'gemini', 'grok'];
-
-  // If an explicit audio fallback provider is configured, put it at the end if not already present
-  const audioFallback = process.env.AUDIO_FALLBACK_PROVIDER || 'murf';
-  if (!ids.includes(audioFallback)) ids.push(audioFallback);
-
-  const adapters = buildAdapters(ids);
-  const errors = []; // Collect all errors for detailed response
-
-  for (const adapter of adapters) {
-    if (!adapter || !adapter.generateTTS) continue;
-    const adapterId = adapter.providerId || adapter.provider || 'unknown';
-    const { controller, clear } = createTimeoutController(TIMEOUT_MS);
-    try {
-      console.log(`[TTS] Attempting provider: ${adapterId}`);
-      const result = await adapter.generateTTS({ text, voice: voice || DEFAULT_VOICE, options, signal: controller.signal });
-      clear();
-      if (result && (result.audioUrl || result.base64)) {
-        console.log(`[TTS] Success with provider: ${adapterId}`);
-        return res.status(200).json({ audioUrl: result.audioUrl, base64: result.base64, provider: adapterId });
-      }
-      // Result was empty/null - log and continue
-      console.warn(`[TTS] Provider ${adapterId} returned empty result`);
-      errors.push({ provider: adapterId, error: 'Empty result returned', errorType: 'empty_response' });
-    } catch (err) {
-      clear();
-      const errorDetails = formatErrorDetails(err, adapterId);
-      console.error(`[TTS] Provider ${adapterId} failed:`, JSON.stringify(errorDetails));
-      errors.push({ provider: adapterId, error: errorDetails.message, errorType: errorDetails.errorType });
-    }
-  }
-
-  // Return detailed error response
-  console.error(`[TTS] All providers failed. Attempted: ${ids.join(', ')}`);
-  return res.status(502).json({
-    error: 'Unable to generate audio. All TTS providers failed.',
-    code: 'ALL_PROVIDERS_FAILED',
-    attemptedProviders: ids,
-    details: errors,
-  });
-};
+const { logValidationWarnings } = require('../lib/envValidator');
+const { requireAuth } = require('../lib/auth');
+const { applyRateLimit } = require('../lib/rateLimiter');
+const { applyBudget } = require('../lib/usage');
+const { runTTSPipeline } = require('../lib/pipelines');
+const { providerFailureStatus } = require('../lib/errorUtils');
+const { renderTemplate } = require('../lib/prompts');
+const { createLogger, withRequestLogging } = require('../lib/logger');
+const { AUDIO_FORMATS } = require('../lib/audio');
+
+const log = createLogger('TTS');
+
+// Range accepted by OpenAI-compatible speech endpoints
+const MIN_SPEED = 0.25;
+const MAX_SPEED = 4;
+
+// Checks the speech options passed on to providers; returns an error message
+function validateSpeechOptions(options) {
+  if (options === undefined || options === null) return null;
+  if (typeof options !== 'object' || Array.isArray(options)) return 'options must be an object';
+  const { speed, response_format: format, voice, model } = options;
+  if (speed !== undefined && !(typeof speed === 'number' && speed >= MIN_SPEED && speed <= MAX_SPEED)) {
+    return `options.speed must be a number between ${MIN_SPEED} and ${MAX_SPEED}`;
+  }
+  if (format !== undefined && !Object.keys(AUDIO_FORMATS).includes(format)) {
+    return `options.response_format must be one of: ${Object.keys(AUDIO_FORMATS).join(', ')}`;
+  }
+  if (voice !== undefined && (typeof voice !== 'string' || !voice)) return 'options.voice must be a non-empty string';
+  if (model !== undefined && (typeof model !== 'string' || !model)) return 'options.model must be a non-empty string';
+  return null;
+}
+
+// Validate environment variables on module load
+logValidationWarnings(process.env.NODE_ENV === 'development');
+
+module.exports = withRequestLogging('tts', async function handler(req, res) {
+  if (req.method !== 'POST') return res.status(405).end();
+
+  const unauthorized = requireAuth(req, res);
+  if (unauthorized) return unauthorized;
+
+  const limited = applyRateLimit(req, res, 'tts');
+  if (limited) return limited;
+  const overBudget = applyBudget(req, res, 'tts');
+  if (overBudget) return overBudget;
+
+  const { voice, options, template, variables } = req.body || {};
+
+  let rendered = null;
+  if (template !== undefined) {
+    rendered = renderTemplate(template, variables, { kind: 'tts', language: (options && options.language) || 'es' });
+    if (rendered.error) return res.status(400).json({ error: rendered.error, code: rendered.code });
+  }
+  const text = rendered ? rendered.text : (req.body || {}).text;
+  if (!text) return res.status(400).json({ error: 'Missing text', code: 'MISSING_TEXT' });
+  const optionsError = validateSpeechOptions(options);
+  if (optionsError) return res.status(400).json({ error: optionsError, code: 'INVALID_OPTIONS' });
+
+  const { result, adapterId, errors, skipped, unsupported, attemptedProviders, cached } = await runTTSPipeline({ text, voice, options });
+
+  if (result) {
+    const body = { audioUrl: result.audioUrl, base64: result.base64, provider: adapterId, cached };
+    if (result.mimeType) body.mimeType = result.mimeType;
+    if (result.format) body.format = result.format;
+    if (result.durationMs !== undefined && result.durationMs !== null) body.durationMs = result.durationMs;
+    if (rendered) body.template = rendered.template;
+    return res.status(200).json(body);
+  }
+
+  // Return detailed error response
+  log.error('All providers failed', { attemptedProviders });
+  const failure = providerFailureStatus(errors, unsupported, skipped);
+  return res.status(failure.status).json({
+    error: 'Unable to generate audio. All TTS providers failed.',
+    code: failure.code,
+    attemptedProviders,
+    skippedProviders: skipped,
+    unsupportedProviders: unsupported,
+    details: errors,
+  });
+});
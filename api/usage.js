@@ -0,0 +1,30 @@
+const { summarizeUsage, resolveBudgets, checkBudget } = require('../lib/usage');
+const { hasBearerToken } = require('../lib/bearerToken');
+const { withRequestLogging } = require('../lib/logger');
+
+const DAY = /^\d{4}-\d{2}-\d{2}$/;
+
+module.exports = withRequestLogging('usage', async function handler(req, res) {
+  if (req.method !== 'GET') return res.status(405).end();
+
+  if (!process.env.USAGE_REPORT_TOKEN) {
+    return res.status(403).json({ error: 'Usage reports are disabled. Set USAGE_REPORT_TOKEN to enable them.', code: 'USAGE_REPORT_DISABLED' });
+  }
+  if (!hasBearerToken(req, process.env.USAGE_REPORT_TOKEN)) {
+    return res.status(401).json({ error: 'A valid bearer token is required for usage reports.', code: 'UNAUTHORIZED' });
+  }
+
+  const { from, to, classroom } = req.query || {};
+  for (const [name, value] of [['from', from], ['to', to]]) {
+    if (value !== undefined && !DAY.test(String(value))) {
+      return res.status(400).json({ error: `'${name}' must be a date in YYYY-MM-DD format`, code: 'INVALID_DATE' });
+    }
+  }
+
+  const summary = summarizeUsage({ from, to, classroomId: classroom ? String(classroom) : undefined });
+  const budget = checkBudget(classroom ? String(classroom) : null);
+  return res.status(200).json({
+    ...summary,
+    budgets: { ...resolveBudgets(), exceeded: budget.allowed ? null : budget.code },
+  });
+});
@@ -0,0 +1,220 @@
+/**
+ * Audio helpers for adapters that receive binary audio or raw PCM.
+ * Identifies the format of an audio payload, estimates its duration and
+ * turns it into the { audioUrl, base64 } shape of TTS results, optionally
+ * storing it as a file served from TTS_AUDIO_BASE_URL.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// Formats offered by OpenAI-compatible speech endpoints (response_format)
+const AUDIO_FORMATS = {
+  mp3: 'audio/mpeg',
+  opus: 'audio/ogg',
+  aac: 'audio/aac',
+  flac: 'audio/flac',
+  wav: 'audio/wav',
+  pcm: 'audio/pcm',
+};
+
+const CONTENT_TYPE_FORMATS = {
+  'audio/mpeg': 'mp3',
+  'audio/mp3': 'mp3',
+  'audio/ogg': 'opus',
+  'audio/opus': 'opus',
+  'audio/aac': 'aac',
+  'audio/flac': 'flac',
+  'audio/wav': 'wav',
+  'audio/wave': 'wav',
+  'audio/x-wav': 'wav',
+  'audio/pcm': 'pcm',
+  'audio/l16': 'pcm',
+};
+
+// OpenAI's raw PCM: 24 kHz, 16-bit, mono
+const PCM_BYTES_PER_SECOND = 24000 * 2;
+const DEFAULT_AUDIO_BASE_URL = '/audio';
+
+// MPEG audio layer III bitrates (kbps) by version, and sample rates
+const MP3_BITRATES = {
+  1: [0, 32, 40, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320],
+  2: [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160],
+};
+const MP3_SAMPLE_RATES = [44100, 48000, 32000];
+
+/**
+ * Wraps little-endian PCM samples in a WAV container.
+ * @param {Buffer} pcm - Raw samples
+ * @param {Object} [format]
+ * @param {number} [format.sampleRate=24000] - Samples per second
+ * @param {number} [format.channels=1] - Channel count
+ * @param {number} [format.bitsPerSample=16] - Sample size
+ * @returns {Buffer} WAV file
+ */
+function pcmToWav(pcm, { sampleRate = 24000, channels = 1, bitsPerSample = 16 } = {}) {
+  const blockAlign = channels * (bitsPerSample / 8);
+  const header = Buffer.alloc(44);
+  header.write('RIFF', 0);
+  header.writeUInt32LE(36 + pcm.length, 4);
+  header.write('WAVE', 8);
+  header.write('fmt ', 12);
+  header.writeUInt32LE(16, 16);
+  header.writeUInt16LE(1, 20);
+  header.writeUInt16LE(channels, 22);
+  header.writeUInt32LE(sampleRate, 24);
+  header.writeUInt32LE(sampleRate * blockAlign, 28);
+  header.writeUInt16LE(blockAlign, 32);
+  header.writeUInt16LE(bitsPerSample, 34);
+  header.write('data', 36);
+  header.writeUInt32LE(pcm.length, 40);
+  return Buffer.concat([header, pcm]);
+}
+
+/**
+ * Checks whether a response content type is binary audio rather than JSON.
+ * @param {string} contentType - Content-Type header
+ * @returns {boolean}
+ */
+function isAudioContentType(contentType) {
+  return /^(audio\/|application\/octet-stream)/i.test(String(contentType || '').trim());
+}
+
+/**
+ * Identifies an audio format from the content type, else from magic bytes.
+ * @param {Buffer} buffer - Audio bytes
+ * @param {string} [contentType] - Content-Type header
+ * @returns {string|null} Format name (see AUDIO_FORMATS) or null
+ */
+function detectAudioFormat(buffer, contentType) {
+  const type = String(contentType || '').split(';')[0].trim().toLowerCase();
+  if (CONTENT_TYPE_FORMATS[type]) return CONTENT_TYPE_FORMATS[type];
+  if (buffer.length < 4) return null;
+  const magic = buffer.toString('ascii', 0, 4);
+  if (magic === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WAVE') return 'wav';
+  if (magic === 'OggS') return 'opus';
+  if (magic === 'fLaC') return 'flac';
+  if (magic.startsWith('ID3')) return 'mp3';
+  // ADTS (AAC) and MPEG audio share the frame sync; AAC has layer bits 00
+  if (buffer[0] === 0xff && (buffer[1] & 0xf6) === 0xf0) return 'aac';
+  if (buffer[0] === 0xff && (buffer[1] & 0xe0) === 0xe0) return 'mp3';
+  return null;
+}
+
+function wavDurationMs(buffer) {
+  let byteRate = 0;
+  for (let offset = 12; offset + 8 <= buffer.length;) {
+    const id = buffer.toString('ascii', offset, offset + 4);
+    const size = buffer.readUInt32LE(offset + 4);
+    if (id === 'fmt ' && offset + 16 <= buffer.length) byteRate = buffer.readUInt32LE(offset + 16);
+    if (id === 'data') {
+      // Streamed WAVs may carry a placeholder size
+      const dataBytes = Math.min(size, buffer.length - offset - 8);
+      return byteRate ? (dataBytes / byteRate) * 1000 : null;
+    }
+    offset += 8 + size + (size % 2);
+  }
+  return null;
+}
+
+// Constant-bitrate estimate from the first frame header
+function mp3DurationMs(buffer) {
+  let offset = 0;
+  if (buffer.toString('ascii', 0, 3) === 'ID3' && buffer.length >= 10) {
+    offset = 10 + ((buffer[6] << 21) | (buffer[7] << 14) | (buffer[8] << 7) | buffer[9]);
+  }
+  for (; offset + 4 <= buffer.length; offset++) {
+    if (buffer[offset] !== 0xff || (buffer[offset + 1] & 0xe0) !== 0xe0) continue;
+    const versionBits = (buffer[offset + 1] >> 3) & 0x03;
+    const layerBits = (buffer[offset + 1] >> 1) & 0x03;
+    const bitrateIndex = buffer[offset + 2] >> 4;
+    const rateIndex = (buffer[offset + 2] >> 2) & 0x03;
+    if (versionBits === 1 || layerBits !== 1 || bitrateIndex === 0 || bitrateIndex === 15 || rateIndex === 3) continue;
+    const kbps = MP3_BITRATES[versionBits === 3 ? 1 : 2][bitrateIndex];
+    return ((buffer.length - offset) * 8) / kbps;
+  }
+  return null;
+}
+
+// Granule position of the last Ogg page, less the Opus pre-skip, at 48 kHz
+function opusDurationMs(buffer) {
+  const head = buffer.indexOf('OpusHead');
+  const last = buffer.lastIndexOf('OggS');
+  if (head === -1 || last === -1 || last + 14 > buffer.length || head + 12 > buffer.length) return null;
+  const granule = Number(buffer.readBigUInt64LE(last + 6));
+  const preSkip = buffer.readUInt16LE(head + 10);
+  return granule > preSkip ? ((granule - preSkip) / 48000) * 1000 : null;
+}
+
+// Total samples and sample rate from the STREAMINFO block
+function flacDurationMs(buffer) {
+  if (buffer.length < 26) return null;
+  const info = 8;
+  const sampleRate = (buffer[info + 10] << 12) | (buffer[info + 11] << 4) | (buffer[info + 12] >> 4);
+  const totalSamples = (buffer[info + 13] & 0x0f) * 2 ** 32 + buffer.readUInt32BE(info + 14);
+  return sampleRate && totalSamples ? (totalSamples / sampleRate) * 1000 : null;
+}
+
+const DURATION_READERS = {
+  wav: wavDurationMs,
+  mp3: mp3DurationMs,
+  opus: opusDurationMs,
+  flac: flacDurationMs,
+  pcm: buffer => (buffer.length / PCM_BYTES_PER_SECOND) * 1000,
+};
+
+/**
+ * Describes an audio payload.
+ * @param {Buffer} buffer - Audio bytes
+ * @param {string} [contentType] - Content-Type header
+ * @returns {Object} { format, mimeType, durationMs }; durationMs is null when
+ *   the format has no cheap way to tell (e.g. AAC)
+ */
+function describeAudio(buffer, contentType) {
+  const format = detectAudioFormat(buffer, contentType);
+  const reader = format && DURATION_READERS[format];
+  let durationMs = null;
+  try {
+    durationMs = reader ? reader(buffer) : null;
+  } catch (e) {
+    // Truncated or malformed headers leave the duration unknown
+  }
+  return {
+    format,
+    mimeType: format ? AUDIO_FORMATS[format] : (String(contentType || '').split(';')[0].trim() || 'application/octet-stream'),
+    durationMs: Number.isFinite(durationMs) ? Math.round(durationMs) : null,
+  };
+}
+
+// Writes the audio under TTS_AUDIO_DIR, named by its content, and returns its URL
+async function storeAudio(buffer, format) {
+  const dir = process.env.TTS_AUDIO_DIR;
+  if (!dir) return null;
+  const name = `${crypto.createHash('sha256').update(buffer).digest('hex').slice(0, 32)}.${format || 'bin'}`;
+  await fs.promises.mkdir(dir, { recursive: true });
+  await fs.promises.writeFile(path.join(dir, name), buffer);
+  return `${(process.env.TTS_AUDIO_BASE_URL || DEFAULT_AUDIO_BASE_URL).replace(/\/$/, '')}/${name}`;
+}
+
+/**
+ * Builds a TTS result from audio bytes: stored as a file when TTS_AUDIO_DIR
+ * is set, else inlined as base64.
+ * @param {Buffer} buffer - Audio bytes
+ * @param {string} [contentType] - Content-Type header
+ * @returns {Promise<Object>} { audioUrl, base64, mimeType, format, durationMs }
+ */
+async function audioResult(buffer, contentType) {
+  const { format, mimeType, durationMs } = describeAudio(buffer, contentType);
+  const audioUrl = await storeAudio(buffer, format);
+  return { audioUrl, base64: audioUrl ? null : buffer.toString('base64'), mimeType, format, durationMs };
+}
+
+module.exports = {
+  AUDIO_FORMATS,
+  pcmToWav,
+  isAudioContentType,
+  detectAudioFormat,
+  describeAudio,
+  audioResult,
+};
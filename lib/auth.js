@@ -0,0 +1,333 @@
+/**
+ * Teacher and student authentication for the API handlers.
+ * Teachers and classrooms are declared in the auth config file (AUTH_CONFIG,
+ * default auth.json): teachers sign in with an API token, stored as its
+ * SHA-256 hash, and each classroom has a join code. A student exchanges a
+ * join code for a session token (an HS256 JWT signed with AUTH_SECRET) at
+ * /api/session. A classroom may list its students (its roster), each with a
+ * personal code stored as a SHA-256 hash; student IDs always come from the
+ * roster, never from the caller. Handlers call requireAuth, which puts the caller's identity
+ * on req.identity for logging, quotas, usage and moderation. AUTH_ENABLED
+ * set to 'false' turns the checks off (local development only).
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { checkSchema } = require('./envValidator');
+const { createLogger, setRequestIdentity } = require('./logger');
+
+const log = createLogger('Auth');
+
+const ROLES = { TEACHER: 'teacher', STUDENT: 'student' };
+const DEFAULT_CONFIG_FILE = 'auth.json';
+const DEFAULT_SESSION_TTL_SECONDS = 8 * 60 * 60;
+const STUDENT_ID_PATTERN = /^[\w-]{1,64}$/;
+
+const AUTH_CONFIG_SCHEMA = {
+  type: 'object',
+  properties: {
+    teachers: {
+      type: 'object',
+      values: {
+        type: 'object',
+        properties: {
+          tokenSha256: { type: 'string', pattern: /^[0-9a-f]{64}$/ },
+          classrooms: { type: 'array', items: { type: 'string', minLength: 1 } },
+        },
+      },
+    },
+    classrooms: {
+      type: 'object',
+      values: {
+        type: 'object',
+        properties: {
+          joinCode: { type: 'string', minLength: 1 },
+          name: { type: 'string' },
+          students: {
+            type: 'object',
+            values: {
+              type: 'object',
+              properties: {
+                codeSha256: { type: 'string', pattern: /^[0-9a-f]{64}$/ },
+              },
+            },
+          },
+        },
+      },
+    },
+  },
+};
+
+let cachedConfig = null;
+
+function authConfigPath() {
+  if (process.env.AUTH_CONFIG) return path.resolve(process.env.AUTH_CONFIG);
+  const fallback = path.resolve(DEFAULT_CONFIG_FILE);
+  return fs.existsSync(fallback) ? fallback : null;
+}
+
+/**
+ * Validates an auth config: the schema, plus a token for every teacher, a
+ * join code for every classroom, no classroom listed that is not declared,
+ * and a code for every student, whose IDs are unique across classrooms.
+ * @param {Object} config - Parsed config file
+ * @returns {string[]} "path: problem" errors
+ */
+function validateAuthConfig(config) {
+  const errors = [];
+  checkSchema(config, AUTH_CONFIG_SCHEMA, 'auth', errors);
+  if (errors.length) return errors;
+  const classrooms = config.classrooms || {};
+  for (const [id, teacher] of Object.entries(config.teachers || {})) {
+    if (!teacher.tokenSha256) errors.push(`auth.teachers.${id}.tokenSha256: is required`);
+    (teacher.classrooms || []).forEach((classroomId, i) => {
+      if (!classrooms[classroomId]) errors.push(`auth.teachers.${id}.classrooms[${i}]: unknown classroom '${classroomId}'`);
+    });
+  }
+  const seen = new Map();
+  for (const [id, classroom] of Object.entries(classrooms)) {
+    if (!classroom.joinCode) errors.push(`auth.classrooms.${id}.joinCode: is required`);
+    for (const [studentId, student] of Object.entries(classroom.students || {})) {
+      const at = `auth.classrooms.${id}.students.${studentId}`;
+      if (!STUDENT_ID_PATTERN.test(studentId)) errors.push(`${at}: student IDs must be 1-64 letters, digits, underscores or hyphens`);
+      if (!student.codeSha256) errors.push(`${at}.codeSha256: is required`);
+      if (seen.has(studentId)) errors.push(`${at}: also listed in classroom '${seen.get(studentId)}'`);
+      seen.set(studentId, id);
+    }
+  }
+  return errors;
+}
+
+/**
+ * Loads the auth config file, cached per path. An invalid file is reported
+ * and ignored, so no teacher token or join code is accepted until it is fixed.
+ * @returns {Object} { path, config, errors }; config is null when absent or invalid
+ */
+function loadAuthConfig() {
+  const file = authConfigPath();
+  if (cachedConfig && cachedConfig.path === file) return cachedConfig;
+
+  const result = { path: file, config: null, errors: [] };
+  if (file) {
+    try {
+      const parsed = JSON.parse(fs.readFileSync(file, 'utf8'));
+      result.errors = validateAuthConfig(parsed);
+      if (!result.errors.length) result.config = parsed;
+    } catch (err) {
+      result.errors.push(`${file}: ${err.message}`);
+    }
+    if (result.errors.length) log.error('Invalid auth config file, rejecting teacher tokens and join codes', { errors: result.errors });
+  }
+  cachedConfig = result;
+  return result;
+}
+
+function resetAuthConfig() {
+  cachedConfig = null;
+}
+
+function safeEqual(a, b) {
+  const left = Buffer.from(String(a));
+  const right = Buffer.from(String(b));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+function sha256(value) {
+  return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+function base64url(value) {
+  return Buffer.from(value).toString('base64url');
+}
+
+function sessionSecret() {
+  return process.env.AUTH_SECRET || '';
+}
+
+function sign(data, secret) {
+  return crypto.createHmac('sha256', secret).update(data).digest('base64url');
+}
+
+/**
+ * Creates a signed student session token.
+ * @param {Object} params - { studentId, classroomId }
+ * @param {Object} [options] - { ttlSeconds, now } (now in epoch ms)
+ * @returns {Object} { token, expiresAt }
+ */
+function issueStudentToken({ studentId, classroomId }, { ttlSeconds, now = Date.now() } = {}) {
+  const secret = sessionSecret();
+  if (!secret) throw new Error('AUTH_SECRET is not set');
+  const ttl = ttlSeconds || parseInt(process.env.AUTH_SESSION_TTL_SECONDS || '', 10) || DEFAULT_SESSION_TTL_SECONDS;
+  const iat = Math.floor(now / 1000);
+  const payload = { sub: studentId, cid: classroomId, role: ROLES.STUDENT, iat, exp: iat + ttl };
+  const unsigned = `${base64url(JSON.stringify({ alg: 'HS256', typ: 'JWT' }))}.${base64url(JSON.stringify(payload))}`;
+  return { token: `${unsigned}.${sign(unsigned, secret)}`, expiresAt: new Date(payload.exp * 1000).toISOString() };
+}
+
+/**
+ * Verifies a student session token.
+ * @param {string} token - Compact JWT
+ * @param {number} [now] - Epoch ms
+ * @returns {Object} { payload } or { code } ('INVALID_TOKEN' or 'TOKEN_EXPIRED')
+ */
+function verifyStudentToken(token, now = Date.now()) {
+  const secret = sessionSecret();
+  const parts = String(token).split('.');
+  if (!secret || parts.length !== 3) return { code: 'INVALID_TOKEN' };
+  const [header, body, signature] = parts;
+  if (!safeEqual(signature, sign(`${header}.${body}`, secret))) return { code: 'INVALID_TOKEN' };
+  let payload;
+  try {
+    const alg = JSON.parse(Buffer.from(header, 'base64url').toString()).alg;
+    if (alg !== 'HS256') return { code: 'INVALID_TOKEN' };
+    payload = JSON.parse(Buffer.from(body, 'base64url').toString());
+  } catch (err) {
+    return { code: 'INVALID_TOKEN' };
+  }
+  if (payload.role !== ROLES.STUDENT || !payload.sub || !payload.cid) return { code: 'INVALID_TOKEN' };
+  if (!Number.isFinite(payload.exp) || payload.exp * 1000 <= now) return { code: 'TOKEN_EXPIRED' };
+  return { payload };
+}
+
+/**
+ * Finds the classroom a join code belongs to.
+ * @param {string} joinCode - Code entered by the student (case and spaces ignored)
+ * @returns {string|null} Classroom ID
+ */
+function classroomForJoinCode(joinCode) {
+  const { config } = loadAuthConfig();
+  const normalize = code => String(code || '').replace(/\s+/g, '').toUpperCase();
+  const wanted = normalize(joinCode);
+  if (!config || !wanted) return null;
+  let found = null;
+  // Compare every code so the time taken does not depend on which one matched
+  for (const [id, classroom] of Object.entries(config.classrooms || {})) {
+    if (safeEqual(normalize(classroom.joinCode), wanted)) found = id;
+  }
+  return found;
+}
+
+function guestStudentId(classroomId) {
+  return `guest-${classroomId}`;
+}
+
+/**
+ * Resolves the student signing in to a classroom. Classrooms with a roster
+ * need the student's personal code. Classrooms without one share a single
+ * guest identity, so quotas and budgets apply to the class as a whole.
+ * @param {string} classroomId - Classroom from classroomForJoinCode
+ * @param {string} [studentCode] - Personal code entered by the student
+ * @returns {string|null} Student ID, or null when the code matches no one
+ */
+function studentForCode(classroomId, studentCode) {
+  const { config } = loadAuthConfig();
+  const classroom = config && (config.classrooms || {})[classroomId];
+  if (!classroom) return null;
+  const students = Object.entries(classroom.students || {});
+  if (!students.length) return guestStudentId(classroomId);
+  if (!studentCode || typeof studentCode !== 'string') return null;
+  const hash = sha256(studentCode.trim());
+  let found = null;
+  // Compare every code so the time taken does not depend on which one matched
+  for (const [studentId, student] of students) {
+    if (safeEqual(student.codeSha256, hash)) found = studentId;
+  }
+  return found;
+}
+
+// A student still on the roster (or the guest of a classroom without one)
+function isEnrolled(classroom, studentId, classroomId) {
+  const students = classroom.students || {};
+  return Object.keys(students).length ? !!students[studentId] : studentId === guestStudentId(classroomId);
+}
+
+function teacherIdentity(token, req) {
+  const { config } = loadAuthConfig();
+  if (!config) return null;
+  const hash = sha256(token);
+  let found = null;
+  for (const [teacherId, teacher] of Object.entries(config.teachers || {})) {
+    if (safeEqual(teacher.tokenSha256, hash)) found = { teacherId, classroomIds: teacher.classrooms || [] };
+  }
+  if (!found) return null;
+  // Requests are attributed to the classroom named in X-Classroom-Id, or to the only one
+  const requested = req.headers && req.headers['x-classroom-id'];
+  const classroomId = found.classroomIds.includes(requested)
+    ? requested
+    : (found.classroomIds.length === 1 ? found.classroomIds[0] : null);
+  return { role: ROLES.TEACHER, teacherId: found.teacherId, classroomIds: found.classroomIds, classroomId };
+}
+
+/**
+ * Resolves the caller of a request from its bearer token.
+ * @param {Object} req - Incoming request
+ * @returns {Object} { identity } or { code } ('AUTH_REQUIRED', 'INVALID_TOKEN' or 'TOKEN_EXPIRED')
+ */
+function authenticate(req) {
+  const header = (req.headers && req.headers.authorization) || '';
+  const token = header.startsWith('Bearer ') ? header.slice(7).trim() : '';
+  if (!token) return { code: 'AUTH_REQUIRED' };
+
+  if (token.split('.').length === 3) {
+    const { payload, code } = verifyStudentToken(token);
+    if (code) return { code };
+    const { config } = loadAuthConfig();
+    // A removed classroom or student ends the session
+    const classroom = config && (config.classrooms || {})[payload.cid];
+    if (!classroom || !isEnrolled(classroom, payload.sub, payload.cid)) return { code: 'INVALID_TOKEN' };
+    return { identity: { role: ROLES.STUDENT, studentId: payload.sub, classroomId: payload.cid } };
+  }
+
+  const identity = teacherIdentity(token, req);
+  return identity ? { identity } : { code: 'INVALID_TOKEN' };
+}
+
+function isAuthEnabled() {
+  return process.env.AUTH_ENABLED !== 'false';
+}
+
+const MESSAGES = {
+  AUTH_REQUIRED: 'Sign in to use this feature.',
+  INVALID_TOKEN: 'Your session is not valid. Please sign in again.',
+  TOKEN_EXPIRED: 'Your session has expired. Please sign in again.',
+};
+
+/**
+ * Authenticates the request and stores the caller on req.identity
+ * ({ role, teacherId | studentId, classroomId }).
+ * @param {Object} req - Incoming request
+ * @param {Object} res - Server response
+ * @param {Object} [params] - { roles } allowed to call the endpoint (default: all)
+ * @returns {Object|null} The sent 401/403 response when rejected, otherwise null
+ */
+function requireAuth(req, res, { roles = Object.values(ROLES) } = {}) {
+  if (!isAuthEnabled()) return null;
+
+  const { identity, code } = authenticate(req);
+  if (!identity) {
+    log.warn('Rejected unauthenticated request', { code });
+    if (typeof res.setHeader === 'function') res.setHeader('WWW-Authenticate', 'Bearer');
+    return res.status(401).json({ error: MESSAGES[code], code });
+  }
+  req.identity = identity;
+  setRequestIdentity(identity);
+  if (!roles.includes(identity.role)) {
+    log.warn(`Rejected ${identity.role} request`, { code: 'FORBIDDEN' });
+    return res.status(403).json({ error: 'You do not have access to this feature.', code: 'FORBIDDEN' });
+  }
+  return null;
+}
+
+module.exports = {
+  ROLES,
+  validateAuthConfig,
+  loadAuthConfig,
+  resetAuthConfig,
+  issueStudentToken,
+  verifyStudentToken,
+  classroomForJoinCode,
+  studentForCode,
+  authenticate,
+  requireAuth,
+};
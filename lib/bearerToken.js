@@ -0,0 +1,25 @@
+/**
+ * Bearer token check for operational endpoints (/api/health probes, /api/metrics).
+ */
+
+const crypto = require('crypto');
+
+/**
+ * Checks the request's `Authorization: Bearer` token against an expected
+ * value in constant time.
+ * @param {Object} req - Incoming request
+ * @param {string} expected - Token the request must carry
+ * @returns {boolean} false when either token is missing or they differ
+ */
+function hasBearerToken(req, expected) {
+  const header = (req.headers && req.headers.authorization) || '';
+  const supplied = header.startsWith('Bearer ') ? header.slice(7) : '';
+  if (!expected || !supplied) return false;
+  const a = Buffer.from(supplied);
+  const b = Buffer.from(expected);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+module.exports = {
+  hasBearerToken,
+};
@@ -0,0 +1,131 @@
+/**
+ * Per-provider circuit breakers.
+ * A breaker opens after consecutive failures, skips its provider while open,
+ * and lets a single probe through (half-open) once the cooldown has elapsed.
+ */
+
+const { createLogger } = require('./logger');
+
+const log = createLogger('CircuitBreaker');
+
+const STATES = {
+  CLOSED: 'closed',
+  OPEN: 'open',
+  HALF_OPEN: 'half_open',
+};
+
+// Error types (from formatErrorDetails) that count towards opening a circuit;
+// problems with the request itself (bad_request, content_policy) do not
+const DEFAULT_TRIPPING_ERRORS = ['timeout', 'network', 'api', 'server', 'rate_limit', 'quota', 'auth'];
+
+const breakers = new Map();
+
+function readSettings() {
+  return {
+    failureThreshold: parseInt(process.env.CIRCUIT_FAILURE_THRESHOLD || '3', 10),
+    cooldownMs: parseInt(process.env.CIRCUIT_COOLDOWN_MS || '30000', 10),
+    trippingErrors: process.env.CIRCUIT_TRIPPING_ERRORS
+      ? process.env.CIRCUIT_TRIPPING_ERRORS.split(',').map(s => s.trim()).filter(Boolean)
+      : DEFAULT_TRIPPING_ERRORS,
+  };
+}
+
+/**
+ * Creates a circuit breaker.
+ * @param {string} providerId - Provider the breaker guards
+ * @param {Object} [settings] - failureThreshold, cooldownMs, trippingErrors, now
+ * @returns {Object} Breaker
+ */
+function createBreaker(providerId, settings = readSettings()) {
+  const now = settings.now || Date.now;
+  let state = STATES.CLOSED;
+  let failures = 0;
+  let openedAt = 0;
+  let probeInFlight = false;
+
+  return {
+    providerId,
+    get state() {
+      if (state === STATES.OPEN && now() - openedAt >= settings.cooldownMs) return STATES.HALF_OPEN;
+      return state;
+    },
+    /**
+     * Checks whether a request may go through, reserving the probe slot when half-open.
+     * @returns {boolean}
+     */
+    tryAcquire() {
+      if (state === STATES.CLOSED) return true;
+      if (state === STATES.OPEN) {
+        if (now() - openedAt < settings.cooldownMs) return false;
+        state = STATES.HALF_OPEN;
+      }
+      if (probeInFlight) return false;
+      probeInFlight = true;
+      return true;
+    },
+    onSuccess() {
+      state = STATES.CLOSED;
+      failures = 0;
+      probeInFlight = false;
+    },
+    /**
+     * Records a failure classified by formatErrorDetails.
+     * @param {string} errorType - e.g. 'timeout', 'network', 'api'
+     */
+    onFailure(errorType) {
+      probeInFlight = false;
+      if (!settings.trippingErrors.includes(errorType)) {
+        if (state === STATES.HALF_OPEN) state = STATES.CLOSED;
+        return;
+      }
+      failures++;
+      if (state === STATES.HALF_OPEN || failures >= settings.failureThreshold) {
+        state = STATES.OPEN;
+        openedAt = now();
+        log.warn(`Circuit opened after ${failures} consecutive failure(s)`, { provider: providerId });
+      }
+    },
+    /**
+     * Releases a reserved probe without recording an outcome (e.g. cancelled request).
+     */
+    release() {
+      probeInFlight = false;
+      if (state === STATES.HALF_OPEN) {
+        state = STATES.OPEN;
+      }
+    },
+    snapshot() {
+      return { providerId, state: this.state, consecutiveFailures: failures };
+    },
+  };
+}
+
+/**
+ * Returns the shared breaker for a provider, creating it on first use.
+ * @param {string} providerId - Provider ID
+ * @returns {Object} Breaker
+ */
+function getBreaker(providerId) {
+  if (!breakers.has(providerId)) breakers.set(providerId, createBreaker(providerId));
+  return breakers.get(providerId);
+}
+
+/**
+ * Lists the state of every known breaker.
+ * @returns {Object[]} Breaker snapshots
+ */
+function getBreakerStates() {
+  return Array.from(breakers.values()).map(b => b.snapshot());
+}
+
+function resetBreakers() {
+  breakers.clear();
+}
+
+module.exports = {
+  STATES,
+  createBreaker,
+  getBreaker,
+  getBreakerStates,
+  resetBreakers,
+};
@@ -0,0 +1,125 @@
+/**
+ * Conversation helpers for multi-turn chat.
+ * Validates incoming message history, truncates it to a size budget and
+ * maps it to the formats adapters send to providers.
+ */
+
+const ROLES = ['system', 'user', 'assistant'];
+
+// Rough chars-per-token ratio used when the budget is given in tokens
+const CHARS_PER_TOKEN = 4;
+const DEFAULT_HISTORY_MAX_CHARS = 12000;
+
+/**
+ * Resolves the history budget (in characters) from the environment.
+ * CHAT_HISTORY_MAX_TOKENS takes precedence over CHAT_HISTORY_MAX_CHARS.
+ * @returns {number} Maximum characters of history sent to providers
+ */
+function historyBudgetChars() {
+  const tokens = parseInt(process.env.CHAT_HISTORY_MAX_TOKENS || '', 10);
+  if (Number.isFinite(tokens) && tokens > 0) return tokens * CHARS_PER_TOKEN;
+  const chars = parseInt(process.env.CHAT_HISTORY_MAX_CHARS || '', 10);
+  return Number.isFinite(chars) && chars > 0 ? chars : DEFAULT_HISTORY_MAX_CHARS;
+}
+
+/**
+ * Builds a validated conversation from a chat request body.
+ * A trailing `prompt` is appended as the latest user turn; `system` messages
+ * inside `messages` are merged into the system instruction.
+ * @param {Object} body - { prompt, messages, system }
+ * @returns {Object} { system, messages } or { error } describing the invalid input
+ */
+function normalizeConversation({ prompt, messages, system } = {}) {
+  if (messages !== undefined && !Array.isArray(messages)) {
+    return { error: 'messages must be an array' };
+  }
+  if (system !== undefined && system !== null && typeof system !== 'string') {
+    return { error: 'system must be a string' };
+  }
+
+  const systemParts = system ? [system] : [];
+  const turns = [];
+  for (const [i, message] of (messages || []).entries()) {
+    if (!message || !ROLES.includes(message.role)) {
+      return { error: `messages[${i}].role must be one of: ${ROLES.join(', ')}` };
+    }
+    if (typeof message.content !== 'string' || !message.content) {
+      return { error: `messages[${i}].content must be a non-empty string` };
+    }
+    if (message.role === 'system') systemParts.push(message.content);
+    else turns.push({ role: message.role, content: message.content });
+  }
+  if (prompt) turns.push({ role: 'user', content: String(prompt) });
+
+  if (!turns.length || turns[turns.length - 1].role !== 'user') {
+    return { error: 'The last message must come from the user' };
+  }
+
+  return { system: systemParts.join('\n\n'), messages: turns };
+}
+
+/**
+ * Drops the oldest turns until the history and system instruction fit the
+ * budget. The latest user turn is kept whole; when it does not fit beside the
+ * system instruction the conversation is rejected instead.
+ * @param {Object[]} messages - Conversation turns, oldest first
+ * @param {number} [maxChars] - Character budget (defaults to historyBudgetChars())
+ * @param {string} [system] - System instruction sent alongside the history
+ * @returns {Object} { messages, dropped } or { error } when the latest turn is too large
+ */
+function truncateHistory(messages, maxChars = historyBudgetChars(), system = '') {
+  const systemChars = system ? system.length : 0;
+  const latest = messages[messages.length - 1];
+  if (latest && systemChars + latest.content.length > maxChars) {
+    return { error: `The latest message and system instruction exceed the ${maxChars} character limit` };
+  }
+
+  const kept = [];
+  let used = systemChars;
+  for (let i = messages.length - 1; i >= 0; i--) {
+    const size = messages[i].content.length;
+    if (used + size > maxChars) break;
+    kept.unshift(messages[i]);
+    used += size;
+  }
+  // Histories should start with a user turn after truncation
+  while (kept.length > 1 && kept[0].role !== 'user') kept.shift();
+  return { messages: kept, dropped: messages.length - kept.length };
+}
+
+/**
+ * Maps a conversation to chat-style messages (OpenAI format).
+ * @param {Object} input - { prompt, messages, system }
+ * @returns {Object[]} Messages including the system instruction
+ */
+function toChatMessages({ prompt, messages, system }) {
+  const turns = messages && messages.length ? messages : [{ role: 'user', content: prompt }];
+  return system ? [{ role: 'system', content: system }, ...turns] : turns;
+}
+
+/**
+ * Flattens a conversation into a single transcript prompt for providers
+ * that only accept one prompt string.
+ * @param {Object} input - { prompt, messages, system }
+ * @returns {string} Transcript, or the bare prompt when there is no history
+ */
+function toTranscript({ prompt, messages, system }) {
+  const turns = messages && messages.length ? messages : null;
+  if (!turns && !system) return prompt;
+  const lines = [];
+  if (system) lines.push(`System: ${system}`, '');
+  for (const turn of turns || [{ role: 'user', content: prompt }]) {
+    lines.push(`${turn.role === 'assistant' ? 'Assistant' : 'User'}: ${turn.content}`);
+  }
+  lines.push('Assistant:');
+  return lines.join('\n');
+}
+
+module.exports = {
+  ROLES,
+  historyBudgetChars,
+  normalizeConversation,
+  truncateHistory,
+  toChatMessages,
+  toTranscript,
+};
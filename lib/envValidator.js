@@ -1,9 +1,17 @@
 /**
  * Environment variable validation helper.
  * Validates required and optional environment variables at startup
- * and logs warnings for missing configurations.
+ * and logs warnings for missing configurations. Also loads the optional
+ * provider config file (providers.json), validates it against a schema and
+ * merges it with environment overrides.
  */
 
+const fs = require('fs');
+const path = require('path');
+const { createLogger } = require('./logger');
+
+const log = createLogger('EnvValidator');
+
 const ENV_CONFIG = {
   // TTS-related environment variables
   TTS: {
@@ -12,7 +20,12 @@ const ENV_CONFIG = {
     primaryEndpoint: 'PRIMARY_TTS_API_ENDPOINT',
     primaryKey: 'PRIMARY_TTS_API_KEY',
     defaultVoice: 'DEFAULT_TTS_VOICE',
+    audioDir: 'TTS_AUDIO_DIR',
+    audioBaseUrl: 'TTS_AUDIO_BASE_URL',
     audioFallback: 'AUDIO_FALLBACK_PROVIDER',
+    strategy: 'TTS_STRATEGY',
+    timeout: 'TTS_TIMEOUT_MS',
+    deadline: 'TTS_DEADLINE_MS',
   },
   // Text/Chat-related environment variables
   TEXT: {
@@ -20,6 +33,10 @@ const ENV_CONFIG = {
     primaryUrl: 'PRIMARY_TEXT_API_URL',
     primaryEndpoint: 'PRIMARY_TEXT_API_ENDPOINT',
     primaryKey: 'PRIMARY_TEXT_API_KEY',
+    strategy: 'TEXT_STRATEGY',
+    timeout: 'TEXT_TIMEOUT_MS',
+    deadline: 'TEXT_DEADLINE_MS',
+    streamIdleTimeout: 'TEXT_STREAM_IDLE_TIMEOUT_MS',
   },
   // Image-related environment variables
   IMAGE: {
@@ -27,27 +44,446 @@ const ENV_CONFIG = {
     primaryUrl: 'PRIMARY_IMAGE_API_URL',
     primaryEndpoint: 'PRIMARY_IMAGE_API_ENDPOINT',
     primaryKey: 'PRIMARY_IMAGE_API_KEY',
+    strategy: 'IMAGE_STRATEGY',
+    timeout: 'IMAGE_TIMEOUT_MS',
+    deadline: 'IMAGE_DEADLINE_MS',
   },
   // General settings
   GENERAL: {
     timeout: 'TIMEOUT_MS',
+    requestDeadline: 'REQUEST_DEADLINE_MS',
+    lessonDeadline: 'LESSON_DEADLINE_MS',
+    retryAttempts: 'RETRY_ATTEMPTS',
+    retryBaseDelay: 'RETRY_BASE_DELAY_MS',
+    retryMaxDelay: 'RETRY_MAX_DELAY_MS',
+    healthProbeToken: 'HEALTH_PROBE_TOKEN',
+    healthProbeTimeout: 'HEALTH_PROBE_TIMEOUT_MS',
+    metricsToken: 'METRICS_TOKEN',
+    authEnabled: 'AUTH_ENABLED',
+    authSecret: 'AUTH_SECRET',
+    authConfig: 'AUTH_CONFIG',
+    authSessionTtl: 'AUTH_SESSION_TTL_SECONDS',
+    usageReportToken: 'USAGE_REPORT_TOKEN',
+    usageLedgerFile: 'USAGE_LEDGER_FILE',
+    usageBudgetDaily: 'USAGE_BUDGET_DAILY_USD',
+    usageBudgetMonthly: 'USAGE_BUDGET_MONTHLY_USD',
+    usageBudgetClassroomDaily: 'USAGE_BUDGET_CLASSROOM_DAILY_USD',
+    logLevel: 'LOG_LEVEL',
+    logPrompts: 'LOG_PROMPTS',
+    circuitFailureThreshold: 'CIRCUIT_FAILURE_THRESHOLD',
+    circuitCooldown: 'CIRCUIT_COOLDOWN_MS',
+    circuitTrippingErrors: 'CIRCUIT_TRIPPING_ERRORS',
+    cacheBackend: 'CACHE_BACKEND',
+    cacheDir: 'CACHE_DIR',
+    cacheTtl: 'CACHE_TTL_MS',
+    cacheMaxEntries: 'CACHE_MAX_ENTRIES',
+    cacheMaxBytes: 'CACHE_MAX_BYTES',
+    chatHistoryMaxChars: 'CHAT_HISTORY_MAX_CHARS',
+    chatHistoryMaxTokens: 'CHAT_HISTORY_MAX_TOKENS',
+    quizStoreDir: 'QUIZ_STORE_DIR',
+    quizTtl: 'QUIZ_TTL_MS',
+    rateLimitEnabled: 'RATE_LIMIT_ENABLED',
+    trustProxy: 'TRUST_PROXY',
+    rateLimitMaxClients: 'RATE_LIMIT_MAX_CLIENTS',
+    moderationEnabled: 'MODERATION_ENABLED',
+    moderationProvider: 'MODERATION_PROVIDER',
+    moderationRulesFile: 'MODERATION_RULES_FILE',
+    moderationLogFile: 'MODERATION_LOG_FILE',
+    moderationTimeout: 'MODERATION_TIMEOUT_MS',
+    moderationFailClosed: 'MODERATION_FAIL_CLOSED',
+    readabilityTolerance: 'READABILITY_GRADE_TOLERANCE',
+    providersConfig: 'PROVIDERS_CONFIG',
+    adaptersDir: 'ADAPTERS_DIR',
   },
 };
 
+// Settings with a built-in default: reported as missing when unset, but not
+// warned about
+const OPTIONAL_ENV = {
+  TTS: ['defaultVoice', 'audioDir', 'audioBaseUrl', 'audioFallback', 'strategy', 'timeout', 'deadline'],
+  TEXT: ['strategy', 'timeout', 'deadline', 'streamIdleTimeout'],
+  IMAGE: ['strategy', 'timeout', 'deadline'],
+  GENERAL: Object.keys(ENV_CONFIG.GENERAL),
+};
+
 // Provider-specific environment variable patterns
 const PROVIDER_ENV_PATTERNS = {
   url: 'PROVIDER_{ID}_API_URL',
   key: 'PROVIDER_{ID}_API_KEY',
   endpoint: 'PROVIDER_{ID}_API_ENDPOINT',
+  timeout: 'PROVIDER_{ID}_TIMEOUT_MS',
+};
+
+// Adapter implementations a configured provider can use, and the built-in
+// provider IDs that need no entry in the config file. Types registered from
+// ADAPTERS_DIR are added to both (see adapters/registry.js).
+const ADAPTER_TYPES = ['gemini', 'openai', 'grok', 'murf', 'ollama', 'mock', 'generic'];
+const BUILTIN_PROVIDERS = ['gemini', 'openai', 'grok', 'murf', 'ollama', 'mock'];
+// Adapter types with a default API URL (or none needed)
+const URL_OPTIONAL_TYPES = ['openai', 'gemini', 'ollama', 'mock'];
+const CAPABILITIES = ['text', 'image', 'tts'];
+const SAFETY_THRESHOLDS = ['BLOCK_NONE', 'BLOCK_ONLY_HIGH', 'BLOCK_MEDIUM_AND_ABOVE', 'BLOCK_LOW_AND_ABOVE'];
+const KEEP_ALIVE_PATTERN = /^-?\d+(ms|s|m|h)?$/;
+const DEFAULT_CONFIG_FILE = 'providers.json';
+
+const ENDPOINT_SCHEMA = {
+  type: 'object',
+  properties: {
+    order: { type: 'array', minItems: 1, items: { type: 'string', minLength: 1 } },
+    strategy: { type: 'string', minLength: 1 },
+    timeoutMs: { type: 'integer', minimum: 1 },
+    deadlineMs: { type: 'integer', minimum: 1 },
+  },
+};
+
+// Prices in USD used for usage accounting
+const PRICING_SCHEMA = {
+  type: 'object',
+  properties: {
+    inputTokensPer1k: { type: 'number', minimum: 0 },
+    outputTokensPer1k: { type: 'number', minimum: 0 },
+    charactersPer1k: { type: 'number', minimum: 0 },
+    perImage: { type: 'number', minimum: 0 },
+  },
+};
+
+// Scripted behaviour of the offline mock adapter
+const MOCK_SCHEMA = {
+  type: 'object',
+  properties: {
+    latencyMs: { type: 'integer', minimum: 0 },
+    failure: { type: 'string', enum: ['http', 'network', 'timeout', 'empty'] },
+    status: { type: 'integer', minimum: 400 },
+    failCount: { type: 'integer', minimum: 1 },
+    failOn: { type: 'array', items: { type: 'string', enum: CAPABILITIES } },
+    audio: { type: 'string', enum: ['tone', 'silence'] },
+  },
+};
+
+// Schema of the provider config file
+const PROVIDERS_CONFIG_SCHEMA = {
+  type: 'object',
+  properties: {
+    providers: {
+      type: 'object',
+      values: {
+        type: 'object',
+        properties: {
+          type: { type: 'string', enum: ADAPTER_TYPES },
+          url: { type: 'string', format: 'url' },
+          keyEnv: { type: 'string', pattern: /^[A-Za-z_][A-Za-z0-9_]*$/ },
+          endpoint: { type: 'string', minLength: 1 },
+          models: {
+            type: 'object',
+            properties: Object.fromEntries(CAPABILITIES.map(c => [c, { type: 'string', minLength: 1 }])),
+          },
+          timeoutMs: { type: 'integer', minimum: 1 },
+          pricing: PRICING_SCHEMA,
+          safetyThreshold: { type: 'string', enum: SAFETY_THRESHOLDS },
+          // How long a local model stays loaded, e.g. '30m' or '-1' (Ollama)
+          keepAlive: { type: 'string', pattern: KEEP_ALIVE_PATTERN },
+          mock: MOCK_SCHEMA,
+        },
+      },
+    },
+    endpoints: {
+      type: 'object',
+      properties: {
+        text: ENDPOINT_SCHEMA,
+        image: ENDPOINT_SCHEMA,
+        tts: {
+          type: 'object',
+          properties: { ...ENDPOINT_SCHEMA.properties, audioFallback: { type: 'string', minLength: 1 } },
+        },
+      },
+    },
+  },
 };
 
+let cachedConfig = null;
+
+// Environment variable name for a provider, e.g. PROVIDER_SCHOOL_LLM_API_URL for 'school-llm'
+function providerEnvName(pattern, id) {
+  return pattern.replace('{ID}', id.toUpperCase().replace(/-/g, '_'));
+}
+
+function positiveInt(value) {
+  const parsed = parseInt(value || '', 10);
+  return Number.isFinite(parsed) && parsed > 0 ? parsed : null;
+}
+
+// Ollama keep_alive value, ignoring malformed environment values
+function keepAlive(value) {
+  return KEEP_ALIVE_PATTERN.test(value.trim()) ? value.trim() : null;
+}
+
+function isValidUrl(value) {
+  try {
+    const url = new URL(value);
+    return url.protocol === 'http:' || url.protocol === 'https:';
+  } catch (e) {
+    return false;
+  }
+}
+
+function typeOf(value) {
+  if (Array.isArray(value)) return 'array';
+  if (value === null) return 'null';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+// Checks a value against a schema node, collecting "path: problem" errors.
+// Objects reject properties not listed in the schema.
+function checkSchema(value, schema, at, errors) {
+  const actual = typeOf(value);
+  const matches = actual === schema.type || (schema.type === 'number' && actual === 'integer');
+  if (!matches) {
+    errors.push(`${at}: must be ${schema.type === 'integer' || schema.type === 'array' || schema.type === 'object' ? 'an' : 'a'} ${schema.type}`);
+    return;
+  }
+  if (schema.enum && !schema.enum.includes(value)) errors.push(`${at}: must be one of: ${schema.enum.join(', ')}`);
+  if (schema.minLength && value.length < schema.minLength) errors.push(`${at}: must not be empty`);
+  if (schema.pattern && !schema.pattern.test(value)) errors.push(`${at}: has an invalid format`);
+  if (schema.format === 'url' && !isValidUrl(value)) errors.push(`${at}: must be a valid http(s) URL`);
+  if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${at}: must be at least ${schema.minimum}`);
+  if (schema.type === 'array') {
+    if (schema.minItems && value.length < schema.minItems) errors.push(`${at}: must have at least ${schema.minItems} item(s)`);
+    value.forEach((item, i) => checkSchema(item, schema.items, `${at}[${i}]`, errors));
+  }
+  if (schema.type === 'object') {
+    for (const [key, item] of Object.entries(value)) {
+      const child = schema.properties ? schema.properties[key] : schema.values;
+      if (!child) errors.push(`${at}.${key}: unknown property`);
+      else checkSchema(item, child, `${at}.${key}`, errors);
+    }
+  }
+}
+
+/**
+ * Validates a provider config against the schema and the environment:
+ * provider IDs used in endpoint orders must be declared or built in,
+ * referenced key variables must be set, and URLs (including environment
+ * overrides) must be valid.
+ * @param {Object} config - Parsed config file
+ * @param {Object} [env=process.env] - Environment
+ * @returns {Object} { errors, warnings } as "path: problem" strings
+ */
+function validateProvidersConfig(config, env = process.env) {
+  const errors = [];
+  const warnings = [];
+  checkSchema(config, PROVIDERS_CONFIG_SCHEMA, 'config', errors);
+  if (errors.length) return { errors, warnings };
+
+  const providers = config.providers || {};
+  const known = new Set([...BUILTIN_PROVIDERS, ...Object.keys(providers)]);
+  for (const [id, provider] of Object.entries(providers)) {
+    const at = `config.providers.${id}`;
+    if (!/^[a-z0-9_-]+$/.test(id)) {
+      errors.push(`${at}: provider IDs must be lowercase letters, digits, '-' or '_'`);
+    }
+    const type = provider.type || id;
+    if (!ADAPTER_TYPES.includes(type)) {
+      errors.push(`${at}.type: required for provider '${id}' (one of: ${ADAPTER_TYPES.join(', ')})`);
+    }
+    if (provider.keyEnv && !(env[provider.keyEnv] || '').trim()) {
+      errors.push(`${at}.keyEnv: environment variable ${provider.keyEnv} is not set`);
+    }
+    const urlEnv = providerEnvName(PROVIDER_ENV_PATTERNS.url, id);
+    if (env[urlEnv] && !isValidUrl(env[urlEnv])) {
+      errors.push(`${urlEnv}: must be a valid http(s) URL (overrides ${at}.url)`);
+    }
+    if (!provider.url && !env[urlEnv] && !URL_OPTIONAL_TYPES.includes(type)) {
+      warnings.push(`${at}.url: not set and ${urlEnv} is not set`);
+    }
+  }
+  for (const [capability, endpoint] of Object.entries(config.endpoints || {})) {
+    const at = `config.endpoints.${capability}`;
+    (endpoint.order || []).forEach((id, i) => {
+      if (!known.has(id)) errors.push(`${at}.order[${i}]: unknown provider '${id}'`);
+    });
+    if (endpoint.audioFallback && !known.has(endpoint.audioFallback)) {
+      errors.push(`${at}.audioFallback: unknown provider '${endpoint.audioFallback}'`);
+    }
+  }
+  return { errors, warnings };
+}
+
+/**
+ * Removes provider entries that fail validation on their own, so one bad
+ * entry does not discard the whole file. Endpoint orders stop referring to
+ * removed providers unless they are built in.
+ * @param {Object} config - Parsed config file
+ * @param {Object} [env=process.env] - Environment
+ * @returns {Object} { config, skipped } where skipped is [{ id, errors }]
+ */
+function dropInvalidProviders(config, env = process.env) {
+  if (typeOf(config) !== 'object' || typeOf(config.providers) !== 'object') return { config, skipped: [] };
+  const providers = {};
+  const skipped = [];
+  for (const [id, entry] of Object.entries(config.providers)) {
+    const { errors } = validateProvidersConfig({ providers: { [id]: entry } }, env);
+    if (errors.length) skipped.push({ id, errors });
+    else providers[id] = entry;
+  }
+  if (!skipped.length) return { config, skipped };
+
+  const removed = new Set(skipped.map(({ id }) => id).filter(id => !BUILTIN_PROVIDERS.includes(id)));
+  const endpoints = {};
+  for (const [capability, endpoint] of Object.entries(config.endpoints || {})) {
+    if (typeOf(endpoint) !== 'object') {
+      endpoints[capability] = endpoint;
+      continue;
+    }
+    const kept = { ...endpoint };
+    if (Array.isArray(endpoint.order)) {
+      kept.order = endpoint.order.filter(id => !removed.has(id));
+      if (!kept.order.length) delete kept.order;
+    }
+    if (removed.has(endpoint.audioFallback)) delete kept.audioFallback;
+    endpoints[capability] = kept;
+  }
+  const pruned = { ...config, providers };
+  if (config.endpoints) pruned.endpoints = endpoints;
+  return { config: pruned, skipped };
+}
+
+/**
+ * Resolves the provider config file path: PROVIDERS_CONFIG, otherwise
+ * providers.json in the working directory when it exists.
+ * @returns {string|null} Absolute path, or null when there is no config file
+ */
+function providersConfigPath() {
+  if (process.env.PROVIDERS_CONFIG) return path.resolve(process.env.PROVIDERS_CONFIG);
+  const fallback = path.resolve(DEFAULT_CONFIG_FILE);
+  return fs.existsSync(fallback) ? fallback : null;
+}
+
+/**
+ * Loads and validates the provider config file. The result is cached per
+ * path. Invalid provider entries are logged and skipped; an otherwise
+ * invalid file is reported and ignored, so the environment alone
+ * configures the providers.
+ * @returns {Object} { path, config, errors, warnings, skipped }; config is null when absent or invalid
+ */
+function loadProvidersConfig() {
+  const file = providersConfigPath();
+  if (cachedConfig && cachedConfig.path === file) return cachedConfig;
+
+  let result = { path: file, config: null, errors: [], warnings: [], skipped: [] };
+  if (file) {
+    let parsed;
+    try {
+      if (/\.ya?ml$/i.test(file)) throw new Error('YAML provider config files are not supported; convert it to JSON');
+      if (!/\.json$/i.test(file)) throw new Error('only JSON provider config files are supported');
+      parsed = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (err) {
+      result.errors.push(`${file}: ${err.message}`);
+    }
+    if (parsed !== undefined) {
+      const { config, skipped } = dropInvalidProviders(parsed);
+      for (const { id, errors } of skipped) {
+        log.warn('Skipping invalid provider config entry', { provider: id, errors });
+      }
+      const { errors, warnings } = validateProvidersConfig(config);
+      result = {
+        path: file,
+        config: errors.length ? null : config,
+        errors,
+        warnings: [...skipped.map(({ id, errors: entryErrors }) => `config.providers.${id}: skipped (${entryErrors.join('; ')})`), ...warnings],
+        skipped,
+      };
+    }
+  }
+  cachedConfig = result;
+  return result;
+}
+
+function resetProvidersConfig() {
+  cachedConfig = null;
+}
+
+/**
+ * Parses a mock behaviour list such as "failure=http,status=429,failOn=text|tts".
+ * @param {string} value - Raw list
+ * @returns {Object} Behaviour settings (see adapters/mock.js)
+ */
+function parseMockBehavior(value) {
+  const behavior = {};
+  if (!value) return behavior;
+  for (const pair of value.split(',')) {
+    const [name, raw] = pair.split('=').map(s => s && s.trim());
+    if (!name || !raw) continue;
+    if (name === 'failOn') behavior.failOn = raw.split('|').map(s => s.trim()).filter(Boolean);
+    else behavior[name] = /^\d+$/.test(raw) ? parseInt(raw, 10) : raw;
+  }
+  return behavior;
+}
+
+/**
+ * Accepts an adapter type registered at runtime, so providers.json may use
+ * it and a provider with the same ID needs no config entry.
+ * @param {string} type - Adapter type
+ */
+function addAdapterType(type) {
+  if (!ADAPTER_TYPES.includes(type)) ADAPTER_TYPES.push(type);
+  if (type !== 'generic' && !BUILTIN_PROVIDERS.includes(type)) BUILTIN_PROVIDERS.push(type);
+}
+
+/**
+ * Resolves the settings of one provider, merging the config file with
+ * environment overrides (PROVIDER_<ID>_API_URL/_KEY/_ENDPOINT/_TIMEOUT_MS,
+ * PROVIDER_<ID>_KEEP_ALIVE, PROVIDER_<ID>_MOCK_BEHAVIOR and the legacy
+ * <id>_API_URL/_KEY), which take precedence.
+ * @param {string} id - Provider ID
+ * @returns {Object} { id, type, url, key, endpoint, models, timeoutMs, pricing, safetyThreshold, keepAlive, mock }
+ */
+function resolveProviderSettings(id) {
+  const { config } = loadProvidersConfig();
+  const file = (config && config.providers && config.providers[id]) || {};
+  const env = name => process.env[name] || '';
+  return {
+    id,
+    type: file.type || (ADAPTER_TYPES.includes(id) ? id : 'generic'),
+    url: env(providerEnvName(PROVIDER_ENV_PATTERNS.url, id)) || env(`${id}_API_URL`) || file.url || '',
+    key: env(providerEnvName(PROVIDER_ENV_PATTERNS.key, id)) || env(`${id}_API_KEY`) || (file.keyEnv ? env(file.keyEnv) : ''),
+    endpoint: env(providerEnvName(PROVIDER_ENV_PATTERNS.endpoint, id)) || file.endpoint || '',
+    models: { ...(file.models || {}) },
+    timeoutMs: positiveInt(env(providerEnvName(PROVIDER_ENV_PATTERNS.timeout, id))) || file.timeoutMs || null,
+    pricing: file.pricing ? { ...file.pricing } : null,
+    safetyThreshold: file.safetyThreshold || null,
+    keepAlive: keepAlive(env(providerEnvName('PROVIDER_{ID}_KEEP_ALIVE', id))) || file.keepAlive || null,
+    mock: { ...(file.mock || {}), ...parseMockBehavior(env(providerEnvName('PROVIDER_{ID}_MOCK_BEHAVIOR', id))) },
+  };
+}
+
+/**
+ * Returns the config file settings for an endpoint. Environment variables
+ * (e.g. TEXT_PROVIDERS, TEXT_STRATEGY) are applied by the callers and take
+ * precedence.
+ * @param {string} capability - 'text', 'image' or 'tts'
+ * @returns {Object} { order, strategy, timeoutMs, deadlineMs, audioFallback }, null where not configured
+ */
+function resolveEndpointSettings(capability) {
+  const { config } = loadProvidersConfig();
+  const file = (config && config.endpoints && config.endpoints[capability]) || {};
+  return {
+    order: file.order ? [...file.order] : null,
+    strategy: file.strategy || null,
+    timeoutMs: file.timeoutMs || null,
+    deadlineMs: file.deadlineMs || null,
+    audioFallback: file.audioFallback || null,
+  };
+}
+
 /**
  * Validates a set of environment variables and returns validation results.
  * @param {Object} envVars - Object with environment variable names to validate
  * @param {string} category - Category name for logging (e.g., 'TTS', 'TEXT')
+ * @param {string[]} [optional=[]] - Keys of envVars that may be left unset without a warning
  * @returns {Object} Validation result with warnings and missing variables
  */
-function validateEnvVars(envVars, category) {
+function validateEnvVars(envVars, category, optional = []) {
   const result = {
     warnings: [],
     missing: [],
@@ -58,7 +494,7 @@ function validateEnvVars(envVars, category) {
     const value = process.env[envName];
     if (!value || !value.trim()) {
       result.missing.push(envName);
-      result.warnings.push(`[${category}] Environment variable '${envName}' is not set`);
+      if (!optional.includes(name)) result.warnings.push(`[${category}] Environment variable '${envName}' is not set`);
     } else {
       result.configured.push(envName);
     }
@@ -79,9 +515,8 @@ function validateProviderEnv(providerId) {
     missing: [],
   };
 
-  const id = providerId.toUpperCase();
   for (const [name, pattern] of Object.entries(PROVIDER_ENV_PATTERNS)) {
-    const envName = pattern.replace('{ID}', id);
+    const envName = providerEnvName(pattern, providerId);
     const value = process.env[envName];
     if (!value || !value.trim()) {
       result.missing.push(envName);
@@ -90,8 +525,9 @@ function validateProviderEnv(providerId) {
     }
   }
 
-  // Only warn if no URL is configured at all
-  const urlEnv = PROVIDER_ENV_PATTERNS.url.replace('{ID}', id);
+  // Only warn if no URL is configured at all and the adapter has no default
+  if (URL_OPTIONAL_TYPES.includes(resolveProviderSettings(providerId).type)) return result;
+  const urlEnv = providerEnvName(PROVIDER_ENV_PATTERNS.url, providerId);
   const altUrlEnv = `${providerId.toUpperCase()}_API_URL`;
   if (!process.env[urlEnv] && !process.env[altUrlEnv]) {
     result.warnings.push(`Provider '${providerId}': No API URL configured (checked ${urlEnv} and ${altUrlEnv})`);
@@ -107,10 +543,10 @@ function validateProviderEnv(providerId) {
  */
 function validateAllEnvVars() {
   const results = {
-    TTS: validateEnvVars(ENV_CONFIG.TTS, 'TTS'),
-    TEXT: validateEnvVars(ENV_CONFIG.TEXT, 'TEXT'),
-    IMAGE: validateEnvVars(ENV_CONFIG.IMAGE, 'IMAGE'),
-    GENERAL: validateEnvVars(ENV_CONFIG.GENERAL, 'GENERAL'),
+    TTS: validateEnvVars(ENV_CONFIG.TTS, 'TTS', OPTIONAL_ENV.TTS),
+    TEXT: validateEnvVars(ENV_CONFIG.TEXT, 'TEXT', OPTIONAL_ENV.TEXT),
+    IMAGE: validateEnvVars(ENV_CONFIG.IMAGE, 'IMAGE', OPTIONAL_ENV.IMAGE),
+    GENERAL: validateEnvVars(ENV_CONFIG.GENERAL, 'GENERAL', OPTIONAL_ENV.GENERAL),
   };
 
   const allWarnings = [];
@@ -127,35 +563,56 @@ function validateAllEnvVars() {
     allWarnings.push(...result.warnings);
   }
 
+  const providersConfig = loadProvidersConfig();
+  if (providersConfig.config) hasAnyProviderConfig = true;
+  allWarnings.push(...providersConfig.warnings.map(w => `[PROVIDERS_CONFIG] ${w}`));
+
   return {
     results,
     allWarnings,
     hasAnyProviderConfig,
+    configErrors: providersConfig.errors,
   };
 }
 
 /**
- * Logs validation warnings to console.
+ * Logs validation warnings.
  * @param {boolean} verbose - If true, logs all warnings; otherwise only critical ones
  */
 function logValidationWarnings(verbose = false) {
-  const { allWarnings, hasAnyProviderConfig } = validateAllEnvVars();
+  const { allWarnings, hasAnyProviderConfig, configErrors } = validateAllEnvVars();
+
+  // Config file errors are always reported (once per load); the file is ignored until fixed
+  const providersConfig = loadProvidersConfig();
+  if (configErrors.length > 0 && !providersConfig.reported) {
+    providersConfig.reported = true;
+    log.error('Invalid provider config file, falling back to environment variables', { errors: configErrors });
+  }
 
   if (allWarnings.length > 0) {
     if (verbose) {
-      console.warn('[EnvValidator] Environment configuration warnings:');
-      allWarnings.forEach(warning => console.warn(`  - ${warning}`));
+      log.warn('Environment configuration warnings', { warnings: allWarnings });
     }
 
     if (!hasAnyProviderConfig) {
-      console.warn('[EnvValidator] Warning: No provider configurations detected. Using default fallback providers.');
+      log.warn('No provider configurations detected. Using default fallback providers.');
     }
   }
 }
 
 module.exports = {
   ENV_CONFIG,
+  OPTIONAL_ENV,
   PROVIDER_ENV_PATTERNS,
+  ADAPTER_TYPES,
+  PROVIDERS_CONFIG_SCHEMA,
+  addAdapterType,
+  checkSchema,
+  validateProvidersConfig,
+  loadProvidersConfig,
+  resetProvidersConfig,
+  resolveProviderSettings,
+  resolveEndpointSettings,
   validateEnvVars,
   validateProviderEnv,
   validateAllEnvVars,
@@ -2,6 +2,8 @@
  * Shared error formatting utilities for API handlers
  */
 
+const { ProviderError } = require('./providerErrors');
+
 /**
  * Formats error details for logging
  * @param {Error} err - The error object
@@ -9,12 +11,27 @@
  * @returns {Object} Formatted error details
  */
 function formatErrorDetails(err, adapterId) {
+  if (err instanceof ProviderError) {
+    return {
+      adapterId,
+      errorType: err.type,
+      message: err.message,
+      code: err.code,
+      status: err.status,
+      retryable: err.retryable,
+      body: err.body || null,
+      timestamp: new Date().toISOString(),
+    };
+  }
   const isTimeout = err && (err.name === 'AbortError' || err.message?.includes('aborted'));
-  const isNetworkError = err && (err.code === 'ECONNREFUSED' || err.code === 'ENOTFOUND' || err.code === 'ETIMEDOUT');
+  // fetch reports connection failures as a TypeError with the code on its cause
+  const networkCode = err && (err.code || (err.cause && err.cause.code));
+  const isNetworkError = ['ECONNREFUSED', 'ENOTFOUND', 'ETIMEDOUT'].includes(networkCode);
+  const isInvalidOutput = err && err.code === 'INVALID_OUTPUT';
   
   return {
     adapterId,
-    errorType: isTimeout ? 'timeout' : isNetworkError ? 'network' : 'api',
+    errorType: isTimeout ? 'timeout' : isNetworkError ? 'network' : isInvalidOutput ? 'invalid_output' : 'api',
     message: err?.message || String(err),
     code: err?.code || null,
     status: err?.status || null,
@@ -22,6 +39,51 @@ function formatErrorDetails(err, adapterId) {
   };
 }
 
+/**
+ * Creates an error for provider output that could not be used
+ * (e.g. malformed JSON), classified as 'invalid_output'.
+ * @param {string} message - Error message
+ * @param {string[]} [details] - Validation problems
+ * @returns {Error} Error with code 'INVALID_OUTPUT'
+ */
+function invalidOutputError(message, details = []) {
+  const err = new Error(details.length ? `${message}: ${details.join('; ')}` : message);
+  err.code = 'INVALID_OUTPUT';
+  err.details = details;
+  return err;
+}
+
+/**
+ * Chooses the status and code returned to the client when every provider
+ * failed, from the error types collected by the orchestrator.
+ * @param {Object[]} errors - Error entries ({ errorType })
+ * @param {Object[]} [unsupported] - Providers not tried because they cannot serve the request ({ reason })
+ * @param {Object[]} [skipped] - Providers not tried because their circuit was open or the
+ *   deadline had passed ({ reason: 'circuit_open' | 'deadline' })
+ * @returns {Object} { status, code }
+ */
+function providerFailureStatus(errors, unsupported, skipped) {
+  const types = (errors || []).map(e => e.errorType);
+  const all = (...allowed) => types.length > 0 && types.every(t => allowed.includes(t));
+  if (!types.length && skipped && skipped.length) {
+    // Nothing was tried: every circuit was open or the deadline had passed
+    if (skipped.every(s => s.reason === 'deadline')) return { status: 504, code: 'PROVIDERS_TIMEOUT' };
+    return { status: 503, code: 'PROVIDERS_UNAVAILABLE' };
+  }
+  if (!types.length && unsupported && unsupported.length) {
+    // Every provider has the capability but not for this input (too long, unknown voice)
+    if (unsupported.every(u => u.reason !== 'capability')) return { status: 400, code: 'UNSUPPORTED_REQUEST' };
+    return { status: 502, code: 'NO_SUPPORTING_PROVIDER' };
+  }
+  if (types.includes('content_policy')) return { status: 422, code: 'CONTENT_POLICY_VIOLATION' };
+  if (all('bad_request')) return { status: 400, code: 'PROVIDER_REJECTED_REQUEST' };
+  if (all('rate_limit', 'quota')) return { status: 503, code: 'PROVIDERS_RATE_LIMITED' };
+  if (all('timeout')) return { status: 504, code: 'PROVIDERS_TIMEOUT' };
+  return { status: 502, code: 'ALL_PROVIDERS_FAILED' };
+}
+
 module.exports = {
   formatErrorDetails,
+  invalidOutputError,
+  providerFailureStatus,
 };
@@ -0,0 +1,41 @@
+/**
+ * Helpers for reading JSON produced by text models, which often wrap it
+ * in Markdown code fences or surround it with prose.
+ */
+
+/**
+ * Extracts and parses the first JSON object or array in a model response.
+ * @param {string} text - Raw model output
+ * @returns {*} Parsed value, or null when no valid JSON is found
+ */
+function extractJson(text) {
+  if (!text || typeof text !== 'string') return null;
+
+  const fenced = text.match(/```(?:json)?\s*([\s\S]*?)```/i);
+  const candidates = fenced ? [fenced[1], text] : [text];
+
+  for (const candidate of candidates) {
+    const trimmed = candidate.trim();
+    try {
+      return JSON.parse(trimmed);
+    } catch (e) {
+      // fall through to bracket matching
+    }
+    const start = trimmed.search(/[[{]/);
+    if (start === -1) continue;
+    const open = trimmed[start];
+    const close = open === '{' ? '}' : ']';
+    const end = trimmed.lastIndexOf(close);
+    if (end <= start) continue;
+    try {
+      return JSON.parse(trimmed.slice(start, end + 1));
+    } catch (e) {
+      // try the next candidate
+    }
+  }
+  return null;
+}
+
+module.exports = {
+  extractJson,
+};
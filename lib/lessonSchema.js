@@ -0,0 +1,117 @@
+/**
+ * Lesson schema validation.
+ * Checks the structured lesson returned by /api/lesson so the frontend
+ * can rely on its shape.
+ */
+
+const LANGUAGES = ['es', 'en'];
+const MIN_GRADE = 0; // kindergarten
+const MAX_GRADE = 12;
+// Each section costs a narration and an illustration
+const MAX_SECTIONS = 6;
+
+function isNonEmptyString(value) {
+  return typeof value === 'string' && value.trim().length > 0;
+}
+
+function checkMedia(media, path, urlField, errors) {
+  if (media === null) return;
+  if (typeof media !== 'object') {
+    errors.push(`${path} must be an object or null`);
+    return;
+  }
+  if (!isNonEmptyString(media[urlField]) && !isNonEmptyString(media.base64)) {
+    errors.push(`${path} must include ${urlField} or base64`);
+  }
+  if (!isNonEmptyString(media.provider)) errors.push(`${path}.provider must be a non-empty string`);
+}
+
+/**
+ * Validates the content part of a lesson as generated by a text provider
+ * (before narration and illustrations are attached).
+ * @param {Object} content - { title, sections, vocabulary, quiz }
+ * @returns {string[]} Validation errors; empty when valid
+ */
+function validateLessonContent(content) {
+  const errors = [];
+  if (!content || typeof content !== 'object' || Array.isArray(content)) {
+    return ['lesson must be an object'];
+  }
+  if (!isNonEmptyString(content.title)) errors.push('title must be a non-empty string');
+
+  if (!Array.isArray(content.sections) || content.sections.length === 0) {
+    errors.push('sections must be a non-empty array');
+  } else if (content.sections.length > MAX_SECTIONS) {
+    errors.push(`sections must have at most ${MAX_SECTIONS} items`);
+  } else {
+    content.sections.forEach((section, i) => {
+      if (!section || typeof section !== 'object') return errors.push(`sections[${i}] must be an object`);
+      if (!isNonEmptyString(section.heading)) errors.push(`sections[${i}].heading must be a non-empty string`);
+      if (!isNonEmptyString(section.body)) errors.push(`sections[${i}].body must be a non-empty string`);
+      if (section.imagePrompt !== undefined && typeof section.imagePrompt !== 'string') {
+        errors.push(`sections[${i}].imagePrompt must be a string`);
+      }
+    });
+  }
+
+  if (!Array.isArray(content.vocabulary)) {
+    errors.push('vocabulary must be an array');
+  } else {
+    content.vocabulary.forEach((entry, i) => {
+      if (!entry || !isNonEmptyString(entry.term) || !isNonEmptyString(entry.definition)) {
+        errors.push(`vocabulary[${i}] must have a term and a definition`);
+      }
+    });
+  }
+
+  if (!Array.isArray(content.quiz) || content.quiz.length === 0) {
+    errors.push('quiz must be a non-empty array');
+  } else {
+    content.quiz.forEach((item, i) => {
+      if (!item || !isNonEmptyString(item.question)) return errors.push(`quiz[${i}].question must be a non-empty string`);
+      if (!Array.isArray(item.options) || item.options.length < 2 || !item.options.every(isNonEmptyString)) {
+        return errors.push(`quiz[${i}].options must have at least two non-empty strings`);
+      }
+      if (!Number.isInteger(item.answerIndex) || item.answerIndex < 0 || item.answerIndex >= item.options.length) {
+        errors.push(`quiz[${i}].answerIndex must point to one of the options`);
+      }
+    });
+  }
+
+  return errors;
+}
+
+/**
+ * Validates a complete lesson as returned to the frontend.
+ * @param {Object} lesson - Lesson JSON
+ * @returns {string[]} Validation errors; empty when valid
+ */
+function validateLesson(lesson) {
+  const errors = validateLessonContent(lesson);
+  if (!lesson || typeof lesson !== 'object') return errors;
+
+  if (!isNonEmptyString(lesson.topic)) errors.push('topic must be a non-empty string');
+  if (!LANGUAGES.includes(lesson.language)) errors.push(`language must be one of: ${LANGUAGES.join(', ')}`);
+  if (!Number.isInteger(lesson.gradeLevel) || lesson.gradeLevel < MIN_GRADE || lesson.gradeLevel > MAX_GRADE) {
+    errors.push(`gradeLevel must be an integer between ${MIN_GRADE} and ${MAX_GRADE}`);
+  }
+  if (Array.isArray(lesson.sections)) {
+    lesson.sections.forEach((section, i) => {
+      if (!section || typeof section !== 'object') return;
+      if (!('narration' in section)) errors.push(`sections[${i}].narration is required (object or null)`);
+      else checkMedia(section.narration, `sections[${i}].narration`, 'audioUrl', errors);
+      if (!('illustration' in section)) errors.push(`sections[${i}].illustration is required (object or null)`);
+      else checkMedia(section.illustration, `sections[${i}].illustration`, 'imageUrl', errors);
+    });
+  }
+  return errors;
+}
+
+module.exports = {
+  LANGUAGES,
+  MIN_GRADE,
+  MAX_GRADE,
+  MAX_SECTIONS,
+  validateLessonContent,
+  validateLesson,
+};
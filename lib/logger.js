@@ -0,0 +1,168 @@
+/**
+ * Structured JSON logger shared by the handlers, adapters and orchestrator.
+ * Each line is a JSON object with time, level, component and message plus
+ * the request context (request ID and endpoint) of the request being
+ * handled, which is carried through async calls so adapters need not pass
+ * it along. API keys and bearer tokens are always redacted; student text
+ * (prompts, messages, answers) is redacted unless LOG_PROMPTS is 'true'.
+ * LOG_LEVEL selects the least severe level written (default 'info';
+ * per-attempt details are logged at 'debug').
+ */
+
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+const DEFAULT_LEVEL = 'info';
+
+// Fields holding student or generated text
+const TEXT_FIELDS = new Set(['prompt', 'text', 'messages', 'system', 'content', 'answer', 'transcript', 'input']);
+const SECRET_FIELD = /^(api[_-]?key|key|authorization|token|access[_-]?token|secret|password)$/i;
+const REQUEST_ID_PATTERN = /^[\w\-.:]{1,128}$/;
+
+const requestContext = new AsyncLocalStorage();
+
+/**
+ * Redacts API keys, bearer tokens and key=value secrets from a string.
+ * @param {string} text - Text to scrub
+ * @returns {string}
+ */
+function redactSecrets(text) {
+  return String(text)
+    .replace(/(bearer\s+)[\w\-.~+/]+=*/gi, '$1[REDACTED]')
+    .replace(/\b(sk|pk|rk|xai)-[\w-]{8,}/g, '[REDACTED]')
+    .replace(/\bAIza[\w-]{20,}/g, '[REDACTED]')
+    .replace(/("?(?:api[_-]?key|access[_-]?token|token|secret|password|authorization|key)"?\s*[:=]\s*"?)[^"&\s,}]+/gi, '$1[REDACTED]');
+}
+
+function redactValue(key, value, depth = 0) {
+  if (value === null || value === undefined) return value;
+  if (SECRET_FIELD.test(key)) return '[REDACTED]';
+  if (TEXT_FIELDS.has(key) && process.env.LOG_PROMPTS !== 'true') {
+    const length = typeof value === 'string' ? value.length : JSON.stringify(value).length;
+    return `[REDACTED ${length} chars]`;
+  }
+  if (typeof value === 'string') return redactSecrets(value);
+  if (value instanceof Error) return redactSecrets(value.message);
+  if (typeof value === 'object' && depth < 4) {
+    if (Array.isArray(value)) return value.map(item => redactValue('', item, depth + 1));
+    const out = {};
+    for (const [k, v] of Object.entries(value)) out[k] = redactValue(k, v, depth + 1);
+    return out;
+  }
+  return value;
+}
+
+function currentLevel() {
+  const name = (process.env.LOG_LEVEL || DEFAULT_LEVEL).toLowerCase();
+  return LEVELS[name] || LEVELS[DEFAULT_LEVEL];
+}
+
+// Who made the request, without names or tokens
+function identityFields(identity) {
+  if (!identity) return {};
+  const fields = { role: identity.role, classroomId: identity.classroomId, studentId: identity.studentId, teacherId: identity.teacherId };
+  return Object.fromEntries(Object.entries(fields).filter(([, value]) => value));
+}
+
+function write(level, component, message, fields) {
+  if (LEVELS[level] < currentLevel()) return;
+  const context = requestContext.getStore() || {};
+  const entry = {
+    time: new Date().toISOString(),
+    level,
+    component,
+    msg: redactSecrets(message),
+    ...(context.requestId ? { requestId: context.requestId } : {}),
+    ...(context.endpoint ? { endpoint: context.endpoint } : {}),
+    ...identityFields(context.identity),
+  };
+  for (const [key, value] of Object.entries(fields || {})) {
+    if (value !== undefined) entry[key] = redactValue(key, value);
+  }
+  const line = JSON.stringify(entry);
+  if (level === 'error') console.error(line);
+  else if (level === 'warn') console.warn(line);
+  else console.log(line);
+}
+
+/**
+ * Creates a logger for a component.
+ * @param {string} component - e.g. 'Chat', 'OpenAI', 'Orchestrator'
+ * @returns {Object} { debug, info, warn, error }, each (message, fields?) => void
+ */
+function createLogger(component) {
+  return {
+    debug: (message, fields) => write('debug', component, message, fields),
+    info: (message, fields) => write('info', component, message, fields),
+    warn: (message, fields) => write('warn', component, message, fields),
+    error: (message, fields) => write('error', component, message, fields),
+  };
+}
+
+/**
+ * Reads the request ID from the X-Request-Id header, or generates one.
+ * @param {Object} req - Incoming request
+ * @returns {string}
+ */
+function requestIdFrom(req) {
+  const header = req && req.headers && req.headers['x-request-id'];
+  return typeof header === 'string' && REQUEST_ID_PATTERN.test(header) ? header : crypto.randomUUID();
+}
+
+/**
+ * Returns the context of the request being handled.
+ * @returns {Object|null} { requestId, endpoint, identity }
+ */
+function getRequestContext() {
+  return requestContext.getStore() || null;
+}
+
+/**
+ * Sets the caller of the request being handled, once it is authenticated.
+ * @param {Object} identity - { role, classroomId, studentId, teacherId }
+ */
+function setRequestIdentity(identity) {
+  const context = requestContext.getStore();
+  if (context) context.identity = identity;
+}
+
+/**
+ * Wraps a handler so everything it logs carries the request ID and
+ * endpoint. The request ID is echoed in the X-Request-Id response header
+ * and each request is logged once on completion with its status and duration
+ * (errors the handler throws are logged and rethrown).
+ * @param {string} endpoint - Endpoint name, e.g. 'chat'
+ * @param {Function} handler - (req, res) => Promise
+ * @returns {Function} Wrapped handler
+ */
+function withRequestLogging(endpoint, handler) {
+  const log = createLogger('Request');
+  return function loggedHandler(req, res) {
+    const context = { requestId: requestIdFrom(req), endpoint };
+    // Authenticated classroom/student, used to attribute usage
+    if (req && req.identity) context.identity = req.identity;
+    if (res && typeof res.setHeader === 'function') res.setHeader('X-Request-Id', context.requestId);
+    return requestContext.run(context, async () => {
+      const startedAt = Date.now();
+      try {
+        return await handler(req, res);
+      } catch (err) {
+        log.error('Unhandled error', { error: err });
+        throw err;
+      } finally {
+        log.info('Request completed', { method: req && req.method, status: res && res.statusCode, durationMs: Date.now() - startedAt });
+      }
+    });
+  };
+}
+
+module.exports = {
+  LEVELS,
+  redactSecrets,
+  createLogger,
+  requestIdFrom,
+  getRequestContext,
+  setRequestIdentity,
+  withRequestLogging,
+};
@@ -0,0 +1,151 @@
+/**
+ * In-process metrics in the Prometheus text exposition format.
+ * Counters and histograms live in memory and are rendered by /api/metrics;
+ * tests read them back with getMetricValue without any external service.
+ */
+
+// Latency buckets in seconds
+const DURATION_BUCKETS = [0.1, 0.25, 0.5, 1, 2.5, 5, 10, 20, 30];
+// Providers tried per pipeline run
+const DEPTH_BUCKETS = [1, 2, 3, 4, 5];
+
+const metrics = new Map();
+
+function labelKey(labels) {
+  return JSON.stringify(Object.keys(labels).sort().map(name => [name, String(labels[name])]));
+}
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+  const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabel(value)}"`);
+  return pairs.length ? `{${pairs.join(',')}}` : '';
+}
+
+function define(name, type, help, buckets) {
+  if (!metrics.has(name)) metrics.set(name, { name, type, help, buckets, series: new Map() });
+  return metrics.get(name);
+}
+
+/**
+ * Adds to a counter.
+ * @param {string} name - Metric name
+ * @param {string} help - Description shown in the exposition
+ * @param {Object} [labels] - Label values
+ * @param {number} [value=1] - Amount to add
+ */
+function incrementCounter(name, help, labels = {}, value = 1) {
+  const metric = define(name, 'counter', help);
+  const key = labelKey(labels);
+  const series = metric.series.get(key) || { labels, value: 0 };
+  series.value += value;
+  metric.series.set(key, series);
+}
+
+/**
+ * Records an observation in a histogram.
+ * @param {string} name - Metric name
+ * @param {string} help - Description shown in the exposition
+ * @param {Object} labels - Label values
+ * @param {number} value - Observed value
+ * @param {number[]} [buckets] - Upper bounds, used when the histogram is first defined
+ */
+function observeHistogram(name, help, labels, value, buckets = DURATION_BUCKETS) {
+  const metric = define(name, 'histogram', help, buckets);
+  const key = labelKey(labels);
+  const series = metric.series.get(key) || { labels, counts: metric.buckets.map(() => 0), sum: 0, count: 0 };
+  metric.buckets.forEach((bound, i) => {
+    if (value <= bound) series.counts[i]++;
+  });
+  series.sum += value;
+  series.count++;
+  metric.series.set(key, series);
+}
+
+/**
+ * Reads a counter value, or a histogram's count, for a label set.
+ * @param {string} name - Metric name
+ * @param {Object} [labels] - Exact label values
+ * @returns {number} 0 when nothing was recorded
+ */
+function getMetricValue(name, labels = {}) {
+  const metric = metrics.get(name);
+  const series = metric && metric.series.get(labelKey(labels));
+  if (!series) return 0;
+  return metric.type === 'histogram' ? series.count : series.value;
+}
+
+/**
+ * Renders every metric in the Prometheus text format (version 0.0.4).
+ * @returns {string}
+ */
+function renderMetrics() {
+  const lines = [];
+  for (const metric of metrics.values()) {
+    lines.push(`# HELP ${metric.name} ${metric.help}`);
+    lines.push(`# TYPE ${metric.name} ${metric.type}`);
+    for (const series of metric.series.values()) {
+      if (metric.type === 'counter') {
+        lines.push(`${metric.name}${formatLabels(series.labels)} ${series.value}`);
+        continue;
+      }
+      metric.buckets.forEach((bound, i) => {
+        lines.push(`${metric.name}_bucket${formatLabels({ ...series.labels, le: bound })} ${series.counts[i]}`);
+      });
+      lines.push(`${metric.name}_bucket${formatLabels({ ...series.labels, le: '+Inf' })} ${series.count}`);
+      lines.push(`${metric.name}_sum${formatLabels(series.labels)} ${series.sum}`);
+      lines.push(`${metric.name}_count${formatLabels(series.labels)} ${series.count}`);
+    }
+  }
+  return lines.length ? `${lines.join('\n')}\n` : '';
+}
+
+function resetMetrics() {
+  metrics.clear();
+}
+
+// Endpoint label from an orchestrator log label, e.g. 'Lesson:TTS' -> 'lesson:tts'
+function endpointOf(label) {
+  return String(label || 'unknown').toLowerCase();
+}
+
+/**
+ * Records one provider attempt.
+ * @param {string} label - Orchestrator log label
+ * @param {string} provider - Provider ID
+ * @param {Object} outcome - { durationMs, outcome: 'success'|'empty'|'failure', errorType }
+ */
+function recordProviderAttempt(label, provider, { durationMs, outcome, errorType }) {
+  const labels = { endpoint: endpointOf(label), provider };
+  incrementCounter('provider_requests_total', 'Provider attempts by outcome', { ...labels, outcome });
+  if (outcome === 'failure') {
+    incrementCounter('provider_errors_total', 'Provider failures by error type', { ...labels, error_type: errorType || 'unknown' });
+  }
+  observeHistogram('provider_request_duration_seconds', 'Provider attempt latency', labels, durationMs / 1000);
+}
+
+/**
+ * Records a completed pipeline run across providers.
+ * @param {string} label - Orchestrator log label
+ * @param {Object} run - { ok, depth, durationMs, skipped }
+ */
+function recordPipelineRun(label, { ok, depth, durationMs, skipped = 0 }) {
+  const labels = { endpoint: endpointOf(label) };
+  incrementCounter('pipeline_runs_total', 'Pipeline runs by outcome', { ...labels, outcome: ok ? 'success' : 'failure' });
+  if (skipped) incrementCounter('provider_skipped_total', 'Providers skipped (open circuit or exhausted deadline)', labels, skipped);
+  observeHistogram('pipeline_fallback_depth', 'Providers tried per pipeline run', labels, depth, DEPTH_BUCKETS);
+  observeHistogram('pipeline_duration_seconds', 'Pipeline run latency including fallbacks (time to first chunk for streams)', labels, durationMs / 1000);
+}
+
+module.exports = {
+  DURATION_BUCKETS,
+  incrementCounter,
+  observeHistogram,
+  getMetricValue,
+  renderMetrics,
+  resetMetrics,
+  recordProviderAttempt,
+  recordPipelineRun,
+};
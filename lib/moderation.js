@@ -0,0 +1,388 @@
+/**
+ * Child-safety moderation for prompts and generated content.
+ * Text is screened against Spanish and English blocklists grouped into
+ * categories, optionally followed by a moderation-capable adapter. Each
+ * category either blocks the request or rewrites (masks) matching terms.
+ * Every decision is recorded for teacher review.
+ */
+
+const fs = require('fs');
+const crypto = require('crypto');
+const { buildAdapters, runWithFallback } = require('./providerOrchestrator');
+const { createLogger, getRequestContext } = require('./logger');
+
+const log = createLogger('Moderation');
+
+const ACTIONS = { ALLOW: 'allow', BLOCK: 'block', REWRITE: 'rewrite' };
+
+// Built-in rules; extended or overridden by MODERATION_RULES_FILE
+const DEFAULT_RULES = {
+  violence: {
+    action: ACTIONS.BLOCK,
+    terms: {
+      es: ['matar', 'asesinar', 'asesinato', 'arma de fuego', 'bomba casera', 'tortura', 'degollar'],
+      en: ['kill someone', 'murder', 'homemade bomb', 'build a bomb', 'torture', 'shoot someone'],
+    },
+  },
+  sexual: {
+    action: ACTIONS.BLOCK,
+    terms: {
+      es: ['pornografia', 'porno', 'desnudo', 'desnuda', 'sexo explicito'],
+      en: ['porn', 'pornography', 'nude', 'naked', 'explicit sex'],
+    },
+  },
+  self_harm: {
+    action: ACTIONS.BLOCK,
+    terms: {
+      es: ['suicidio', 'suicidarme', 'hacerme dano', 'cortarme'],
+      en: ['suicide', 'kill myself', 'hurt myself', 'self harm', 'cut myself'],
+    },
+  },
+  drugs: {
+    action: ACTIONS.BLOCK,
+    terms: {
+      es: ['cocaina', 'heroina', 'metanfetamina', 'drogarse'],
+      en: ['cocaine', 'heroin', 'meth', 'get high'],
+    },
+  },
+  hate: {
+    action: ACTIONS.BLOCK,
+    terms: {
+      es: ['raza inferior', 'odio a los'],
+      en: ['inferior race', 'i hate all'],
+    },
+  },
+  profanity: {
+    action: ACTIONS.REWRITE,
+    terms: {
+      es: ['mierda', 'carajo', 'pendejo', 'idiota', 'estupido', 'estupida'],
+      en: ['shit', 'damn', 'stupid', 'idiot', 'crap'],
+    },
+  },
+};
+
+// Friendly, age-appropriate messages returned when content is blocked
+const BLOCKED_MESSAGES = {
+  es: {
+    input: '¡Uy! Esa pregunta no es para esta clase. ¿Probamos con otra pregunta sobre lo que estás aprendiendo?',
+    output: 'No pude preparar una respuesta adecuada esta vez. ¿Quieres intentar preguntarlo de otra manera?',
+  },
+  en: {
+    input: 'Oops! That question isn\'t one we can answer in class. Want to try another question about what you\'re learning?',
+    output: 'I couldn\'t prepare a good answer this time. Would you like to ask it a different way?',
+  },
+};
+
+const MASK = '***';
+// Trailing letters or digits of a word that may continue in the next chunk
+const PARTIAL_WORD = /[\p{L}\p{N}]*$/u;
+const MAX_LOG_ENTRIES = 1000;
+const EXCERPT_LENGTH = 200;
+
+const decisionLog = [];
+let cachedRules = null;
+
+function normalize(text) {
+  return String(text || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase();
+}
+
+// Normalizes character by character, keeping for each normalized position
+// the offset of the source character it came from
+function normalizeWithOffsets(text) {
+  let normalized = '';
+  const offsets = [];
+  let index = 0;
+  for (const char of String(text || '')) {
+    const mapped = normalize(char);
+    for (let i = 0; i < mapped.length; i++) offsets.push(index);
+    normalized += mapped;
+    index += char.length;
+  }
+  offsets.push(index);
+  return { normalized, offsets };
+}
+
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Loads moderation rules: the defaults merged with MODERATION_RULES_FILE
+ * (JSON of the same shape). Categories in the file replace the defaults.
+ * @returns {Object} Rules by category
+ */
+function loadRules() {
+  if (cachedRules) return cachedRules;
+  const rules = { ...DEFAULT_RULES };
+  const file = process.env.MODERATION_RULES_FILE;
+  if (file) {
+    try {
+      const custom = JSON.parse(fs.readFileSync(file, 'utf8'));
+      Object.assign(rules, custom.categories || custom);
+    } catch (err) {
+      log.error('Could not load rules', { file, error: err.message });
+    }
+  }
+  cachedRules = compileRules(rules);
+  return cachedRules;
+}
+
+function compileRules(rules) {
+  const compiled = {};
+  for (const [category, rule] of Object.entries(rules)) {
+    const terms = [].concat(...Object.values(rule.terms || {})).map(normalize).filter(Boolean);
+    if (!terms.length) continue;
+    compiled[category] = {
+      action: rule.action === ACTIONS.REWRITE ? ACTIONS.REWRITE : ACTIONS.BLOCK,
+      longestTerm: Math.max(...terms.map(term => term.length)),
+      // Terms match whole words; accents are ignored on both sides
+      pattern: new RegExp(`(^|[^a-z0-9])(${terms.map(escapeRegExp).join('|')})(?=$|[^a-z0-9])`, 'g'),
+    };
+  }
+  return compiled;
+}
+
+/**
+ * Screens text against the blocklists.
+ * @param {string} text - Text to screen
+ * @param {Object} [rules] - Compiled rules (defaults to loadRules())
+ * @returns {Object} { action, categories, matches, ranges, text } with masked
+ *   text for rewrites and the [start, end) offsets of each match in the source
+ */
+function screenText(text, rules = loadRules()) {
+  const source = String(text || '');
+  const { normalized, offsets } = normalizeWithOffsets(source);
+  const categories = [];
+  const matches = [];
+  const ranges = [];
+  let action = ACTIONS.ALLOW;
+
+  for (const [category, rule] of Object.entries(rules)) {
+    rule.pattern.lastIndex = 0;
+    let match;
+    let hit = false;
+    while ((match = rule.pattern.exec(normalized)) !== null) {
+      hit = true;
+      const start = match.index + match[1].length;
+      matches.push(match[2]);
+      ranges.push([offsets[start], offsets[start + match[2].length]]);
+    }
+    if (!hit) continue;
+    categories.push(category);
+    if (rule.action === ACTIONS.BLOCK) action = ACTIONS.BLOCK;
+    else if (action === ACTIONS.ALLOW) action = ACTIONS.REWRITE;
+  }
+
+  ranges.sort((a, b) => a[0] - b[0]);
+  const rewritten = action === ACTIONS.REWRITE ? maskRanges(source, ranges) : source;
+  return { action, categories, matches, ranges, text: rewritten };
+}
+
+// Masks the given source ranges of a piece of text that starts at `from`
+function maskRanges(text, ranges, from = 0) {
+  let masked = text;
+  for (let i = ranges.length - 1; i >= 0; i--) {
+    const start = ranges[i][0] - from;
+    const end = ranges[i][1] - from;
+    if (start < 0 || end > text.length) continue;
+    masked = masked.slice(0, start) + MASK + masked.slice(end);
+  }
+  return masked;
+}
+
+/**
+ * Screens streamed text as it arrives. Text is released up to the last
+ * complete word, less a tail as long as the longest term, so a term split
+ * across chunks is seen whole before any of it is released; rewrite terms
+ * are masked in what is released. Nothing more is released once a blocked
+ * term is seen.
+ * @param {Object} [rules] - Compiled rules (defaults to loadRules())
+ * @returns {Object} { push(delta), flush() }, each returning { text, blocked }
+ *   where text is the next part that is safe to relay
+ */
+function createStreamScreen(rules = loadRules()) {
+  const holdBack = Math.max(0, ...Object.values(rules).map(rule => rule.longestTerm || 0));
+  let seen = '';
+  let released = 0;
+  let blocked = false;
+
+  function release(final) {
+    if (blocked) return { text: '', blocked };
+    const complete = final ? seen.length : seen.length - PARTIAL_WORD.exec(seen)[0].length;
+    const screened = screenText(seen.slice(0, complete), rules);
+    if (screened.action === ACTIONS.BLOCK) {
+      blocked = true;
+      return { text: '', blocked };
+    }
+    let end = final ? complete : complete - holdBack;
+    // Never cut through a match
+    for (const [start, stop] of screened.ranges) {
+      if (start < end && stop > end) end = start;
+    }
+    if (end <= released) return { text: '', blocked };
+    const text = maskRanges(seen.slice(released, end), screened.ranges, released);
+    released = end;
+    return { text, blocked };
+  }
+
+  return {
+    push(delta) {
+      seen += delta || '';
+      return release(false);
+    },
+    flush() {
+      return release(true);
+    },
+  };
+}
+
+/**
+ * Whether moderation calls a provider (MODERATION_PROVIDER) after the
+ * blocklists. Provider checks need the whole text, so streamed replies
+ * cannot be screened by them chunk by chunk.
+ * @returns {boolean}
+ */
+function usesModerationProvider() {
+  return process.env.MODERATION_ENABLED !== 'false' && !!process.env.MODERATION_PROVIDER;
+}
+
+// Runs through the orchestrator, so the check has a circuit breaker and is
+// recorded in the usage ledger like any other provider call
+async function checkWithProvider(text) {
+  const providerId = process.env.MODERATION_PROVIDER;
+  if (!providerId) return null;
+  const { result, errors, skipped, unsupported } = await runWithFallback({
+    label: 'Moderation',
+    adapters: buildAdapters([providerId], 'PRIMARY_TEXT'),
+    method: 'moderate',
+    call: (adapter, signal) => adapter.moderate({ text, signal }),
+    isUsable: verdict => !!verdict,
+    timeoutMs: parseInt(process.env.MODERATION_TIMEOUT_MS || '5000', 10),
+  });
+  if (result) return result;
+  if (unsupported.length) {
+    log.warn('Provider does not support moderation', { provider: providerId });
+    return null;
+  }
+  log.error('Provider failed', { provider: providerId, errors: errors.map(e => e.errorType), skipped: skipped.length || undefined });
+  if (process.env.MODERATION_FAIL_CLOSED === 'true') {
+    return { flagged: true, categories: ['moderation_unavailable'] };
+  }
+  return null;
+}
+
+/**
+ * Records a moderation decision for teacher review. Kept in memory and,
+ * when MODERATION_LOG_FILE is set, appended to that file as JSON lines.
+ * @param {Object} entry - Decision details
+ * @returns {Object} Stored entry
+ */
+function recordDecision(entry) {
+  const stored = { id: crypto.randomUUID(), timestamp: new Date().toISOString(), ...entry };
+  decisionLog.push(stored);
+  if (decisionLog.length > MAX_LOG_ENTRIES) decisionLog.shift();
+  const file = process.env.MODERATION_LOG_FILE;
+  if (file) {
+    fs.promises.appendFile(file, `${JSON.stringify(stored)}\n`).catch(err => {
+      log.error('Could not write decision log', { file, error: err.message });
+    });
+  }
+  return stored;
+}
+
+/**
+ * Returns recorded decisions, newest first.
+ * @param {Object} [params] - { limit, action, classroomId, classroomIds }
+ *   where classroomIds limits the result to those classrooms (a teacher's)
+ * @returns {Object[]} Decisions
+ */
+function getDecisions({ limit = 100, action, classroomId, classroomIds } = {}) {
+  return decisionLog
+    .filter(d => (!action || d.action === action)
+      && (!classroomId || d.classroomId === classroomId)
+      && (!classroomIds || classroomIds.includes(d.classroomId)))
+    .slice(-limit)
+    .reverse();
+}
+
+/**
+ * Moderates a prompt or a generated text and records the decision, with
+ * the classroom and student of the request being handled.
+ * @param {string} text - Text to moderate
+ * @param {Object} context - { endpoint, stage: 'input'|'output', provider, clientKey }
+ * @returns {Promise<Object>} { action, text, categories, source, decisionId }
+ */
+async function moderateText(text, context = {}) {
+  if (process.env.MODERATION_ENABLED === 'false') {
+    return { action: ACTIONS.ALLOW, text, categories: [], source: 'disabled', decisionId: null };
+  }
+
+  let decision = { ...screenText(text), source: 'blocklist' };
+  if (decision.action !== ACTIONS.BLOCK) {
+    const verdict = await checkWithProvider(decision.text);
+    if (verdict && verdict.flagged) {
+      decision = { action: ACTIONS.BLOCK, text, categories: verdict.categories || [], matches: [], source: 'provider' };
+    }
+  }
+
+  const identity = (getRequestContext() || {}).identity || {};
+  const entry = recordDecision({
+    endpoint: context.endpoint || null,
+    stage: context.stage || 'input',
+    provider: context.provider || null,
+    clientKey: context.clientKey || null,
+    classroomId: identity.classroomId || null,
+    studentId: identity.studentId || null,
+    action: decision.action,
+    source: decision.source,
+    categories: decision.categories,
+    excerpt: String(text || '').slice(0, EXCERPT_LENGTH),
+  });
+  if (decision.action !== ACTIONS.ALLOW) {
+    log.warn(`${decision.action} ${context.stage || 'input'}`, { endpoint: context.endpoint, categories: decision.categories, decisionId: entry.id });
+  }
+
+  return { action: decision.action, text: decision.text, categories: decision.categories, source: decision.source, decisionId: entry.id };
+}
+
+/**
+ * Builds the 422 response body for blocked content.
+ * @param {Object} decision - Result of moderateText
+ * @param {string} stage - 'input' or 'output'
+ * @param {string} [language] - 'es' (default) or 'en'
+ * @returns {Object} Response body
+ */
+function blockedResponse(decision, stage, language) {
+  const messages = BLOCKED_MESSAGES[language] || BLOCKED_MESSAGES.es;
+  return {
+    error: messages[stage] || messages.input,
+    code: 'CONTENT_BLOCKED',
+    stage,
+    categories: decision.categories,
+    decisionId: decision.decisionId,
+  };
+}
+
+function resetModeration() {
+  decisionLog.length = 0;
+  cachedRules = null;
+}
+
+module.exports = {
+  ACTIONS,
+  DEFAULT_RULES,
+  BLOCKED_MESSAGES,
+  loadRules,
+  compileRules,
+  screenText,
+  createStreamScreen,
+  usesModerationProvider,
+  moderateText,
+  recordDecision,
+  getDecisions,
+  blockedResponse,
+  resetModeration,
+};
@@ -0,0 +1,30 @@
+/**
+ * Newline-delimited JSON helpers for reading streamed provider responses
+ * (e.g. Ollama), where each line is one JSON object.
+ */
+
+/**
+ * Reads an NDJSON response body and yields each non-empty line.
+ * Works with both WHATWG ReadableStream and Node.js Readable bodies.
+ * @param {AsyncIterable<Uint8Array|string>} body - Response body
+ * @returns {AsyncGenerator<string>} Raw JSON lines
+ */
+async function* readNdjsonLines(body) {
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  for await (const chunk of body) {
+    buffer += typeof chunk === 'string' ? chunk : decoder.decode(chunk, { stream: true });
+    let newline;
+    while ((newline = buffer.indexOf('\n')) !== -1) {
+      const line = buffer.slice(0, newline).trim();
+      buffer = buffer.slice(newline + 1);
+      if (line) yield line;
+    }
+  }
+  if (buffer.trim()) yield buffer.trim();
+}
+
+module.exports = {
+  readNdjsonLines,
+};
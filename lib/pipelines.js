@@ -0,0 +1,348 @@
+/**
+ * Text, image and TTS generation pipelines.
+ * Each pipeline resolves its providers from the environment and runs them
+ * through the shared orchestrator, so handlers and composite endpoints
+ * (such as /api/lesson) share the same fallback behaviour.
+ */
+
+const { parseProvidersEnv, buildAdapters, resolveStrategyConfig, runWithFallback, runStreamWithFallback } = require('./providerOrchestrator');
+const { extractJson } = require('./jsonOutput');
+const { invalidOutputError } = require('./errorUtils');
+const { toChatMessages } = require('./conversation');
+const { buildCacheKey, isCacheBypassed, getResultCache } = require('./resultCache');
+const { scoreReadability, isTooHard, simplifyInstruction } = require('./readability');
+const { resolveEndpointSettings } = require('./envValidator');
+const { createLogger } = require('./logger');
+
+const log = createLogger('Pipeline');
+
+const TIMEOUT_MS = parseInt(process.env.TIMEOUT_MS || '15000', 10);
+const DEFAULT_DEADLINE_MS = 30000;
+const DEFAULT_VOICE = process.env.DEFAULT_TTS_VOICE || 'chatgpt'; // user requested chatgpt as default
+
+// Provider order: the environment list (or legacy PRIMARY_* URL), then the
+// order from the provider config file, then the built-in default
+function configuredProviderIds(envVar, fallbackUrlName, capability, defaults) {
+  const providerIds = parseProvidersEnv(envVar, fallbackUrlName);
+  if (providerIds.length) return providerIds;
+  return resolveEndpointSettings(capability).order || defaults;
+}
+
+/**
+ * Resolves text provider IDs in fallback order.
+ * @returns {string[]} Provider IDs
+ */
+function textProviderIds() {
+  return configuredProviderIds('TEXT_PROVIDERS', 'PRIMARY_TEXT_API_URL', 'text', ['gemini', 'openai', 'grok']);
+}
+
+/**
+ * Resolves image provider IDs in fallback order.
+ * @returns {string[]} Provider IDs
+ */
+function imageProviderIds() {
+  return configuredProviderIds('IMAGE_PROVIDERS', 'PRIMARY_IMAGE_API_URL', 'image', ['gemini', 'openai', 'grok']);
+}
+
+/**
+ * Resolves TTS provider IDs in fallback order, ending with the audio fallback provider.
+ * @returns {string[]} Provider IDs
+ */
+function ttsProviderIds() {
+  // default order; Murf will be tried as specified via TTS_PROVIDERS or AUDIO_FALLBACK_PROVIDER
+  const ids = configuredProviderIds('TTS_PROVIDERS', 'PRIMARY_TTS_API_URL', 'tts', ['openai', 'gemini', 'grok']);
+
+  // If an explicit audio fallback provider is configured, put it at the end if not already present
+  const audioFallback = process.env.AUDIO_FALLBACK_PROVIDER || resolveEndpointSettings('tts').audioFallback || 'murf';
+  if (!ids.includes(audioFallback)) ids.push(audioFallback);
+  return ids;
+}
+
+function envMs(name) {
+  const value = parseInt(process.env[name] || '', 10);
+  return value > 0 ? value : null;
+}
+
+/**
+ * Resolves the default per-attempt timeout for an endpoint: <CAPABILITY>_TIMEOUT_MS,
+ * then the config file value, otherwise TIMEOUT_MS. Providers with their own
+ * timeout (PROVIDER_<ID>_TIMEOUT_MS or the config file) override it.
+ * @param {string} capability - 'text', 'image' or 'tts'
+ * @returns {number} Timeout in milliseconds
+ */
+function endpointTimeoutMs(capability) {
+  return envMs(`${capability.toUpperCase()}_TIMEOUT_MS`) || resolveEndpointSettings(capability).timeoutMs || TIMEOUT_MS;
+}
+
+/**
+ * Resolves the total time budget for one request to an endpoint, shared by
+ * all provider attempts: <CAPABILITY>_DEADLINE_MS, then the config file
+ * value, then REQUEST_DEADLINE_MS, otherwise 30 seconds.
+ * @param {string} capability - 'text', 'image' or 'tts'
+ * @returns {number} Budget in milliseconds
+ */
+function endpointDeadlineMs(capability) {
+  return envMs(`${capability.toUpperCase()}_DEADLINE_MS`)
+    || resolveEndpointSettings(capability).deadlineMs
+    || envMs('REQUEST_DEADLINE_MS')
+    || DEFAULT_DEADLINE_MS;
+}
+
+// Characters of text input, checked against the providers' maxInputChars
+function textRequirements(input) {
+  return { inputChars: toChatMessages(input).reduce((sum, m) => sum + String(m.content || '').length, 0) };
+}
+
+// Absolute deadline for a pipeline run; callers may pass their own to share
+// one budget across several pipelines
+function deadlineFor(capability, deadline) {
+  return deadline || Date.now() + endpointDeadlineMs(capability);
+}
+
+/**
+ * Generates text with fallback across the text providers.
+ * @param {Object} input - { prompt, messages, system, options }
+ * @param {Object} [params] - { label } for logging, { deadline } epoch ms to override the endpoint budget
+ * @returns {Promise<Object>} { result, adapterId, errors, skipped, unsupported, attemptedProviders }
+ */
+async function runTextPipeline(input, { label = 'Chat', deadline } = {}) {
+  const ids = textProviderIds();
+  const outcome = await runWithFallback({
+    label,
+    adapters: buildAdapters(ids, 'PRIMARY_TEXT'),
+    method: 'generateText',
+    call: (adapter, signal) => adapter.generateText({ ...input, signal }),
+    isUsable: r => !!(r && r.text),
+    timeoutMs: endpointTimeoutMs('text'),
+    deadlineAt: deadlineFor('text', deadline),
+    strategy: resolveStrategyConfig('TEXT'),
+    requirements: textRequirements(input),
+  });
+  return { ...outcome, attemptedProviders: ids };
+}
+
+/**
+ * Generates JSON with fallback across the text providers.
+ * A malformed reply is re-asked on the same provider (with the validation
+ * problems fed back) before falling back to the next provider.
+ * @param {Object} input - { prompt, messages, system, options }
+ * @param {Object} params
+ * @param {Function} params.validate - (json) => string[] of problems; empty when valid
+ * @param {number} [params.reasks=1] - Corrections requested per provider
+ * @param {string} [params.label='Chat'] - Log label
+ * @param {number} [params.deadline] - Epoch ms overriding the endpoint budget
+ * @returns {Promise<Object>} Same as runTextPipeline; result is { text, json }
+ */
+async function runJsonPipeline(input, { validate, reasks = 1, label = 'Chat', deadline }) {
+  const ids = textProviderIds();
+  const outcome = await runWithFallback({
+    label,
+    adapters: buildAdapters(ids, 'PRIMARY_TEXT'),
+    method: 'generateText',
+    call: async (adapter, signal) => {
+      let messages = toChatMessages(input).filter(m => m.role !== 'system');
+      for (let attempt = 0; ; attempt++) {
+        const result = await adapter.generateText({ ...input, prompt: messages[messages.length - 1].content, messages, signal });
+        if (!result || !result.text) return null;
+        const json = extractJson(result.text);
+        const problems = json === null ? ['reply is not valid JSON'] : validate(json);
+        if (!problems.length) return { text: result.text, json };
+        if (attempt >= reasks) throw invalidOutputError('Provider returned malformed JSON', problems);
+        log.warn('Provider returned malformed JSON, asking again', { label, provider: adapter.providerId });
+        messages = [
+          ...messages,
+          { role: 'assistant', content: result.text },
+          { role: 'user', content: `Your reply could not be used (${problems.slice(0, 5).join('; ')}). Reply again with valid JSON only, no Markdown.` },
+        ];
+      }
+    },
+    isUsable: r => !!(r && r.json),
+    timeoutMs: endpointTimeoutMs('text'),
+    deadlineAt: deadlineFor('text', deadline),
+    strategy: resolveStrategyConfig('TEXT'),
+    requirements: textRequirements(input),
+  });
+  return { ...outcome, attemptedProviders: ids };
+}
+
+/**
+ * Generates text for a grade level with fallback across the text providers.
+ * The reply is scored for readability; when it is too hard for the grade
+ * the same provider is asked once to simplify it, and the easier of the two
+ * replies is kept.
+ * @param {Object} input - { prompt, messages, system, options }
+ * @param {Object} params
+ * @param {number} params.gradeLevel - Target grade
+ * @param {string} params.language - 'es' or 'en'
+ * @param {string} [params.label='Chat'] - Log label
+ * @param {number} [params.deadline] - Epoch ms overriding the endpoint budget
+ * @returns {Promise<Object>} Same as runTextPipeline; result is { text, readability, simplified }
+ */
+async function runGradedTextPipeline(input, { gradeLevel, language, label = 'Chat', deadline }) {
+  const ids = textProviderIds();
+  const outcome = await runWithFallback({
+    label,
+    adapters: buildAdapters(ids, 'PRIMARY_TEXT'),
+    method: 'generateText',
+    call: async (adapter, signal) => {
+      const result = await adapter.generateText({ ...input, signal });
+      if (!result || !result.text) return null;
+      const readability = scoreReadability(result.text, language);
+      const reply = { text: result.text, readability, simplified: false };
+      if (!isTooHard(readability, gradeLevel)) return reply;
+
+      log.info(`Answer at grade ${readability.gradeEstimate} for grade ${gradeLevel}, asking to simplify`, { label, provider: adapter.providerId });
+      const messages = [
+        ...toChatMessages(input).filter(m => m.role !== 'system'),
+        { role: 'assistant', content: result.text },
+        { role: 'user', content: simplifyInstruction(gradeLevel, readability) },
+      ];
+      let simpler;
+      try {
+        simpler = await adapter.generateText({ ...input, prompt: messages[messages.length - 1].content, messages, signal });
+      } catch (err) {
+        // Keep the first reply; the simplification is best effort
+        if (signal.aborted) throw err;
+        log.warn('Provider failed to simplify', { label, provider: adapter.providerId, error: err.message });
+        return reply;
+      }
+      if (!simpler || !simpler.text) return reply;
+      const simplerReadability = scoreReadability(simpler.text, language);
+      if (!simplerReadability || simplerReadability.gradeEstimate >= readability.gradeEstimate) return reply;
+      return { text: simpler.text, readability: simplerReadability, simplified: true };
+    },
+    isUsable: r => !!(r && r.text),
+    timeoutMs: endpointTimeoutMs('text'),
+    deadlineAt: deadlineFor('text', deadline),
+    strategy: resolveStrategyConfig('TEXT'),
+    requirements: textRequirements(input),
+  });
+  return { ...outcome, attemptedProviders: ids };
+}
+
+/**
+ * Streams text from the first text provider that produces a chunk.
+ * Once started, the stream may pause for at most TEXT_STREAM_IDLE_TIMEOUT_MS
+ * (default: the text timeout) between chunks and must end by the deadline.
+ * @param {Object} input - { prompt, messages, system, options }
+ * @param {Object} params - { onStart, onChunk, label, deadline, signal } where
+ *   signal aborts the stream (e.g. when the client disconnects)
+ * @returns {Promise<Object>} { adapterId, started, errors, skipped, unsupported, streamError, aborted, attemptedProviders }
+ */
+async function runTextStreamPipeline(input, { onStart, onChunk, label = 'Chat', deadline, signal }) {
+  const ids = textProviderIds();
+  const outcome = await runStreamWithFallback({
+    label,
+    adapters: buildAdapters(ids, 'PRIMARY_TEXT'),
+    input,
+    onStart,
+    onChunk,
+    timeoutMs: endpointTimeoutMs('text'),
+    deadlineAt: deadlineFor('text', deadline),
+    idleTimeoutMs: envMs('TEXT_STREAM_IDLE_TIMEOUT_MS') || endpointTimeoutMs('text'),
+    signal,
+    requirements: textRequirements(input),
+  });
+  return { ...outcome, attemptedProviders: ids };
+}
+
+// Serves a media request from the result cache, or runs it and stores a success.
+// options.cache === false bypasses the cache for both reading and writing.
+async function withResultCache(endpoint, request, label, ids, run) {
+  if (isCacheBypassed(request.options)) return { ...(await run()), cached: false };
+
+  const cache = getResultCache();
+  const key = buildCacheKey(endpoint, request);
+  const hit = await cache.get(key).catch(err => {
+    log.warn('Cache read failed', { label, error: err.message });
+    return null;
+  });
+  if (hit) {
+    log.info('Cache hit', { label, provider: hit.adapterId });
+    return { result: hit.result, adapterId: hit.adapterId, errors: [], skipped: [], unsupported: [], attemptedProviders: ids, cached: true };
+  }
+
+  const outcome = await run();
+  if (outcome.result) {
+    await cache.set(key, { result: outcome.result, adapterId: outcome.adapterId }).catch(err => {
+      log.warn('Cache write failed', { label, error: err.message });
+    });
+  }
+  return { ...outcome, cached: false };
+}
+
+/**
+ * Generates an image with fallback across the image providers.
+ * Results are served from the result cache unless options.cache is false.
+ * @param {Object} input - { prompt, options }
+ * @param {Object} [params] - { label } for logging, { deadline } epoch ms to override the endpoint budget
+ * @returns {Promise<Object>} { result, adapterId, errors, skipped, unsupported, attemptedProviders, cached }
+ */
+async function runImagePipeline({ prompt, options }, { label = 'Image', deadline } = {}) {
+  const ids = imageProviderIds();
+  const deadlineAt = deadlineFor('image', deadline);
+  return withResultCache('image', { prompt, options }, label, ids, () => runImageProviders(ids, { prompt, options }, label, deadlineAt));
+}
+
+async function runImageProviders(ids, { prompt, options }, label, deadlineAt) {
+  const outcome = await runWithFallback({
+    label,
+    adapters: buildAdapters(ids, 'PRIMARY_IMAGE'),
+    method: 'generateImage',
+    call: (adapter, signal) => adapter.generateImage({ prompt, options, signal }),
+    isUsable: r => !!(r && (r.imageUrl || r.base64)),
+    timeoutMs: endpointTimeoutMs('image'),
+    deadlineAt,
+    strategy: resolveStrategyConfig('IMAGE'),
+    requirements: { inputChars: String(prompt || '').length },
+  });
+  return { ...outcome, attemptedProviders: ids };
+}
+
+/**
+ * Generates speech with fallback across the TTS providers.
+ * Results are served from the result cache unless options.cache is false.
+ * @param {Object} input - { text, voice, options }
+ * @param {Object} [params] - { label } for logging, { deadline } epoch ms to override the endpoint budget
+ * @returns {Promise<Object>} { result, adapterId, errors, skipped, unsupported, attemptedProviders, cached }
+ */
+async function runTTSPipeline({ text, voice, options }, { label = 'TTS', deadline } = {}) {
+  const ids = ttsProviderIds();
+  const request = { text, voice: voice || DEFAULT_VOICE, options };
+  const deadlineAt = deadlineFor('tts', deadline);
+  return withResultCache('tts', request, label, ids, () => runTTSProviders(ids, request, label, deadlineAt));
+}
+
+async function runTTSProviders(ids, { text, voice, options }, label, deadlineAt) {
+  // Each adapter maps the shared default voice to one of its own, so only
+  // a voice the caller names rules providers out
+  const named = (options && options.voice) || voice;
+  const requestedVoice = named !== DEFAULT_VOICE ? named : undefined;
+  const outcome = await runWithFallback({
+    label,
+    adapters: buildAdapters(ids, 'PRIMARY_TTS'),
+    method: 'generateTTS',
+    call: (adapter, signal) => adapter.generateTTS({ text, voice, options, signal }),
+    isUsable: r => !!(r && (r.audioUrl || r.base64)),
+    timeoutMs: endpointTimeoutMs('tts'),
+    deadlineAt,
+    strategy: resolveStrategyConfig('TTS'),
+    requirements: { inputChars: String(text || '').length, voice: requestedVoice },
+  });
+  return { ...outcome, attemptedProviders: ids };
+}
+
+module.exports = {
+  TIMEOUT_MS,
+  textProviderIds,
+  imageProviderIds,
+  ttsProviderIds,
+  endpointTimeoutMs,
+  endpointDeadlineMs,
+  runTextPipeline,
+  runJsonPipeline,
+  runGradedTextPipeline,
+  runTextStreamPipeline,
+  runImagePipeline,
+  runTTSPipeline,
+};
@@ -0,0 +1,186 @@
+/**
+ * Server-side prompt template library.
+ * Templates are named, versioned and localized (Spanish and English), and
+ * grouped by kind: text templates for /api/chat, image templates for
+ * /api/image and speech templates for /api/tts. Handlers accept
+ * { template, variables } in place of a raw prompt and report which
+ * template version produced each response.
+ */
+
+const { LANGUAGES } = require('../lessonSchema');
+
+const TEMPLATE_KINDS = ['text', 'image', 'tts'];
+const MAX_VARIABLE_LENGTH = 2000;
+const PLACEHOLDER = /\{\{\s*([a-zA-Z][\w]*)\s*\}\}/g;
+
+const registry = new Map();
+
+/**
+ * Registers a template version.
+ * @param {string} kind - 'text', 'image' or 'tts'
+ * @param {Object} template - { name, version, description, variables, prompt: { es, en }, system? }
+ */
+function registerTemplate(kind, template) {
+  if (!TEMPLATE_KINDS.includes(kind)) throw new Error(`Unknown template kind: ${kind}`);
+  if (!template.name || !Number.isInteger(template.version) || !template.prompt) {
+    throw new Error('Templates need a name, an integer version and a prompt');
+  }
+  const versions = registry.get(template.name) || [];
+  if (versions.some(t => t.version === template.version)) {
+    throw new Error(`Template ${template.name}@${template.version} is already registered`);
+  }
+  if (versions.length && versions[0].kind !== kind) {
+    throw new Error(`Template ${template.name} is already registered as a ${versions[0].kind} template`);
+  }
+  versions.push({ ...template, kind, variables: template.variables || {} });
+  versions.sort((a, b) => a.version - b.version);
+  registry.set(template.name, versions);
+}
+
+require('./templates/text').forEach(t => registerTemplate('text', t));
+require('./templates/image').forEach(t => registerTemplate('image', t));
+require('./templates/tts').forEach(t => registerTemplate('tts', t));
+
+/**
+ * Parses a template reference: 'name', 'name@2' or { name, version }.
+ * @param {string|Object} ref - Template reference
+ * @returns {Object|null} { name, version } (version null for latest), or null when malformed
+ */
+function parseTemplateRef(ref) {
+  if (typeof ref === 'string') {
+    const [name, version, ...rest] = ref.split('@');
+    if (!name || rest.length) return null;
+    if (version === undefined) return { name, version: null };
+    return /^\d+$/.test(version) ? { name, version: Number(version) } : null;
+  }
+  if (ref && typeof ref === 'object' && typeof ref.name === 'string' && ref.name) {
+    if (ref.version === undefined || ref.version === null) return { name: ref.name, version: null };
+    return Number.isInteger(ref.version) ? { name: ref.name, version: ref.version } : null;
+  }
+  return null;
+}
+
+/**
+ * Looks up a template version.
+ * @param {string} name - Template name
+ * @param {number|null} [version] - Version; the latest when omitted
+ * @returns {Object|null} Template, or null when not found
+ */
+function getTemplate(name, version = null) {
+  const versions = registry.get(name);
+  if (!versions) return null;
+  if (version === null || version === undefined) return versions[versions.length - 1];
+  return versions.find(t => t.version === version) || null;
+}
+
+/**
+ * Lists the registered templates.
+ * @param {string} [kind] - Only templates of this kind
+ * @returns {Object[]} { name, kind, description, versions, latest, languages, variables }
+ */
+function listTemplates(kind) {
+  return [...registry.values()]
+    .filter(versions => !kind || versions[0].kind === kind)
+    .map(versions => {
+      const latest = versions[versions.length - 1];
+      return {
+        name: latest.name,
+        kind: latest.kind,
+        description: latest.description || null,
+        versions: versions.map(t => t.version),
+        latest: latest.version,
+        languages: Object.keys(latest.prompt),
+        variables: Object.entries(latest.variables).map(([name, spec]) => ({ name, required: !!spec.required })),
+      };
+    });
+}
+
+function localized(value, language) {
+  return value && typeof value === 'object' ? value[language] : value;
+}
+
+function interpolate(source, values) {
+  return source.replace(PLACEHOLDER, (match, name) => (values[name] === undefined ? match : String(values[name])));
+}
+
+/**
+ * Resolves the variable values for a template, applying defaults.
+ * @param {Object} template - From getTemplate
+ * @param {Object} variables - Values supplied by the client
+ * @param {string} language - 'es' or 'en'
+ * @returns {Object} { values } or { error, code }
+ */
+function resolveVariables(template, variables, language) {
+  if (variables !== undefined && (variables === null || typeof variables !== 'object' || Array.isArray(variables))) {
+    return { error: 'variables must be an object', code: 'INVALID_TEMPLATE_VARIABLES' };
+  }
+  const supplied = variables || {};
+  const unknown = Object.keys(supplied).filter(name => !template.variables[name]);
+  if (unknown.length) {
+    return { error: `Unknown variables for template ${template.name}: ${unknown.join(', ')}`, code: 'INVALID_TEMPLATE_VARIABLES' };
+  }
+
+  const values = {};
+  const missing = [];
+  for (const [name, spec] of Object.entries(template.variables)) {
+    const value = supplied[name];
+    if (value === undefined || value === null || value === '') {
+      if (spec.required) missing.push(name);
+      else if (spec.default !== undefined) values[name] = localized(spec.default, language);
+      continue;
+    }
+    if (!['string', 'number', 'boolean'].includes(typeof value)) {
+      return { error: `Variable ${name} must be a string, number or boolean`, code: 'INVALID_TEMPLATE_VARIABLES' };
+    }
+    if (String(value).length > MAX_VARIABLE_LENGTH) {
+      return { error: `Variable ${name} must be at most ${MAX_VARIABLE_LENGTH} characters`, code: 'INVALID_TEMPLATE_VARIABLES' };
+    }
+    values[name] = value;
+  }
+  if (missing.length) {
+    return { error: `Missing variables for template ${template.name}: ${missing.join(', ')}`, code: 'MISSING_TEMPLATE_VARIABLES' };
+  }
+  return { values };
+}
+
+/**
+ * Renders a template for a handler.
+ * @param {string|Object} ref - Template reference ('name', 'name@2' or { name, version })
+ * @param {Object} variables - Variable values
+ * @param {Object} params
+ * @param {string} params.kind - Kind expected by the handler
+ * @param {string} [params.language='es'] - 'es' or 'en'
+ * @returns {Object} { text, system, template: { name, version, language } } or { error, code }
+ */
+function renderTemplate(ref, variables, { kind, language = 'es' }) {
+  const parsed = parseTemplateRef(ref);
+  if (!parsed) return { error: 'template must be a name, "name@version" or { name, version }', code: 'INVALID_TEMPLATE' };
+
+  const template = getTemplate(parsed.name, parsed.version);
+  if (!template || template.kind !== kind) {
+    const label = parsed.version === null ? parsed.name : `${parsed.name}@${parsed.version}`;
+    return { error: `Unknown ${kind} template: ${label}`, code: 'UNKNOWN_TEMPLATE' };
+  }
+  if (!LANGUAGES.includes(language) || !template.prompt[language]) {
+    return { error: `Template ${template.name}@${template.version} is not available in language: ${language}`, code: 'INVALID_LANGUAGE' };
+  }
+
+  const resolved = resolveVariables(template, variables, language);
+  if (resolved.error) return resolved;
+
+  const system = localized(template.system, language);
+  return {
+    text: interpolate(template.prompt[language], resolved.values),
+    system: system ? interpolate(system, resolved.values) : null,
+    template: { name: template.name, version: template.version, language },
+  };
+}
+
+module.exports = {
+  TEMPLATE_KINDS,
+  registerTemplate,
+  parseTemplateRef,
+  getTemplate,
+  listTemplates,
+  renderTemplate,
+};
@@ -0,0 +1,31 @@
+/**
+ * Image prompt templates for /api/image.
+ */
+
+module.exports = [
+  {
+    name: 'lesson-illustration',
+    version: 1,
+    description: 'Friendly illustration for a lesson topic',
+    variables: {
+      topic: { required: true },
+      style: { required: false, default: { es: 'acuarela', en: 'watercolor' } },
+    },
+    prompt: {
+      es: 'Ilustración infantil, amigable y colorida en estilo {{style}} sobre {{topic}}. Sin texto, sin elementos que den miedo.',
+      en: 'Friendly, colorful children\'s illustration in {{style}} style about {{topic}}. No text, nothing scary.',
+    },
+  },
+  {
+    name: 'vocabulary-card',
+    version: 1,
+    description: 'Simple picture for a vocabulary flash card',
+    variables: {
+      word: { required: true },
+    },
+    prompt: {
+      es: 'Dibujo simple y claro de "{{word}}" sobre fondo blanco, estilo tarjeta de vocabulario para niños. Sin texto.',
+      en: 'Simple, clear drawing of "{{word}}" on a white background, children\'s vocabulary flash card style. No text.',
+    },
+  },
+];
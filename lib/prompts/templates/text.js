@@ -0,0 +1,63 @@
+/**
+ * Text prompt templates for /api/chat.
+ * Add a new entry with a higher version to revise a template; older
+ * versions stay available so their results can be compared.
+ */
+
+module.exports = [
+  {
+    name: 'explain-concept',
+    version: 1,
+    description: 'Short explanation of a concept',
+    variables: {
+      concept: { required: true },
+    },
+    prompt: {
+      es: 'Explica qué es {{concept}} de forma sencilla.',
+      en: 'Explain what {{concept}} is in simple terms.',
+    },
+  },
+  {
+    name: 'explain-concept',
+    version: 2,
+    description: 'Explanation with an everyday example and a check-for-understanding question',
+    variables: {
+      concept: { required: true },
+      subject: { required: false, default: { es: 'ciencias', en: 'science' } },
+    },
+    system: {
+      es: 'Eres un maestro paciente de {{subject}}. Respondes siempre en español, con calidez y sin dar nada por sabido.',
+      en: 'You are a patient {{subject}} teacher. You always answer in English, warmly and without assuming prior knowledge.',
+    },
+    prompt: {
+      es: 'Explica {{concept}}. Empieza con la idea principal en una frase, da un ejemplo de la vida diaria y termina con una pregunta corta para comprobar que se entendió.',
+      en: 'Explain {{concept}}. Start with the main idea in one sentence, give an everyday example and finish with a short question to check understanding.',
+    },
+  },
+  {
+    name: 'short-story',
+    version: 1,
+    description: 'Short story that teaches a topic',
+    variables: {
+      topic: { required: true },
+      character: { required: false, default: { es: 'un zorro curioso', en: 'a curious fox' } },
+    },
+    prompt: {
+      es: 'Escribe un cuento corto (máximo 150 palabras) protagonizado por {{character}} que enseñe algo sobre {{topic}}. Termina con una moraleja de una frase.',
+      en: 'Write a short story (at most 150 words) starring {{character}} that teaches something about {{topic}}. End with a one-sentence moral.',
+    },
+  },
+  {
+    name: 'practice-questions',
+    version: 1,
+    description: 'Practice questions with answers',
+    variables: {
+      topic: { required: true },
+      count: { required: false, default: 3 },
+    },
+    prompt: {
+      es: 'Escribe {{count}} preguntas de práctica sobre {{topic}}, numeradas, cada una seguida de su respuesta correcta en una línea que empiece con "Respuesta:".',
+      en: 'Write {{count}} practice questions about {{topic}}, numbered, each followed by its correct answer on a line starting with "Answer:".',
+    },
+  },
+];
@@ -0,0 +1,30 @@
+/**
+ * Speech templates for /api/tts.
+ */
+
+module.exports = [
+  {
+    name: 'read-aloud',
+    version: 1,
+    description: 'Reads a passage with a short introduction',
+    variables: {
+      text: { required: true },
+    },
+    prompt: {
+      es: 'Escucha con atención. {{text}}',
+      en: 'Listen carefully. {{text}}',
+    },
+  },
+  {
+    name: 'word-pronunciation',
+    version: 1,
+    description: 'Repeats a word slowly for pronunciation practice',
+    variables: {
+      word: { required: true },
+    },
+    prompt: {
+      es: '{{word}}... {{word}}. La palabra es: {{word}}.',
+      en: '{{word}}... {{word}}. The word is: {{word}}.',
+    },
+  },
+];
@@ -0,0 +1,223 @@
+/**
+ * Typed errors thrown by the provider adapters.
+ * Each error carries the provider, the HTTP status, whether the failure is
+ * worth retrying, and a redacted, truncated copy of the response body.
+ * The orchestrator uses `fallback` to decide whether trying the next
+ * provider makes sense, and handlers map the collected error types to the
+ * status returned to the client.
+ */
+
+const { parseRetryAfter } = require('./retry');
+const { redactSecrets } = require('./logger');
+
+const MAX_BODY_LENGTH = 500;
+
+const QUOTA_PATTERN = /quota|billing|insufficient[_ ]?(quota|funds|credits)|credit balance|exceeded your current/i;
+// Error codes meaning the provider refused the content: OpenAI's
+// content_policy_violation and Azure OpenAI's content_filter
+const CONTENT_POLICY_CODES = ['content_policy_violation', 'content_filter'];
+const CONTENT_POLICY_CODE_PATTERN = /"code"\s*:\s*"(content_policy_violation|content_filter)"/;
+// Gemini finish reasons meaning the output was withheld by a safety filter
+const GEMINI_SAFETY_REASONS = ['SAFETY', 'BLOCKLIST', 'PROHIBITED_CONTENT', 'SPII', 'IMAGE_SAFETY'];
+
+/**
+ * Redacts credentials from a provider response body and truncates it.
+ * @param {string} body - Raw response body
+ * @returns {string} Safe body for logs and error details
+ */
+function redactBody(body) {
+  if (!body) return '';
+  const redacted = redactSecrets(body);
+  return redacted.length > MAX_BODY_LENGTH ? `${redacted.slice(0, MAX_BODY_LENGTH)}…` : redacted;
+}
+
+class ProviderError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} [params]
+   * @param {string} [params.provider] - Provider ID
+   * @param {number} [params.status] - HTTP status
+   * @param {string} [params.body] - Response body (redacted here)
+   * @param {number} [params.retryAfterMs] - Delay asked for by the provider
+   */
+  constructor(message, { provider = null, status = null, body = '', retryAfterMs = null } = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.provider = provider;
+    this.status = status;
+    this.body = redactBody(body);
+    this.retryAfterMs = retryAfterMs;
+  }
+
+  /** Error type reported in error details and used by the circuit breakers */
+  get type() { return 'api'; }
+
+  /** Machine-readable error code */
+  get code() { return 'PROVIDER_ERROR'; }
+
+  /** Whether the same request may succeed if repeated later */
+  get retryable() { return false; }
+
+  /** Whether another provider may succeed with the same request */
+  get fallback() { return true; }
+
+  toJSON() {
+    return {
+      name: this.name,
+      type: this.type,
+      code: this.code,
+      message: this.message,
+      provider: this.provider,
+      status: this.status,
+      retryable: this.retryable,
+      body: this.body,
+    };
+  }
+}
+
+class AuthError extends ProviderError {
+  get type() { return 'auth'; }
+  get code() { return 'PROVIDER_AUTH_FAILED'; }
+}
+
+// The adapter is missing its key or URL; no request was sent, so the
+// failure says nothing about the provider's health
+class ConfigError extends ProviderError {
+  get type() { return 'config'; }
+  get code() { return 'PROVIDER_NOT_CONFIGURED'; }
+}
+
+class RateLimitError extends ProviderError {
+  get type() { return 'rate_limit'; }
+  get code() { return 'PROVIDER_RATE_LIMITED'; }
+  get retryable() { return true; }
+}
+
+class QuotaError extends ProviderError {
+  get type() { return 'quota'; }
+  get code() { return 'PROVIDER_QUOTA_EXCEEDED'; }
+}
+
+class BadRequestError extends ProviderError {
+  get type() { return 'bad_request'; }
+  get code() { return 'PROVIDER_BAD_REQUEST'; }
+}
+
+// Refused for its content: other providers are not asked to produce it
+class ContentPolicyError extends ProviderError {
+  get type() { return 'content_policy'; }
+  get code() { return 'PROVIDER_CONTENT_POLICY'; }
+  get fallback() { return false; }
+}
+
+// Blocked by the provider's own safety filters; `reason` is the provider's
+// block or finish reason (e.g. SAFETY, PROHIBITED_CONTENT)
+class SafetyBlockError extends ContentPolicyError {
+  constructor(message, { reason = null, ...params } = {}) {
+    super(message, params);
+    this.reason = reason;
+  }
+
+  get code() { return 'PROVIDER_SAFETY_BLOCKED'; }
+}
+
+// The provider stopped without usable output for a reason other than safety
+// (e.g. RECITATION, MAX_TOKENS); another provider may do better
+class IncompleteResponseError extends ProviderError {
+  constructor(message, { reason = null, ...params } = {}) {
+    super(message, params);
+    this.reason = reason;
+  }
+
+  get type() { return 'incomplete'; }
+  get code() { return 'PROVIDER_INCOMPLETE_RESPONSE'; }
+}
+
+class ServerError extends ProviderError {
+  get type() { return 'server'; }
+  get code() { return 'PROVIDER_SERVER_ERROR'; }
+  get retryable() { return true; }
+}
+
+class TimeoutError extends ProviderError {
+  get type() { return 'timeout'; }
+  get code() { return 'PROVIDER_TIMEOUT'; }
+  get retryable() { return true; }
+}
+
+/**
+ * Checks whether an error body is a provider's content policy refusal:
+ * OpenAI or Azure error codes, or a Gemini prompt block or safety finish
+ * reason. Other 4xx bodies are ordinary bad requests, whatever words they use.
+ * @param {string} body - Response body
+ * @returns {boolean}
+ */
+function isContentPolicyBody(body) {
+  let json;
+  try {
+    json = JSON.parse(body);
+  } catch (e) {
+    return CONTENT_POLICY_CODE_PATTERN.test(body);
+  }
+  if (!json || typeof json !== 'object') return false;
+  const error = json.error || {};
+  const codes = [error.code, error.innererror && error.innererror.code];
+  if (codes.some(code => CONTENT_POLICY_CODES.includes(code))) return true;
+  const blockReason = json.promptFeedback && json.promptFeedback.blockReason;
+  if (blockReason && blockReason !== 'BLOCK_REASON_UNSPECIFIED') return true;
+  return (json.candidates || []).some(c => c && GEMINI_SAFETY_REASONS.includes(c.finishReason));
+}
+
+/**
+ * Picks the error class for a failed HTTP response.
+ * @param {number} status - HTTP status
+ * @param {string} [body] - Response body
+ * @returns {Function} ProviderError subclass
+ */
+function errorClassFor(status, body = '') {
+  if (status === 401 || status === 403) return AuthError;
+  if (status === 402) return QuotaError;
+  if (status === 429) return QUOTA_PATTERN.test(body) ? QuotaError : RateLimitError;
+  if (status === 408 || status === 504) return TimeoutError;
+  if (status >= 500) return ServerError;
+  if (status === 451 || (status >= 400 && isContentPolicyBody(body))) return ContentPolicyError;
+  if (status >= 400) return BadRequestError;
+  return ProviderError;
+}
+
+/**
+ * Builds the typed error for a failed HTTP response, reading its body.
+ * @param {string} provider - Provider ID
+ * @param {Response} res - Failed fetch response
+ * @param {string} [prefix='HTTP'] - Message prefix, e.g. 'OpenAI API error'
+ * @returns {Promise<ProviderError>}
+ */
+async function providerErrorFromResponse(provider, res, prefix = 'HTTP') {
+  const body = typeof res.text === 'function' ? await res.text().catch(() => '') : '';
+  const retryAfterMs = res.headers && typeof res.headers.get === 'function' ? parseRetryAfter(res.headers.get('retry-after')) : null;
+  const ErrorClass = errorClassFor(res.status, body);
+  return new ErrorClass(`${prefix} ${res.status}: ${redactBody(body) || 'No response body'}`, {
+    provider,
+    status: res.status,
+    body,
+    retryAfterMs,
+  });
+}
+
+module.exports = {
+  redactBody,
+  ProviderError,
+  AuthError,
+  ConfigError,
+  RateLimitError,
+  QuotaError,
+  BadRequestError,
+  ContentPolicyError,
+  SafetyBlockError,
+  IncompleteResponseError,
+  ServerError,
+  TimeoutError,
+  isContentPolicyBody,
+  errorClassFor,
+  providerErrorFromResponse,
+};
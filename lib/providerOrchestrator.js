@@ -0,0 +1,517 @@
+/**
+ * Shared provider orchestration for the API handlers.
+ * Builds adapter lists from environment configuration and runs a
+ * capability call across them using a pluggable fallback strategy.
+ */
+
+const { getAdapter } = require('../adapters/index');
+const { CAPABILITY_METHODS, createAdapter, unsupportedReason } = require('../adapters/registry');
+const { formatErrorDetails } = require('./errorUtils');
+const { getBreaker } = require('./circuitBreaker');
+const { resolveEndpointSettings, resolveProviderSettings } = require('./envValidator');
+const { setSignalDeadline } = require('./retry');
+const { recordAttempt } = require('./providerStats');
+const { recordProviderAttempt, recordPipelineRun } = require('./metrics');
+const { meterAdapter } = require('./usage');
+const { createLogger } = require('./logger');
+
+const log = createLogger('Orchestrator');
+
+const DEFAULT_STRATEGY = 'sequential';
+const DEFAULT_HEDGE_DELAY_MS = 2000;
+
+function createTimeoutController(timeoutMs) {
+  const controller = new AbortController();
+  setSignalDeadline(controller.signal, Date.now() + timeoutMs);
+  const id = setTimeout(() => controller.abort(), timeoutMs);
+  return { controller, clear: () => clearTimeout(id) };
+}
+
+/**
+ * Reads a comma-separated provider list from the environment.
+ * @param {string} envVar - Name of the list variable (e.g. 'TEXT_PROVIDERS')
+ * @param {string} fallbackUrlName - Legacy single URL variable (e.g. 'PRIMARY_TEXT_API_URL')
+ * @returns {string[]} Provider IDs, or ['primary'] when only the legacy URL is set
+ */
+function parseProvidersEnv(envVar, fallbackUrlName) {
+  const list = process.env[envVar];
+  if (list && list.trim()) return list.split(',').map(s => s.trim()).filter(Boolean);
+  // Backwards compatibility: if primary single URL env present, use "primary" pseudo provider
+  if (process.env[fallbackUrlName]) return ['primary'];
+  return [];
+}
+
+/**
+ * Builds adapters for a list of provider IDs.
+ * @param {string[]} providerIds - Provider IDs in fallback order
+ * @param {string} primaryPrefix - Prefix of the legacy PRIMARY_* variables (e.g. 'PRIMARY_TEXT')
+ * @returns {Object[]} Adapters
+ */
+function buildAdapters(providerIds, primaryPrefix) {
+  return providerIds.map(id => {
+    if (id === 'primary') {
+      // map old PRIMARY_* envs to a generic adapter config
+      const cfg = {
+        id: 'primary',
+        url: process.env[`${primaryPrefix}_API_URL`] || process.env[`${primaryPrefix}_API_ENDPOINT`] || '',
+        key: process.env[`${primaryPrefix}_API_KEY`] || '',
+      };
+      return createAdapter('generic', cfg);
+    }
+    // Unknown IDs resolve to a generic adapter built from PROVIDER_<ID>_*
+    return getAdapter(id);
+  });
+}
+
+/**
+ * Parses a weight list such as "gemini=3,openai=1".
+ * @param {string} value - Raw weight list
+ * @returns {Object} Map of provider ID to weight
+ */
+function parseWeights(value) {
+  const weights = {};
+  if (!value) return weights;
+  for (const pair of value.split(',')) {
+    const [id, raw] = pair.split(/[=:]/).map(s => s && s.trim());
+    const weight = parseFloat(raw);
+    if (id && Number.isFinite(weight) && weight >= 0) weights[id] = weight;
+  }
+  return weights;
+}
+
+/**
+ * Resolves the strategy settings for an endpoint from the environment.
+ * Reads <CATEGORY>_STRATEGY (falling back to the provider config file),
+ * <CATEGORY>_HEDGE_DELAY_MS (or HEDGE_DELAY_MS) and <CATEGORY>_PROVIDER_WEIGHTS.
+ * @param {string} category - Endpoint category ('TEXT', 'TTS' or 'IMAGE')
+ * @returns {Object} Strategy settings
+ */
+function resolveStrategyConfig(category) {
+  const env = process.env;
+  const configured = resolveEndpointSettings(category.toLowerCase()).strategy;
+  return {
+    name: (env[`${category}_STRATEGY`] || configured || DEFAULT_STRATEGY).trim().toLowerCase(),
+    hedgeDelayMs: parseInt(env[`${category}_HEDGE_DELAY_MS`] || env.HEDGE_DELAY_MS || String(DEFAULT_HEDGE_DELAY_MS), 10),
+    weights: parseWeights(env[`${category}_PROVIDER_WEIGHTS`]),
+  };
+}
+
+// Strategies receive the adapters in configured order and an `attempt`
+// function returning a promise of { ok, adapterId, result }. They resolve
+// with the first successful outcome, or null when every attempt failed.
+
+async function sequential(adapters, attempt) {
+  for (const adapter of adapters) {
+    const outcome = await attempt(adapter);
+    if (outcome.ok) return outcome;
+  }
+  return null;
+}
+
+function hedged(adapters, attempt, settings) {
+  const delay = Number.isFinite(settings.hedgeDelayMs) ? settings.hedgeDelayMs : DEFAULT_HEDGE_DELAY_MS;
+  return new Promise(resolve => {
+    let next = 0;
+    let pending = 0;
+    let done = false;
+    let timer = null;
+
+    function launch() {
+      clearTimeout(timer);
+      if (done || next >= adapters.length) return;
+      const adapter = adapters[next++];
+      pending++;
+      attempt(adapter).then(outcome => {
+        pending--;
+        if (done) return;
+        if (outcome.ok) {
+          done = true;
+          clearTimeout(timer);
+          return resolve(outcome);
+        }
+        // A failure starts the next provider straight away
+        if (next < adapters.length) return launch();
+        if (pending === 0) {
+          done = true;
+          resolve(null);
+        }
+      });
+      if (next < adapters.length) timer = setTimeout(launch, delay);
+    }
+
+    if (!adapters.length) return resolve(null);
+    launch();
+  });
+}
+
+function race(adapters, attempt) {
+  return new Promise(resolve => {
+    let remaining = adapters.length;
+    let done = false;
+    if (!remaining) return resolve(null);
+    for (const adapter of adapters) {
+      attempt(adapter).then(outcome => {
+        remaining--;
+        if (done) return;
+        if (outcome.ok) {
+          done = true;
+          return resolve(outcome);
+        }
+        if (remaining === 0) resolve(null);
+      });
+    }
+  });
+}
+
+function weighted(adapters, attempt, settings) {
+  const random = settings.random || Math.random;
+  const weightOf = adapter => {
+    const w = settings.weights && settings.weights[adapterIdOf(adapter)];
+    return w === undefined ? 1 : w;
+  };
+  const total = adapters.reduce((sum, a) => sum + weightOf(a), 0);
+  let primaryIndex = 0;
+  if (total > 0) {
+    let roll = random() * total;
+    primaryIndex = adapters.findIndex(a => (roll -= weightOf(a)) < 0);
+    if (primaryIndex < 0) primaryIndex = adapters.length - 1;
+  }
+  const ordered = [adapters[primaryIndex], ...adapters.filter((_, i) => i !== primaryIndex)];
+  return sequential(ordered, attempt);
+}
+
+const strategies = { sequential, hedged, race, weighted };
+
+/**
+ * Registers a custom fallback strategy.
+ * @param {string} name - Strategy name used in <CATEGORY>_STRATEGY
+ * @param {Function} fn - (adapters, attempt, settings) => Promise<outcome|null>
+ */
+function registerStrategy(name, fn) {
+  strategies[name.toLowerCase()] = fn;
+}
+
+function adapterIdOf(adapter) {
+  return adapter.providerId || adapter.provider || 'unknown';
+}
+
+// Records an attempt in the provider stats and metrics
+function noteAttempt(label, adapterId, startedAt, outcome, errorType) {
+  const durationMs = Date.now() - startedAt;
+  recordAttempt(adapterId, { durationMs, ok: outcome !== 'failure', errorType });
+  recordProviderAttempt(label, adapterId, { durationMs, outcome, errorType });
+}
+
+// Log fields for a failed attempt; provider response bodies are left out
+// because they can echo student text
+function failureFields(label, adapterId, errorDetails, startedAt) {
+  return {
+    label,
+    provider: adapterId,
+    errorType: errorDetails.errorType,
+    code: errorDetails.code || undefined,
+    status: errorDetails.status || undefined,
+    error: errorDetails.status ? undefined : errorDetails.message,
+    durationMs: Date.now() - startedAt,
+  };
+}
+
+// Error entry reported to clients for a failed attempt
+function errorEntry(adapterId, errorDetails, startedAt) {
+  const entry = { provider: adapterId, error: errorDetails.message, errorType: errorDetails.errorType };
+  if (errorDetails.status) entry.status = errorDetails.status;
+  if (errorDetails.retryable !== undefined) entry.retryable = errorDetails.retryable;
+  entry.durationMs = Date.now() - startedAt;
+  return entry;
+}
+
+// Capability served by an adapter method (e.g. 'text' for generateText)
+function capabilityOf(method) {
+  return Object.keys(CAPABILITY_METHODS).find(capability => CAPABILITY_METHODS[capability] === method) || null;
+}
+
+/**
+ * Splits adapters into those that can serve a request and those that cannot.
+ * An adapter qualifies when it supports any of the capabilities; the reason
+ * reported for one that does not is the one for the first capability.
+ * @param {string} label - Log label
+ * @param {Object[]} adapters - Adapters in configured order
+ * @param {string[]} capabilities - Acceptable capabilities, preferred first
+ * @param {Object} [requirements] - { inputChars, voice } of the request
+ * @returns {Object} { candidates, unsupported }; unsupported entries are { provider, reason }
+ */
+function supportedAdapters(label, adapters, capabilities, requirements) {
+  const candidates = [];
+  const unsupported = [];
+  for (const adapter of adapters) {
+    if (!adapter) continue;
+    const reasons = capabilities.map(capability => unsupportedReason(adapter, capability, requirements));
+    if (reasons.some(reason => !reason)) {
+      candidates.push(adapter);
+      continue;
+    }
+    const provider = adapterIdOf(adapter);
+    log.debug('Skipping provider: not supported', { label, provider, capability: capabilities[0], reason: reasons[0] });
+    unsupported.push({ provider, reason: reasons[0] });
+  }
+  return { candidates, unsupported };
+}
+
+/**
+ * Resolves the timeout for one attempt: the provider's own timeout (else the
+ * endpoint default), capped by what is left of the request deadline.
+ * @param {string} adapterId - Provider ID
+ * @param {number} timeoutMs - Endpoint default timeout
+ * @param {number} [deadlineAt] - Epoch ms by which the request must finish
+ * @returns {number} Milliseconds allowed; 0 or less when the budget is exhausted
+ */
+function attemptTimeoutMs(adapterId, timeoutMs, deadlineAt) {
+  const own = resolveProviderSettings(adapterId).timeoutMs || timeoutMs;
+  return deadlineAt ? Math.min(own, deadlineAt - Date.now()) : own;
+}
+
+/**
+ * Runs a capability call across adapters using the configured strategy.
+ * @param {Object} params
+ * @param {string} params.label - Log label (e.g. 'Chat')
+ * @param {Object[]} params.adapters - Adapters in configured order
+ * @param {string} params.method - Adapter method name (e.g. 'generateText')
+ * @param {Function} params.call - (adapter, signal) => Promise<result>
+ * @param {Function} params.isUsable - (result) => boolean
+ * @param {number} params.timeoutMs - Default timeout per attempt; providers may set their own
+ * @param {number} [params.deadlineAt] - Epoch ms by which the whole run must finish
+ * @param {Object} [params.strategy] - Strategy settings from resolveStrategyConfig
+ * @param {Object} [params.requirements] - { inputChars, voice }; adapters whose declared
+ *   capabilities rule the request out are not tried
+ * @returns {Promise<Object>} { result, adapterId, errors, skipped, unsupported }; result is null
+ *   when all failed. Each error includes durationMs, the time spent on that attempt, and the
+ *   HTTP status and retryability when the adapter reported them. Errors that
+ *   rule out other providers (content policy refusals) stop the fallback.
+ *   Providers without the capability are listed in unsupported as { provider, reason }; those
+ *   not tried because their circuit was open or the deadline had passed are listed in skipped
+ *   as { provider, reason: 'circuit_open' | 'deadline' }.
+ */
+async function runWithFallback({ label, adapters, method, call, isUsable, timeoutMs, deadlineAt, strategy, requirements }) {
+  const settings = strategy || { name: DEFAULT_STRATEGY };
+  let run = strategies[settings.name];
+  if (!run) {
+    log.warn(`Unknown strategy '${settings.name}', using ${DEFAULT_STRATEGY}`, { label });
+    run = strategies[DEFAULT_STRATEGY];
+  }
+
+  const capability = capabilityOf(method);
+  const { candidates, unsupported } = capability
+    ? supportedAdapters(label, adapters, [capability], requirements)
+    : { candidates: adapters.filter(adapter => adapter && typeof adapter[method] === 'function'), unsupported: [] };
+  const errors = []; // Collect all errors for detailed response
+  const skipped = []; // { provider, reason: 'circuit_open' | 'deadline' }
+  const inFlight = new Set();
+  let finished = false;
+  let halted = false; // Set when a failure rules out the remaining providers
+  let attempted = 0;
+  const runStartedAt = Date.now();
+
+  async function attempt(adapter) {
+    const adapterId = adapterIdOf(adapter);
+    if (halted) return { ok: false, adapterId };
+    const allowedMs = attemptTimeoutMs(adapterId, timeoutMs, deadlineAt);
+    if (allowedMs <= 0) {
+      log.warn('Skipping provider: request deadline exhausted', { label, provider: adapterId });
+      skipped.push({ provider: adapterId, reason: 'deadline' });
+      return { ok: false, adapterId, skipped: true };
+    }
+    const breaker = getBreaker(adapterId);
+    if (!breaker.tryAcquire()) {
+      log.warn('Skipping provider: circuit open', { label, provider: adapterId });
+      skipped.push({ provider: adapterId, reason: 'circuit_open' });
+      return { ok: false, adapterId, skipped: true };
+    }
+    const { controller, clear } = createTimeoutController(allowedMs);
+    inFlight.add(controller);
+    attempted++;
+    const startedAt = Date.now();
+    try {
+      log.debug('Attempting provider', { label, provider: adapterId });
+      const result = await call(meterAdapter(adapter, label), controller.signal);
+      // The provider answered, so an empty result does not count against its circuit
+      breaker.onSuccess();
+      const usable = isUsable(result);
+      noteAttempt(label, adapterId, startedAt, usable ? 'success' : 'empty');
+      if (usable) {
+        log.info('Provider succeeded', { label, provider: adapterId, durationMs: Date.now() - startedAt });
+        return { ok: true, adapterId, result };
+      }
+      // Result was empty/null - log and continue
+      if (!finished) {
+        log.warn('Provider returned empty result', { label, provider: adapterId, durationMs: Date.now() - startedAt });
+        errors.push({ provider: adapterId, error: 'Empty result returned', errorType: 'empty_response', durationMs: Date.now() - startedAt });
+      }
+    } catch (err) {
+      // Losers cancelled after another provider won are not failures
+      if (finished) {
+        breaker.release();
+      } else {
+        const errorDetails = formatErrorDetails(err, adapterId);
+        breaker.onFailure(errorDetails.errorType);
+        noteAttempt(label, adapterId, startedAt, 'failure', errorDetails.errorType);
+        log.warn('Provider failed', failureFields(label, adapterId, errorDetails, startedAt));
+        errors.push(errorEntry(adapterId, errorDetails, startedAt));
+        if (err.fallback === false) {
+          log.warn(`Not falling back after ${errorDetails.errorType} error`, { label, provider: adapterId });
+          halted = true;
+        }
+      }
+    } finally {
+      clear();
+      inFlight.delete(controller);
+    }
+    return { ok: false, adapterId };
+  }
+
+  const outcome = await run(candidates, attempt, settings);
+  finished = true;
+  // Cancel hedged/raced requests that are still running
+  inFlight.forEach(controller => controller.abort());
+  recordPipelineRun(label, { ok: !!outcome, depth: attempted, durationMs: Date.now() - runStartedAt, skipped: skipped.length });
+
+  return {
+    result: outcome ? outcome.result : null,
+    adapterId: outcome ? outcome.adapterId : null,
+    errors,
+    skipped,
+    unsupported,
+  };
+}
+
+/**
+ * Streams text from the first provider that produces a chunk.
+ * Providers are tried in order; a failure before the first chunk falls back
+ * to the next provider, while a failure mid-stream ends the stream. Once
+ * started, a stream is aborted when no chunk arrives for idleTimeoutMs or
+ * when deadlineAt passes. Adapters without `streamText` are used through
+ * `generateText` as a single chunk.
+ * @param {Object} params
+ * @param {string} params.label - Log label (e.g. 'Chat')
+ * @param {Object[]} params.adapters - Adapters in configured order
+ * @param {Object} params.input - Arguments passed to streamText/generateText (without signal)
+ * @param {Function} params.onStart - (adapterId) => void, called before the first chunk
+ * @param {Function} params.onChunk - (text) => void
+ * @param {number} params.timeoutMs - Default time allowed to receive the first chunk
+ * @param {number} [params.deadlineAt] - Epoch ms by which the stream must have finished
+ * @param {number} [params.idleTimeoutMs] - Longest gap allowed between chunks (defaults to timeoutMs)
+ * @param {AbortSignal} [params.signal] - Aborts the stream, e.g. when the client disconnects
+ * @param {Object} [params.requirements] - { inputChars } of the request
+ * @returns {Promise<Object>} { adapterId, started, errors, skipped, unsupported, streamError, aborted }
+ */
+async function runStreamWithFallback({ label, adapters, input, onStart, onChunk, timeoutMs, deadlineAt, idleTimeoutMs = timeoutMs, signal, requirements }) {
+  const errors = [];
+  const skipped = []; // { provider, reason: 'circuit_open' | 'deadline' }
+  const { candidates, unsupported } = supportedAdapters(label, adapters, ['stream', 'text'], requirements);
+  const runStartedAt = Date.now();
+  let attempted = 0;
+
+  for (const adapter of candidates) {
+    if (signal && signal.aborted) break;
+    const adapterId = adapterIdOf(adapter);
+    const allowedMs = attemptTimeoutMs(adapterId, timeoutMs, deadlineAt);
+    if (allowedMs <= 0) {
+      log.warn('Skipping provider: request deadline exhausted', { label, provider: adapterId });
+      skipped.push({ provider: adapterId, reason: 'deadline' });
+      continue;
+    }
+    const breaker = getBreaker(adapterId);
+    if (!breaker.tryAcquire()) {
+      log.warn('Skipping provider: circuit open', { label, provider: adapterId });
+      skipped.push({ provider: adapterId, reason: 'circuit_open' });
+      continue;
+    }
+    const { controller, clear: clearFirstChunk } = createTimeoutController(allowedMs);
+    let idleTimer = null;
+    // Restarted on every chunk; never runs past the deadline
+    const armIdleTimer = () => {
+      clearTimeout(idleTimer);
+      const idleMs = deadlineAt ? Math.min(idleTimeoutMs, deadlineAt - Date.now()) : idleTimeoutMs;
+      idleTimer = setTimeout(() => controller.abort(), Math.max(idleMs, 0));
+    };
+    const abortUpstream = () => controller.abort();
+    if (signal) signal.addEventListener('abort', abortUpstream);
+    const clear = () => {
+      clearFirstChunk();
+      clearTimeout(idleTimer);
+      if (signal) signal.removeEventListener('abort', abortUpstream);
+    };
+    attempted++;
+    const startedAt = Date.now();
+    let started = false;
+    try {
+      log.debug('Attempting streaming provider', { label, provider: adapterId });
+      const metered = meterAdapter(adapter, label);
+      const chunks = !unsupportedReason(adapter, 'stream', requirements)
+        ? metered.streamText({ ...input, signal: controller.signal })
+        : singleChunk(metered, { ...input, signal: controller.signal });
+      for await (const delta of chunks) {
+        if (!delta) continue;
+        if (!started) {
+          // Once the first chunk is out there is no falling back
+          started = true;
+          clearFirstChunk();
+          breaker.onSuccess();
+          noteAttempt(label, adapterId, startedAt, 'success');
+          recordPipelineRun(label, { ok: true, depth: attempted, durationMs: Date.now() - runStartedAt, skipped: skipped.length });
+          onStart(adapterId);
+        }
+        armIdleTimer();
+        onChunk(delta);
+      }
+      clear();
+      if (started) {
+        log.info('Stream completed', { label, provider: adapterId, durationMs: Date.now() - startedAt });
+        return { adapterId, started, errors, skipped, unsupported, streamError: null, aborted: false };
+      }
+      breaker.onSuccess();
+      noteAttempt(label, adapterId, startedAt, 'empty');
+      log.warn('Provider returned empty stream', { label, provider: adapterId, durationMs: Date.now() - startedAt });
+      errors.push({ provider: adapterId, error: 'Empty result returned', errorType: 'empty_response', durationMs: Date.now() - startedAt });
+    } catch (err) {
+      clear();
+      if (signal && signal.aborted) {
+        // The caller went away; not the provider's fault
+        log.info('Stream aborted by the client', { label, provider: adapterId, durationMs: Date.now() - startedAt });
+        return { adapterId: started ? adapterId : null, started, errors, skipped, unsupported, streamError: null, aborted: true };
+      }
+      const errorDetails = formatErrorDetails(err, adapterId);
+      log.warn(started ? 'Provider failed mid-stream' : 'Provider failed', failureFields(label, adapterId, errorDetails, startedAt));
+      if (started) {
+        return { adapterId, started, errors, skipped, unsupported, streamError: errorDetails, aborted: false };
+      }
+      breaker.onFailure(errorDetails.errorType);
+      noteAttempt(label, adapterId, startedAt, 'failure', errorDetails.errorType);
+      errors.push(errorEntry(adapterId, errorDetails, startedAt));
+      if (err.fallback === false) {
+        log.warn(`Not falling back after ${errorDetails.errorType} error`, { label, provider: adapterId });
+        break;
+      }
+    }
+  }
+
+  recordPipelineRun(label, { ok: false, depth: attempted, durationMs: Date.now() - runStartedAt, skipped: skipped.length });
+  return { adapterId: null, started: false, errors, skipped, unsupported, streamError: null, aborted: !!(signal && signal.aborted) };
+}
+
+async function* singleChunk(adapter, args) {
+  const result = await adapter.generateText(args);
+  if (result && result.text) yield result.text;
+}
+
+module.exports = {
+  createTimeoutController,
+  parseProvidersEnv,
+  buildAdapters,
+  parseWeights,
+  resolveStrategyConfig,
+  registerStrategy,
+  attemptTimeoutMs,
+  runWithFallback,
+  runStreamWithFallback,
+  strategies,
+};
@@ -0,0 +1,81 @@
+/**
+ * In-memory latency and outcome statistics per provider.
+ * The orchestrator records every attempt; /api/health reports the summary.
+ */
+
+// Latency samples kept per provider
+const WINDOW_SIZE = 50;
+
+const stats = new Map();
+
+function statsFor(providerId) {
+  if (!stats.has(providerId)) {
+    stats.set(providerId, {
+      attempts: 0,
+      failures: 0,
+      samples: [],
+      lastSuccessAt: null,
+      lastFailureAt: null,
+      lastErrorType: null,
+    });
+  }
+  return stats.get(providerId);
+}
+
+/**
+ * Records the outcome of one provider attempt.
+ * @param {string} providerId - Provider ID
+ * @param {Object} outcome
+ * @param {number} outcome.durationMs - Time spent on the attempt
+ * @param {boolean} outcome.ok - Whether the provider answered
+ * @param {string} [outcome.errorType] - From formatErrorDetails when it failed
+ */
+function recordAttempt(providerId, { durationMs, ok, errorType = null }) {
+  const entry = statsFor(providerId);
+  entry.attempts++;
+  entry.samples.push(durationMs);
+  if (entry.samples.length > WINDOW_SIZE) entry.samples.shift();
+  if (ok) {
+    entry.lastSuccessAt = new Date().toISOString();
+  } else {
+    entry.failures++;
+    entry.lastFailureAt = new Date().toISOString();
+    entry.lastErrorType = errorType;
+  }
+}
+
+function percentile(sorted, p) {
+  if (!sorted.length) return null;
+  return sorted[Math.min(sorted.length - 1, Math.ceil((p / 100) * sorted.length) - 1)];
+}
+
+/**
+ * Summarises the recorded attempts per provider.
+ * Latencies cover the last attempts only (see WINDOW_SIZE).
+ * @returns {Object[]} { providerId, attempts, failures, latencyMs: { avg, p50, p95 }, lastSuccessAt, lastFailureAt, lastErrorType }
+ */
+function getProviderStats() {
+  return Array.from(stats.entries()).map(([providerId, entry]) => {
+    const sorted = [...entry.samples].sort((a, b) => a - b);
+    const avg = sorted.length ? Math.round(sorted.reduce((sum, ms) => sum + ms, 0) / sorted.length) : null;
+    return {
+      providerId,
+      attempts: entry.attempts,
+      failures: entry.failures,
+      latencyMs: { avg, p50: percentile(sorted, 50), p95: percentile(sorted, 95) },
+      lastSuccessAt: entry.lastSuccessAt,
+      lastFailureAt: entry.lastFailureAt,
+      lastErrorType: entry.lastErrorType,
+    };
+  });
+}
+
+function resetProviderStats() {
+  stats.clear();
+}
+
+module.exports = {
+  recordAttempt,
+  getProviderStats,
+  resetProviderStats,
+};
@@ -0,0 +1,72 @@
+/**
+ * Server-side store for generated quizzes.
+ * /api/quiz saves each quiz with its answer key under a random ID and sends
+ * the browser only the questions; /api/quiz/grade grades against the stored
+ * copy. Quizzes live in memory, or as files under QUIZ_STORE_DIR so they
+ * survive restarts, for QUIZ_TTL_MS (30 days by default).
+ */
+
+const crypto = require('crypto');
+const { ROLES } = require('./auth');
+const { createMemoryCache, createFileCache } = require('./resultCache');
+
+const DEFAULT_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+const MAX_QUIZZES = 5000;
+const QUIZ_ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+
+let sharedStore = null;
+
+function getQuizStore() {
+  if (!sharedStore) {
+    const settings = {
+      ttlMs: parseInt(process.env.QUIZ_TTL_MS || '', 10) || DEFAULT_TTL_MS,
+      maxEntries: MAX_QUIZZES,
+      dir: process.env.QUIZ_STORE_DIR || undefined,
+    };
+    sharedStore = settings.dir ? createFileCache(settings) : createMemoryCache(settings);
+  }
+  return sharedStore;
+}
+
+/**
+ * Replaces the quiz store backend (e.g. in tests).
+ * @param {Object|null} store - Cache backend, or null to recreate from env on next use
+ */
+function setQuizStore(store) {
+  sharedStore = store;
+}
+
+/**
+ * Stores a quiz, answer key included.
+ * @param {Object} quiz - { language, questions } with question IDs assigned
+ * @param {Object} [params] - { classroomId } the quiz was made for, if any
+ * @returns {Promise<string>} Quiz ID
+ */
+async function saveQuiz(quiz, { classroomId = null } = {}) {
+  const id = crypto.randomUUID();
+  await getQuizStore().set(id, { quiz, classroomId, createdAt: new Date().toISOString() });
+  return id;
+}
+
+/**
+ * Loads a stored quiz. Students only see quizzes made for their classroom
+ * (or for no classroom in particular).
+ * @param {string} id - Quiz ID from saveQuiz
+ * @param {Object} [identity] - Caller's identity from requireAuth
+ * @returns {Promise<Object|null>} { quiz, classroomId, createdAt }, or null when unknown or expired
+ */
+async function loadQuiz(id, identity) {
+  // IDs name files in the file backend, so only accept the shape we issue
+  if (typeof id !== 'string' || !QUIZ_ID_PATTERN.test(id)) return null;
+  const entry = await getQuizStore().get(id);
+  if (entry && entry.classroomId && identity && identity.role === ROLES.STUDENT && identity.classroomId !== entry.classroomId) {
+    return null;
+  }
+  return entry;
+}
+
+module.exports = {
+  saveQuiz,
+  loadQuiz,
+  setQuizStore,
+};
@@ -0,0 +1,222 @@
+/**
+ * Rate limiting and daily quotas for the API handlers.
+ * Each client gets a token bucket per endpoint plus a daily request quota.
+ * Clients are keyed by authenticated student/classroom ID when available,
+ * otherwise by IP address. Forwarding headers are only read behind a
+ * trusted proxy (TRUST_PROXY), since any client can set them.
+ */
+
+const { createLogger } = require('./logger');
+
+const log = createLogger('RateLimiter');
+
+// Per-endpoint defaults: bucket capacity, tokens refilled per minute, daily quota
+const DEFAULT_LIMITS = {
+  chat: { capacity: 20, refillPerMinute: 10, dailyQuota: 500 },
+  image: { capacity: 5, refillPerMinute: 2, dailyQuota: 50 },
+  tts: { capacity: 20, refillPerMinute: 10, dailyQuota: 300 },
+  lesson: { capacity: 3, refillPerMinute: 1, dailyQuota: 30 },
+  quiz: { capacity: 10, refillPerMinute: 5, dailyQuota: 200 },
+  health: { capacity: 2, refillPerMinute: 1, dailyQuota: 100 },
+  session: { capacity: 5, refillPerMinute: 2, dailyQuota: 100 },
+  // Sign-in attempts per classroom, and failed join codes per client
+  session_classroom: { capacity: 40, refillPerMinute: 10, dailyQuota: 1000 },
+  session_invalid: { capacity: 10, refillPerMinute: 2, dailyQuota: 100 },
+};
+
+const DEFAULT_MAX_TRACKED_CLIENTS = 10000;
+const STALE_BUCKET_MS = 60 * 60 * 1000;
+
+// One Map of client buckets per endpoint, so a flood of keys on one
+// endpoint (e.g. unauthenticated sign-ins) cannot evict another's buckets
+const buckets = new Map();
+
+function readInt(name, fallback) {
+  const value = parseInt(process.env[name] || '', 10);
+  return Number.isFinite(value) && value >= 0 ? value : fallback;
+}
+
+/**
+ * Resolves the limits for an endpoint. Overridable with
+ * RATE_LIMIT_<ENDPOINT>_CAPACITY, RATE_LIMIT_<ENDPOINT>_REFILL_PER_MIN and
+ * DAILY_QUOTA_<ENDPOINT>; a daily quota of 0 disables the quota.
+ * @param {string} endpoint - e.g. 'chat'
+ * @returns {Object} { capacity, refillPerMinute, dailyQuota }
+ */
+function resolveLimits(endpoint) {
+  const defaults = DEFAULT_LIMITS[endpoint] || DEFAULT_LIMITS.chat;
+  const up = endpoint.toUpperCase();
+  return {
+    capacity: readInt(`RATE_LIMIT_${up}_CAPACITY`, defaults.capacity),
+    refillPerMinute: readInt(`RATE_LIMIT_${up}_REFILL_PER_MIN`, defaults.refillPerMinute),
+    dailyQuota: readInt(`DAILY_QUOTA_${up}`, defaults.dailyQuota),
+  };
+}
+
+/**
+ * Resolves the client IP. Without TRUST_PROXY this is the socket address.
+ * TRUST_PROXY=<n> declares n proxies in front of the API, each appending the
+ * address it saw to X-Forwarded-For; the client is the right-most entry not
+ * added by one of them; entries further left are whatever the client sent.
+ * @param {Object} req - Incoming request
+ * @returns {string} IP address, or 'unknown'
+ */
+function resolveClientIp(req) {
+  const socketIp = (req && req.socket && req.socket.remoteAddress) || 'unknown';
+  const hops = readInt('TRUST_PROXY', 0);
+  if (!hops) return socketIp;
+  const forwarded = String((req.headers && req.headers['x-forwarded-for']) || '')
+    .split(',')
+    .map(s => s.trim())
+    .filter(Boolean);
+  return forwarded.length ? forwarded[Math.max(forwarded.length - hops, 0)] : socketIp;
+}
+
+/**
+ * Resolves the rate-limit key for a request: student ID, then teacher ID,
+ * then classroom ID (from the authenticated identity on req.identity), then
+ * client IP.
+ * @param {Object} req - Incoming request
+ * @returns {string} Client key
+ */
+function resolveClientKey(req) {
+  const identity = req && req.identity;
+  if (identity && identity.studentId) return `student:${identity.studentId}`;
+  if (identity && identity.teacherId) return `teacher:${identity.teacherId}`;
+  if (identity && identity.classroomId) return `classroom:${identity.classroomId}`;
+  return `ip:${resolveClientIp(req)}`;
+}
+
+function utcDay(time) {
+  return new Date(time).toISOString().slice(0, 10);
+}
+
+function secondsUntilNextUtcDay(time) {
+  const next = new Date(time);
+  next.setUTCHours(24, 0, 0, 0);
+  return Math.ceil((next.getTime() - time) / 1000);
+}
+
+function endpointBuckets(endpoint) {
+  let map = buckets.get(endpoint);
+  if (!map) {
+    map = new Map();
+    buckets.set(endpoint, map);
+  }
+  return map;
+}
+
+// Makes room for a new bucket on an endpoint: drops stale buckets, then the
+// least recently used ones, so no endpoint tracks more than
+// RATE_LIMIT_MAX_CLIENTS clients
+function makeRoom(map, now) {
+  const max = Math.max(readInt('RATE_LIMIT_MAX_CLIENTS', DEFAULT_MAX_TRACKED_CLIENTS), 1);
+  if (map.size < max) return;
+  const today = utcDay(now);
+  for (const [key, bucket] of map) {
+    if (bucket.day !== today || now - bucket.updatedAt > STALE_BUCKET_MS) map.delete(key);
+  }
+  // Map order is least recently used first (see consume)
+  for (const key of map.keys()) {
+    if (map.size < max) break;
+    map.delete(key);
+  }
+}
+
+/**
+ * Consumes one request for a client on an endpoint.
+ * @param {string} endpoint - e.g. 'chat'
+ * @param {string} clientKey - From resolveClientKey
+ * @param {Object} [params] - { limits, now } overrides; peek checks the
+ *   limit without consuming a request
+ * @returns {Object} { allowed, code, retryAfterSeconds, remaining, dailyRemaining }
+ */
+function consume(endpoint, clientKey, { limits = resolveLimits(endpoint), now = Date.now(), peek = false } = {}) {
+  const map = endpointBuckets(endpoint);
+  const today = utcDay(now);
+  let bucket = map.get(clientKey);
+  if (bucket) {
+    // Move to the end to keep the Map in least recently used order
+    map.delete(clientKey);
+  } else {
+    makeRoom(map, now);
+    bucket = { tokens: limits.capacity, updatedAt: now, day: today, used: 0 };
+  }
+  map.set(clientKey, bucket);
+
+  // Refill tokens for the elapsed time
+  const refillPerMs = limits.refillPerMinute / 60000;
+  bucket.tokens = Math.min(limits.capacity, bucket.tokens + (now - bucket.updatedAt) * refillPerMs);
+  bucket.updatedAt = now;
+  if (bucket.day !== today) {
+    bucket.day = today;
+    bucket.used = 0;
+  }
+
+  if (limits.dailyQuota > 0 && bucket.used >= limits.dailyQuota) {
+    return { allowed: false, code: 'DAILY_QUOTA_EXCEEDED', retryAfterSeconds: secondsUntilNextUtcDay(now), remaining: Math.floor(bucket.tokens), dailyRemaining: 0 };
+  }
+  if (bucket.tokens < 1) {
+    const retryAfterSeconds = refillPerMs > 0 ? Math.ceil((1 - bucket.tokens) / refillPerMs / 1000) : secondsUntilNextUtcDay(now);
+    return { allowed: false, code: 'RATE_LIMITED', retryAfterSeconds, remaining: 0, dailyRemaining: limits.dailyQuota > 0 ? limits.dailyQuota - bucket.used : null };
+  }
+
+  if (!peek) {
+    bucket.tokens -= 1;
+    bucket.used += 1;
+  }
+  return {
+    allowed: true,
+    code: null,
+    retryAfterSeconds: 0,
+    remaining: Math.floor(bucket.tokens),
+    dailyRemaining: limits.dailyQuota > 0 ? limits.dailyQuota - bucket.used : null,
+  };
+}
+
+/**
+ * Applies the rate limit for an endpoint to a request.
+ * Sends a 429 response with Retry-After when the client is over its limit.
+ * Disabled when RATE_LIMIT_ENABLED is 'false'.
+ * @param {Object} req - Incoming request
+ * @param {Object} res - Server response
+ * @param {string} endpoint - e.g. 'chat'
+ * @param {Object} [params]
+ * @param {string} [params.clientKey] - Bucket to use instead of the client's own
+ * @param {boolean} [params.peek=false] - Check the limit without consuming a request
+ * @returns {Object|null} The sent response when rejected, otherwise null
+ */
+function applyRateLimit(req, res, endpoint, { clientKey = resolveClientKey(req), peek = false } = {}) {
+  if (process.env.RATE_LIMIT_ENABLED === 'false') return null;
+
+  const decision = consume(endpoint, clientKey, { peek });
+  if (decision.allowed) return null;
+
+  log.warn(`Rejected ${endpoint} request`, { clientKey, code: decision.code });
+  if (typeof res.setHeader === 'function') res.setHeader('Retry-After', String(decision.retryAfterSeconds));
+  const error = decision.code === 'DAILY_QUOTA_EXCEEDED'
+    ? 'Daily request quota exceeded. Please try again tomorrow.'
+    : 'Too many requests. Please wait a moment and try again.';
+  return res.status(429).json({ error, code: decision.code, retryAfterSeconds: decision.retryAfterSeconds });
+}
+
+function trackedClientCount() {
+  let count = 0;
+  for (const map of buckets.values()) count += map.size;
+  return count;
+}
+
+function resetRateLimits() {
+  buckets.clear();
+}
+
+module.exports = {
+  DEFAULT_LIMITS,
+  resolveLimits,
+  resolveClientIp,
+  resolveClientKey,
+  consume,
+  applyRateLimit,
+  trackedClientCount,
+  resetRateLimits,
+};
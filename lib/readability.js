@@ -0,0 +1,243 @@
+/**
+ * Grade-level adaptation and readability scoring.
+ * Builds level-appropriate instructions for text providers and scores
+ * generated text locally: Fernández-Huerta and Szigriszt-Pazos for Spanish,
+ * Flesch-Kincaid for English.
+ */
+
+const { LANGUAGES, MIN_GRADE, MAX_GRADE } = require('./lessonSchema');
+
+// Texts shorter than this are too short for a meaningful score
+const MIN_SCORED_WORDS = 10;
+
+// Published Fernández-Huerta difficulty bands as [score, school grade] points;
+// grades in between are interpolated
+const FERNANDEZ_HUERTA_GRADES = [[110, 0], [100, 2], [90, 4], [80, 5], [70, 6], [60, 8], [50, 10], [30, 13], [0, 16]];
+
+const STRONG_VOWELS = 'aeoáéóíú';
+const WEAK_VOWELS = 'iuü';
+
+/**
+ * Counts the syllables of a Spanish word: vowel groups, where two strong
+ * vowels (or a stressed í/ú) start a new syllable and the silent u of
+ * que/qui/gue/gui is ignored.
+ * @param {string} word - A single word
+ * @returns {number} Syllable count (at least 1)
+ */
+function countSpanishSyllables(word) {
+  const w = word.toLowerCase().replace(/([qg])u([eéií])/g, '$1$2');
+  let count = 0;
+  let previous = null;
+  for (const char of w) {
+    const strong = STRONG_VOWELS.includes(char);
+    const weak = WEAK_VOWELS.includes(char);
+    if (!strong && !weak) {
+      previous = null;
+      continue;
+    }
+    // A new nucleus starts after a consonant or between two strong vowels (hiatus)
+    if (previous === null || (strong && previous === 'strong')) count++;
+    previous = strong ? 'strong' : 'weak';
+  }
+  return Math.max(count, 1);
+}
+
+/**
+ * Counts the syllables of an English word with the usual vowel-group
+ * heuristic.
+ * @param {string} word - A single word
+ * @returns {number} Syllable count (at least 1)
+ */
+function countEnglishSyllables(word) {
+  let w = word.toLowerCase().replace(/[^a-z]/g, '');
+  if (w.length <= 3) return 1;
+  // Silent -ed (not after t/d), -es (not after a sibilant) and final -e (not -le)
+  w = w.replace(/([^td])ed$/, '$1').replace(/([^sxzhc])es$/, '$1').replace(/([^l])e$/, '$1').replace(/^y/, '');
+  const groups = w.match(/[aeiouy]+/g);
+  return Math.max(groups ? groups.length : 0, 1);
+}
+
+/**
+ * Counts sentences, words and syllables in a text.
+ * @param {string} text - Text to analyse
+ * @param {string} language - 'es' or 'en'
+ * @returns {Object} { sentences, words, syllables }
+ */
+function textStats(text, language) {
+  const source = String(text || '');
+  const words = source.match(/\p{L}+/gu) || [];
+  const sentences = source.split(/[.!?…]+|\n+/).filter(part => /\p{L}/u.test(part)).length;
+  const countSyllables = language === 'en' ? countEnglishSyllables : countSpanishSyllables;
+  const syllables = words.reduce((sum, word) => sum + countSyllables(word), 0);
+  return { sentences: Math.max(sentences, words.length ? 1 : 0), words: words.length, syllables };
+}
+
+function round(value) {
+  return Math.round(value * 10) / 10;
+}
+
+/**
+ * Fernández-Huerta reading ease (0-100+, higher is easier).
+ * @param {Object} stats - From textStats
+ * @returns {number} Score
+ */
+function fernandezHuerta({ sentences, words, syllables }) {
+  return 206.84 - 60 * (syllables / words) - 1.02 * (words / sentences);
+}
+
+/**
+ * Szigriszt-Pazos perspicuity (0-100+, higher is easier).
+ * @param {Object} stats - From textStats
+ * @returns {number} Score
+ */
+function szigrisztPazos({ sentences, words, syllables }) {
+  return 206.835 - 62.3 * (syllables / words) - words / sentences;
+}
+
+/**
+ * Flesch-Kincaid grade level (US school grade).
+ * @param {Object} stats - From textStats
+ * @returns {number} Grade
+ */
+function fleschKincaidGrade({ sentences, words, syllables }) {
+  return 0.39 * (words / sentences) + 11.8 * (syllables / words) - 15.59;
+}
+
+function gradeFromFernandezHuerta(score) {
+  if (score >= FERNANDEZ_HUERTA_GRADES[0][0]) return FERNANDEZ_HUERTA_GRADES[0][1];
+  for (let i = 1; i < FERNANDEZ_HUERTA_GRADES.length; i++) {
+    const [upperScore, upperGrade] = FERNANDEZ_HUERTA_GRADES[i - 1];
+    const [lowerScore, lowerGrade] = FERNANDEZ_HUERTA_GRADES[i];
+    if (score >= lowerScore) {
+      return upperGrade + (upperScore - score) / (upperScore - lowerScore) * (lowerGrade - upperGrade);
+    }
+  }
+  return FERNANDEZ_HUERTA_GRADES[FERNANDEZ_HUERTA_GRADES.length - 1][1];
+}
+
+/**
+ * Scores a text's readability for its language.
+ * Spanish uses Fernández-Huerta (with Szigriszt-Pazos reported alongside);
+ * English uses Flesch-Kincaid. gradeEstimate is the approximate school
+ * grade needed to read the text comfortably.
+ * @param {string} text - Text to score
+ * @param {string} [language='es'] - 'es' or 'en'
+ * @returns {Object|null} { language, metric, score, gradeEstimate, words, sentences, secondary? }, or null for empty text
+ */
+function scoreReadability(text, language = 'es') {
+  const stats = textStats(text, language);
+  if (!stats.words) return null;
+
+  if (language === 'en') {
+    const grade = fleschKincaidGrade(stats);
+    return {
+      language,
+      metric: 'flesch_kincaid',
+      score: round(grade),
+      gradeEstimate: round(Math.max(grade, MIN_GRADE)),
+      words: stats.words,
+      sentences: stats.sentences,
+    };
+  }
+
+  const score = fernandezHuerta(stats);
+  return {
+    language,
+    metric: 'fernandez_huerta',
+    score: round(score),
+    gradeEstimate: round(gradeFromFernandezHuerta(score)),
+    words: stats.words,
+    sentences: stats.sentences,
+    secondary: { metric: 'szigriszt_pazos', score: round(szigrisztPazos(stats)) },
+  };
+}
+
+/**
+ * Grades above the target that are still accepted, from
+ * READABILITY_GRADE_TOLERANCE (default 1).
+ * @returns {number} Tolerance in grades
+ */
+function gradeTolerance() {
+  const value = parseFloat(process.env.READABILITY_GRADE_TOLERANCE || '');
+  return Number.isFinite(value) && value >= 0 ? value : 1;
+}
+
+/**
+ * Whether a scored text is too hard for a grade. Texts too short to score
+ * reliably are never considered too hard.
+ * @param {Object|null} readability - From scoreReadability
+ * @param {number} gradeLevel - Target grade
+ * @returns {boolean} True when the text should be simplified
+ */
+function isTooHard(readability, gradeLevel) {
+  if (!readability || readability.words < MIN_SCORED_WORDS) return false;
+  return readability.gradeEstimate > gradeLevel + gradeTolerance();
+}
+
+/**
+ * Validates the gradeLevel and language of a request.
+ * @param {*} gradeLevel - Requested grade
+ * @param {*} language - Requested language
+ * @returns {Object|null} { error, code } when invalid, otherwise null
+ */
+function validateGradeOptions(gradeLevel, language) {
+  if (!Number.isInteger(gradeLevel) || gradeLevel < MIN_GRADE || gradeLevel > MAX_GRADE) {
+    return { error: `gradeLevel must be an integer between ${MIN_GRADE} and ${MAX_GRADE}`, code: 'INVALID_GRADE_LEVEL' };
+  }
+  if (!LANGUAGES.includes(language)) {
+    return { error: `language must be one of: ${LANGUAGES.join(', ')}`, code: 'INVALID_LANGUAGE' };
+  }
+  return null;
+}
+
+function gradeName(gradeLevel) {
+  return gradeLevel === 0 ? 'kindergarten' : `grade ${gradeLevel}`;
+}
+
+/**
+ * Builds the system instruction that adapts answers to a grade level.
+ * @param {number} gradeLevel - Target grade (0 = kindergarten)
+ * @param {string} language - 'es' or 'en'
+ * @returns {string} Instruction
+ */
+function gradeLevelInstruction(gradeLevel, language) {
+  const lang = language === 'en' ? 'English' : 'Spanish';
+  const age = gradeLevel + 5;
+  let style;
+  if (gradeLevel <= 2) {
+    style = 'Use very short sentences (under 10 words) and only everyday words. Use a friendly example the child knows.';
+  } else if (gradeLevel <= 5) {
+    style = 'Use short sentences and common words. Explain any new word the first time you use it.';
+  } else if (gradeLevel <= 8) {
+    style = 'Use clear sentences of moderate length. Introduce subject vocabulary with a brief explanation.';
+  } else {
+    style = 'Use precise subject vocabulary and well-structured explanations suitable for a high school student.';
+  }
+  return `Answer in ${lang} for a ${gradeName(gradeLevel)} student (about ${age}-${age + 1} years old). ${style}`;
+}
+
+/**
+ * Builds the follow-up message asking a provider to simplify its answer.
+ * @param {number} gradeLevel - Target grade
+ * @param {Object} readability - Score of the answer
+ * @returns {string} Message
+ */
+function simplifyInstruction(gradeLevel, readability) {
+  return `Your answer is too hard for a ${gradeName(gradeLevel)} student (it reads at about grade ${Math.round(readability.gradeEstimate)}). `
+    + 'Rewrite it with shorter sentences and simpler words, keeping the same meaning and language. Reply only with the rewritten answer.';
+}
+
+module.exports = {
+  MIN_SCORED_WORDS,
+  countSpanishSyllables,
+  countEnglishSyllables,
+  textStats,
+  fernandezHuerta,
+  szigrisztPazos,
+  fleschKincaidGrade,
+  scoreReadability,
+  isTooHard,
+  validateGradeOptions,
+  gradeLevelInstruction,
+  simplifyInstruction,
+};
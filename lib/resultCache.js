@@ -0,0 +1,259 @@
+/**
+ * Content-addressed cache for generated media (TTS audio, images).
+ * Keys are hashes of the endpoint and normalized request; values are stored
+ * in a pluggable backend (in-memory LRU or local filesystem) with TTL and
+ * size-based eviction.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createLogger } = require('./logger');
+
+const log = createLogger('Cache');
+
+const DEFAULT_TTL_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_MAX_ENTRIES = 500;
+const DEFAULT_MAX_BYTES = 50 * 1024 * 1024;
+
+// Options that control the cache itself and must not change the key
+const NON_KEY_OPTIONS = ['cache'];
+
+function normalizeText(value) {
+  return typeof value === 'string' ? value.normalize('NFC').replace(/\s+/g, ' ').trim() : value;
+}
+
+// JSON with sorted object keys so equivalent options hash identically
+function stableStringify(value) {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().filter(k => value[k] !== undefined)
+      .map(k => `${JSON.stringify(k)}:${stableStringify(value[k])}`).join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+}
+
+/**
+ * Builds a cache key for a generation request.
+ * @param {string} endpoint - e.g. 'tts' or 'image'
+ * @param {Object} request - { prompt|text, voice, options }
+ * @returns {string} Hex SHA-256 key
+ */
+function buildCacheKey(endpoint, { prompt, text, voice, options } = {}) {
+  const keyOptions = { ...(options || {}) };
+  NON_KEY_OPTIONS.forEach(name => delete keyOptions[name]);
+  const material = stableStringify({
+    endpoint,
+    input: normalizeText(prompt !== undefined ? prompt : text),
+    voice: voice || null,
+    options: keyOptions,
+  });
+  return crypto.createHash('sha256').update(material).digest('hex');
+}
+
+/**
+ * Checks whether a request asked to bypass the cache (options.cache === false).
+ * @param {Object} [options] - Request options
+ * @returns {boolean}
+ */
+function isCacheBypassed(options) {
+  return !!options && options.cache === false;
+}
+
+/**
+ * Creates an in-memory LRU cache.
+ * @param {Object} [settings] - { ttlMs, maxEntries, maxBytes, now }
+ * @returns {Object} Cache backend
+ */
+function createMemoryCache(settings = {}) {
+  const ttlMs = settings.ttlMs || DEFAULT_TTL_MS;
+  const maxEntries = settings.maxEntries || DEFAULT_MAX_ENTRIES;
+  const maxBytes = settings.maxBytes || DEFAULT_MAX_BYTES;
+  const now = settings.now || Date.now;
+  const entries = new Map(); // insertion order doubles as recency order
+  let totalBytes = 0;
+
+  function remove(key) {
+    const entry = entries.get(key);
+    if (!entry) return;
+    totalBytes -= entry.size;
+    entries.delete(key);
+  }
+
+  return {
+    name: 'memory',
+    async get(key) {
+      const entry = entries.get(key);
+      if (!entry) return null;
+      if (entry.expiresAt <= now()) {
+        remove(key);
+        return null;
+      }
+      // Refresh recency
+      entries.delete(key);
+      entries.set(key, entry);
+      return entry.value;
+    },
+    async set(key, value) {
+      const size = Buffer.byteLength(JSON.stringify(value));
+      if (size > maxBytes) return;
+      remove(key);
+      entries.set(key, { value, size, expiresAt: now() + ttlMs });
+      totalBytes += size;
+      while (entries.size > maxEntries || totalBytes > maxBytes) {
+        remove(entries.keys().next().value);
+      }
+    },
+    async delete(key) {
+      remove(key);
+    },
+    async clear() {
+      entries.clear();
+      totalBytes = 0;
+    },
+    stats() {
+      return { backend: 'memory', entries: entries.size, bytes: totalBytes };
+    },
+  };
+}
+
+/**
+ * Creates a filesystem cache storing one JSON file per entry.
+ * File modification times track recency for eviction.
+ * @param {Object} [settings] - { dir, ttlMs, maxEntries, maxBytes, now }
+ * @returns {Object} Cache backend
+ */
+function createFileCache(settings = {}) {
+  const dir = settings.dir || path.join(os.tmpdir(), 'mundo-aprende-cache');
+  const ttlMs = settings.ttlMs || DEFAULT_TTL_MS;
+  const maxEntries = settings.maxEntries || DEFAULT_MAX_ENTRIES;
+  const maxBytes = settings.maxBytes || DEFAULT_MAX_BYTES;
+  const now = settings.now || Date.now;
+  const fsp = fs.promises;
+
+  const fileFor = key => path.join(dir, `${key}.json`);
+
+  async function listEntries() {
+    const names = await fsp.readdir(dir).catch(() => []);
+    const stats = await Promise.all(names.filter(n => n.endsWith('.json')).map(async name => {
+      const file = path.join(dir, name);
+      const stat = await fsp.stat(file).catch(() => null);
+      return stat ? { file, size: stat.size, mtimeMs: stat.mtimeMs } : null;
+    }));
+    return stats.filter(Boolean).sort((a, b) => a.mtimeMs - b.mtimeMs);
+  }
+
+  async function evict() {
+    const list = await listEntries();
+    let totalBytes = list.reduce((sum, e) => sum + e.size, 0);
+    let count = list.length;
+    for (const entry of list) {
+      if (count <= maxEntries && totalBytes <= maxBytes) break;
+      await fsp.unlink(entry.file).catch(() => {});
+      count--;
+      totalBytes -= entry.size;
+    }
+  }
+
+  return {
+    name: 'file',
+    dir,
+    async get(key) {
+      const file = fileFor(key);
+      let entry;
+      try {
+        entry = JSON.parse(await fsp.readFile(file, 'utf8'));
+      } catch (e) {
+        return null;
+      }
+      if (!entry || entry.expiresAt <= now()) {
+        await fsp.unlink(file).catch(() => {});
+        return null;
+      }
+      // Refresh recency
+      const t = new Date();
+      await fsp.utimes(file, t, t).catch(() => {});
+      return entry.value;
+    },
+    async set(key, value) {
+      await fsp.mkdir(dir, { recursive: true });
+      const file = fileFor(key);
+      const tmp = `${file}.${process.pid}.tmp`;
+      await fsp.writeFile(tmp, JSON.stringify({ expiresAt: now() + ttlMs, value }));
+      await fsp.rename(tmp, file);
+      await evict();
+    },
+    async delete(key) {
+      await fsp.unlink(fileFor(key)).catch(() => {});
+    },
+    async clear() {
+      const list = await listEntries();
+      await Promise.all(list.map(e => fsp.unlink(e.file).catch(() => {})));
+    },
+  };
+}
+
+function createNoopCache() {
+  return {
+    name: 'none',
+    async get() { return null; },
+    async set() {},
+    async delete() {},
+    async clear() {},
+  };
+}
+
+const backendFactories = {
+  memory: createMemoryCache,
+  file: createFileCache,
+  none: createNoopCache,
+};
+
+/**
+ * Creates the cache backend configured by CACHE_BACKEND (memory, file or none),
+ * CACHE_TTL_MS, CACHE_MAX_ENTRIES, CACHE_MAX_BYTES and CACHE_DIR.
+ * @returns {Object} Cache backend
+ */
+function createCacheFromEnv() {
+  const name = (process.env.CACHE_BACKEND || 'memory').trim().toLowerCase();
+  const factory = backendFactories[name];
+  if (!factory) {
+    log.warn(`Unknown CACHE_BACKEND '${name}', using memory`);
+  }
+  return (factory || createMemoryCache)({
+    ttlMs: parseInt(process.env.CACHE_TTL_MS || '', 10) || undefined,
+    maxEntries: parseInt(process.env.CACHE_MAX_ENTRIES || '', 10) || undefined,
+    maxBytes: parseInt(process.env.CACHE_MAX_BYTES || '', 10) || undefined,
+    dir: process.env.CACHE_DIR || undefined,
+  });
+}
+
+let sharedCache = null;
+
+/**
+ * Returns the process-wide result cache, creating it on first use.
+ * @returns {Object} Cache backend
+ */
+function getResultCache() {
+  if (!sharedCache) sharedCache = createCacheFromEnv();
+  return sharedCache;
+}
+
+/**
+ * Replaces the process-wide cache (e.g. with a custom backend or in tests).
+ * @param {Object|null} cache - Backend, or null to recreate from env on next use
+ */
+function setResultCache(cache) {
+  sharedCache = cache;
+}
+
+module.exports = {
+  buildCacheKey,
+  isCacheBypassed,
+  createMemoryCache,
+  createFileCache,
+  createCacheFromEnv,
+  getResultCache,
+  setResultCache,
+};
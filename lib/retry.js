@@ -0,0 +1,182 @@
+/**
+ * Retry policy shared by the provider adapters.
+ * Transient failures (HTTP 429, 5xx and connection resets) are retried on
+ * the same provider with exponential backoff and full jitter, honouring
+ * Retry-After. Waits stop when the request is aborted, and a retry is not
+ * attempted when its wait would outlast the time left for the attempt, so
+ * retries count against the request deadline and the next provider still
+ * gets the rest of the budget.
+ */
+
+const { createLogger } = require('./logger');
+
+const log = createLogger('Retry');
+
+const RETRYABLE_NETWORK_CODES = new Set([
+  'ECONNRESET',
+  'ECONNREFUSED',
+  'EPIPE',
+  'ETIMEDOUT',
+  'EAI_AGAIN',
+  'UND_ERR_SOCKET',
+  'UND_ERR_CONNECT_TIMEOUT',
+]);
+
+// Time at which each attempt's signal will abort, set by createTimeoutController
+const signalDeadlines = new WeakMap();
+
+function envInt(name, fallback) {
+  const value = parseInt(process.env[name] || '', 10);
+  return Number.isFinite(value) && value >= 0 ? value : fallback;
+}
+
+/**
+ * Reads the retry settings from the environment.
+ * @returns {Object} { retries, baseDelayMs, maxDelayMs }
+ */
+function resolveRetryPolicy() {
+  return {
+    retries: envInt('RETRY_ATTEMPTS', 2),
+    baseDelayMs: envInt('RETRY_BASE_DELAY_MS', 200),
+    maxDelayMs: envInt('RETRY_MAX_DELAY_MS', 5000),
+  };
+}
+
+/**
+ * Records when a signal is due to abort, so retries can tell how much time is left.
+ * @param {AbortSignal} signal - Attempt signal
+ * @param {number} deadlineAt - Epoch ms at which it aborts
+ */
+function setSignalDeadline(signal, deadlineAt) {
+  if (signal) signalDeadlines.set(signal, deadlineAt);
+}
+
+/**
+ * Checks whether an HTTP status is worth retrying.
+ * @param {number} status - HTTP status
+ * @returns {boolean}
+ */
+function isRetryableStatus(status) {
+  return status === 429 || (status >= 500 && status <= 599);
+}
+
+/**
+ * Checks whether a fetch error is a transient connection failure.
+ * Aborts are never retried.
+ * @param {Error} err - Error thrown by fetch
+ * @returns {boolean}
+ */
+function isRetryableError(err) {
+  if (!err || err.name === 'AbortError') return false;
+  const code = err.code || (err.cause && err.cause.code);
+  return RETRYABLE_NETWORK_CODES.has(code);
+}
+
+/**
+ * Parses a Retry-After header (delay in seconds or an HTTP date).
+ * @param {string|null} value - Header value
+ * @param {number} [now=Date.now()] - Current time
+ * @returns {number|null} Delay in milliseconds, or null when absent or malformed
+ */
+function parseRetryAfter(value, now = Date.now()) {
+  if (!value) return null;
+  const trimmed = String(value).trim();
+  if (/^\d+$/.test(trimmed)) return Number(trimmed) * 1000;
+  const date = Date.parse(trimmed);
+  return Number.isNaN(date) ? null : Math.max(0, date - now);
+}
+
+/**
+ * Exponential backoff with full jitter.
+ * @param {number} retry - Retry number, starting at 0
+ * @param {Object} policy - From resolveRetryPolicy
+ * @returns {number} Delay in milliseconds
+ */
+function backoffDelay(retry, policy) {
+  const ceiling = Math.min(policy.maxDelayMs, policy.baseDelayMs * 2 ** retry);
+  return Math.round(Math.random() * ceiling);
+}
+
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) return reject(abortError());
+    const onAbort = () => {
+      clearTimeout(id);
+      reject(abortError());
+    };
+    const id = setTimeout(() => {
+      if (signal) signal.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    if (signal) signal.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+function abortError() {
+  const err = new Error('The operation was aborted');
+  err.name = 'AbortError';
+  return err;
+}
+
+// Releases the connection held by a response that will not be read
+function discard(res) {
+  if (res.body && typeof res.body.cancel === 'function') res.body.cancel().catch(() => {});
+}
+
+function retryAfterHeader(res) {
+  return res.headers && typeof res.headers.get === 'function' ? res.headers.get('retry-after') : null;
+}
+
+/**
+ * Calls fetch, retrying transient failures.
+ * Returns the final response whether or not it is OK, so adapters keep
+ * their own error reporting; network errors are rethrown once retries run out.
+ * @param {Function} fetchFn - fetch implementation
+ * @param {string} url - Request URL
+ * @param {Object} init - fetch options; init.signal aborts waits too
+ * @param {Object} [params]
+ * @param {string} [params.label='Retry'] - Log label
+ * @param {Object} [params.policy] - Overrides resolveRetryPolicy()
+ * @returns {Promise<Response>}
+ */
+async function fetchWithRetry(fetchFn, url, init, { label = 'Retry', policy = resolveRetryPolicy() } = {}) {
+  const signal = init && init.signal;
+  for (let retry = 0; ; retry++) {
+    let res = null;
+    let error = null;
+    let failure;
+    try {
+      res = await fetchFn(url, init);
+      if (res.ok || !isRetryableStatus(res.status)) return res;
+      failure = `HTTP ${res.status}`;
+    } catch (err) {
+      if (!isRetryableError(err) || retry >= policy.retries) throw err;
+      error = err;
+      failure = err.code || err.cause.code;
+    }
+    if (retry >= policy.retries) return res;
+
+    const retryAfter = res ? parseRetryAfter(retryAfterHeader(res)) : null;
+    const delay = retryAfter !== null ? retryAfter : backoffDelay(retry, policy);
+    const deadlineAt = signal ? signalDeadlines.get(signal) : undefined;
+    if (delay > policy.maxDelayMs || (deadlineAt && Date.now() + delay >= deadlineAt)) {
+      log.warn(`Not retrying ${failure}: wait of ${delay}ms exceeds the time available`, { label });
+      if (error) throw error;
+      return res;
+    }
+
+    log.warn(`${failure}, retrying in ${delay}ms (retry ${retry + 1} of ${policy.retries})`, { label });
+    if (res) discard(res);
+    await sleep(delay, signal);
+  }
+}
+
+module.exports = {
+  resolveRetryPolicy,
+  setSignalDeadline,
+  isRetryableStatus,
+  isRetryableError,
+  parseRetryAfter,
+  backoffDelay,
+  fetchWithRetry,
+};
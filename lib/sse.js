@@ -0,0 +1,78 @@
+/**
+ * Server-Sent Events helpers: reading provider event streams and
+ * relaying events to clients.
+ */
+
+/**
+ * Reads an SSE response body and yields the data payload of each event.
+ * Works with both WHATWG ReadableStream and Node.js Readable bodies.
+ * @param {AsyncIterable<Uint8Array|string>} body - Response body
+ * @returns {AsyncGenerator<string>} Event data payloads
+ */
+async function* readSseData(body) {
+  const decoder = new TextDecoder();
+  let buffer = '';
+  let dataLines = [];
+
+  for await (const chunk of body) {
+    buffer += typeof chunk === 'string' ? chunk : decoder.decode(chunk, { stream: true });
+    let newline;
+    while ((newline = buffer.indexOf('\n')) !== -1) {
+      const line = buffer.slice(0, newline).replace(/\r$/, '');
+      buffer = buffer.slice(newline + 1);
+      if (line === '') {
+        // Blank line terminates an event
+        if (dataLines.length) yield dataLines.join('\n');
+        dataLines = [];
+      } else if (line.startsWith('data:')) {
+        dataLines.push(line.slice(5).replace(/^ /, ''));
+      }
+    }
+  }
+  if (buffer.startsWith('data:')) dataLines.push(buffer.slice(5).replace(/^ /, ''));
+  if (dataLines.length) yield dataLines.join('\n');
+}
+
+/**
+ * Checks whether a request asked for an SSE response.
+ * @param {Object} req - Incoming request
+ * @param {Object} [options] - Request options
+ * @returns {boolean}
+ */
+function wantsEventStream(req, options) {
+  if (options && options.stream === true) return true;
+  const accept = req && req.headers && (req.headers.accept || req.headers.Accept);
+  return typeof accept === 'string' && accept.includes('text/event-stream');
+}
+
+/**
+ * Sends SSE response headers.
+ * @param {Object} res - Server response
+ */
+function openEventStream(res) {
+  res.status(200);
+  res.setHeader('Content-Type', 'text/event-stream; charset=utf-8');
+  res.setHeader('Cache-Control', 'no-cache, no-transform');
+  res.setHeader('Connection', 'keep-alive');
+  if (typeof res.flushHeaders === 'function') res.flushHeaders();
+}
+
+/**
+ * Writes one SSE event.
+ * @param {Object} res - Server response
+ * @param {Object} data - JSON-serialisable payload
+ * @param {string} [event] - Event name; omitted for default 'message' events
+ */
+function writeEvent(res, data, event) {
+  let frame = '';
+  if (event) frame += `event: ${event}\n`;
+  frame += `data: ${JSON.stringify(data)}\n\n`;
+  res.write(frame);
+}
+
+module.exports = {
+  readSseData,
+  wantsEventStream,
+  openEventStream,
+  writeEvent,
+};
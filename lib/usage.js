@@ -0,0 +1,386 @@
+/**
+ * Usage and cost accounting.
+ * Adapters report usage with their results (tokens for text, characters for
+ * TTS, images generated); the orchestrator records a ledger entry for every
+ * successful provider call, priced with the provider's `pricing` from the
+ * provider config file. The recent ledger and running spend per day and
+ * classroom are kept in memory. When USAGE_LEDGER_FILE is set, entries are
+ * also appended as JSON lines to one file per day (usage.jsonl becomes
+ * usage-YYYY-MM-DD.jsonl), which seed the memory once on start. Spending
+ * budgets (USAGE_BUDGET_*) are checked against the running totals by the
+ * handlers before any provider is called.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { resolveProviderSettings } = require('./envValidator');
+const { toChatMessages } = require('./conversation');
+const { createLogger, getRequestContext } = require('./logger');
+
+const log = createLogger('Usage');
+
+// Rough characters per token for providers that do not report usage
+const CHARS_PER_TOKEN = 4;
+const MAX_LEDGER_ENTRIES = 100000;
+const UNASSIGNED = 'unassigned';
+const DAY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// { entries, spend } where spend maps a day to { costUsd, byClassroom }
+let ledger = null;
+
+/**
+ * Estimates the tokens in a text.
+ * @param {string} text - Text to measure
+ * @returns {number} Estimated tokens
+ */
+function estimateTokens(text) {
+  return Math.ceil(String(text || '').length / CHARS_PER_TOKEN);
+}
+
+/**
+ * Builds the usage of a text generation call. Uses the provider's reported
+ * counts (OpenAI-style `usage` with prompt_tokens and completion_tokens)
+ * when present, otherwise estimates them from the input and reply.
+ * @param {Object} input - { prompt, messages, system }
+ * @param {string} text - Generated text
+ * @param {Object} [reported] - Usage object from the provider response
+ * @returns {Object} { inputTokens, outputTokens, estimated }
+ */
+function textUsage(input, text, reported) {
+  if (reported && Number.isFinite(reported.prompt_tokens) && Number.isFinite(reported.completion_tokens)) {
+    return { inputTokens: reported.prompt_tokens, outputTokens: reported.completion_tokens, estimated: false };
+  }
+  const inputText = toChatMessages(input || {}).map(m => m.content).join('\n');
+  return { inputTokens: estimateTokens(inputText), outputTokens: estimateTokens(text), estimated: true };
+}
+
+// Usage for a call whose adapter did not report any
+function fallbackUsage(method, args, result) {
+  if (method === 'generateImage') return { images: 1 };
+  if (method === 'generateTTS') return { characters: String(args.text || '').length };
+  if (method === 'moderate') return textUsage({ prompt: args.text }, '');
+  return textUsage(args, result && result.text);
+}
+
+/**
+ * Prices a usage entry for a provider. Prices come from
+ * config.providers.<id>.pricing (USD per 1,000 tokens or characters, per image).
+ * @param {string} providerId - Provider ID
+ * @param {Object} usage - { inputTokens, outputTokens, characters, images }
+ * @returns {Object} { costUsd, priced } where priced is false without a price table
+ */
+function costOf(providerId, usage) {
+  const pricing = resolveProviderSettings(providerId).pricing;
+  if (!pricing) return { costUsd: 0, priced: false };
+  const per1k = (count, price) => ((count || 0) / 1000) * (price || 0);
+  const costUsd = per1k(usage.inputTokens, pricing.inputTokensPer1k)
+    + per1k(usage.outputTokens, pricing.outputTokensPer1k)
+    + per1k(usage.characters, pricing.charactersPer1k)
+    + (usage.images || 0) * (pricing.perImage || 0);
+  return { costUsd: Math.round(costUsd * 1e6) / 1e6, priced: true };
+}
+
+// Daily file for an entry: usage.jsonl -> usage-2026-10-19.jsonl
+function ledgerFileFor(file, day) {
+  const { dir, name, ext } = path.parse(file);
+  return path.join(dir, `${name}-${day}${ext}`);
+}
+
+// Existing daily files for the configured ledger, oldest first
+function ledgerFiles(file) {
+  const { dir, name, ext } = path.parse(file);
+  let names;
+  try {
+    names = fs.readdirSync(dir || '.');
+  } catch (err) {
+    return [];
+  }
+  return names
+    .filter(n => n.startsWith(`${name}-`) && n.endsWith(ext))
+    .map(n => ({ day: n.slice(name.length + 1, n.length - ext.length), file: path.join(dir, n) }))
+    .filter(({ day }) => DAY_PATTERN.test(day))
+    .sort((a, b) => a.day.localeCompare(b.day));
+}
+
+function addSpend(entry) {
+  const day = ledger.spend.get(entry.day) || { costUsd: 0, byClassroom: new Map() };
+  day.costUsd += entry.costUsd || 0;
+  if (entry.classroomId) day.byClassroom.set(entry.classroomId, (day.byClassroom.get(entry.classroomId) || 0) + (entry.costUsd || 0));
+  ledger.spend.set(entry.day, day);
+}
+
+// A bad line (e.g. half-written before a crash) is skipped, not the whole file
+function readLedgerFile(file) {
+  let lines;
+  try {
+    lines = fs.readFileSync(file, 'utf8').split('\n');
+  } catch (err) {
+    log.error('Could not read usage ledger', { file, error: err.message });
+    return;
+  }
+  let skipped = 0;
+  for (const line of lines) {
+    if (!line.trim()) continue;
+    let entry;
+    try {
+      entry = JSON.parse(line);
+    } catch (err) {
+      skipped++;
+      continue;
+    }
+    if (!entry || typeof entry.day !== 'string') {
+      skipped++;
+      continue;
+    }
+    ledger.entries.push(entry);
+    addSpend(entry);
+  }
+  if (skipped) log.warn(`Skipped ${skipped} malformed usage ledger line(s)`, { file });
+  if (ledger.entries.length > MAX_LEDGER_ENTRIES) ledger.entries.splice(0, ledger.entries.length - MAX_LEDGER_ENTRIES);
+}
+
+// Seeds the memory once: the legacy single file, then the daily files
+function loadLedger() {
+  if (ledger) return ledger;
+  ledger = { entries: [], spend: new Map() };
+  const file = process.env.USAGE_LEDGER_FILE;
+  if (file) {
+    if (fs.existsSync(file)) readLedgerFile(file);
+    for (const daily of ledgerFiles(file)) readLedgerFile(daily.file);
+  }
+  return ledger;
+}
+
+/**
+ * Records one provider call in the ledger. The endpoint and the classroom
+ * and student come from the request being handled.
+ * @param {Object} params
+ * @param {string} params.label - Orchestrator log label, e.g. 'Lesson:TTS'
+ * @param {string} params.provider - Provider ID
+ * @param {string} params.capability - 'text', 'image', 'tts' or 'moderation'
+ * @param {Object} params.usage - { inputTokens, outputTokens, characters, images, estimated }
+ * @returns {Object} Stored entry
+ */
+function recordUsage({ label, provider, capability, usage }) {
+  const context = getRequestContext() || {};
+  const identity = context.identity || {};
+  const timestamp = new Date().toISOString();
+  const entry = {
+    timestamp,
+    day: timestamp.slice(0, 10),
+    endpoint: String(label || 'unknown').toLowerCase(),
+    provider,
+    capability,
+    inputTokens: usage.inputTokens || 0,
+    outputTokens: usage.outputTokens || 0,
+    characters: usage.characters || 0,
+    images: usage.images || 0,
+    estimated: !!usage.estimated,
+    ...costOf(provider, usage),
+    classroomId: identity.classroomId || null,
+    studentId: identity.studentId || null,
+    requestId: context.requestId || null,
+  };
+  const { entries } = loadLedger();
+  entries.push(entry);
+  if (entries.length > MAX_LEDGER_ENTRIES) entries.shift();
+  addSpend(entry);
+  const file = process.env.USAGE_LEDGER_FILE;
+  if (file) {
+    fs.promises.appendFile(ledgerFileFor(file, entry.day), `${JSON.stringify(entry)}\n`).catch(err => {
+      log.error('Could not write usage ledger', { file, error: err.message });
+    });
+  }
+  return entry;
+}
+
+const CAPABILITY_OF = { generateText: 'text', streamText: 'text', generateImage: 'image', generateTTS: 'tts', moderate: 'moderation' };
+
+/**
+ * Wraps an adapter so each successful generation call is recorded in the
+ * ledger. Streams are recorded when they end, with estimated tokens.
+ * @param {Object} adapter - Adapter to wrap
+ * @param {string} label - Orchestrator log label
+ * @returns {Object} Adapter with the same interface
+ */
+function meterAdapter(adapter, label) {
+  const provider = adapter.providerId || adapter.provider || 'unknown';
+  const metered = { ...adapter };
+  for (const method of ['generateText', 'generateImage', 'generateTTS', 'moderate']) {
+    if (typeof adapter[method] !== 'function') continue;
+    metered[method] = async args => {
+      const result = await adapter[method](args);
+      if (result) {
+        const usage = result.usage || fallbackUsage(method, args || {}, result);
+        recordUsage({ label, provider, capability: CAPABILITY_OF[method], usage });
+      }
+      return result;
+    };
+  }
+  if (typeof adapter.streamText === 'function') {
+    metered.streamText = async function* streamText(args) {
+      let text = '';
+      try {
+        for await (const delta of adapter.streamText(args)) {
+          if (delta) text += delta;
+          yield delta;
+        }
+      } finally {
+        if (text) recordUsage({ label, provider, capability: 'text', usage: textUsage(args, text) });
+      }
+    };
+  }
+  return metered;
+}
+
+function readBudget(name) {
+  const value = parseFloat(process.env[name] || '');
+  return Number.isFinite(value) && value >= 0 ? value : null;
+}
+
+/**
+ * Resolves the spending budgets in USD from USAGE_BUDGET_DAILY_USD,
+ * USAGE_BUDGET_MONTHLY_USD and USAGE_BUDGET_CLASSROOM_DAILY_USD.
+ * @returns {Object} { dailyUsd, monthlyUsd, classroomDailyUsd }, null where not set
+ */
+function resolveBudgets() {
+  return {
+    dailyUsd: readBudget('USAGE_BUDGET_DAILY_USD'),
+    monthlyUsd: readBudget('USAGE_BUDGET_MONTHLY_USD'),
+    classroomDailyUsd: readBudget('USAGE_BUDGET_CLASSROOM_DAILY_USD'),
+  };
+}
+
+/**
+ * Checks whether today's and this month's spending is within budget.
+ * @param {string} [classroomId] - Classroom of the request
+ * @param {Date} [now] - Current time
+ * @returns {Object} { allowed, code, budgetUsd, spentUsd, retryAfterSeconds }
+ */
+function checkBudget(classroomId, now = new Date()) {
+  const budgets = resolveBudgets();
+  const today = now.toISOString().slice(0, 10);
+  const month = today.slice(0, 7);
+  const { spend } = loadLedger();
+  const todaySpend = spend.get(today);
+  let monthUsd = 0;
+  for (const [day, totals] of spend) {
+    if (day.startsWith(month)) monthUsd += totals.costUsd;
+  }
+  const untilTomorrow = Math.ceil((Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1) - now) / 1000);
+  const untilNextMonth = Math.ceil((Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1) - now) / 1000);
+
+  const checks = [
+    { code: 'DAILY_BUDGET_EXCEEDED', budgetUsd: budgets.dailyUsd, spentUsd: todaySpend ? todaySpend.costUsd : 0, retryAfterSeconds: untilTomorrow },
+    { code: 'MONTHLY_BUDGET_EXCEEDED', budgetUsd: budgets.monthlyUsd, spentUsd: monthUsd, retryAfterSeconds: untilNextMonth },
+    {
+      code: 'CLASSROOM_BUDGET_EXCEEDED',
+      budgetUsd: classroomId ? budgets.classroomDailyUsd : null,
+      spentUsd: (todaySpend && todaySpend.byClassroom.get(classroomId)) || 0,
+      retryAfterSeconds: untilTomorrow,
+    },
+  ];
+  for (const check of checks) {
+    if (check.budgetUsd === null) continue;
+    if (check.spentUsd >= check.budgetUsd) {
+      return { allowed: false, code: check.code, budgetUsd: check.budgetUsd, spentUsd: check.spentUsd, retryAfterSeconds: check.retryAfterSeconds };
+    }
+  }
+  return { allowed: true };
+}
+
+/**
+ * Rejects the request with 429 when a spending budget is used up.
+ * @param {Object} req - Incoming request
+ * @param {Object} res - Server response
+ * @param {string} endpoint - e.g. 'chat'
+ * @returns {Object|null} The sent response when rejected, otherwise null
+ */
+function applyBudget(req, res, endpoint) {
+  const classroomId = (req && req.identity && req.identity.classroomId) || null;
+  const decision = checkBudget(classroomId);
+  if (decision.allowed) return null;
+
+  log.warn(`Rejected ${endpoint} request`, { code: decision.code, classroomId: classroomId || undefined, budgetUsd: decision.budgetUsd });
+  if (typeof res.setHeader === 'function') res.setHeader('Retry-After', String(decision.retryAfterSeconds));
+  return res.status(429).json({
+    error: 'The usage budget for AI features has been reached. Please try again later.',
+    code: decision.code,
+    retryAfterSeconds: decision.retryAfterSeconds,
+  });
+}
+
+function addTo(groups, key, entry) {
+  const group = groups[key] || (groups[key] = { calls: 0, costUsd: 0, inputTokens: 0, outputTokens: 0, characters: 0, images: 0 });
+  group.calls++;
+  group.costUsd += entry.costUsd || 0;
+  group.inputTokens += entry.inputTokens || 0;
+  group.outputTokens += entry.outputTokens || 0;
+  group.characters += entry.characters || 0;
+  group.images += entry.images || 0;
+}
+
+function roundCosts(groups) {
+  for (const group of Object.values(groups)) group.costUsd = Math.round(group.costUsd * 1e6) / 1e6;
+  return groups;
+}
+
+/**
+ * Summarises the ledger by day, provider, endpoint and classroom.
+ * @param {Object} [params] - { from, to } as YYYY-MM-DD (inclusive), { classroomId }
+ * @returns {Object} { from, to, totals, byDay, byProvider, byEndpoint, byClassroom, unpricedCalls }
+ */
+function summarizeUsage({ from, to, classroomId } = {}) {
+  const entries = loadLedger().entries.filter(e => (!from || e.day >= from)
+    && (!to || e.day <= to)
+    && (!classroomId || e.classroomId === classroomId));
+  const totals = {};
+  const byDay = {};
+  const byProvider = {};
+  const byEndpoint = {};
+  const byClassroom = {};
+  for (const entry of entries) {
+    addTo(totals, 'all', entry);
+    addTo(byDay, entry.day, entry);
+    addTo(byProvider, entry.provider, entry);
+    addTo(byEndpoint, entry.endpoint, entry);
+    addTo(byClassroom, entry.classroomId || UNASSIGNED, entry);
+  }
+  return {
+    from: from || null,
+    to: to || null,
+    totals: roundCosts(totals).all || { calls: 0, costUsd: 0, inputTokens: 0, outputTokens: 0, characters: 0, images: 0 },
+    byDay: roundCosts(byDay),
+    byProvider: roundCosts(byProvider),
+    byEndpoint: roundCosts(byEndpoint),
+    byClassroom: roundCosts(byClassroom),
+    unpricedCalls: entries.filter(e => !e.priced).length,
+  };
+}
+
+/**
+ * Returns ledger entries, newest first.
+ * @param {Object} [params] - { limit }
+ * @returns {Object[]} Entries
+ */
+function getUsageEntries({ limit = 100 } = {}) {
+  return loadLedger().entries.slice(-limit).reverse();
+}
+
+function resetUsage() {
+  ledger = null;
+}
+
+module.exports = {
+  estimateTokens,
+  textUsage,
+  costOf,
+  recordUsage,
+  meterAdapter,
+  resolveBudgets,
+  checkBudget,
+  applyBudget,
+  summarizeUsage,
+  getUsageEntries,
+  resetUsage,
+};
@@ -0,0 +1,222 @@
+// Test for the adapter registry and capability-aware fallback
+// Run with: node test/adapter-registry.test.js
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createMockReq, createMockRes, clearModuleCache } = require('./helpers');
+
+// Third-party adapter as a school would drop it into ADAPTERS_DIR
+const KOKORO_ADAPTER = `
+module.exports = function ({ registerAdapter }) {
+  registerAdapter('kokoro', cfg => ({
+    providerId: cfg.id,
+    async generateTTS({ text, voice }) {
+      return { audioUrl: cfg.url + '/' + voice + '/' + text.length + '.wav', base64: null, usage: { characters: text.length } };
+    },
+  }), { tts: true, voices: ['af_bella', 'em_alex'], maxInputChars: { tts: 500 } });
+};
+`;
+
+function mp3Response() {
+  const audio = Buffer.from([0xff, 0xfb, 0x90, 0x64, 0, 0, 0, 0]);
+  return {
+    ok: true,
+    status: 200,
+    headers: { get: name => (name.toLowerCase() === 'content-type' ? 'audio/mpeg' : null) },
+    arrayBuffer: async () => audio.buffer.slice(audio.byteOffset, audio.byteOffset + audio.length),
+  };
+}
+
+async function run() {
+  console.log('Starting adapter registry tests...');
+
+  const originalFetch = global.fetch;
+  const originalEnv = { ...process.env };
+  // Handlers are exercised without sign-in; see test/auth.test.js
+  process.env.AUTH_ENABLED = 'false';
+  ['TEXT_PROVIDERS', 'TTS_PROVIDERS', 'IMAGE_PROVIDERS', 'AUDIO_FALLBACK_PROVIDER', 'MODERATION_PROVIDER', 'DEFAULT_TTS_VOICE', 'TTS_AUDIO_DIR', 'ADAPTERS_DIR', 'HEALTH_PROBE_TOKEN', 'OPENAI_API_URL', 'PRIMARY_TEXT_API_URL']
+    .forEach(key => delete process.env[key]);
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'adapter-registry-test-'));
+  const pluginDir = path.join(dir, 'plugins');
+  fs.mkdirSync(pluginDir);
+  fs.writeFileSync(path.join(pluginDir, 'kokoro.js'), KOKORO_ADAPTER);
+  fs.writeFileSync(path.join(pluginDir, 'broken.js'), 'module.exports = { notAFunction: true };');
+  process.env.PROVIDERS_CONFIG = path.join(dir, 'providers.json');
+  fs.writeFileSync(process.env.PROVIDERS_CONFIG, JSON.stringify({ providers: {} }));
+  process.env.PROVIDER_OPENAI_API_KEY = 'sk-test';
+  process.env.RETRY_ATTEMPTS = '0';
+  process.env.LOG_LEVEL = 'silent';
+
+  // Test 1: built-in adapters register themselves with their capabilities
+  try {
+    clearModuleCache();
+    const { getAdapter } = require('../adapters/index');
+    const { listAdapterTypes, unsupportedReason } = require('../adapters/registry');
+    assert.deepStrictEqual(listAdapterTypes(), ['gemini', 'openai', 'grok', 'murf', 'ollama', 'mock', 'generic']);
+
+    const murf = getAdapter('murf');
+    assert.strictEqual(murf.generateText, undefined, 'Murf no longer pretends to generate text');
+    assert.strictEqual(murf.capabilities.tts, true);
+    assert.strictEqual(unsupportedReason(murf, 'text'), 'capability');
+
+    const openai = getAdapter('openai');
+    assert.deepStrictEqual(
+      ['text', 'stream', 'image', 'tts', 'moderation', 'vision'].map(c => openai.capabilities[c]),
+      [true, true, true, true, true, false],
+    );
+    assert.strictEqual(unsupportedReason(openai, 'tts', { inputChars: 5000 }), 'input_too_long');
+    assert.strictEqual(unsupportedReason(openai, 'tts', { voice: 'Kore' }), 'voice');
+    assert.strictEqual(unsupportedReason(openai, 'tts', { inputChars: 40, voice: 'nova' }), null);
+
+    // Capabilities follow the methods an instance actually has
+    process.env.PROVIDER_OPENAI_API_ENDPOINT = 'responses';
+    clearModuleCache();
+    assert.strictEqual(require('../adapters/index').getAdapter('openai').capabilities.stream, false);
+    console.log('Test 1 passed: built-in capabilities');
+  } catch (err) {
+    console.error('Test 1 failed:', err);
+    process.exit(1);
+  } finally {
+    delete process.env.PROVIDER_OPENAI_API_ENDPOINT;
+  }
+
+  // Test 2: third-party adapters are loaded from ADAPTERS_DIR
+  try {
+    process.env.ADAPTERS_DIR = pluginDir;
+    fs.writeFileSync(process.env.PROVIDERS_CONFIG, JSON.stringify({
+      providers: { 'aula-voz': { type: 'kokoro', url: 'https://kokoro.school.test' } },
+    }));
+    process.env.TTS_PROVIDERS = 'aula-voz';
+    process.env.AUDIO_FALLBACK_PROVIDER = 'aula-voz';
+    clearModuleCache();
+    const res = createMockRes();
+    await require('../api/tts')(createMockReq({ text: 'Hola', voice: 'em_alex' }), res);
+
+    assert.strictEqual(res.statusCode, 200, JSON.stringify(res.responseBody));
+    assert.strictEqual(res.responseBody.provider, 'aula-voz');
+    assert.strictEqual(res.responseBody.audioUrl, 'https://kokoro.school.test/em_alex/4.wav');
+
+    const { loadProvidersConfig } = require('../lib/envValidator');
+    assert.deepStrictEqual(loadProvidersConfig().errors, [], 'The registered type is accepted in providers.json');
+    const { loaded, errors } = require('../adapters/registry').loadAdapterDirectory(pluginDir);
+    assert.deepStrictEqual(loaded, ['kokoro.js']);
+    assert.ok(errors[0].startsWith('broken.js: must export a function'), errors[0]);
+
+    // A voice the adapter does not declare is a bad request, not a provider failure
+    const rejected = createMockRes();
+    await require('../api/tts')(createMockReq({ text: 'Hola', voice: 'nova' }), rejected);
+    assert.strictEqual(rejected.statusCode, 400);
+    assert.strictEqual(rejected.responseBody.code, 'UNSUPPORTED_REQUEST');
+    assert.deepStrictEqual(rejected.responseBody.unsupportedProviders, [{ provider: 'aula-voz', reason: 'voice' }]);
+    console.log('Test 2 passed: third-party adapters');
+  } catch (err) {
+    console.error('Test 2 failed:', err);
+    process.exit(1);
+  } finally {
+    delete process.env.ADAPTERS_DIR;
+    fs.writeFileSync(process.env.PROVIDERS_CONFIG, JSON.stringify({ providers: {} }));
+  }
+
+  // Test 3: text handlers skip adapters without the text capability
+  try {
+    process.env.TEXT_PROVIDERS = 'murf,mock';
+    clearModuleCache();
+    const chatHandler = require('../api/chat');
+    let res = createMockRes();
+    await chatHandler(createMockReq({ prompt: 'Hola' }), res);
+    assert.strictEqual(res.statusCode, 200);
+    assert.strictEqual(res.responseBody.provider, 'mock');
+
+    res = createMockRes();
+    await chatHandler(createMockReq({ prompt: 'Hola', options: { stream: true } }), res);
+    assert.ok(res.written.includes('"provider":"mock"'));
+
+    process.env.TEXT_PROVIDERS = 'murf';
+    clearModuleCache();
+    res = createMockRes();
+    await require('../api/chat')(createMockReq({ prompt: 'Hola' }), res);
+    assert.strictEqual(res.statusCode, 502);
+    assert.strictEqual(res.responseBody.code, 'NO_SUPPORTING_PROVIDER');
+    assert.deepStrictEqual(res.responseBody.details, [], 'No misleading empty_response entry');
+    assert.deepStrictEqual(res.responseBody.unsupportedProviders, [{ provider: 'murf', reason: 'capability' }]);
+    console.log('Test 3 passed: text capability');
+  } catch (err) {
+    console.error('Test 3 failed:', err);
+    process.exit(1);
+  } finally {
+    delete process.env.TEXT_PROVIDERS;
+  }
+
+  // Test 4: TTS providers are chosen by input length and voice
+  try {
+    const sent = [];
+    global.fetch = async (url, init) => {
+      sent.push(JSON.parse(init.body));
+      return mp3Response();
+    };
+    process.env.TTS_PROVIDERS = 'openai,mock';
+    process.env.AUDIO_FALLBACK_PROVIDER = 'mock';
+    clearModuleCache();
+    const ttsHandler = require('../api/tts');
+
+    let res = createMockRes();
+    await ttsHandler(createMockReq({ text: 'Hola', voice: 'nova', options: { cache: false } }), res);
+    assert.strictEqual(res.responseBody.provider, 'openai');
+
+    res = createMockRes();
+    await ttsHandler(createMockReq({ text: 'Hola', voice: 'Kore', options: { cache: false } }), res);
+    assert.strictEqual(res.responseBody.provider, 'mock', 'OpenAI has no Kore voice');
+
+    res = createMockRes();
+    await ttsHandler(createMockReq({ text: 'Hola', options: { cache: false } }), res);
+    assert.strictEqual(res.responseBody.provider, 'openai', 'The shared default voice is mapped by the adapter');
+
+    res = createMockRes();
+    await ttsHandler(createMockReq({ text: 'palabra '.repeat(600), options: { cache: false } }), res);
+    assert.strictEqual(res.statusCode, 200);
+    assert.strictEqual(res.responseBody.provider, 'mock', 'Too long for the OpenAI speech endpoint');
+    assert.strictEqual(sent.length, 2);
+    console.log('Test 4 passed: input length and voices');
+  } catch (err) {
+    console.error('Test 4 failed:', err);
+    process.exit(1);
+  } finally {
+    global.fetch = originalFetch;
+  }
+
+  // Test 5: /api/health reports each provider's capabilities
+  try {
+    process.env.TEXT_PROVIDERS = 'ollama';
+    process.env.TTS_PROVIDERS = 'murf';
+    process.env.AUDIO_FALLBACK_PROVIDER = 'murf';
+    process.env.IMAGE_PROVIDERS = 'mock';
+    clearModuleCache();
+    const res = createMockRes();
+    await require('../api/health')({ method: 'GET', query: {}, headers: {} }, res);
+    const providers = res.responseBody.env.providers;
+    assert.deepStrictEqual(
+      Object.keys(providers).map(id => [id, ['text', 'stream', 'image', 'tts'].filter(c => providers[id].capabilities[c])]),
+      [['ollama', ['text', 'stream']], ['mock', ['text', 'stream', 'image', 'tts']], ['murf', ['tts']]],
+    );
+    console.log('Test 5 passed: health capabilities');
+  } catch (err) {
+    console.error('Test 5 failed:', err);
+    process.exit(1);
+  }
+
+  fs.rmSync(dir, { recursive: true, force: true });
+
+  // Restore original env
+  Object.keys(process.env).forEach(key => {
+    if (!originalEnv.hasOwnProperty(key)) {
+      delete process.env[key];
+    }
+  });
+  Object.assign(process.env, originalEnv);
+
+  console.log('All adapter registry tests passed.');
+}
+
+run();
@@ -36,6 +36,8 @@ async function run() {
   // Store original fetch and env
   const originalFetch = global.fetch;
   const originalEnv = { ...process.env };
+  // Handlers are exercised without sign-in; see test/auth.test.js
+  process.env.AUTH_ENABLED = 'false';
 
   // Clear provider env vars to ensure we're testing with mocked fetch
   delete process.env.TTS_PROVIDERS;
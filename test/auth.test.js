@@ -0,0 +1,294 @@
+// Test for teacher tokens, classroom join codes and student sessions
+// Run with: node test/auth.test.js
+
+const assert = require('assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createMockReq, createMockRes, clearModuleCache } = require('./helpers');
+
+const sha256 = value => crypto.createHash('sha256').update(value).digest('hex');
+
+async function run() {
+  console.log('Starting auth tests...');
+
+  const originalFetch = global.fetch;
+  const originalEnv = { ...process.env };
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'auth-test-'));
+  ['AUTH_ENABLED', 'AUTH_SECRET', 'AUTH_SESSION_TTL_SECONDS', 'PROVIDERS_CONFIG', 'MODERATION_PROVIDER', 'LOG_LEVEL'].forEach(key => delete process.env[key]);
+  process.env.AUTH_CONFIG = path.join(dir, 'auth.json');
+  fs.writeFileSync(process.env.AUTH_CONFIG, JSON.stringify({
+    teachers: { 'ms-rivera': { tokenSha256: sha256('teacher-token'), classrooms: ['room-3a', 'room-3b'] } },
+    classrooms: {
+      'room-3a': { joinCode: 'SOL-4821', name: '3A', students: { 'ana-7': { codeSha256: sha256('ana-2468') }, 'beto-2': { codeSha256: sha256('beto-1357') } } },
+      'room-3b': { joinCode: 'LUNA-1177' },
+    },
+  }));
+  process.env.TEXT_PROVIDERS = 'school';
+  process.env.PROVIDER_SCHOOL_API_URL = 'https://school.test/generate';
+  process.env.RETRY_ATTEMPTS = '0';
+  // Sign-ins in these tests share one address
+  process.env.RATE_LIMIT_SESSION_CAPACITY = '100';
+
+  // Test 1: config validation and session token verification
+  try {
+    clearModuleCache();
+    const { validateAuthConfig, issueStudentToken, verifyStudentToken } = require('../lib/auth');
+    const errors = validateAuthConfig({
+      teachers: { a: { tokenSha256: 'plain-token', classrooms: ['ghost'] }, b: { classrooms: [] } },
+      classrooms: { c: {} },
+    });
+    assert.ok(errors.includes('auth.teachers.a.tokenSha256: has an invalid format'), errors.join('\n'));
+    assert.deepStrictEqual(validateAuthConfig({ teachers: { b: {} }, classrooms: { c: {} } }), [
+      'auth.teachers.b.tokenSha256: is required',
+      'auth.classrooms.c.joinCode: is required',
+    ]);
+    assert.deepStrictEqual(validateAuthConfig({
+      teachers: {},
+      classrooms: {
+        c: { joinCode: 'C-1', students: { ana: { codeSha256: sha256('x') }, 'no id': { codeSha256: sha256('y') } } },
+        d: { joinCode: 'D-1', students: { ana: { codeSha256: sha256('z') }, beto: {} } },
+      },
+    }), [
+      'auth.classrooms.c.students.no id: student IDs must be 1-64 letters, digits, underscores or hyphens',
+      "auth.classrooms.d.students.ana: also listed in classroom 'c'",
+      'auth.classrooms.d.students.beto.codeSha256: is required',
+    ]);
+
+    assert.throws(() => issueStudentToken({ studentId: 's1', classroomId: 'room-3a' }), /AUTH_SECRET/);
+    process.env.AUTH_SECRET = 'test-secret-that-is-long-enough';
+    const now = Date.now();
+    const { token, expiresAt } = issueStudentToken({ studentId: 's1', classroomId: 'room-3a' }, { ttlSeconds: 60, now });
+    assert.strictEqual(Date.parse(expiresAt), Math.floor(now / 1000) * 1000 + 60000);
+    assert.strictEqual(verifyStudentToken(token, now).payload.cid, 'room-3a');
+    assert.strictEqual(verifyStudentToken(token, now + 61000).code, 'TOKEN_EXPIRED');
+    const [header, , signature] = token.split('.');
+    const forged = Buffer.from(JSON.stringify({ sub: 's1', cid: 'room-3b', role: 'student', exp: 9999999999 })).toString('base64url');
+    assert.strictEqual(verifyStudentToken(`${header}.${forged}.${signature}`, now).code, 'INVALID_TOKEN');
+    process.env.AUTH_SECRET = 'another-secret';
+    assert.strictEqual(verifyStudentToken(token, now).code, 'INVALID_TOKEN', 'Rotating the secret ends all sessions');
+    console.log('Test 1 passed: config validation and session tokens');
+  } catch (err) {
+    console.error('Test 1 failed:', err);
+    process.exit(1);
+  }
+
+  // Test 2: students exchange a join code (and their roster code) for a session
+  let studentToken;
+  try {
+    delete process.env.AUTH_SECRET;
+    clearModuleCache();
+    const sessionHandler = require('../api/session');
+
+    let res = createMockRes();
+    await sessionHandler(createMockReq({ joinCode: 'SOL-4821' }), res);
+    assert.strictEqual(res.statusCode, 503);
+    assert.strictEqual(res.responseBody.code, 'AUTH_NOT_CONFIGURED');
+
+    process.env.AUTH_SECRET = 'test-secret-that-is-long-enough';
+    res = createMockRes();
+    await sessionHandler(createMockReq({ joinCode: 'SOL-0000' }), res);
+    assert.strictEqual(res.statusCode, 401);
+    assert.strictEqual(res.responseBody.code, 'INVALID_JOIN_CODE');
+
+    // Student IDs come from the roster, never from the caller
+    res = createMockRes();
+    await sessionHandler(createMockReq({ joinCode: 'SOL-4821', studentId: 'beto-2' }), res);
+    assert.strictEqual(res.statusCode, 400);
+    assert.strictEqual(res.responseBody.code, 'STUDENT_ID_NOT_ACCEPTED');
+
+    for (const studentCode of [undefined, 'beto-0000']) {
+      res = createMockRes();
+      await sessionHandler(createMockReq({ joinCode: 'SOL-4821', studentCode }), res);
+      assert.strictEqual(res.statusCode, 401);
+      assert.strictEqual(res.responseBody.code, 'INVALID_STUDENT_CODE');
+    }
+
+    res = createMockRes();
+    await sessionHandler(createMockReq({ joinCode: ' sol-4821 ', studentCode: 'ana-2468' }), res);
+    assert.strictEqual(res.statusCode, 200);
+    assert.strictEqual(res.responseBody.classroomId, 'room-3a');
+    assert.strictEqual(res.responseBody.studentId, 'ana-7');
+    studentToken = res.responseBody.token;
+
+    // Classrooms without a roster share one guest identity
+    res = createMockRes();
+    await sessionHandler(createMockReq({ joinCode: 'LUNA-1177' }), res);
+    assert.strictEqual(res.responseBody.studentId, 'guest-room-3b');
+    res = createMockRes();
+    await sessionHandler(createMockReq({ joinCode: 'LUNA-1177', studentCode: 'anything' }), res);
+    assert.strictEqual(res.responseBody.studentId, 'guest-room-3b');
+    console.log('Test 2 passed: student sessions');
+  } catch (err) {
+    console.error('Test 2 failed:', err);
+    process.exit(1);
+  }
+
+  // Test 3: handlers reject missing or bad tokens and attribute student requests
+  try {
+    global.fetch = async () => ({ ok: true, json: async () => ({ text: 'Los planetas giran alrededor del Sol.' }) });
+    clearModuleCache();
+    const chatHandler = require('../api/chat');
+
+    let res = createMockRes();
+    await chatHandler(createMockReq({ prompt: 'Hola' }), res);
+    assert.strictEqual(res.statusCode, 401);
+    assert.strictEqual(res.responseBody.code, 'AUTH_REQUIRED');
+    assert.strictEqual(res.headers['WWW-Authenticate'], 'Bearer');
+
+    res = createMockRes();
+    await chatHandler(createMockReq({ prompt: 'Hola' }, { headers: { authorization: 'Bearer wrong-token' } }), res);
+    assert.strictEqual(res.responseBody.code, 'INVALID_TOKEN');
+
+    const lines = [];
+    const originalLog = console.log;
+    console.log = line => lines.push(line);
+    const req = createMockReq({ prompt: '¿Por qué giran los planetas?' }, { headers: { authorization: `Bearer ${studentToken}` } });
+    res = createMockRes();
+    try {
+      await chatHandler(req, res);
+    } finally {
+      console.log = originalLog;
+    }
+    assert.strictEqual(res.statusCode, 200);
+    assert.deepStrictEqual(req.identity, { role: 'student', studentId: 'ana-7', classroomId: 'room-3a' });
+    const done = lines.map(line => JSON.parse(line)).find(e => e.msg === 'Request completed');
+    assert.strictEqual(done.classroomId, 'room-3a');
+    assert.strictEqual(done.role, 'student');
+    const { getDecisions } = require('../lib/moderation');
+    assert.strictEqual(getDecisions({ classroomId: 'room-3a' })[0].studentId, 'ana-7');
+    console.log('Test 3 passed: handlers require a valid token');
+  } catch (err) {
+    console.error('Test 3 failed:', err);
+    process.exit(1);
+  } finally {
+    global.fetch = originalFetch;
+  }
+
+  // Test 4: teacher tokens and teacher-only endpoints
+  try {
+    clearModuleCache();
+    const quizHandler = require('../api/quiz/index');
+    const { authenticate } = require('../lib/auth');
+
+    let res = createMockRes();
+    await quizHandler(createMockReq({}, { headers: { authorization: `Bearer ${studentToken}` } }), res);
+    assert.strictEqual(res.statusCode, 403);
+    assert.strictEqual(res.responseBody.code, 'FORBIDDEN');
+
+    // Lessons are open to students, who load them from the classroom page
+    res = createMockRes();
+    await require('../api/lesson')(createMockReq({}, { headers: { authorization: `Bearer ${studentToken}` } }), res);
+    assert.strictEqual(res.statusCode, 400);
+    assert.strictEqual(res.responseBody.code, 'MISSING_TOPIC');
+
+    res = createMockRes();
+    await quizHandler(createMockReq({}, { headers: { authorization: 'Bearer teacher-token' } }), res);
+    assert.strictEqual(res.statusCode, 400, 'Teachers get past auth to input validation');
+    assert.strictEqual(res.responseBody.code, 'MISSING_TEXT');
+
+    const { identity } = authenticate(createMockReq({}, { headers: { authorization: 'Bearer teacher-token', 'x-classroom-id': 'room-3b' } }));
+    assert.deepStrictEqual(identity, { role: 'teacher', teacherId: 'ms-rivera', classroomIds: ['room-3a', 'room-3b'], classroomId: 'room-3b' });
+    const other = authenticate(createMockReq({}, { headers: { authorization: 'Bearer teacher-token', 'x-classroom-id': 'room-9z' } }));
+    assert.strictEqual(other.identity.classroomId, null, 'Teachers cannot attribute requests to other classrooms');
+    console.log('Test 4 passed: teacher tokens and roles');
+  } catch (err) {
+    console.error('Test 4 failed:', err);
+    process.exit(1);
+  }
+
+  // Test 5: sign-in attempts are limited per classroom and failed join codes per client
+  try {
+    process.env.RATE_LIMIT_SESSION_CLASSROOM_CAPACITY = '2';
+    process.env.RATE_LIMIT_SESSION_CLASSROOM_REFILL_PER_MIN = '0';
+    process.env.RATE_LIMIT_SESSION_INVALID_CAPACITY = '2';
+    process.env.RATE_LIMIT_SESSION_INVALID_REFILL_PER_MIN = '0';
+    clearModuleCache();
+    const sessionHandler = require('../api/session');
+    const signIn = async (body, ip) => {
+      const res = createMockRes();
+      const req = createMockReq(body);
+      req.socket = { remoteAddress: ip };
+      await sessionHandler(req, res);
+      return res;
+    };
+
+    // A fresh address does not buy fresh guesses at a classroom's student codes
+    assert.strictEqual((await signIn({ joinCode: 'SOL-4821', studentCode: 'guess-1' }, '192.0.2.1')).statusCode, 401);
+    assert.strictEqual((await signIn({ joinCode: 'SOL-4821', studentCode: 'guess-2' }, '192.0.2.2')).statusCode, 401);
+    let res = await signIn({ joinCode: 'SOL-4821', studentCode: 'ana-2468' }, '192.0.2.3');
+    assert.strictEqual(res.statusCode, 429);
+    assert.strictEqual(res.responseBody.code, 'RATE_LIMITED');
+    assert.strictEqual((await signIn({ joinCode: 'LUNA-1177' }, '192.0.2.3')).statusCode, 200, 'Other classrooms are unaffected');
+
+    // Failed join codes pause sign-in for the client sending them, not for everyone
+    assert.strictEqual((await signIn({ joinCode: 'SOL-0001' }, '192.0.2.4')).statusCode, 401);
+    assert.strictEqual((await signIn({ joinCode: 'SOL-0002' }, '192.0.2.4')).statusCode, 401);
+    res = await signIn({ joinCode: 'SOL-0003' }, '192.0.2.4');
+    assert.strictEqual(res.statusCode, 429);
+    assert.ok(Number(res.headers['Retry-After']) > 0);
+    assert.strictEqual((await signIn({ joinCode: 'LUNA-1177' }, '192.0.2.4')).statusCode, 429, 'The client stays paused');
+    assert.strictEqual((await signIn({ joinCode: 'LUNA-1177' }, '192.0.2.5')).statusCode, 200, 'Other clients can still join');
+
+    // Removing a student from the roster ends their session
+    const { authenticate, resetAuthConfig } = require('../lib/auth');
+    const config = JSON.parse(fs.readFileSync(process.env.AUTH_CONFIG, 'utf8'));
+    delete config.classrooms['room-3a'].students['ana-7'];
+    fs.writeFileSync(process.env.AUTH_CONFIG, JSON.stringify(config));
+    resetAuthConfig();
+    assert.strictEqual(authenticate(createMockReq({}, { headers: { authorization: `Bearer ${studentToken}` } })).code, 'INVALID_TOKEN');
+    console.log('Test 5 passed: sign-in attempt limits');
+  } catch (err) {
+    console.error('Test 5 failed:', err);
+    process.exit(1);
+  }
+
+  // Test 6: teachers review moderation decisions of their own classrooms only
+  try {
+    clearModuleCache();
+    const moderationHandler = require('../api/moderation');
+    const { recordDecision } = require('../lib/moderation');
+    const { issueStudentToken } = require('../lib/auth');
+    recordDecision({ endpoint: 'chat', action: 'block', classroomId: 'room-3a', excerpt: 'a' });
+    recordDecision({ endpoint: 'chat', action: 'rewrite', classroomId: 'room-3b', excerpt: 'b' });
+    recordDecision({ endpoint: 'chat', action: 'block', classroomId: 'room-9z', excerpt: 'c' });
+    recordDecision({ endpoint: 'image', action: 'block', classroomId: null, excerpt: 'd' });
+    const review = async (query, token = 'teacher-token') => {
+      const res = createMockRes();
+      await moderationHandler(createMockReq({}, { method: 'GET', query, headers: { authorization: `Bearer ${token}` } }), res);
+      return res;
+    };
+
+    const { token } = issueStudentToken({ studentId: 'beto-2', classroomId: 'room-3a' });
+    assert.strictEqual((await review({}, token)).statusCode, 403, 'Students cannot review decisions');
+
+    let res = await review({});
+    assert.strictEqual(res.statusCode, 200);
+    assert.deepStrictEqual(res.responseBody.decisions.map(d => d.excerpt), ['b', 'a']);
+    res = await review({ action: 'block' });
+    assert.deepStrictEqual(res.responseBody.decisions.map(d => d.excerpt), ['a']);
+    res = await review({ classroom: 'room-3b' });
+    assert.deepStrictEqual(res.responseBody.decisions.map(d => d.excerpt), ['b']);
+    assert.strictEqual((await review({ classroom: 'room-9z' })).statusCode, 403);
+    assert.strictEqual((await review({ action: 'maybe' })).responseBody.code, 'INVALID_ACTION');
+    console.log('Test 6 passed: moderation review for teachers');
+  } catch (err) {
+    console.error('Test 6 failed:', err);
+    process.exit(1);
+  }
+
+  fs.rmSync(dir, { recursive: true, force: true });
+
+  // Restore original env
+  Object.keys(process.env).forEach(key => {
+    if (!originalEnv.hasOwnProperty(key)) {
+      delete process.env[key];
+    }
+  });
+  Object.assign(process.env, originalEnv);
+
+  console.log('All auth tests passed.');
+}
+
+run();
@@ -0,0 +1,187 @@
+// Test for Server-Sent Events streaming in /api/chat
+// Run with: node test/chat-streaming.test.js
+
+const assert = require('assert');
+const { createMockReq, createMockRes, freshRequire } = require('./helpers');
+
+// Builds an SSE body split across arbitrary chunk boundaries
+function sseBody(events) {
+  const raw = events.map(e => `data: ${e}\n\n`).join('');
+  const encoder = new TextEncoder();
+  return (async function* () {
+    for (let i = 0; i < raw.length; i += 7) yield encoder.encode(raw.slice(i, i + 7));
+  })();
+}
+
+function parseEvents(written) {
+  return written.trim().split('\n\n').map(frame => {
+    const event = (frame.match(/^event: (.*)$/m) || [])[1] || 'message';
+    const data = JSON.parse(frame.match(/^data: (.*)$/m)[1]);
+    return { event, data };
+  });
+}
+
+async function run() {
+  console.log('Starting chat streaming tests...');
+
+  const originalFetch = global.fetch;
+  const originalEnv = { ...process.env };
+  // Handlers are exercised without sign-in; see test/auth.test.js
+  process.env.AUTH_ENABLED = 'false';
+  const requests = [];
+  let stall = false;
+
+  global.fetch = async (url, opts) => {
+    const body = opts && opts.body ? JSON.parse(opts.body) : {};
+    requests.push({ url, body });
+    if (url.includes('fail')) {
+      return { ok: false, status: 503, text: async () => 'unavailable' };
+    }
+    if (url.includes('openai.test') && body.stream && stall) {
+      // Sends one delta, then waits until the request is aborted
+      const encoder = new TextEncoder();
+      return {
+        ok: true,
+        body: (async function* () {
+          yield encoder.encode(`data: ${JSON.stringify({ choices: [{ delta: { content: 'Hola, ' } }] })}\n\n`);
+          await new Promise((resolve, reject) => {
+            if (opts.signal.aborted) reject(new Error('aborted'));
+            opts.signal.addEventListener('abort', () => reject(new Error('aborted')));
+          });
+        })(),
+      };
+    }
+    if (url.includes('openai.test') && body.stream) {
+      return {
+        ok: true,
+        body: sseBody([
+          JSON.stringify({ choices: [{ delta: { role: 'assistant' } }] }),
+          JSON.stringify({ choices: [{ delta: { content: 'Hola, ' } }] }),
+          JSON.stringify({ choices: [{ delta: { content: 'Mikhail' } }] }),
+          '[DONE]',
+        ]),
+      };
+    }
+    if (url.endsWith('/moderations')) {
+      return { ok: true, json: async () => ({ results: [{ flagged: false, categories: {} }] }) };
+    }
+    if (url.endsWith('/chat/completions')) {
+      return { ok: true, json: async () => ({ choices: [{ message: { content: 'Hola, Mikhail' } }] }) };
+    }
+    return { ok: false, status: 502, text: async () => 'unknown mock route' };
+  };
+
+  process.env.PROVIDER_OPENAI_API_URL = 'https://openai.test/v1';
+  process.env.PROVIDER_BROKEN_API_URL = 'https://fail.test/api';
+
+  // Test 1: options.stream relays OpenAI deltas as SSE events
+  try {
+    process.env.TEXT_PROVIDERS = 'openai';
+    const handler = freshRequire('../api/chat');
+    const res = createMockRes();
+    await handler(createMockReq({ prompt: 'hola', options: { stream: true } }), res);
+
+    assert.ok(res.headers['Content-Type'].startsWith('text/event-stream'), 'Expected SSE content type');
+    assert.strictEqual(res.ended, true, 'Stream should be closed');
+    const events = parseEvents(res.written);
+    assert.deepStrictEqual(events[0], { event: 'start', data: { provider: 'openai' } });
+    assert.strictEqual(events.filter(e => e.event === 'message').map(e => e.data.delta).join(''), 'Hola, Mikhail');
+    assert.deepStrictEqual(events[events.length - 1], { event: 'done', data: { provider: 'openai' } });
+    assert.strictEqual(requests[requests.length - 1].body.stream, true, 'Expected stream flag sent to provider');
+    console.log('Test 1 passed: OpenAI deltas relayed as SSE');
+  } catch (err) {
+    console.error('Test 1 failed:', err);
+    process.exit(1);
+  }
+
+  // Test 2: Accept header enables streaming and failures before the first chunk fall back
+  try {
+    process.env.TEXT_PROVIDERS = 'broken,openai';
+    const handler = freshRequire('../api/chat');
+    const res = createMockRes();
+    await handler(createMockReq({ prompt: 'hola' }, { headers: { accept: 'text/event-stream' } }), res);
+
+    const events = parseEvents(res.written);
+    assert.strictEqual(events[0].data.provider, 'openai', 'Expected fallback to streaming provider');
+    assert.strictEqual(events[events.length - 1].event, 'done');
+    console.log('Test 2 passed: fallback before first chunk');
+  } catch (err) {
+    console.error('Test 2 failed:', err);
+    process.exit(1);
+  }
+
+  // Test 3: total failure is still reported as a JSON 502
+  try {
+    process.env.TEXT_PROVIDERS = 'broken';
+    const handler = freshRequire('../api/chat');
+    const res = createMockRes();
+    await handler(createMockReq({ prompt: 'hola', options: { stream: true } }), res);
+
+    assert.strictEqual(res.statusCode, 502);
+    assert.strictEqual(res.written, '', 'No SSE data should be written');
+    assert.strictEqual(res.responseBody.code, 'ALL_PROVIDERS_FAILED');
+    console.log('Test 3 passed: JSON error when no provider streams');
+  } catch (err) {
+    console.error('Test 3 failed:', err);
+    process.exit(1);
+  }
+
+  // Test 4: a client that disconnects mid-stream aborts the upstream request
+  try {
+    process.env.TEXT_PROVIDERS = 'openai';
+    stall = true;
+    const handler = freshRequire('../api/chat');
+    const res = createMockRes();
+    const startedAt = Date.now();
+    const done = handler(createMockReq({ prompt: 'hola', options: { stream: true } }), res);
+    while (!res.written) await new Promise(resolve => setTimeout(resolve, 5));
+    res.emit('close');
+    await done;
+
+    assert.ok(Date.now() - startedAt < 1000, 'The handler returns without waiting for a timeout');
+    assert.strictEqual(res.ended, true);
+    assert.ok(!parseEvents(res.written).some(e => e.event === 'done' || e.event === 'error'), res.written);
+    console.log('Test 4 passed: upstream aborted on disconnect');
+  } catch (err) {
+    console.error('Test 4 failed:', err);
+    process.exit(1);
+  } finally {
+    stall = false;
+  }
+
+  // Test 5: replies are not streamed when a moderation provider must check them first
+  try {
+    stall = false;
+    process.env.TEXT_PROVIDERS = 'openai';
+    process.env.MODERATION_PROVIDER = 'openai';
+    const handler = freshRequire('../api/chat');
+    const sentBefore = requests.length;
+    const res = createMockRes();
+    await handler(createMockReq({ prompt: 'hola', options: { stream: true } }), res);
+
+    assert.strictEqual(res.statusCode, 200);
+    assert.strictEqual(res.written, '', 'No SSE data should be written');
+    assert.strictEqual(res.responseBody.text, 'Hola, Mikhail');
+    const sent = requests.slice(sentBefore);
+    assert.ok(sent.some(r => r.url.endsWith('/moderations')), 'The reply was checked by the provider');
+    assert.ok(!sent.some(r => r.body.stream), 'The provider is not asked to stream');
+    delete process.env.MODERATION_PROVIDER;
+    console.log('Test 5 passed: moderation provider disables streaming');
+  } catch (err) {
+    console.error('Test 5 failed:', err);
+    process.exit(1);
+  }
+
+  // Restore original fetch and env
+  global.fetch = originalFetch;
+  Object.keys(process.env).forEach(key => {
+    if (!originalEnv.hasOwnProperty(key)) {
+      delete process.env[key];
+    }
+  });
+  Object.assign(process.env, originalEnv);
+
+  console.log('All chat streaming tests passed.');
+}
+
+run();
@@ -0,0 +1,101 @@
+// Test for per-provider circuit breakers
+// Run with: node test/circuit-breaker.test.js
+
+const assert = require('assert');
+
+async function run() {
+  console.log('Starting circuit breaker tests...');
+
+  const { createBreaker, getBreaker, resetBreakers, STATES } = require('../lib/circuitBreaker');
+  const { runWithFallback } = require('../lib/providerOrchestrator');
+
+  let clock = 0;
+  const settings = { failureThreshold: 2, cooldownMs: 1000, trippingErrors: ['timeout', 'network', 'api'], now: () => clock };
+
+  // Test 1: breaker opens after consecutive tripping failures
+  try {
+    const breaker = createBreaker('p1', settings);
+    assert.strictEqual(breaker.tryAcquire(), true);
+    breaker.onFailure('api');
+    assert.strictEqual(breaker.state, STATES.CLOSED, 'One failure should not open the circuit');
+    breaker.onFailure('timeout');
+    assert.strictEqual(breaker.state, STATES.OPEN, 'Expected circuit to open');
+    assert.strictEqual(breaker.tryAcquire(), false, 'Open circuit should reject requests');
+    console.log('Test 1 passed: breaker opens after consecutive failures');
+  } catch (err) {
+    console.error('Test 1 failed:', err);
+    process.exit(1);
+  }
+
+  // Test 2: success resets the failure count; non-tripping errors are ignored
+  try {
+    const breaker = createBreaker('p2', settings);
+    breaker.onFailure('api');
+    breaker.onSuccess();
+    breaker.onFailure('api');
+    breaker.onFailure('empty_response');
+    assert.strictEqual(breaker.state, STATES.CLOSED);
+    console.log('Test 2 passed: success resets consecutive failures');
+  } catch (err) {
+    console.error('Test 2 failed:', err);
+    process.exit(1);
+  }
+
+  // Test 3: half-open lets a single probe through after cooldown
+  try {
+    clock = 0;
+    const breaker = createBreaker('p3', settings);
+    breaker.onFailure('network');
+    breaker.onFailure('network');
+    clock = 1500;
+    assert.strictEqual(breaker.state, STATES.HALF_OPEN);
+    assert.strictEqual(breaker.tryAcquire(), true, 'First probe should be allowed');
+    assert.strictEqual(breaker.tryAcquire(), false, 'Second concurrent probe should be rejected');
+    breaker.onFailure('network');
+    assert.strictEqual(breaker.state, STATES.OPEN, 'Failed probe should reopen the circuit');
+    clock = 3000;
+    assert.strictEqual(breaker.tryAcquire(), true);
+    breaker.onSuccess();
+    assert.strictEqual(breaker.state, STATES.CLOSED, 'Successful probe should close the circuit');
+    console.log('Test 3 passed: half-open probing');
+  } catch (err) {
+    console.error('Test 3 failed:', err);
+    process.exit(1);
+  }
+
+  // Test 4: orchestrator skips providers with an open circuit and reports them
+  try {
+    resetBreakers();
+    const calls = [];
+    const failing = { providerId: 'down', async generateText() { calls.push('down'); throw new Error('HTTP 500'); } };
+    const healthy = { providerId: 'up', async generateText() { calls.push('up'); return { text: 'ok' }; } };
+    const params = {
+      label: 'Test',
+      adapters: [failing, healthy],
+      method: 'generateText',
+      call: (adapter, signal) => adapter.generateText({ prompt: 'x', signal }),
+      isUsable: r => !!(r && r.text),
+      timeoutMs: 1000,
+    };
+    for (let i = 0; i < 3; i++) await runWithFallback(params);
+    assert.strictEqual(getBreaker('down').state, STATES.OPEN, 'Expected default threshold to open circuit');
+
+    calls.length = 0;
+    const outcome = await runWithFallback(params);
+    assert.deepStrictEqual(calls, ['up'], 'Open provider should not be called');
+    assert.deepStrictEqual(outcome.skipped, [{ provider: 'down', reason: 'circuit_open' }], 'Skipped provider should be reported with its reason');
+    assert.strictEqual(outcome.adapterId, 'up');
+
+    const { providerFailureStatus } = require('../lib/errorUtils');
+    assert.deepStrictEqual(providerFailureStatus([], [], [{ provider: 'down', reason: 'circuit_open' }]), { status: 503, code: 'PROVIDERS_UNAVAILABLE' });
+    assert.deepStrictEqual(providerFailureStatus([], [], [{ provider: 'down', reason: 'deadline' }]), { status: 504, code: 'PROVIDERS_TIMEOUT' });
+    console.log('Test 4 passed: orchestrator skips open circuits');
+  } catch (err) {
+    console.error('Test 4 failed:', err);
+    process.exit(1);
+  }
+
+  console.log('All circuit breaker tests passed.');
+}
+
+run();
@@ -0,0 +1,176 @@
+// Test for multi-turn conversation support in /api/chat
+// Run with: node test/conversation.test.js
+
+const assert = require('assert');
+const { createMockReq, createMockRes, freshRequire } = require('./helpers');
+
+async function run() {
+  console.log('Starting conversation tests...');
+
+  const { normalizeConversation, truncateHistory, toTranscript } = require('../lib/conversation');
+
+  // Test 1: normalizeConversation merges system messages and appends prompt
+  try {
+    const result = normalizeConversation({
+      system: 'Eres un tutor amable.',
+      messages: [
+        { role: 'system', content: 'Responde en español.' },
+        { role: 'user', content: '¿Qué es un volcán?' },
+        { role: 'assistant', content: 'Una montaña que expulsa lava.' },
+      ],
+      prompt: '¿Por qué?',
+    });
+    assert.strictEqual(result.system, 'Eres un tutor amable.\n\nResponde en español.');
+    assert.strictEqual(result.messages.length, 3);
+    assert.deepStrictEqual(result.messages[2], { role: 'user', content: '¿Por qué?' });
+    console.log('Test 1 passed: conversation normalized');
+  } catch (err) {
+    console.error('Test 1 failed:', err);
+    process.exit(1);
+  }
+
+  // Test 2: invalid roles and trailing assistant turns are rejected
+  try {
+    assert.ok(normalizeConversation({ messages: [{ role: 'robot', content: 'x' }] }).error.includes('role'));
+    assert.ok(normalizeConversation({ messages: [{ role: 'user', content: 'a' }, { role: 'assistant', content: 'b' }] }).error);
+    assert.ok(normalizeConversation({ messages: 'hola' }).error);
+    console.log('Test 2 passed: invalid conversations rejected');
+  } catch (err) {
+    console.error('Test 2 failed:', err);
+    process.exit(1);
+  }
+
+  // Test 3: truncateHistory keeps the newest turns within budget
+  try {
+    const messages = [
+      { role: 'user', content: 'a'.repeat(50) },
+      { role: 'assistant', content: 'b'.repeat(50) },
+      { role: 'user', content: 'c'.repeat(20) },
+      { role: 'assistant', content: 'd'.repeat(20) },
+      { role: 'user', content: 'e'.repeat(200) },
+    ];
+    const small = truncateHistory(messages, 250);
+    assert.deepStrictEqual(small.messages.map(m => m.content[0]), ['c', 'd', 'e']);
+    const withSystem = truncateHistory(messages, 250, 's'.repeat(20));
+    assert.deepStrictEqual(withSystem.messages.map(m => m.content[0]), ['e'], 'System instruction counts against the budget');
+    const oversized = truncateHistory(messages, 100);
+    assert.ok(oversized.error, 'A latest turn larger than the budget is rejected');
+    assert.ok(truncateHistory(messages, 210, 's'.repeat(20)).error, 'Latest turn and system instruction must fit together');
+    const medium = truncateHistory(messages.slice(0, 4).concat({ role: 'user', content: 'e' }), 100);
+    assert.deepStrictEqual(medium.messages.map(m => m.content[0]), ['c', 'd', 'e'], 'History should start with a user turn');
+    assert.strictEqual(medium.dropped, 2);
+    console.log('Test 3 passed: history truncated to budget');
+  } catch (err) {
+    console.error('Test 3 failed:', err);
+    process.exit(1);
+  }
+
+  // Test 4: toTranscript flattens history but leaves single prompts untouched
+  try {
+    assert.strictEqual(toTranscript({ prompt: 'hola' }), 'hola');
+    const transcript = toTranscript({
+      system: 'Sé breve.',
+      messages: [{ role: 'user', content: 'Hola' }, { role: 'assistant', content: '¡Hola!' }, { role: 'user', content: '¿Cómo estás?' }],
+    });
+    assert.strictEqual(transcript, 'System: Sé breve.\n\nUser: Hola\nAssistant: ¡Hola!\nUser: ¿Cómo estás?\nAssistant:');
+    console.log('Test 4 passed: transcript flattening');
+  } catch (err) {
+    console.error('Test 4 failed:', err);
+    process.exit(1);
+  }
+
+  const originalFetch = global.fetch;
+  const originalEnv = { ...process.env };
+  // Handlers are exercised without sign-in; see test/auth.test.js
+  process.env.AUTH_ENABLED = 'false';
+  const requests = [];
+  global.fetch = async (url, opts) => {
+    const body = JSON.parse(opts.body);
+    requests.push({ url, body });
+    if (url.includes('openai.test')) {
+      return { ok: true, json: async () => ({ choices: [{ message: { content: 'respuesta' } }] }) };
+    }
+    return { ok: true, json: async () => ({ text: 'respuesta genérica' }) };
+  };
+  process.env.PROVIDER_OPENAI_API_URL = 'https://openai.test/v1';
+  process.env.PROVIDER_TUTOR_API_URL = 'https://tutor.test/api';
+
+  // Test 5: OpenAI receives native messages with the system instruction
+  try {
+    process.env.TEXT_PROVIDERS = 'openai';
+    const handler = freshRequire('../api/chat');
+    const res = createMockRes();
+    await handler(createMockReq({
+      system: 'Eres un tutor.',
+      messages: [{ role: 'user', content: 'Hola' }, { role: 'assistant', content: '¡Hola!' }, { role: 'user', content: '¿2+2?' }],
+    }), res);
+    assert.strictEqual(res.statusCode, 200);
+    const sent = requests[requests.length - 1].body.messages;
+    assert.deepStrictEqual(sent.map(m => m.role), ['system', 'user', 'assistant', 'user']);
+    assert.strictEqual(sent[3].content, '¿2+2?');
+    console.log('Test 5 passed: OpenAI receives native messages');
+  } catch (err) {
+    console.error('Test 5 failed:', err);
+    process.exit(1);
+  }
+
+  // Test 6: generic providers receive a flattened transcript
+  try {
+    process.env.TEXT_PROVIDERS = 'tutor';
+    const handler = freshRequire('../api/chat');
+    const res = createMockRes();
+    await handler(createMockReq({
+      messages: [{ role: 'user', content: 'Hola' }, { role: 'assistant', content: '¡Hola!' }],
+      prompt: '¿2+2?',
+    }), res);
+    assert.strictEqual(res.statusCode, 200);
+    assert.strictEqual(requests[requests.length - 1].body.prompt, 'User: Hola\nAssistant: ¡Hola!\nUser: ¿2+2?\nAssistant:');
+    console.log('Test 6 passed: generic provider receives transcript');
+  } catch (err) {
+    console.error('Test 6 failed:', err);
+    process.exit(1);
+  }
+
+  // Test 7: handler rejects malformed history with a stable code
+  try {
+    const handler = freshRequire('../api/chat');
+    const res = createMockRes();
+    await handler(createMockReq({ messages: [{ role: 'user', content: '' }] }), res);
+    assert.strictEqual(res.statusCode, 400);
+    assert.strictEqual(res.responseBody.code, 'INVALID_MESSAGES');
+    console.log('Test 7 passed: malformed history rejected');
+  } catch (err) {
+    console.error('Test 7 failed:', err);
+    process.exit(1);
+  }
+
+  // Test 8: a latest turn that cannot fit beside the system instruction is rejected
+  try {
+    process.env.CHAT_HISTORY_MAX_CHARS = '100';
+    const handler = freshRequire('../api/chat');
+    const sentBefore = requests.length;
+    const res = createMockRes();
+    await handler(createMockReq({ system: 's'.repeat(60), prompt: 'p'.repeat(60) }), res);
+    assert.strictEqual(res.statusCode, 413);
+    assert.strictEqual(res.responseBody.code, 'CONVERSATION_TOO_LARGE');
+    assert.strictEqual(requests.length, sentBefore, 'Oversized conversations never reach a provider');
+    delete process.env.CHAT_HISTORY_MAX_CHARS;
+    console.log('Test 8 passed: oversized latest turn rejected');
+  } catch (err) {
+    console.error('Test 8 failed:', err);
+    process.exit(1);
+  }
+
+  // Restore original fetch and env
+  global.fetch = originalFetch;
+  Object.keys(process.env).forEach(key => {
+    if (!originalEnv.hasOwnProperty(key)) {
+      delete process.env[key];
+    }
+  });
+  Object.assign(process.env, originalEnv);
+
+  console.log('All conversation tests passed.');
+}
+
+run();
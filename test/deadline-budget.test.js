@@ -0,0 +1,150 @@
+// Test for per-provider timeouts and the request deadline budget
+// Run with: node test/deadline-budget.test.js
+
+const assert = require('assert');
+const { createMockReq, createMockRes, clearModuleCache } = require('./helpers');
+
+// Fake adapter that answers after `delay` ms unless aborted first
+function fakeAdapter(providerId, { delay = 0, calls }) {
+  return {
+    providerId,
+    async generateText({ signal }) {
+      calls.push(providerId);
+      await new Promise((resolve, reject) => {
+        const id = setTimeout(resolve, delay);
+        if (signal) signal.addEventListener('abort', () => { clearTimeout(id); reject(new Error('aborted')); });
+      });
+      return { text: `from ${providerId}` };
+    },
+  };
+}
+
+async function run() {
+  console.log('Starting deadline budget tests...');
+
+  const originalFetch = global.fetch;
+  const originalEnv = { ...process.env };
+  // Handlers are exercised without sign-in; see test/auth.test.js
+  process.env.AUTH_ENABLED = 'false';
+  ['TIMEOUT_MS', 'REQUEST_DEADLINE_MS', 'TEXT_TIMEOUT_MS', 'TEXT_DEADLINE_MS', 'TTS_TIMEOUT_MS', 'TTS_DEADLINE_MS', 'PROVIDERS_CONFIG']
+    .forEach(key => delete process.env[key]);
+  clearModuleCache();
+
+  const { runWithFallback } = require('../lib/providerOrchestrator');
+  const { resetBreakers } = require('../lib/circuitBreaker');
+
+  const baseParams = {
+    label: 'Test',
+    method: 'generateText',
+    call: (adapter, signal) => adapter.generateText({ prompt: 'x', signal }),
+    isUsable: r => !!(r && r.text),
+    timeoutMs: 1000,
+    strategy: { name: 'sequential' },
+  };
+
+  // Test 1: a provider's own timeout overrides the endpoint default
+  try {
+    resetBreakers();
+    process.env.PROVIDER_SLOW_ONE_TIMEOUT_MS = '50';
+    const calls = [];
+    const outcome = await runWithFallback({
+      ...baseParams,
+      adapters: [fakeAdapter('slow-one', { delay: 500, calls }), fakeAdapter('fast', { delay: 5, calls })],
+    });
+    assert.strictEqual(outcome.adapterId, 'fast');
+    assert.strictEqual(outcome.errors.length, 1);
+    assert.strictEqual(outcome.errors[0].provider, 'slow-one');
+    assert.ok(outcome.errors[0].durationMs >= 40 && outcome.errors[0].durationMs < 400,
+      `Expected the attempt to stop near 50ms, took ${outcome.errors[0].durationMs}ms`);
+    console.log('Test 1 passed: per-provider timeout');
+  } catch (err) {
+    console.error('Test 1 failed:', err);
+    process.exit(1);
+  } finally {
+    delete process.env.PROVIDER_SLOW_ONE_TIMEOUT_MS;
+  }
+
+  // Test 2: attempts share the deadline and later providers are skipped once it is spent
+  try {
+    resetBreakers();
+    const calls = [];
+    const startedAt = Date.now();
+    const outcome = await runWithFallback({
+      ...baseParams,
+      adapters: [fakeAdapter('a', { delay: 500, calls }), fakeAdapter('b', { delay: 500, calls })],
+      deadlineAt: startedAt + 80,
+    });
+    const elapsed = Date.now() - startedAt;
+    assert.strictEqual(outcome.result, null);
+    assert.deepStrictEqual(calls, ['a'], 'Second provider should not be started');
+    assert.deepStrictEqual(outcome.skipped, [{ provider: 'b', reason: 'deadline' }]);
+    assert.ok(elapsed < 400, `Deadline should cap the run, took ${elapsed}ms`);
+    assert.strictEqual(typeof outcome.errors[0].durationMs, 'number');
+    console.log('Test 2 passed: deadline budget');
+  } catch (err) {
+    console.error('Test 2 failed:', err);
+    process.exit(1);
+  }
+
+  // Test 3: endpoint timeouts and budgets resolve from the environment
+  try {
+    const { endpointTimeoutMs, endpointDeadlineMs } = require('../lib/pipelines');
+    assert.strictEqual(endpointTimeoutMs('tts'), 15000);
+    assert.strictEqual(endpointDeadlineMs('tts'), 30000);
+    process.env.REQUEST_DEADLINE_MS = '20000';
+    process.env.TTS_TIMEOUT_MS = '4000';
+    assert.strictEqual(endpointTimeoutMs('tts'), 4000);
+    assert.strictEqual(endpointTimeoutMs('text'), 15000);
+    assert.strictEqual(endpointDeadlineMs('text'), 20000);
+    process.env.TTS_DEADLINE_MS = '9000';
+    assert.strictEqual(endpointDeadlineMs('tts'), 9000, 'Endpoint budget should override REQUEST_DEADLINE_MS');
+    console.log('Test 3 passed: endpoint settings');
+  } catch (err) {
+    console.error('Test 3 failed:', err);
+    process.exit(1);
+  }
+
+  // Test 4: /api/tts stops at its budget and reports the time spent per attempt
+  try {
+    global.fetch = (url, init) => new Promise((resolve, reject) => {
+      init.signal.addEventListener('abort', () => reject(Object.assign(new Error('aborted'), { name: 'AbortError' })));
+    });
+    process.env.TTS_PROVIDERS = 'first,second';
+    process.env.AUDIO_FALLBACK_PROVIDER = 'second';
+    process.env.PROVIDER_FIRST_API_URL = 'https://first.test/tts';
+    process.env.PROVIDER_SECOND_API_URL = 'https://second.test/tts';
+    process.env.TTS_TIMEOUT_MS = '5000';
+    process.env.TTS_DEADLINE_MS = '100';
+    process.env.CACHE_BACKEND = 'none';
+    clearModuleCache();
+    const ttsHandler = require('../api/tts');
+
+    const startedAt = Date.now();
+    const res = createMockRes();
+    await ttsHandler(createMockReq({ text: 'Hola' }), res);
+    assert.ok(Date.now() - startedAt < 1000, 'Request should end at its deadline');
+    assert.strictEqual(res.statusCode, 504);
+    assert.strictEqual(res.responseBody.code, 'PROVIDERS_TIMEOUT');
+    assert.deepStrictEqual(res.responseBody.skippedProviders, [{ provider: 'second', reason: 'deadline' }]);
+    assert.strictEqual(res.responseBody.details[0].provider, 'first');
+    assert.ok(res.responseBody.details[0].durationMs >= 90, JSON.stringify(res.responseBody.details));
+    console.log('Test 4 passed: TTS deadline');
+  } catch (err) {
+    console.error('Test 4 failed:', err);
+    process.exit(1);
+  } finally {
+    global.fetch = originalFetch;
+  }
+
+  // Restore original env
+  Object.keys(process.env).forEach(key => {
+    if (!originalEnv.hasOwnProperty(key)) {
+      delete process.env[key];
+    }
+  });
+  Object.assign(process.env, originalEnv);
+
+  console.log('All deadline budget tests passed.');
+}
+
+run();
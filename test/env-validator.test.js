@@ -100,6 +100,22 @@ async function run() {
     process.exit(1);
   }
 
+  // Test 6: settings with a default are reported as missing without a warning
+  try {
+    delete process.env.AUTH_SECRET;
+    delete process.env.MODERATION_TIMEOUT_MS;
+    const { results, allWarnings } = validateAllEnvVars();
+    assert.ok(results.GENERAL.missing.includes('AUTH_SECRET'), 'Unset optional settings are still listed as missing');
+    assert.ok(results.GENERAL.missing.includes('MODERATION_TIMEOUT_MS'), 'Moderation settings are validated');
+    assert.ok(!allWarnings.some(w => w.startsWith('[GENERAL]')), 'Optional settings are not warned about');
+    assert.ok(!allWarnings.some(w => w.includes("'TEXT_STRATEGY'")), 'Endpoint tuning settings are not warned about');
+    assert.ok(allWarnings.some(w => w.includes("'TEXT_PROVIDERS'")), 'Provider lists are still warned about');
+    console.log('Test 6 passed: optional settings are not warned about');
+  } catch (err) {
+    console.error('Test 6 failed:', err);
+    process.exit(1);
+  }
+
   // Restore original env
   Object.keys(process.env).forEach(key => {
     if (!originalEnv.hasOwnProperty(key)) {
@@ -0,0 +1,228 @@
+// Test for the native Gemini adapter against a local stub server that
+// replays recorded responses from test/fixtures/gemini
+// Run with: node test/gemini-adapter.test.js
+
+const assert = require('assert');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { createMockReq, createMockRes, clearModuleCache } = require('./helpers');
+
+const FIXTURES = path.join(__dirname, 'fixtures', 'gemini');
+
+// Answers each request with the next queued fixture and records what was sent
+function startStubServer() {
+  const queue = [];
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let raw = '';
+    req.on('data', chunk => { raw += chunk; });
+    req.on('end', () => {
+      requests.push({ url: req.url, headers: req.headers, body: JSON.parse(raw || '{}') });
+      const name = queue.shift();
+      if (name.endsWith('.sse')) {
+        res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+        return res.end(fs.readFileSync(path.join(FIXTURES, name)));
+      }
+      const { status, body } = JSON.parse(fs.readFileSync(path.join(FIXTURES, name), 'utf8'));
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(body));
+    });
+  });
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => {
+      resolve({
+        url: `http://127.0.0.1:${server.address().port}/v1beta`,
+        replay: (...names) => queue.push(...names),
+        requests,
+        close: () => new Promise(done => server.close(done)),
+      });
+    });
+  });
+}
+
+async function run() {
+  console.log('Starting Gemini adapter tests...');
+
+  const originalEnv = { ...process.env };
+  // Handlers are exercised without sign-in; see test/auth.test.js
+  process.env.AUTH_ENABLED = 'false';
+  ['TEXT_PROVIDERS', 'TTS_PROVIDERS', 'IMAGE_PROVIDERS', 'MODERATION_PROVIDER', 'GEMINI_API_URL', 'GEMINI_API_KEY', 'DEFAULT_TTS_VOICE', 'AUDIO_FALLBACK_PROVIDER', 'TTS_AUDIO_DIR'].forEach(key => delete process.env[key]);
+  const stub = await startStubServer();
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'gemini-test-'));
+  process.env.PROVIDERS_CONFIG = path.join(dir, 'providers.json');
+  fs.writeFileSync(process.env.PROVIDERS_CONFIG, JSON.stringify({
+    providers: { gemini: { models: { text: 'gemini-test-text' }, safetyThreshold: 'BLOCK_MEDIUM_AND_ABOVE' } },
+  }));
+  process.env.PROVIDER_GEMINI_API_URL = stub.url;
+  process.env.PROVIDER_GEMINI_API_KEY = 'gemini-test-key';
+  process.env.RETRY_ATTEMPTS = '0';
+  process.env.LOG_LEVEL = 'silent';
+
+  // Test 1: generateContent request shape and response parsing
+  try {
+    clearModuleCache();
+    const gemini = require('../adapters/index').getAdapter('gemini');
+    stub.replay('generate-text.json');
+    const result = await gemini.generateText({
+      system: 'Eres un tutor.',
+      messages: [
+        { role: 'user', content: 'Hola' },
+        { role: 'assistant', content: '¡Hola! ¿Qué quieres aprender?' },
+        { role: 'user', content: '¿Cómo funciona el ciclo del agua?' },
+      ],
+      options: { max_tokens: 200 },
+    });
+    assert.strictEqual(result.text, 'El agua se evapora, forma nubes y vuelve a caer como lluvia.');
+    assert.deepStrictEqual(result.usage, { inputTokens: 24, outputTokens: 15, estimated: false });
+
+    const [sent] = stub.requests;
+    assert.strictEqual(sent.url, '/v1beta/models/gemini-test-text:generateContent');
+    assert.strictEqual(sent.headers['x-goog-api-key'], 'gemini-test-key');
+    assert.strictEqual(sent.headers.authorization, undefined);
+    assert.deepStrictEqual(sent.body.contents.map(c => c.role), ['user', 'model', 'user']);
+    assert.deepStrictEqual(sent.body.systemInstruction, { parts: [{ text: 'Eres un tutor.' }] });
+    assert.strictEqual(sent.body.generationConfig.maxOutputTokens, 200);
+    assert.strictEqual(sent.body.safetySettings.length, 4);
+    assert.ok(sent.body.safetySettings.every(s => s.threshold === 'BLOCK_MEDIUM_AND_ABOVE'));
+    console.log('Test 1 passed: text generation');
+  } catch (err) {
+    console.error('Test 1 failed:', err);
+    process.exit(1);
+  }
+
+  // Test 2: blocks, stops and bad keys become distinct errors
+  try {
+    clearModuleCache();
+    const gemini = require('../adapters/index').getAdapter('gemini');
+    stub.replay('prompt-blocked.json', 'response-safety.json', 'recitation.json', 'invalid-key.json');
+    await assert.rejects(() => gemini.generateText({ prompt: 'x' }), err => {
+      return err.code === 'PROVIDER_SAFETY_BLOCKED' && err.type === 'content_policy' && err.reason === 'SAFETY' && /prompt/.test(err.message);
+    });
+    await assert.rejects(() => gemini.generateText({ prompt: 'x' }), err => err.code === 'PROVIDER_SAFETY_BLOCKED' && /response/.test(err.message));
+    await assert.rejects(() => gemini.generateText({ prompt: 'x' }), err => err.code === 'PROVIDER_INCOMPLETE_RESPONSE' && err.reason === 'RECITATION' && err.fallback);
+    await assert.rejects(() => gemini.generateText({ prompt: 'x' }), err => err.type === 'auth' && err.status === 400);
+
+    // Safety blocks are not retried on other providers
+    process.env.TEXT_PROVIDERS = 'gemini,mock';
+    clearModuleCache();
+    stub.replay('prompt-blocked.json');
+    const res = createMockRes();
+    await require('../api/chat')(createMockReq({ prompt: 'x' }), res);
+    assert.strictEqual(res.statusCode, 422);
+    assert.strictEqual(res.responseBody.code, 'CONTENT_POLICY_VIOLATION');
+    assert.strictEqual(res.responseBody.details.length, 1, 'The mock provider is not asked');
+    assert.ok(res.responseBody.details[0].error.includes('blocked the prompt'));
+    console.log('Test 2 passed: safety and finish reasons');
+  } catch (err) {
+    console.error('Test 2 failed:', err);
+    process.exit(1);
+  }
+
+  // Test 3: inline image data and PCM speech wrapped as WAV
+  try {
+    stub.requests.length = 0;
+    clearModuleCache();
+    const gemini = require('../adapters/index').getAdapter('gemini');
+    stub.replay('generate-image.json', 'generate-speech.json');
+
+    const image = await gemini.generateImage({ prompt: 'Un volcán' });
+    assert.strictEqual(image.mimeType, 'image/png');
+    assert.strictEqual(Buffer.from(image.base64, 'base64').toString('ascii', 1, 4), 'PNG');
+    assert.strictEqual(stub.requests[0].url, '/v1beta/models/gemini-2.0-flash-preview-image-generation:generateContent');
+    assert.deepStrictEqual(stub.requests[0].body.generationConfig.responseModalities, ['TEXT', 'IMAGE']);
+
+    const speech = await gemini.generateTTS({ text: 'Buenos días', voice: 'Puck' });
+    const wav = Buffer.from(speech.base64, 'base64');
+    assert.strictEqual(speech.mimeType, 'audio/wav');
+    assert.strictEqual(wav.toString('ascii', 0, 4), 'RIFF');
+    assert.strictEqual(wav.readUInt32LE(24), 24000, 'Sample rate comes from the PCM mime type');
+    assert.strictEqual(wav.length, 44 + 4800);
+    assert.strictEqual(stub.requests[1].body.generationConfig.speechConfig.voiceConfig.prebuiltVoiceConfig.voiceName, 'Puck');
+    console.log('Test 3 passed: image and speech');
+  } catch (err) {
+    console.error('Test 3 failed:', err);
+    process.exit(1);
+  }
+
+  // Test 4: streamed text over SSE
+  try {
+    stub.requests.length = 0;
+    clearModuleCache();
+    const gemini = require('../adapters/index').getAdapter('gemini');
+    stub.replay('stream-text.sse');
+    const chunks = [];
+    for await (const chunk of gemini.streamText({ prompt: '¿Qué es la fotosíntesis?' })) chunks.push(chunk);
+    assert.deepStrictEqual(chunks, ['Las plantas ', 'usan la luz del Sol.']);
+    assert.strictEqual(stub.requests[0].url, '/v1beta/models/gemini-test-text:streamGenerateContent?alt=sse');
+    console.log('Test 4 passed: streaming');
+  } catch (err) {
+    console.error('Test 4 failed:', err);
+    process.exit(1);
+  }
+
+  // Test 5: the shared default voice maps to a Gemini voice; options.voice overrides
+  try {
+    stub.requests.length = 0;
+    process.env.TTS_PROVIDERS = 'gemini';
+    process.env.AUDIO_FALLBACK_PROVIDER = 'gemini';
+    clearModuleCache();
+    const ttsHandler = require('../api/tts');
+    stub.replay('generate-speech.json', 'generate-speech.json');
+
+    let res = createMockRes();
+    await ttsHandler(createMockReq({ text: 'Buenos días', options: { cache: false } }), res);
+    assert.strictEqual(res.statusCode, 200, JSON.stringify(res.responseBody));
+    assert.strictEqual(res.responseBody.provider, 'gemini');
+    res = createMockRes();
+    await ttsHandler(createMockReq({ text: 'Buenas noches', voice: 'Puck', options: { cache: false, voice: 'Charon' } }), res);
+    assert.strictEqual(res.statusCode, 200, JSON.stringify(res.responseBody));
+
+    const voices = stub.requests.map(r => r.body.generationConfig.speechConfig.voiceConfig.prebuiltVoiceConfig.voiceName);
+    assert.deepStrictEqual(voices, ['Kore', 'Charon']);
+    console.log('Test 5 passed: default and requested voices');
+  } catch (err) {
+    console.error('Test 5 failed:', err);
+    process.exit(1);
+  }
+
+  // Test 6: voices of other providers are rejected and a missing key is a config error
+  try {
+    stub.requests.length = 0;
+    clearModuleCache();
+    const ttsHandler = require('../api/tts');
+    const res = createMockRes();
+    await ttsHandler(createMockReq({ text: 'Hola', voice: 'alloy', options: { cache: false } }), res);
+    assert.strictEqual(res.statusCode, 400, JSON.stringify(res.responseBody));
+    assert.strictEqual(res.responseBody.code, 'UNSUPPORTED_REQUEST');
+    assert.strictEqual(stub.requests.length, 0, 'Gemini is not asked for an OpenAI voice');
+
+    const createGeminiAdapter = require('../adapters/gemini');
+    const unconfigured = createGeminiAdapter({ id: 'gemini' });
+    await assert.rejects(unconfigured.generateText({ prompt: 'Hola' }), err => err.type === 'config' && err.code === 'PROVIDER_NOT_CONFIGURED');
+    const { getBreaker } = require('../lib/circuitBreaker');
+    const breaker = getBreaker('gemini-unconfigured');
+    for (let i = 0; i < 10; i++) breaker.onFailure('config');
+    assert.strictEqual(breaker.tryAcquire(), true, 'A missing key does not open the circuit');
+    console.log('Test 6 passed: unknown voices rejected and missing key typed');
+  } catch (err) {
+    console.error('Test 6 failed:', err);
+    process.exit(1);
+  }
+
+  await stub.close();
+  fs.rmSync(dir, { recursive: true, force: true });
+
+  // Restore original env
+  Object.keys(process.env).forEach(key => {
+    if (!originalEnv.hasOwnProperty(key)) {
+      delete process.env[key];
+    }
+  });
+  Object.assign(process.env, originalEnv);
+
+  console.log('All Gemini adapter tests passed.');
+}
+
+run();
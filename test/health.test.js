@@ -0,0 +1,159 @@
+// Test for the /api/health diagnostics endpoint
+// Run with: node test/health.test.js
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createMockReq, createMockRes, clearModuleCache } = require('./helpers');
+
+async function run() {
+  console.log('Starting health endpoint tests...');
+
+  const originalFetch = global.fetch;
+  const originalEnv = { ...process.env };
+  ['PROVIDERS_CONFIG', 'HEALTH_PROBE_TOKEN', 'TEXT_PROVIDERS', 'TTS_PROVIDERS', 'IMAGE_PROVIDERS', 'AUDIO_FALLBACK_PROVIDER']
+    .forEach(key => delete process.env[key]);
+  process.env.TEXT_PROVIDERS = 'school,openai';
+  process.env.TTS_PROVIDERS = 'speaker';
+  process.env.AUDIO_FALLBACK_PROVIDER = 'speaker';
+  process.env.IMAGE_PROVIDERS = 'painter';
+  process.env.PROVIDER_SCHOOL_API_URL = 'https://school.test/generate';
+  process.env.PROVIDER_SCHOOL_API_KEY = 'super-secret-key';
+  process.env.PROVIDER_SPEAKER_API_URL = 'https://speaker.test/tts';
+  process.env.PROVIDER_OPENAI_API_KEY = 'sk-another-secret';
+  process.env.RETRY_ATTEMPTS = '0';
+
+  // Test 1: reports providers and configured variable names without values
+  try {
+    clearModuleCache();
+    const healthHandler = require('../api/health');
+    const res = createMockRes();
+    await healthHandler(createMockReq({}, { method: 'GET' }), res);
+    assert.strictEqual(res.statusCode, 200);
+    const body = res.responseBody;
+    assert.strictEqual(body.status, 'ok');
+    assert.deepStrictEqual(body.providers, { text: ['school', 'openai'], image: ['painter'], tts: ['speaker'] });
+    assert.ok(body.env.TEXT.configured.includes('TEXT_PROVIDERS'));
+    assert.ok(body.env.providers.school.configured.includes('PROVIDER_SCHOOL_API_KEY'));
+    assert.strictEqual(body.env.providers.school.hasKey, true);
+    assert.strictEqual(body.env.providers.painter.hasUrl, false);
+    assert.ok(Array.isArray(body.warnings));
+    assert.ok(!body.probes, 'Probes only run on request');
+    const serialized = JSON.stringify(body);
+    assert.ok(!serialized.includes('super-secret-key') && !serialized.includes('sk-another-secret'), 'Values must never be reported');
+    console.log('Test 1 passed: configuration report');
+  } catch (err) {
+    console.error('Test 1 failed:', err);
+    process.exit(1);
+  }
+
+  // Test 2: circuit and latency status come from the orchestrator
+  try {
+    global.fetch = async url => (url.includes('school')
+      ? { ok: true, json: async () => ({ text: 'Hola' }) }
+      : { ok: false, status: 500, text: async () => 'down' });
+    process.env.CIRCUIT_FAILURE_THRESHOLD = '1';
+    process.env.TEXT_PROVIDERS = 'openai,school';
+    clearModuleCache();
+    await require('../lib/pipelines').runTextPipeline({ prompt: 'Hola' });
+    const healthHandler = require('../api/health');
+    const res = createMockRes();
+    await healthHandler(createMockReq({}, { method: 'GET' }), res);
+    const { circuits, latency, status } = res.responseBody;
+    assert.strictEqual(status, 'degraded');
+    assert.strictEqual(circuits.find(c => c.providerId === 'openai').state, 'open');
+    const school = latency.find(s => s.providerId === 'school');
+    assert.strictEqual(school.attempts, 1);
+    assert.strictEqual(typeof school.latencyMs.p95, 'number');
+    assert.strictEqual(latency.find(s => s.providerId === 'openai').lastErrorType, 'server');
+    console.log('Test 2 passed: circuit and latency status');
+  } catch (err) {
+    console.error('Test 2 failed:', err);
+    process.exit(1);
+  } finally {
+    global.fetch = originalFetch;
+    delete process.env.CIRCUIT_FAILURE_THRESHOLD;
+    process.env.TEXT_PROVIDERS = 'school,openai';
+  }
+
+  // Test 3: probes require the token and report reachability per provider
+  try {
+    global.fetch = async url => {
+      if (url.includes('school')) return { ok: true, json: async () => ({ text: 'OK' }) };
+      if (url.includes('speaker')) return { ok: true, json: async () => ({ url: 'https://cdn.test/ok.mp3' }) };
+      return { ok: false, status: 401, text: async () => 'bad key' };
+    };
+    clearModuleCache();
+    const healthHandler = require('../api/health');
+
+    let res = createMockRes();
+    await healthHandler(createMockReq({}, { method: 'GET', query: { probe: 'true' } }), res);
+    assert.strictEqual(res.statusCode, 403, 'Probes are disabled without HEALTH_PROBE_TOKEN');
+
+    process.env.HEALTH_PROBE_TOKEN = 'probe-token';
+    res = createMockRes();
+    await healthHandler(createMockReq({}, { method: 'GET', query: { probe: 'true' }, headers: { authorization: 'Bearer wrong' } }), res);
+    assert.strictEqual(res.statusCode, 401);
+
+    res = createMockRes();
+    await healthHandler(createMockReq({}, { method: 'GET', query: { probe: 'true' }, headers: { authorization: 'Bearer probe-token' } }), res);
+    assert.strictEqual(res.statusCode, 200);
+    const probes = Object.fromEntries(res.responseBody.probes.map(p => [p.provider, p]));
+    assert.strictEqual(probes.school.ok, true);
+    assert.strictEqual(probes.school.capability, 'text');
+    assert.strictEqual(typeof probes.school.latencyMs, 'number');
+    assert.strictEqual(probes.openai.ok, false);
+    assert.strictEqual(probes.openai.reachable, true, 'An HTTP error means the provider answered');
+    assert.strictEqual(probes.openai.errorType, 'auth');
+    assert.strictEqual(probes.speaker.capability, 'tts');
+    assert.strictEqual(probes.speaker.ok, true);
+    assert.ok(probes.painter.skipped, 'Image-only providers are not probed');
+    console.log('Test 3 passed: authenticated probes');
+  } catch (err) {
+    console.error('Test 3 failed:', err);
+    process.exit(1);
+  } finally {
+    global.fetch = originalFetch;
+  }
+
+  // Test 4: config file path and errors are only shown with the probe token
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'health-test-'));
+  try {
+    process.env.PROVIDERS_CONFIG = path.join(dir, 'providers.json');
+    fs.writeFileSync(process.env.PROVIDERS_CONFIG, '{ not json');
+    clearModuleCache();
+    const healthHandler = require('../api/health');
+
+    let res = createMockRes();
+    await healthHandler(createMockReq({}, { method: 'GET' }), res);
+    assert.strictEqual(res.statusCode, 200);
+    assert.strictEqual(res.responseBody.status, 'degraded');
+    assert.strictEqual(res.responseBody.providersConfig.errorCount, 1);
+    assert.ok(!JSON.stringify(res.responseBody).includes(dir), 'Config path must not be shown without the token');
+    assert.ok(!res.responseBody.providersConfig.errors);
+
+    res = createMockRes();
+    await healthHandler(createMockReq({}, { method: 'GET', headers: { authorization: 'Bearer probe-token' } }), res);
+    assert.strictEqual(res.responseBody.providersConfig.path, process.env.PROVIDERS_CONFIG);
+    assert.strictEqual(res.responseBody.providersConfig.errors.length, 1);
+    console.log('Test 4 passed: config details require the probe token');
+  } catch (err) {
+    console.error('Test 4 failed:', err);
+    process.exit(1);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+
+  // Restore original env
+  Object.keys(process.env).forEach(key => {
+    if (!originalEnv.hasOwnProperty(key)) {
+      delete process.env[key];
+    }
+  });
+  Object.assign(process.env, originalEnv);
+
+  console.log('All health endpoint tests passed.');
+}
+
+run();
@@ -0,0 +1,84 @@
+// Shared helpers for the handler tests: mock request/response objects and a
+// require-cache reset so modules re-read the environment
+
+const { EventEmitter } = require('events');
+
+/**
+ * Builds a mock request. Like a real request it is an EventEmitter.
+ * @param {Object} [body={}] - Parsed JSON body
+ * @param {Object} [params]
+ * @param {string} [params.method='POST'] - HTTP method
+ * @param {Object} [params.headers={}] - Lowercase request headers
+ * @param {Object} [params.query={}] - Query parameters
+ * @param {Object} [params.identity] - Identity already attached by auth
+ * @returns {Object} Request
+ */
+function createMockReq(body = {}, { method = 'POST', headers = {}, query = {}, identity } = {}) {
+  const req = Object.assign(new EventEmitter(), { method, body, headers, query });
+  if (identity) req.identity = identity;
+  return req;
+}
+
+/**
+ * Builds a mock response recording the status, JSON body, headers (as set)
+ * and anything written to the stream. It is an EventEmitter so tests can
+ * emit 'close' to simulate a client that disconnects.
+ * @returns {Object} Response
+ */
+function createMockRes() {
+  return Object.assign(new EventEmitter(), {
+    statusCode: 200,
+    responseBody: null,
+    headers: {},
+    written: '',
+    ended: false,
+    writableEnded: false,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.responseBody = body;
+      return this;
+    },
+    setHeader(name, value) {
+      this.headers[name] = value;
+    },
+    write(chunk) {
+      this.written += chunk;
+      return true;
+    },
+    end(body) {
+      this.ended = true;
+      this.writableEnded = true;
+      if (body !== undefined) this.responseBody = body;
+      return this;
+    },
+  });
+}
+
+// Drops the handler, adapter and library modules from the require cache
+function clearModuleCache() {
+  Object.keys(require.cache).forEach(key => {
+    if (key.includes('/api/') || key.includes('/adapters/') || key.includes('/lib/')) {
+      delete require.cache[key];
+    }
+  });
+}
+
+/**
+ * Requires a module after clearing the cache, so it sees the current environment.
+ * @param {string} modulePath - Path relative to the test directory (e.g. '../api/chat')
+ * @returns {*} Module exports
+ */
+function freshRequire(modulePath) {
+  clearModuleCache();
+  return require(modulePath);
+}
+
+module.exports = {
+  createMockReq,
+  createMockRes,
+  clearModuleCache,
+  freshRequire,
+};
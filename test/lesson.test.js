@@ -0,0 +1,249 @@
+// Test for the structured lesson endpoint
+// Run with: node test/lesson.test.js
+
+const assert = require('assert');
+const { createMockReq, createMockRes, freshRequire } = require('./helpers');
+
+const LESSON_CONTENT = {
+  title: 'Los volcanes',
+  sections: [
+    { heading: '¿Qué es un volcán?', body: 'Es una montaña con un cráter.', imagePrompt: 'A friendly cartoon volcano' },
+    { heading: 'La lava', body: 'La lava es roca derretida.', imagePrompt: 'Glowing lava flowing gently' },
+  ],
+  vocabulary: [{ term: 'cráter', definition: 'La abertura en la cima del volcán.' }],
+  quiz: [{ question: '¿Qué es la lava?', options: ['Agua', 'Roca derretida', 'Aire'], answerIndex: 1 }],
+};
+
+async function run() {
+  console.log('Starting lesson endpoint tests...');
+
+  const originalFetch = global.fetch;
+  const originalEnv = { ...process.env };
+  // Handlers are exercised without sign-in; see test/auth.test.js
+  process.env.AUTH_ENABLED = 'false';
+  // Requests in these tests share one address
+  process.env.RATE_LIMIT_LESSON_CAPACITY = '100';
+  let textReply = '```json\n' + JSON.stringify(LESSON_CONTENT) + '\n```';
+  let imageFails = false;
+  let ttsDelayMs = 0;
+  let fetchCalls = 0;
+
+  global.fetch = async (url, opts) => {
+    fetchCalls++;
+    const body = JSON.parse(opts.body);
+    if (url.includes('backup.test')) return { ok: true, json: async () => ({ text: JSON.stringify(LESSON_CONTENT) }) };
+    if (url.includes('text.test')) return { ok: true, json: async () => ({ text: textReply }) };
+    if (url.includes('image.test')) {
+      if (imageFails) return { ok: false, status: 500, text: async () => 'down' };
+      return { ok: true, json: async () => ({ url: `https://cdn.test/${encodeURIComponent(body.prompt)}.png` }) };
+    }
+    if (url.includes('tts.test')) {
+      if (ttsDelayMs) {
+        await new Promise((resolve, reject) => {
+          const timer = setTimeout(resolve, ttsDelayMs);
+          opts.signal?.addEventListener('abort', () => {
+            clearTimeout(timer);
+            reject(Object.assign(new Error('aborted'), { name: 'AbortError' }));
+          });
+        });
+      }
+      return { ok: true, json: async () => ({ url: 'https://cdn.test/audio.mp3' }) };
+    }
+    return { ok: false, status: 502, text: async () => 'unknown mock route' };
+  };
+
+  process.env.TEXT_PROVIDERS = 'lessontext';
+  process.env.IMAGE_PROVIDERS = 'lessonimage';
+  process.env.TTS_PROVIDERS = 'lessontts';
+  process.env.AUDIO_FALLBACK_PROVIDER = 'lessontts';
+  process.env.PROVIDER_LESSONTEXT_API_URL = 'https://text.test/api';
+  process.env.PROVIDER_LESSONIMAGE_API_URL = 'https://image.test/api';
+  process.env.PROVIDER_LESSONTTS_API_URL = 'https://tts.test/api';
+
+  // Test 1: lesson composes text, narration and illustrations
+  try {
+    const handler = freshRequire('../api/lesson');
+    const res = createMockRes();
+    await handler(createMockReq({ topic: 'volcanes', gradeLevel: 3, language: 'es' }), res);
+
+    assert.strictEqual(res.statusCode, 200, JSON.stringify(res.responseBody));
+    const lesson = res.responseBody;
+    assert.strictEqual(lesson.title, 'Los volcanes');
+    assert.strictEqual(lesson.gradeLevel, 3);
+    assert.strictEqual(lesson.sections.length, 2);
+    assert.strictEqual(lesson.sections[0].narration.audioUrl, 'https://cdn.test/audio.mp3');
+    assert.ok(lesson.sections[1].illustration.imageUrl.includes('lava'), 'Expected section image prompt to be used');
+    assert.strictEqual(lesson.quiz[0].answerIndex, 1);
+    assert.deepStrictEqual(lesson.warnings, []);
+    console.log('Test 1 passed: lesson composed from all pipelines');
+  } catch (err) {
+    console.error('Test 1 failed:', err);
+    process.exit(1);
+  }
+
+  // Test 2: media failures become warnings instead of failing the lesson
+  try {
+    imageFails = true;
+    const handler = freshRequire('../api/lesson');
+    const res = createMockRes();
+    await handler(createMockReq({ topic: 'volcanes', gradeLevel: 3 }), res);
+
+    assert.strictEqual(res.statusCode, 200);
+    assert.strictEqual(res.responseBody.sections[0].illustration, null);
+    assert.strictEqual(res.responseBody.warnings.filter(w => w.type === 'illustration').length, 2);
+    imageFails = false;
+    console.log('Test 2 passed: media failures reported as warnings');
+  } catch (err) {
+    console.error('Test 2 failed:', err);
+    process.exit(1);
+  }
+
+  // Test 3: malformed lesson content is rejected once every provider has been tried
+  try {
+    textReply = JSON.stringify({ title: 'Sin secciones', sections: [], vocabulary: [], quiz: [] });
+    const handler = freshRequire('../api/lesson');
+    const res = createMockRes();
+    await handler(createMockReq({ topic: 'volcanes', gradeLevel: 3 }), res);
+
+    assert.strictEqual(res.statusCode, 502);
+    assert.strictEqual(res.responseBody.code, 'ALL_PROVIDERS_FAILED');
+    assert.strictEqual(res.responseBody.details[0].errorType, 'invalid_output');
+    console.log('Test 3 passed: invalid lesson content rejected');
+  } catch (err) {
+    console.error('Test 3 failed:', err);
+    process.exit(1);
+  }
+
+  // Test 4: request validation
+  try {
+    const handler = freshRequire('../api/lesson');
+    let res = createMockRes();
+    await handler(createMockReq({ gradeLevel: 3 }), res);
+    assert.strictEqual(res.responseBody.code, 'MISSING_TOPIC');
+
+    res = createMockRes();
+    await handler(createMockReq({ topic: 'x', gradeLevel: 15 }), res);
+    assert.strictEqual(res.responseBody.code, 'INVALID_GRADE_LEVEL');
+
+    res = createMockRes();
+    await handler(createMockReq({ topic: 'x', gradeLevel: 2, language: 'fr' }), res);
+    assert.strictEqual(res.responseBody.code, 'INVALID_LANGUAGE');
+
+    res = createMockRes();
+    await handler(createMockReq({ topic: 'x'.repeat(201), gradeLevel: 2 }), res);
+    assert.strictEqual(res.statusCode, 400);
+    assert.strictEqual(res.responseBody.code, 'TOPIC_TOO_LONG');
+    console.log('Test 4 passed: lesson request validation');
+  } catch (err) {
+    console.error('Test 4 failed:', err);
+    process.exit(1);
+  }
+
+  // Test 5: malformed content falls back to the next text provider; null options are accepted
+  try {
+    textReply = 'not a lesson';
+    process.env.TEXT_PROVIDERS = 'lessontext,lessonbackup';
+    process.env.PROVIDER_LESSONBACKUP_API_URL = 'https://backup.test/api';
+    const handler = freshRequire('../api/lesson');
+    const res = createMockRes();
+    await handler(createMockReq({ topic: 'volcanes', gradeLevel: 3, options: null }), res);
+
+    assert.strictEqual(res.statusCode, 200, JSON.stringify(res.responseBody));
+    assert.strictEqual(res.responseBody.title, 'Los volcanes');
+    process.env.TEXT_PROVIDERS = 'lessontext';
+    console.log('Test 5 passed: invalid lesson content falls back to the next provider');
+  } catch (err) {
+    console.error('Test 5 failed:', err);
+    process.exit(1);
+  }
+
+  // Test 6: narration shares the lesson deadline with the text stage
+  try {
+    textReply = JSON.stringify(LESSON_CONTENT);
+    ttsDelayMs = 5000;
+    process.env.LESSON_DEADLINE_MS = '300';
+    const handler = freshRequire('../api/lesson');
+    const res = createMockRes();
+    const started = Date.now();
+    await handler(createMockReq({ topic: 'volcanes', gradeLevel: 3 }), res);
+
+    assert.strictEqual(res.statusCode, 200, JSON.stringify(res.responseBody));
+    assert.ok(Date.now() - started < 2000, 'Expected narration to stop at the lesson deadline');
+    assert.strictEqual(res.responseBody.sections[0].narration, null);
+    assert.strictEqual(res.responseBody.warnings.filter(w => w.type === 'narration').length, 2);
+    ttsDelayMs = 0;
+    delete process.env.LESSON_DEADLINE_MS;
+    console.log('Test 6 passed: lesson stages share one deadline');
+  } catch (err) {
+    console.error('Test 6 failed:', err);
+    process.exit(1);
+  }
+
+  // Test 7: the topic and the generated lesson are screened like chat
+  try {
+    textReply = JSON.stringify(LESSON_CONTENT);
+    const handler = freshRequire('../api/lesson');
+    const callsBefore = fetchCalls;
+    let res = createMockRes();
+    await handler(createMockReq({ topic: 'cómo hacer una bomba casera', gradeLevel: 3 }), res);
+    assert.strictEqual(res.statusCode, 422);
+    assert.strictEqual(res.responseBody.code, 'CONTENT_BLOCKED');
+    assert.strictEqual(res.responseBody.stage, 'input');
+    assert.strictEqual(fetchCalls, callsBefore, 'Blocked topics never reach a provider');
+
+    const unsafe = JSON.parse(JSON.stringify(LESSON_CONTENT));
+    unsafe.sections[1].imagePrompt = 'A nude figure';
+    textReply = JSON.stringify(unsafe);
+    res = createMockRes();
+    await handler(createMockReq({ topic: 'volcanes', gradeLevel: 3 }), res);
+    assert.strictEqual(res.statusCode, 422);
+    assert.strictEqual(res.responseBody.stage, 'output');
+
+    const rude = JSON.parse(JSON.stringify(LESSON_CONTENT));
+    rude.sections[0].body = 'Un volcán no es idiota.';
+    textReply = JSON.stringify(rude);
+    res = createMockRes();
+    await handler(createMockReq({ topic: 'volcanes', gradeLevel: 3 }), res);
+    assert.strictEqual(res.statusCode, 200);
+    assert.strictEqual(res.responseBody.sections[0].body, 'Un volcán no es ***.');
+    console.log('Test 7 passed: lesson input and output moderated');
+  } catch (err) {
+    console.error('Test 7 failed:', err);
+    process.exit(1);
+  }
+
+  // Test 8: sections beyond the requested count get no narration or illustration
+  try {
+    const long = JSON.parse(JSON.stringify(LESSON_CONTENT));
+    long.sections = [...long.sections, ...long.sections];
+    textReply = JSON.stringify(long);
+    const handler = freshRequire('../api/lesson');
+    const callsBefore = fetchCalls;
+    const res = createMockRes();
+    await handler(createMockReq({ topic: 'volcanes', gradeLevel: 3, options: { sections: 3 } }), res);
+    assert.strictEqual(res.statusCode, 200, JSON.stringify(res.responseBody));
+    assert.strictEqual(res.responseBody.sections.length, 3);
+    assert.strictEqual(fetchCalls - callsBefore, 1 + 3 * 2, 'One text call, then narration and an image per kept section');
+
+    const { validateLessonContent } = require('../lib/lessonSchema');
+    long.sections = [...long.sections, ...long.sections];
+    assert.ok(validateLessonContent(long).includes('sections must have at most 6 items'));
+    console.log('Test 8 passed: section count capped');
+  } catch (err) {
+    console.error('Test 8 failed:', err);
+    process.exit(1);
+  }
+
+  // Restore original fetch and env
+  global.fetch = originalFetch;
+  Object.keys(process.env).forEach(key => {
+    if (!originalEnv.hasOwnProperty(key)) {
+      delete process.env[key];
+    }
+  });
+  Object.assign(process.env, originalEnv);
+
+  console.log('All lesson endpoint tests passed.');
+}
+
+run();
@@ -0,0 +1,168 @@
+// Test for structured JSON logging, redaction and request IDs
+// Run with: node test/logger.test.js
+
+const assert = require('assert');
+const { createMockReq, createMockRes, clearModuleCache } = require('./helpers');
+
+// Collects what the logger writes instead of printing it
+function captureConsole() {
+  const original = { log: console.log, warn: console.warn, error: console.error };
+  const lines = [];
+  ['log', 'warn', 'error'].forEach(method => {
+    console[method] = line => lines.push(line);
+  });
+  return {
+    lines,
+    entries: () => lines.map(line => JSON.parse(line)),
+    restore: () => Object.assign(console, original),
+  };
+}
+
+async function run() {
+  console.log('Starting logger tests...');
+
+  const originalFetch = global.fetch;
+  const originalEnv = { ...process.env };
+  // Handlers are exercised without sign-in; see test/auth.test.js
+  process.env.AUTH_ENABLED = 'false';
+  ['PROVIDERS_CONFIG', 'LOG_LEVEL', 'LOG_PROMPTS', 'TEXT_PROVIDERS', 'MODERATION_PROVIDER'].forEach(key => delete process.env[key]);
+  process.env.RETRY_ATTEMPTS = '0';
+
+  // Test 1: JSON lines with the configured minimum level
+  const capture = captureConsole();
+  try {
+    clearModuleCache();
+    const { createLogger } = require('../lib/logger');
+    const log = createLogger('Test');
+    log.debug('hidden by default');
+    log.info('Provider succeeded', { provider: 'openai', durationMs: 12 });
+    process.env.LOG_LEVEL = 'warn';
+    log.info('hidden at warn');
+    log.warn('Circuit opened');
+    capture.restore();
+
+    const entries = capture.entries();
+    assert.strictEqual(entries.length, 2);
+    assert.strictEqual(entries[0].level, 'info');
+    assert.strictEqual(entries[0].component, 'Test');
+    assert.strictEqual(entries[0].msg, 'Provider succeeded');
+    assert.strictEqual(entries[0].provider, 'openai');
+    assert.strictEqual(entries[0].durationMs, 12);
+    assert.ok(!Number.isNaN(Date.parse(entries[0].time)));
+    assert.strictEqual(entries[1].level, 'warn');
+    console.log('Test 1 passed: JSON lines and level filtering');
+  } catch (err) {
+    capture.restore();
+    console.error('Test 1 failed:', err);
+    process.exit(1);
+  } finally {
+    delete process.env.LOG_LEVEL;
+  }
+
+  // Test 2: keys, bearer tokens and student text are redacted
+  const capture2 = captureConsole();
+  try {
+    clearModuleCache();
+    const { createLogger } = require('../lib/logger');
+    const log = createLogger('Test');
+    log.info('Calling with sk-abcdefghijkl123', {
+      prompt: 'Mi mamá se llama Ana',
+      apiKey: 'plain-secret',
+      request: { headers: { authorization: 'Bearer abc.def.ghi' }, url: 'https://x.test/?key=AIzaSyA1234567890123456789012' },
+    });
+    process.env.LOG_PROMPTS = 'true';
+    log.info('Prompt logging enabled', { prompt: 'Mi mamá se llama Ana', note: 'Bearer xyz123' });
+    capture2.restore();
+
+    const [redacted, verbose] = capture2.entries();
+    const first = capture2.lines[0];
+    ['sk-abcdefghijkl123', 'Mi mamá', 'plain-secret', 'abc.def.ghi', 'AIzaSyA'].forEach(secret => {
+      assert.ok(!first.includes(secret), `${secret} must not be logged`);
+    });
+    assert.strictEqual(redacted.prompt, '[REDACTED 20 chars]');
+    assert.strictEqual(redacted.apiKey, '[REDACTED]');
+    assert.strictEqual(verbose.prompt, 'Mi mamá se llama Ana', 'LOG_PROMPTS=true keeps student text');
+    assert.strictEqual(verbose.note, 'Bearer [REDACTED]', 'Tokens are redacted even with LOG_PROMPTS');
+    console.log('Test 2 passed: redaction');
+  } catch (err) {
+    capture2.restore();
+    console.error('Test 2 failed:', err);
+    process.exit(1);
+  } finally {
+    delete process.env.LOG_PROMPTS;
+  }
+
+  // Test 3: the request ID is propagated from the header into adapter logs
+  const capture3 = captureConsole();
+  try {
+    process.env.LOG_LEVEL = 'debug';
+    process.env.TEXT_PROVIDERS = 'school';
+    process.env.PROVIDER_SCHOOL_API_URL = 'https://school.test/generate';
+    process.env.PROVIDER_SCHOOL_API_KEY = 'school-secret-key';
+    global.fetch = async () => ({ ok: true, json: async () => ({ text: 'Hola, soy tu tutor.' }) });
+    clearModuleCache();
+    const chatHandler = require('../api/chat');
+
+    const res = createMockRes();
+    await chatHandler(createMockReq({ prompt: 'Me llamo Sofía' }, { headers: { 'x-request-id': 'req-123' } }), res);
+    capture3.restore();
+
+    assert.strictEqual(res.statusCode, 200);
+    assert.strictEqual(res.headers['X-Request-Id'], 'req-123');
+    const entries = capture3.entries();
+    const adapterLine = entries.find(e => e.component === 'Generic');
+    assert.ok(adapterLine, 'Adapter logs at debug');
+    assert.strictEqual(adapterLine.requestId, 'req-123');
+    assert.strictEqual(adapterLine.endpoint, 'chat');
+    const done = entries.find(e => e.msg === 'Request completed');
+    assert.strictEqual(done.requestId, 'req-123');
+    assert.strictEqual(done.status, 200);
+    assert.strictEqual(typeof done.durationMs, 'number');
+    const output = capture3.lines.join('\n');
+    assert.ok(!output.includes('Sofía') && !output.includes('school-secret-key'), 'Prompts and keys stay out of the logs');
+    console.log('Test 3 passed: request ID propagation');
+  } catch (err) {
+    capture3.restore();
+    console.error('Test 3 failed:', err);
+    process.exit(1);
+  } finally {
+    global.fetch = originalFetch;
+  }
+
+  // Test 4: a request ID is generated when the header is missing or malformed
+  const capture4 = captureConsole();
+  try {
+    clearModuleCache();
+    const { withRequestLogging, getRequestContext } = require('../lib/logger');
+    let seen = null;
+    const handler = withRequestLogging('demo', async (req, res) => {
+      seen = getRequestContext();
+      return res.status(204).end();
+    });
+
+    const res = createMockRes();
+    await handler(createMockReq({}, { method: 'GET', headers: { 'x-request-id': 'bad id\nwith newline' } }), res);
+    capture4.restore();
+
+    assert.ok(/^[0-9a-f-]{36}$/.test(res.headers['X-Request-Id']), 'A UUID replaces a malformed header');
+    assert.deepStrictEqual(seen, { requestId: res.headers['X-Request-Id'], endpoint: 'demo' });
+    assert.strictEqual(require('../lib/logger').getRequestContext(), null, 'Context ends with the request');
+    console.log('Test 4 passed: generated request ID');
+  } catch (err) {
+    capture4.restore();
+    console.error('Test 4 failed:', err);
+    process.exit(1);
+  }
+
+  // Restore original env
+  Object.keys(process.env).forEach(key => {
+    if (!originalEnv.hasOwnProperty(key)) {
+      delete process.env[key];
+    }
+  });
+  Object.assign(process.env, originalEnv);
+
+  console.log('All logger tests passed.');
+}
+
+run();
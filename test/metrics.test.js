@@ -0,0 +1,106 @@
+// Test for the in-process provider metrics and /api/metrics
+// Run with: node test/metrics.test.js
+
+const assert = require('assert');
+const { createMockReq, createMockRes, clearModuleCache } = require('./helpers');
+
+async function run() {
+  console.log('Starting metrics tests...');
+
+  const originalFetch = global.fetch;
+  const originalEnv = { ...process.env };
+  ['PROVIDERS_CONFIG', 'METRICS_TOKEN', 'TEXT_STRATEGY'].forEach(key => delete process.env[key]);
+  process.env.RETRY_ATTEMPTS = '0';
+
+  // Test 1: counters and histograms render in the Prometheus text format
+  try {
+    const { incrementCounter, observeHistogram, renderMetrics, getMetricValue, resetMetrics } = require('../lib/metrics');
+    resetMetrics();
+    incrementCounter('demo_total', 'Demo counter', { endpoint: 'chat' });
+    incrementCounter('demo_total', 'Demo counter', { endpoint: 'chat' }, 2);
+    observeHistogram('demo_seconds', 'Demo histogram', { endpoint: 'chat' }, 0.3);
+    observeHistogram('demo_seconds', 'Demo histogram', { endpoint: 'chat' }, 40);
+    assert.strictEqual(getMetricValue('demo_total', { endpoint: 'chat' }), 3);
+    assert.strictEqual(getMetricValue('demo_seconds', { endpoint: 'chat' }), 2);
+
+    const text = renderMetrics();
+    assert.ok(text.includes('# TYPE demo_total counter'));
+    assert.ok(text.includes('demo_total{endpoint="chat"} 3'));
+    assert.ok(text.includes('demo_seconds_bucket{endpoint="chat",le="0.25"} 0'));
+    assert.ok(text.includes('demo_seconds_bucket{endpoint="chat",le="0.5"} 1'), 'Buckets should be cumulative');
+    assert.ok(text.includes('demo_seconds_bucket{endpoint="chat",le="+Inf"} 2'));
+    assert.ok(text.includes('demo_seconds_count{endpoint="chat"} 2'));
+    console.log('Test 1 passed: exposition format');
+  } catch (err) {
+    console.error('Test 1 failed:', err);
+    process.exit(1);
+  }
+
+  // Test 2: pipelines record attempts, errors by type, fallback depth and latency
+  try {
+    global.fetch = async url => (url.includes('first')
+      ? { ok: false, status: 503, text: async () => 'busy' }
+      : { ok: true, json: async () => ({ text: 'Hola' }) });
+    process.env.TEXT_PROVIDERS = 'first,second';
+    process.env.PROVIDER_FIRST_API_URL = 'https://first.test/generate';
+    process.env.PROVIDER_SECOND_API_URL = 'https://second.test/generate';
+    clearModuleCache();
+    const { getMetricValue } = require('../lib/metrics');
+    const { runTextPipeline } = require('../lib/pipelines');
+    await runTextPipeline({ prompt: 'Hola' });
+
+    assert.strictEqual(getMetricValue('provider_requests_total', { endpoint: 'chat', provider: 'first', outcome: 'failure' }), 1);
+    assert.strictEqual(getMetricValue('provider_requests_total', { endpoint: 'chat', provider: 'second', outcome: 'success' }), 1);
+    assert.strictEqual(getMetricValue('provider_errors_total', { endpoint: 'chat', provider: 'first', error_type: 'server' }), 1);
+    assert.strictEqual(getMetricValue('provider_request_duration_seconds', { endpoint: 'chat', provider: 'second' }), 1);
+    assert.strictEqual(getMetricValue('pipeline_runs_total', { endpoint: 'chat', outcome: 'success' }), 1);
+
+    const text = require('../lib/metrics').renderMetrics();
+    assert.ok(text.includes('pipeline_fallback_depth_bucket{endpoint="chat",le="1"} 0'));
+    assert.ok(text.includes('pipeline_fallback_depth_bucket{endpoint="chat",le="2"} 1'), 'Second provider won');
+    console.log('Test 2 passed: pipeline metrics');
+  } catch (err) {
+    console.error('Test 2 failed:', err);
+    process.exit(1);
+  } finally {
+    global.fetch = originalFetch;
+  }
+
+  // Test 3: /api/metrics serves the exposition, behind METRICS_TOKEN when set
+  try {
+    const metricsHandler = require('../api/metrics');
+    let res = createMockRes();
+    await metricsHandler(createMockReq({}, { method: 'GET' }), res);
+    assert.strictEqual(res.statusCode, 200);
+    assert.ok(res.headers['Content-Type'].startsWith('text/plain; version=0.0.4'));
+    assert.ok(res.responseBody.includes('provider_requests_total{endpoint="chat",provider="second",outcome="success"} 1'));
+
+    process.env.METRICS_TOKEN = 'scrape-token';
+    res = createMockRes();
+    await metricsHandler(createMockReq({}, { method: 'GET' }), res);
+    assert.strictEqual(res.statusCode, 401);
+    res = createMockRes();
+    await metricsHandler(createMockReq({}, { method: 'GET', headers: { authorization: 'Bearer scrape-token' } }), res);
+    assert.strictEqual(res.statusCode, 200);
+
+    res = createMockRes();
+    await metricsHandler({ method: 'POST', headers: {} }, res);
+    assert.strictEqual(res.statusCode, 405);
+    console.log('Test 3 passed: metrics endpoint');
+  } catch (err) {
+    console.error('Test 3 failed:', err);
+    process.exit(1);
+  }
+
+  // Restore original env
+  Object.keys(process.env).forEach(key => {
+    if (!originalEnv.hasOwnProperty(key)) {
+      delete process.env[key];
+    }
+  });
+  Object.assign(process.env, originalEnv);
+
+  console.log('All metrics tests passed.');
+}
+
+run();
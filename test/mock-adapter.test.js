@@ -0,0 +1,156 @@
+// Test for the offline mock adapter and its scripted failures
+// Run with: node test/mock-adapter.test.js
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createMockReq, createMockRes, clearModuleCache } = require('./helpers');
+
+async function run() {
+  console.log('Starting mock adapter tests...');
+
+  const originalFetch = global.fetch;
+  const originalEnv = { ...process.env };
+  // Handlers are exercised without sign-in; see test/auth.test.js
+  process.env.AUTH_ENABLED = 'false';
+  ['TEXT_PROVIDERS', 'TTS_PROVIDERS', 'IMAGE_PROVIDERS', 'MODERATION_PROVIDER', 'PROVIDER_MOCK_MOCK_BEHAVIOR'].forEach(key => delete process.env[key]);
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mock-adapter-test-'));
+  process.env.PROVIDERS_CONFIG = path.join(dir, 'providers.json');
+  fs.writeFileSync(process.env.PROVIDERS_CONFIG, JSON.stringify({
+    providers: {
+      'mock-down': { type: 'mock', mock: { failure: 'http', status: 503 } },
+      'mock-slow': { type: 'mock', mock: { failure: 'timeout' } },
+      'mock-empty': { type: 'mock', mock: { failure: 'empty' } },
+    },
+  }));
+  process.env.LOG_LEVEL = 'silent';
+  // Any network call is a failure
+  global.fetch = async url => {
+    throw new Error(`Unexpected fetch to ${url}`);
+  };
+
+  // Test 1: deterministic text, placeholder images and sized audio
+  try {
+    clearModuleCache();
+    const { getAdapter } = require('../adapters/index');
+    const mock = getAdapter('mock');
+    const first = await mock.generateText({ prompt: 'Explain the water cycle' });
+    const again = await mock.generateText({ prompt: 'Explain the water cycle' });
+    const other = await mock.generateText({ prompt: 'Explain photosynthesis' });
+    assert.strictEqual(first.text, again.text, 'Same prompt, same reply');
+    assert.notStrictEqual(first.text, other.text);
+    assert.ok(first.text.includes('Explain the water cycle'));
+
+    const image = await mock.generateImage({ prompt: 'A <red> fox' });
+    assert.strictEqual(image.mimeType, 'image/svg+xml');
+    const svg = Buffer.from(image.base64, 'base64').toString();
+    assert.ok(svg.startsWith('<svg') && svg.includes('A &lt;red&gt; fox'));
+    assert.ok(image.imageUrl.startsWith('data:image/svg+xml;base64,'));
+
+    const speech = await mock.generateTTS({ text: 'one two three four five six seven eight nine ten' });
+    const wav = Buffer.from(speech.base64, 'base64');
+    assert.strictEqual(speech.mimeType, 'audio/wav');
+    assert.strictEqual(wav.toString('ascii', 0, 4), 'RIFF');
+    assert.strictEqual(wav.readUInt32LE(40) / (wav.readUInt32LE(24) * 2), 4, 'Ten words last about four seconds');
+    console.log('Test 1 passed: deterministic offline results');
+  } catch (err) {
+    console.error('Test 1 failed:', err);
+    process.exit(1);
+  }
+
+  // Test 2: scripted HTTP failures fall back end-to-end through a handler
+  try {
+    process.env.TEXT_PROVIDERS = 'mock-down,mock';
+    clearModuleCache();
+    const chatHandler = require('../api/chat');
+    const res = createMockRes();
+    await chatHandler(createMockReq({ prompt: 'Hola' }), res);
+    assert.strictEqual(res.statusCode, 200);
+    assert.strictEqual(res.responseBody.provider, 'mock');
+
+    process.env.TEXT_PROVIDERS = 'mock-down';
+    clearModuleCache();
+    const failed = createMockRes();
+    await require('../api/chat')(createMockReq({ prompt: 'Hola' }), failed);
+    assert.strictEqual(failed.statusCode, 502);
+    assert.strictEqual(failed.responseBody.details[0].errorType, 'server');
+    assert.strictEqual(failed.responseBody.details[0].status, 503);
+    console.log('Test 2 passed: HTTP failure and fallback');
+  } catch (err) {
+    console.error('Test 2 failed:', err);
+    process.exit(1);
+  }
+
+  // Test 3: timeouts and empty results fall back too
+  try {
+    process.env.TTS_PROVIDERS = 'mock-slow,mock';
+    process.env.AUDIO_FALLBACK_PROVIDER = 'mock';
+    process.env.TTS_TIMEOUT_MS = '50';
+    process.env.IMAGE_PROVIDERS = 'mock-empty,mock';
+    clearModuleCache();
+    const ttsHandler = require('../api/tts');
+    const imageHandler = require('../api/image');
+
+    let res = createMockRes();
+    await ttsHandler(createMockReq({ text: 'Buenos días' }), res);
+    assert.strictEqual(res.statusCode, 200);
+    assert.strictEqual(res.responseBody.provider, 'mock');
+    assert.strictEqual(res.responseBody.mimeType, 'audio/wav');
+
+    res = createMockRes();
+    await imageHandler(createMockReq({ prompt: 'Un volcán' }), res);
+    assert.strictEqual(res.statusCode, 200);
+    assert.strictEqual(res.responseBody.provider, 'mock');
+    console.log('Test 3 passed: timeout and empty failures');
+  } catch (err) {
+    console.error('Test 3 failed:', err);
+    process.exit(1);
+  }
+
+  // Test 4: behaviour from the environment, failing only the first calls
+  try {
+    process.env.PROVIDER_MOCK_MOCK_BEHAVIOR = 'failure=http,status=429,failCount=1,failOn=text';
+    clearModuleCache();
+    const mock = require('../adapters/index').getAdapter('mock');
+    await assert.rejects(() => mock.generateText({ prompt: 'Hola' }), err => err.type === 'rate_limit');
+    assert.ok(await mock.generateText({ prompt: 'Hola' }), 'Answers once failCount is used up');
+    assert.ok(await mock.generateTTS({ text: 'Hola' }), 'Only the listed capabilities fail');
+    const other = require('../adapters/index').getAdapter('mock');
+    await assert.rejects(() => other.generateText({ prompt: 'Hola' }), 'Each adapter instance counts its own failures');
+
+    const createMockAdapter = require('../adapters/mock');
+    const slow = createMockAdapter({ id: 'slow', mock: { latencyMs: 5 } });
+    const controller = new AbortController();
+    let listeners = 0;
+    const add = controller.signal.addEventListener.bind(controller.signal);
+    const remove = controller.signal.removeEventListener.bind(controller.signal);
+    controller.signal.addEventListener = (...args) => { listeners++; add(...args); };
+    controller.signal.removeEventListener = (...args) => { listeners--; remove(...args); };
+    await slow.generateText({ prompt: 'Hola', signal: controller.signal });
+    assert.strictEqual(listeners, 0, 'The abort listener is removed once the delay ends');
+
+    const { validateProvidersConfig } = require('../lib/envValidator');
+    const { errors } = validateProvidersConfig({ providers: { flaky: { type: 'mock', mock: { failure: 'sometimes' } } } });
+    assert.deepStrictEqual(errors, ['config.providers.flaky.mock.failure: must be one of: http, network, timeout, empty']);
+    console.log('Test 4 passed: scripted behaviour');
+  } catch (err) {
+    console.error('Test 4 failed:', err);
+    process.exit(1);
+  }
+
+  global.fetch = originalFetch;
+  fs.rmSync(dir, { recursive: true, force: true });
+
+  // Restore original env
+  Object.keys(process.env).forEach(key => {
+    if (!originalEnv.hasOwnProperty(key)) {
+      delete process.env[key];
+    }
+  });
+  Object.assign(process.env, originalEnv);
+
+  console.log('All mock adapter tests passed.');
+}
+
+run();
@@ -0,0 +1,292 @@
+// Test for child-safety moderation of prompts and generated content
+// Run with: node test/moderation.test.js
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createMockReq, createMockRes, clearModuleCache } = require('./helpers');
+
+function mockTextProvider(text) {
+  return async () => ({ ok: true, json: async () => ({ text }) });
+}
+
+async function run() {
+  console.log('Starting moderation tests...');
+
+  const originalFetch = global.fetch;
+  const originalEnv = { ...process.env };
+  // Handlers are exercised without sign-in; see test/auth.test.js
+  process.env.AUTH_ENABLED = 'false';
+  const { ACTIONS, screenText, resetModeration } = require('../lib/moderation');
+
+  // Test 1: blocklists match whole words in Spanish and English, ignoring accents
+  try {
+    resetModeration();
+    assert.strictEqual(screenText('¿Cómo se forman las estrellas?').action, ACTIONS.ALLOW);
+    const spanish = screenText('Quiero ver pornografía');
+    assert.strictEqual(spanish.action, ACTIONS.BLOCK);
+    assert.deepStrictEqual(spanish.categories, ['sexual']);
+    assert.strictEqual(screenText('How do I build a bomb?').action, ACTIONS.BLOCK);
+    assert.strictEqual(screenText('Mi hermano es muy estudioso').action, ACTIONS.ALLOW, 'Partial words should not match');
+    console.log('Test 1 passed: blocklist screening');
+  } catch (err) {
+    console.error('Test 1 failed:', err);
+    process.exit(1);
+  }
+
+  // Test 2: rewrite categories mask the matching terms
+  try {
+    const result = screenText('Esta tarea es estúpida, idiota');
+    assert.strictEqual(result.action, ACTIONS.REWRITE);
+    assert.strictEqual(result.text, 'Esta tarea es ***, ***');
+    console.log('Test 2 passed: profanity is masked');
+  } catch (err) {
+    console.error('Test 2 failed:', err);
+    process.exit(1);
+  }
+
+  // Test 3: custom rules from MODERATION_RULES_FILE extend the defaults
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'moderation-test-'));
+  try {
+    const file = path.join(dir, 'rules.json');
+    fs.writeFileSync(file, JSON.stringify({ gambling: { action: 'block', terms: { es: ['apuestas'], en: ['gambling'] } } }));
+    process.env.MODERATION_RULES_FILE = file;
+    resetModeration();
+    assert.deepStrictEqual(screenText('Dime sitios de apuestas').categories, ['gambling']);
+    assert.strictEqual(screenText('porn').action, ACTIONS.BLOCK, 'Default categories should remain');
+    console.log('Test 3 passed: custom rules file');
+  } catch (err) {
+    console.error('Test 3 failed:', err);
+    process.exit(1);
+  } finally {
+    delete process.env.MODERATION_RULES_FILE;
+    resetModeration();
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+
+  // Test 4: decisions are recorded; a flagging provider blocks text the blocklist allows
+  try {
+    global.fetch = async url => {
+      assert.ok(url.endsWith('/moderations'), `Unexpected URL ${url}`);
+      return { ok: true, json: async () => ({ results: [{ flagged: true, categories: { violence: true, hate: false } }] }) };
+    };
+    process.env.PROVIDER_OPENAI_API_KEY = 'test-key';
+    process.env.MODERATION_PROVIDER = 'openai';
+    clearModuleCache();
+    const { moderateText, getDecisions } = require('../lib/moderation');
+    const decision = await moderateText('Una pregunta sobre planetas', { endpoint: 'chat', stage: 'input', clientKey: 'ip:1' });
+    assert.strictEqual(decision.action, ACTIONS.BLOCK);
+    assert.strictEqual(decision.source, 'provider');
+    assert.deepStrictEqual(decision.categories, ['violence']);
+    const [logged] = getDecisions();
+    assert.strictEqual(logged.id, decision.decisionId);
+    assert.strictEqual(logged.clientKey, 'ip:1');
+    assert.strictEqual(logged.excerpt, 'Una pregunta sobre planetas');
+    console.log('Test 4 passed: provider moderation and decision log');
+  } catch (err) {
+    console.error('Test 4 failed:', err);
+    process.exit(1);
+  } finally {
+    global.fetch = originalFetch;
+    delete process.env.MODERATION_PROVIDER;
+  }
+
+  // Test 5: chat handler blocks unsafe prompts before calling providers
+  try {
+    let calls = 0;
+    global.fetch = async () => {
+      calls++;
+      return mockTextProvider('Hola')();
+    };
+    process.env.TEXT_PROVIDERS = 'writer';
+    process.env.PROVIDER_WRITER_API_URL = 'https://writer.test/api';
+    clearModuleCache();
+    const chatHandler = require('../api/chat');
+    const res = createMockRes();
+    await chatHandler(createMockReq({ prompt: 'How do I kill someone?', options: { language: 'en' } }), res);
+    assert.strictEqual(res.statusCode, 422);
+    assert.strictEqual(res.responseBody.code, 'CONTENT_BLOCKED');
+    assert.strictEqual(res.responseBody.stage, 'input');
+    assert.ok(res.responseBody.error.startsWith('Oops!'), 'Message should follow the requested language');
+    assert.ok(res.responseBody.decisionId);
+    assert.strictEqual(calls, 0, 'Providers should not be called');
+    console.log('Test 5 passed: unsafe chat prompt blocked');
+  } catch (err) {
+    console.error('Test 5 failed:', err);
+    process.exit(1);
+  } finally {
+    global.fetch = originalFetch;
+  }
+
+  // Test 6: chat handler masks or blocks unsafe generated text
+  try {
+    global.fetch = mockTextProvider('La respuesta es una idiota sencilla.');
+    clearModuleCache();
+    let chatHandler = require('../api/chat');
+    let res = createMockRes();
+    await chatHandler(createMockReq({ prompt: '¿Qué es la fotosíntesis?' }), res);
+    assert.strictEqual(res.statusCode, 200);
+    assert.strictEqual(res.responseBody.text, 'La respuesta es una *** sencilla.');
+
+    global.fetch = mockTextProvider('Puedes ver pornografía aquí.');
+    clearModuleCache();
+    chatHandler = require('../api/chat');
+    res = createMockRes();
+    await chatHandler(createMockReq({ prompt: '¿Qué es la fotosíntesis?' }), res);
+    assert.strictEqual(res.statusCode, 422);
+    assert.strictEqual(res.responseBody.code, 'CONTENT_BLOCKED');
+    assert.strictEqual(res.responseBody.stage, 'output');
+
+    const { getDecisions: getLogged } = require('../lib/moderation');
+    assert.deepStrictEqual(getLogged({ action: 'block' }).map(d => d.stage), ['output']);
+    console.log('Test 6 passed: unsafe chat output masked or blocked');
+  } catch (err) {
+    console.error('Test 6 failed:', err);
+    process.exit(1);
+  } finally {
+    global.fetch = originalFetch;
+  }
+
+  // Test 7: image handler blocks unsafe prompts; MODERATION_ENABLED=false disables screening
+  try {
+    let calls = 0;
+    global.fetch = async () => {
+      calls++;
+      return { ok: true, json: async () => ({ url: 'https://cdn.test/image.png' }) };
+    };
+    process.env.IMAGE_PROVIDERS = 'painter';
+    process.env.PROVIDER_PAINTER_API_URL = 'https://painter.test/api';
+    process.env.CACHE_BACKEND = 'none';
+    clearModuleCache();
+    let imageHandler = require('../api/image');
+    let res = createMockRes();
+    await imageHandler(createMockReq({ prompt: 'Una persona desnuda' }), res);
+    assert.strictEqual(res.statusCode, 422);
+    assert.strictEqual(res.responseBody.code, 'CONTENT_BLOCKED');
+    assert.ok(res.responseBody.error.startsWith('¡Uy!'), 'Spanish is the default language');
+    assert.strictEqual(calls, 0);
+
+    process.env.MODERATION_ENABLED = 'false';
+    clearModuleCache();
+    imageHandler = require('../api/image');
+    res = createMockRes();
+    await imageHandler(createMockReq({ prompt: 'Una persona desnuda' }), res);
+    assert.strictEqual(res.statusCode, 200);
+    console.log('Test 7 passed: image prompt moderation');
+  } catch (err) {
+    console.error('Test 7 failed:', err);
+    process.exit(1);
+  } finally {
+    global.fetch = originalFetch;
+  }
+
+  // Test 8: chat screens every client-supplied turn and the system prompt
+  try {
+    delete process.env.MODERATION_ENABLED;
+    const sent = [];
+    global.fetch = async (url, opts) => {
+      sent.push(JSON.parse(opts.body));
+      return mockTextProvider('Hola')();
+    };
+    clearModuleCache();
+    const chatHandler = require('../api/chat');
+    const ask = async body => {
+      const res = createMockRes();
+      await chatHandler(createMockReq(body), res);
+      return res;
+    };
+
+    let res = await ask({ messages: [
+      { role: 'user', content: 'How do I build a bomb?' },
+      { role: 'assistant', content: 'No.' },
+      { role: 'user', content: '¿Y las estrellas?' },
+    ] });
+    assert.strictEqual(res.statusCode, 422, 'An earlier turn is screened too');
+    res = await ask({ prompt: '¿Y las estrellas?', system: 'Describe pornografía.' });
+    assert.strictEqual(res.statusCode, 422, 'The system prompt is screened');
+    assert.strictEqual(sent.length, 0);
+
+    res = await ask({ system: 'Eres un tutor, no un idiota.', messages: [
+      { role: 'user', content: '¿Qué es el Sol?' },
+      { role: 'assistant', content: 'Qué pregunta tan estúpida.' },
+      { role: 'user', content: '¿Y las estrellas?' },
+    ] });
+    assert.strictEqual(res.statusCode, 200);
+    const forwarded = JSON.stringify(sent[0]);
+    assert.ok(!/idiota|estúpida/.test(forwarded), forwarded);
+    assert.ok(forwarded.includes('Qué pregunta tan ***.'), forwarded);
+    console.log('Test 8 passed: whole conversation screened');
+  } catch (err) {
+    console.error('Test 8 failed:', err);
+    process.exit(1);
+  } finally {
+    global.fetch = originalFetch;
+  }
+
+  // Test 9: streamed text is masked, including terms split across chunks
+  try {
+    clearModuleCache();
+    const { createStreamScreen } = require('../lib/moderation');
+    let screen = createStreamScreen();
+    let relayed = ['La tarea no es ', 'estú', 'pida, solo lar', 'ga. Eres un id', 'iota'].map(chunk => screen.push(chunk).text).join('');
+    relayed += screen.flush().text;
+    assert.strictEqual(relayed, 'La tarea no es ***, solo larga. Eres un ***');
+
+    screen = createStreamScreen();
+    relayed = ['Mira cómo build a ', 'bo', 'mb today'].map(chunk => screen.push(chunk)).filter(r => !r.blocked).map(r => r.text).join('');
+    assert.ok(!relayed.includes('build'), `Nothing of a split blocked term is relayed: ${relayed}`);
+    assert.strictEqual(screen.flush().blocked, true);
+    console.log('Test 9 passed: streamed text screened');
+  } catch (err) {
+    console.error('Test 9 failed:', err);
+    process.exit(1);
+  }
+
+  // Test 10: a long history costs one metered provider check
+  try {
+    const calls = [];
+    global.fetch = async (url, opts) => {
+      calls.push(url);
+      if (url.endsWith('/moderations')) {
+        return { ok: true, json: async () => ({ results: [{ flagged: false, categories: {} }] }) };
+      }
+      return mockTextProvider('Hola')();
+    };
+    process.env.PROVIDER_OPENAI_API_KEY = 'test-key';
+    process.env.MODERATION_PROVIDER = 'openai';
+    process.env.TEXT_PROVIDERS = 'school';
+    process.env.PROVIDER_SCHOOL_API_URL = 'https://school.test/generate';
+    clearModuleCache();
+    const chatHandler = require('../api/chat');
+    const messages = [];
+    for (let i = 0; i < 200; i++) messages.push({ role: i % 2 ? 'assistant' : 'user', content: `hola ${i}` });
+    messages.push({ role: 'user', content: '¿Y las estrellas?' });
+    const res = createMockRes();
+    await chatHandler(createMockReq({ messages }), res);
+    assert.strictEqual(res.statusCode, 200);
+    // One check for the history, one for the reply
+    assert.strictEqual(calls.filter(url => url.endsWith('/moderations')).length, 2);
+    const entries = require('../lib/usage').getUsageEntries();
+    assert.ok(entries.some(e => e.endpoint === 'moderation' && e.capability === 'moderation' && e.provider === 'openai'), 'Checks are metered');
+    console.log('Test 10 passed: one metered moderation check per conversation');
+  } catch (err) {
+    console.error('Test 10 failed:', err);
+    process.exit(1);
+  } finally {
+    global.fetch = originalFetch;
+    delete process.env.MODERATION_PROVIDER;
+  }
+
+  // Restore original env
+  Object.keys(process.env).forEach(key => {
+    if (!originalEnv.hasOwnProperty(key)) {
+      delete process.env[key];
+    }
+  });
+  Object.assign(process.env, originalEnv);
+
+  console.log('All moderation tests passed.');
+}
+
+run();
@@ -0,0 +1,192 @@
+// Test for the Ollama adapter for locally hosted models
+// Run with: node test/ollama-adapter.test.js
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createMockReq, createMockRes, clearModuleCache } = require('./helpers');
+
+// NDJSON body split across arbitrary chunk boundaries
+function ndjsonBody(lines) {
+  const raw = lines.map(line => JSON.stringify(line)).join('\n') + '\n';
+  const encoder = new TextEncoder();
+  return (async function* () {
+    for (let i = 0; i < raw.length; i += 11) yield encoder.encode(raw.slice(i, i + 11));
+  })();
+}
+
+function refused() {
+  const err = new TypeError('fetch failed');
+  err.cause = { code: 'ECONNREFUSED' };
+  return err;
+}
+
+async function run() {
+  console.log('Starting Ollama adapter tests...');
+
+  const originalFetch = global.fetch;
+  const originalEnv = { ...process.env };
+  // Handlers are exercised without sign-in; see test/auth.test.js
+  process.env.AUTH_ENABLED = 'false';
+  ['TEXT_PROVIDERS', 'MODERATION_PROVIDER', 'PROVIDER_OLLAMA_API_URL', 'PROVIDER_OLLAMA_API_ENDPOINT', 'OLLAMA_API_URL'].forEach(key => delete process.env[key]);
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ollama-test-'));
+  process.env.PROVIDERS_CONFIG = path.join(dir, 'providers.json');
+  fs.writeFileSync(process.env.PROVIDERS_CONFIG, JSON.stringify({ providers: { ollama: { keepAlive: '10m' } } }));
+  process.env.PROVIDER_OPENAI_API_URL = 'https://openai.test/v1';
+  process.env.RETRY_ATTEMPTS = '0';
+  process.env.LOG_LEVEL = 'silent';
+  const requests = [];
+
+  // Test 1: /api/chat request with model, history and keep-alive
+  try {
+    global.fetch = async (url, init) => {
+      requests.push({ url, body: JSON.parse(init.body) });
+      return {
+        ok: true,
+        json: async () => ({ model: 'llama3.2', message: { role: 'assistant', content: 'La Luna gira alrededor de la Tierra.' }, done: true, prompt_eval_count: 31, eval_count: 12 }),
+      };
+    };
+    process.env.PROVIDER_OLLAMA_KEEP_ALIVE = '-1';
+    clearModuleCache();
+    const ollama = require('../adapters/index').getAdapter('ollama');
+    const result = await ollama.generateText({
+      system: 'Eres un tutor.',
+      messages: [{ role: 'user', content: '¿Qué es la Luna?' }],
+      options: { max_tokens: 64 },
+    });
+
+    assert.strictEqual(result.text, 'La Luna gira alrededor de la Tierra.');
+    assert.deepStrictEqual(result.usage, { inputTokens: 31, outputTokens: 12, estimated: false });
+    assert.strictEqual(requests[0].url, 'http://localhost:11434/api/chat');
+    assert.deepStrictEqual(requests[0].body, {
+      model: 'llama3.2',
+      stream: false,
+      messages: [{ role: 'system', content: 'Eres un tutor.' }, { role: 'user', content: '¿Qué es la Luna?' }],
+      keep_alive: '-1',
+      options: { num_predict: 64 },
+    });
+
+    delete process.env.PROVIDER_OLLAMA_KEEP_ALIVE;
+    clearModuleCache();
+    await require('../adapters/index').getAdapter('ollama').generateText({ prompt: 'Hola', options: { model: 'qwen2.5:3b' } });
+    assert.strictEqual(requests[1].body.keep_alive, '10m', 'Keep-alive from the config file');
+    assert.strictEqual(requests[1].body.model, 'qwen2.5:3b');
+    console.log('Test 1 passed: chat requests');
+  } catch (err) {
+    console.error('Test 1 failed:', err);
+    process.exit(1);
+  }
+
+  // Test 2: the generate API and NDJSON streaming
+  try {
+    requests.length = 0;
+    global.fetch = async (url, init) => {
+      const body = JSON.parse(init.body);
+      requests.push({ url, body });
+      if (body.stream) {
+        return {
+          ok: true,
+          body: ndjsonBody([
+            { model: 'llama3.2', response: 'Las plantas ', done: false },
+            { model: 'llama3.2', response: 'hacen fotosíntesis.', done: false },
+            { model: 'llama3.2', response: '', done: true, done_reason: 'stop', prompt_eval_count: 20, eval_count: 6 },
+          ]),
+        };
+      }
+      return { ok: true, json: async () => ({ response: 'Hola', done: true }) };
+    };
+    process.env.PROVIDER_OLLAMA_API_URL = 'http://ollama.school.local:11434/';
+    process.env.PROVIDER_OLLAMA_API_ENDPOINT = 'api/generate';
+    clearModuleCache();
+    const ollama = require('../adapters/index').getAdapter('ollama');
+
+    assert.strictEqual((await ollama.generateText({ prompt: 'Hola', system: 'Sé breve.' })).text, 'Hola');
+    assert.strictEqual(requests[0].url, 'http://ollama.school.local:11434/api/generate');
+    assert.strictEqual(requests[0].body.prompt, 'Hola');
+    assert.strictEqual(requests[0].body.system, 'Sé breve.');
+
+    const chunks = [];
+    for await (const chunk of ollama.streamText({ prompt: '¿Qué hacen las plantas?' })) chunks.push(chunk);
+    assert.deepStrictEqual(chunks, ['Las plantas ', 'hacen fotosíntesis.']);
+    assert.strictEqual(requests[1].body.stream, true);
+
+    global.fetch = async () => ({ ok: true, body: ndjsonBody([{ response: 'Las ', done: false }, { error: 'model runner crashed' }]) });
+    clearModuleCache();
+    const crashing = require('../adapters/index').getAdapter('ollama');
+    await assert.rejects(async () => {
+      for await (const chunk of crashing.streamText({ prompt: 'x' })) chunks.push(chunk);
+    }, err => err.type === 'server' && /model runner crashed/.test(err.message));
+    console.log('Test 2 passed: generate API and streaming');
+  } catch (err) {
+    console.error('Test 2 failed:', err);
+    process.exit(1);
+  } finally {
+    delete process.env.PROVIDER_OLLAMA_API_URL;
+    delete process.env.PROVIDER_OLLAMA_API_ENDPOINT;
+  }
+
+  // Test 3: cloud providers back up the local model and vice versa
+  try {
+    let ollamaUp = false;
+    let cloudUp = true;
+    global.fetch = async (url, init) => {
+      const body = JSON.parse(init.body);
+      if (url.startsWith('http://localhost:11434')) {
+        if (!ollamaUp) throw refused();
+        if (body.stream) return { ok: true, body: ndjsonBody([{ message: { content: 'Hola desde el aula' }, done: true }]) };
+        return { ok: true, json: async () => ({ message: { content: 'Hola desde el aula' }, done: true }) };
+      }
+      if (!cloudUp) return { ok: false, status: 503, text: async () => 'unavailable' };
+      return { ok: true, json: async () => ({ choices: [{ message: { content: 'Hola desde la nube' } }] }) };
+    };
+
+    // The cloud provider answers while the local server is unreachable
+    process.env.TEXT_PROVIDERS = 'ollama,openai';
+    clearModuleCache();
+    let res = createMockRes();
+    await require('../api/chat')(createMockReq({ prompt: 'Hola' }), res);
+    assert.strictEqual(res.statusCode, 200);
+    assert.strictEqual(res.responseBody.provider, 'openai');
+
+    // The local model backs up the cloud, streaming included
+    ollamaUp = true;
+    cloudUp = false;
+    process.env.TEXT_PROVIDERS = 'openai,ollama';
+    clearModuleCache();
+    res = createMockRes();
+    await require('../api/chat')(createMockReq({ prompt: 'Hola', options: { stream: true } }), res);
+    assert.ok(res.written.includes('"provider":"ollama"'));
+    const deltas = res.written.split('\n').filter(line => line.startsWith('data: ')).map(line => JSON.parse(line.slice(6)).delta);
+    assert.strictEqual(deltas.filter(Boolean).join(''), 'Hola desde el aula');
+
+    // An unreachable local server is a network failure
+    ollamaUp = false;
+    process.env.TEXT_PROVIDERS = 'ollama';
+    clearModuleCache();
+    res = createMockRes();
+    await require('../api/chat')(createMockReq({ prompt: 'Hola' }), res);
+    assert.strictEqual(res.statusCode, 502);
+    assert.strictEqual(res.responseBody.details[0].errorType, 'network');
+    console.log('Test 3 passed: fallback between local and cloud providers');
+  } catch (err) {
+    console.error('Test 3 failed:', err);
+    process.exit(1);
+  } finally {
+    global.fetch = originalFetch;
+  }
+
+  fs.rmSync(dir, { recursive: true, force: true });
+
+  // Restore original env
+  Object.keys(process.env).forEach(key => {
+    if (!originalEnv.hasOwnProperty(key)) {
+      delete process.env[key];
+    }
+  });
+  Object.assign(process.env, originalEnv);
+
+  console.log('All Ollama adapter tests passed.');
+}
+
+run();
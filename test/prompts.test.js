@@ -0,0 +1,135 @@
+// Test for the versioned, localized prompt template library
+// Run with: node test/prompts.test.js
+
+const assert = require('assert');
+const { createMockReq, createMockRes, clearModuleCache } = require('./helpers');
+
+async function run() {
+  console.log('Starting prompt template tests...');
+
+  const originalFetch = global.fetch;
+  const originalEnv = { ...process.env };
+  // Handlers are exercised without sign-in; see test/auth.test.js
+  process.env.AUTH_ENABLED = 'false';
+  const { renderTemplate, parseTemplateRef, listTemplates, registerTemplate } = require('../lib/prompts');
+
+  // Test 1: references select the latest or a pinned version
+  try {
+    assert.deepStrictEqual(parseTemplateRef('explain-concept'), { name: 'explain-concept', version: null });
+    assert.deepStrictEqual(parseTemplateRef('explain-concept@1'), { name: 'explain-concept', version: 1 });
+    assert.deepStrictEqual(parseTemplateRef({ name: 'explain-concept', version: 2 }), { name: 'explain-concept', version: 2 });
+    assert.strictEqual(parseTemplateRef('explain-concept@v1'), null);
+
+    const latest = renderTemplate('explain-concept', { concept: 'la fotosíntesis' }, { kind: 'text' });
+    assert.deepStrictEqual(latest.template, { name: 'explain-concept', version: 2, language: 'es' });
+    const pinned = renderTemplate('explain-concept@1', { concept: 'la fotosíntesis' }, { kind: 'text' });
+    assert.strictEqual(pinned.text, 'Explica qué es la fotosíntesis de forma sencilla.');
+    assert.strictEqual(pinned.system, null);
+    console.log('Test 1 passed: template versions');
+  } catch (err) {
+    console.error('Test 1 failed:', err);
+    process.exit(1);
+  }
+
+  // Test 2: interpolation is localized and applies defaults
+  try {
+    const en = renderTemplate('explain-concept', { concept: 'gravity' }, { kind: 'text', language: 'en' });
+    assert.ok(en.text.startsWith('Explain gravity.'));
+    assert.ok(en.system.includes('science teacher'), 'Localized default should fill the system prompt');
+    const story = renderTemplate('short-story', { topic: 'el agua', character: 'una tortuga' }, { kind: 'text' });
+    assert.ok(story.text.includes('protagonizado por una tortuga'));
+    assert.ok(!/\{\{/.test(story.text), 'No placeholders should remain');
+    console.log('Test 2 passed: localized interpolation');
+  } catch (err) {
+    console.error('Test 2 failed:', err);
+    process.exit(1);
+  }
+
+  // Test 3: variables and references are validated
+  try {
+    assert.strictEqual(renderTemplate('explain-concept', {}, { kind: 'text' }).code, 'MISSING_TEMPLATE_VARIABLES');
+    assert.strictEqual(renderTemplate('explain-concept', { concept: 'x', colour: 'red' }, { kind: 'text' }).code, 'INVALID_TEMPLATE_VARIABLES');
+    assert.strictEqual(renderTemplate('explain-concept', { concept: { nested: true } }, { kind: 'text' }).code, 'INVALID_TEMPLATE_VARIABLES');
+    assert.strictEqual(renderTemplate('explain-concept@9', { concept: 'x' }, { kind: 'text' }).code, 'UNKNOWN_TEMPLATE');
+    assert.strictEqual(renderTemplate('read-aloud', { text: 'x' }, { kind: 'text' }).code, 'UNKNOWN_TEMPLATE', 'Kinds should not mix');
+    assert.strictEqual(renderTemplate('explain-concept', { concept: 'x' }, { kind: 'text', language: 'fr' }).code, 'INVALID_LANGUAGE');
+    assert.throws(() => registerTemplate('text', { name: 'explain-concept', version: 2, prompt: { es: 'x' } }), /already registered/);
+    assert.ok(listTemplates('tts').every(t => t.kind === 'tts'));
+    assert.deepStrictEqual(listTemplates('text').find(t => t.name === 'explain-concept').versions, [1, 2]);
+    console.log('Test 3 passed: validation');
+  } catch (err) {
+    console.error('Test 3 failed:', err);
+    process.exit(1);
+  }
+
+  // Test 4: chat accepts { template, variables } and records the template version
+  try {
+    let sentBody = null;
+    global.fetch = async (url, init) => {
+      sentBody = JSON.parse(init.body);
+      return { ok: true, json: async () => ({ choices: [{ message: { content: 'La gravedad atrae las cosas.' } }] }) };
+    };
+    process.env.TEXT_PROVIDERS = 'openai';
+    process.env.PROVIDER_OPENAI_API_KEY = 'test-key';
+    clearModuleCache();
+    const chatHandler = require('../api/chat');
+
+    let res = createMockRes();
+    await chatHandler(createMockReq({ template: 'explain-concept', variables: { concept: 'la gravedad' }, system: 'Sé breve.' }), res);
+    assert.strictEqual(res.statusCode, 200);
+    assert.deepStrictEqual(res.responseBody.template, { name: 'explain-concept', version: 2, language: 'es' });
+    assert.strictEqual(sentBody.messages[0].role, 'system');
+    assert.ok(sentBody.messages[0].content.startsWith('Eres un maestro paciente de ciencias.'));
+    assert.ok(sentBody.messages[0].content.endsWith('Sé breve.'), 'Client system instruction should be kept');
+    assert.ok(sentBody.messages[1].content.startsWith('Explica la gravedad.'));
+
+    res = createMockRes();
+    await chatHandler(createMockReq({ template: 'explain-concept' }), res);
+    assert.strictEqual(res.statusCode, 400);
+    assert.strictEqual(res.responseBody.code, 'MISSING_TEMPLATE_VARIABLES');
+    console.log('Test 4 passed: chat templates');
+  } catch (err) {
+    console.error('Test 4 failed:', err);
+    process.exit(1);
+  } finally {
+    global.fetch = originalFetch;
+  }
+
+  // Test 5: TTS accepts templates and records the version
+  try {
+    let sentText = null;
+    global.fetch = async (url, init) => {
+      sentText = JSON.parse(init.body).text;
+      return { ok: true, json: async () => ({ url: 'https://cdn.test/audio.mp3' }) };
+    };
+    process.env.TTS_PROVIDERS = 'speaker';
+    process.env.AUDIO_FALLBACK_PROVIDER = 'speaker';
+    process.env.PROVIDER_SPEAKER_API_URL = 'https://speaker.test/api';
+    process.env.CACHE_BACKEND = 'none';
+    clearModuleCache();
+    const ttsHandler = require('../api/tts');
+    const res = createMockRes();
+    await ttsHandler(createMockReq({ template: 'word-pronunciation@1', variables: { word: 'tree' }, options: { language: 'en' } }), res);
+    assert.strictEqual(res.statusCode, 200);
+    assert.strictEqual(sentText, 'tree... tree. The word is: tree.');
+    assert.deepStrictEqual(res.responseBody.template, { name: 'word-pronunciation', version: 1, language: 'en' });
+    console.log('Test 5 passed: TTS templates');
+  } catch (err) {
+    console.error('Test 5 failed:', err);
+    process.exit(1);
+  } finally {
+    global.fetch = originalFetch;
+  }
+
+  // Restore original env
+  Object.keys(process.env).forEach(key => {
+    if (!originalEnv.hasOwnProperty(key)) {
+      delete process.env[key];
+    }
+  });
+  Object.assign(process.env, originalEnv);
+
+  console.log('All prompt template tests passed.');
+}
+
+run();
@@ -0,0 +1,170 @@
+// Test for the typed provider errors and how handlers report them
+// Run with: node test/provider-errors.test.js
+
+const assert = require('assert');
+const { createMockReq, createMockRes, clearModuleCache } = require('./helpers');
+
+function response(status, body, headers = {}) {
+  return {
+    ok: status >= 200 && status < 300,
+    status,
+    headers: { get: name => headers[name.toLowerCase()] || null },
+    text: async () => (typeof body === 'string' ? body : JSON.stringify(body)),
+    json: async () => body,
+  };
+}
+
+async function run() {
+  console.log('Starting provider error tests...');
+
+  const originalFetch = global.fetch;
+  const originalEnv = { ...process.env };
+  // Handlers are exercised without sign-in; see test/auth.test.js
+  process.env.AUTH_ENABLED = 'false';
+  process.env.RETRY_ATTEMPTS = '0';
+  delete process.env.PROVIDERS_CONFIG;
+  clearModuleCache();
+
+  const errors = require('../lib/providerErrors');
+
+  // Test 1: HTTP statuses map to error classes
+  try {
+    assert.strictEqual(errors.errorClassFor(401), errors.AuthError);
+    assert.strictEqual(errors.errorClassFor(429, 'slow down'), errors.RateLimitError);
+    assert.strictEqual(errors.errorClassFor(429, '{"error":{"code":"insufficient_quota"}}'), errors.QuotaError);
+    assert.strictEqual(errors.errorClassFor(400, 'missing field'), errors.BadRequestError);
+    assert.strictEqual(errors.errorClassFor(400, '{"error":{"code":"content_policy_violation"}}'), errors.ContentPolicyError);
+    assert.strictEqual(errors.errorClassFor(400, '{"error":{"code":"content_filter","innererror":{"code":"ResponsibleAIPolicyViolation"}}}'), errors.ContentPolicyError);
+    assert.strictEqual(errors.errorClassFor(400, '{"promptFeedback":{"blockReason":"SAFETY"}}'), errors.ContentPolicyError);
+    assert.strictEqual(errors.errorClassFor(400, '{"candidates":[{"finishReason":"PROHIBITED_CONTENT"}]}'), errors.ContentPolicyError);
+    // Ordinary words in a bad request do not stop the fallback
+    for (const body of ['{"error":{"message":"Invalid safety_settings: moderation threshold"}}', 'flagged field is prohibited here']) {
+      assert.strictEqual(errors.errorClassFor(400, body), errors.BadRequestError, body);
+    }
+    assert.strictEqual(new errors.BadRequestError('no').fallback, true);
+    assert.strictEqual(errors.errorClassFor(503), errors.ServerError);
+    assert.strictEqual(errors.errorClassFor(504), errors.TimeoutError);
+
+    const err = new errors.RateLimitError('limited', { provider: 'openai', status: 429 });
+    assert.ok(err instanceof errors.ProviderError && err instanceof Error);
+    assert.strictEqual(err.name, 'RateLimitError');
+    assert.strictEqual(err.retryable, true);
+    assert.strictEqual(new errors.AuthError('no').retryable, false);
+    assert.strictEqual(new errors.ContentPolicyError('no').fallback, false);
+    console.log('Test 1 passed: error classes');
+  } catch (err) {
+    console.error('Test 1 failed:', err);
+    process.exit(1);
+  }
+
+  // Test 2: response bodies are redacted and truncated
+  try {
+    const body = errors.redactBody('Invalid key sk-abcdefghijklmnop, header Bearer abc.def and {"api_key":"secret123"}');
+    assert.ok(!body.includes('sk-abcdefghijklmnop'));
+    assert.ok(!body.includes('abc.def'));
+    assert.ok(!body.includes('secret123'));
+    assert.ok(body.includes('[REDACTED]'));
+    assert.ok(errors.redactBody('x'.repeat(2000)).length <= 501);
+    console.log('Test 2 passed: redaction');
+  } catch (err) {
+    console.error('Test 2 failed:', err);
+    process.exit(1);
+  }
+
+  // Test 3: adapters throw typed errors and the details carry status and retryability
+  try {
+    global.fetch = async () => response(401, { error: 'Incorrect API key provided: sk-live1234567890' });
+    clearModuleCache();
+    const adapter = require('../adapters/openai')({ key: 'k' });
+    const { ProviderError, AuthError } = require('../lib/providerErrors');
+    const { formatErrorDetails } = require('../lib/errorUtils');
+    let thrown = null;
+    try {
+      await adapter.generateText({ prompt: 'Hola' });
+    } catch (err) {
+      thrown = err;
+    }
+    assert.ok(thrown instanceof AuthError && thrown instanceof ProviderError);
+    assert.strictEqual(thrown.status, 401);
+    assert.strictEqual(thrown.provider, 'openai');
+    assert.ok(!thrown.message.includes('sk-live1234567890'), 'Keys should not leak into messages');
+    const details = formatErrorDetails(thrown, 'openai');
+    assert.strictEqual(details.errorType, 'auth');
+    assert.strictEqual(details.status, 401);
+    assert.strictEqual(details.retryable, false);
+    console.log('Test 3 passed: typed adapter errors');
+  } catch (err) {
+    console.error('Test 3 failed:', err);
+    process.exit(1);
+  } finally {
+    global.fetch = originalFetch;
+  }
+
+  // Test 4: a content policy refusal stops the fallback and returns 422
+  try {
+    const called = [];
+    global.fetch = async url => {
+      called.push(url);
+      return response(400, { error: { code: 'content_policy_violation', message: 'Request was rejected' } });
+    };
+    process.env.IMAGE_PROVIDERS = 'first,second';
+    process.env.PROVIDER_FIRST_API_URL = 'https://first.test/image';
+    process.env.PROVIDER_SECOND_API_URL = 'https://second.test/image';
+    process.env.CACHE_BACKEND = 'none';
+    clearModuleCache();
+    const imageHandler = require('../api/image');
+    const res = createMockRes();
+    await imageHandler(createMockReq({ prompt: 'un gato' }), res);
+    assert.strictEqual(res.statusCode, 422);
+    assert.strictEqual(res.responseBody.code, 'CONTENT_POLICY_VIOLATION');
+    assert.deepStrictEqual(called, ['https://first.test/image'], 'Second provider should not be asked');
+    assert.strictEqual(res.responseBody.details[0].errorType, 'content_policy');
+    assert.strictEqual(res.responseBody.details[0].status, 400);
+    console.log('Test 4 passed: content policy');
+  } catch (err) {
+    console.error('Test 4 failed:', err);
+    process.exit(1);
+  } finally {
+    global.fetch = originalFetch;
+  }
+
+  // Test 5: handlers pick the client status from the collected error types
+  try {
+    process.env.TEXT_PROVIDERS = 'first,second';
+    process.env.PROVIDER_FIRST_API_URL = 'https://first.test/text';
+    process.env.PROVIDER_SECOND_API_URL = 'https://second.test/text';
+
+    const cases = [
+      { status: 429, body: 'Too many requests', expected: [503, 'PROVIDERS_RATE_LIMITED'] },
+      { status: 400, body: 'Unsupported option', expected: [400, 'PROVIDER_REJECTED_REQUEST'] },
+      { status: 500, body: 'Internal error', expected: [502, 'ALL_PROVIDERS_FAILED'] },
+    ];
+    for (const { status, body, expected } of cases) {
+      global.fetch = async () => response(status, body);
+      clearModuleCache();
+      const chatHandler = require('../api/chat');
+      const res = createMockRes();
+      await chatHandler(createMockReq({ prompt: 'Hola' }), res);
+      assert.deepStrictEqual([res.statusCode, res.responseBody.code], expected, `HTTP ${status}`);
+      assert.strictEqual(res.responseBody.details.length, 2, 'Both providers should be tried');
+    }
+    console.log('Test 5 passed: client status');
+  } catch (err) {
+    console.error('Test 5 failed:', err);
+    process.exit(1);
+  } finally {
+    global.fetch = originalFetch;
+  }
+
+  // Restore original env
+  Object.keys(process.env).forEach(key => {
+    if (!originalEnv.hasOwnProperty(key)) {
+      delete process.env[key];
+    }
+  });
+  Object.assign(process.env, originalEnv);
+
+  console.log('All provider error tests passed.');
+}
+
+run();
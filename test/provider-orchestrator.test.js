@@ -0,0 +1,231 @@
+// Test for the shared provider orchestrator and its fallback strategies
+// Run with: node test/provider-orchestrator.test.js
+
+const assert = require('assert');
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Fake streaming adapter that sends `chunks`, then stalls until aborted
+function stallingStreamAdapter(providerId, chunks, calls) {
+  return {
+    providerId,
+    async* streamText({ signal }) {
+      calls.push(providerId);
+      for (const chunk of chunks) yield chunk;
+      await new Promise((resolve, reject) => {
+        if (signal.aborted) reject(new Error('aborted'));
+        signal.addEventListener('abort', () => reject(new Error('aborted')));
+      });
+    },
+  };
+}
+
+// Fake adapter that answers after `delay` ms, or fails when `fail` is set
+function fakeAdapter(providerId, { delay = 0, fail = false, calls }) {
+  return {
+    providerId,
+    async generateText({ signal }) {
+      calls.push(providerId);
+      await new Promise((resolve, reject) => {
+        const id = setTimeout(resolve, delay);
+        if (signal) signal.addEventListener('abort', () => { clearTimeout(id); reject(new Error('aborted')); });
+      });
+      if (fail) throw new Error(`${providerId} failed`);
+      return { text: `from ${providerId}` };
+    },
+  };
+}
+
+async function run() {
+  console.log('Starting provider orchestrator tests...');
+
+  const { runWithFallback, runStreamWithFallback, parseWeights, resolveStrategyConfig } = require('../lib/providerOrchestrator');
+  const { resetBreakers } = require('../lib/circuitBreaker');
+
+  const baseParams = {
+    label: 'Test',
+    method: 'generateText',
+    call: (adapter, signal) => adapter.generateText({ prompt: 'x', signal }),
+    isUsable: r => !!(r && r.text),
+    timeoutMs: 1000,
+  };
+
+  // Test 1: sequential falls back in order and records errors
+  try {
+    resetBreakers();
+    const calls = [];
+    const outcome = await runWithFallback({
+      ...baseParams,
+      adapters: [fakeAdapter('a', { fail: true, calls }), fakeAdapter('b', { calls }), fakeAdapter('c', { calls })],
+      strategy: { name: 'sequential' },
+    });
+    assert.strictEqual(outcome.adapterId, 'b', 'Expected second provider to win');
+    assert.deepStrictEqual(calls, ['a', 'b'], 'Third provider should not be called');
+    assert.strictEqual(outcome.errors.length, 1, 'Expected one recorded error');
+    assert.strictEqual(outcome.errors[0].provider, 'a');
+    console.log('Test 1 passed: sequential strategy falls back in order');
+  } catch (err) {
+    console.error('Test 1 failed:', err);
+    process.exit(1);
+  }
+
+  // Test 2: hedged starts the next provider when the first is slow
+  try {
+    resetBreakers();
+    const calls = [];
+    const outcome = await runWithFallback({
+      ...baseParams,
+      adapters: [fakeAdapter('slow', { delay: 300, calls }), fakeAdapter('fast', { delay: 10, calls })],
+      strategy: { name: 'hedged', hedgeDelayMs: 50 },
+    });
+    assert.strictEqual(outcome.adapterId, 'fast', 'Expected hedged provider to win');
+    assert.deepStrictEqual(calls, ['slow', 'fast']);
+    assert.strictEqual(outcome.errors.length, 0, 'Cancelled provider should not be reported as failed');
+    console.log('Test 2 passed: hedged strategy takes first success');
+  } catch (err) {
+    console.error('Test 2 failed:', err);
+    process.exit(1);
+  }
+
+  // Test 3: hedged does not start the next provider when the first answers in time
+  try {
+    resetBreakers();
+    const calls = [];
+    const outcome = await runWithFallback({
+      ...baseParams,
+      adapters: [fakeAdapter('quick', { delay: 5, calls }), fakeAdapter('spare', { calls })],
+      strategy: { name: 'hedged', hedgeDelayMs: 200 },
+    });
+    assert.strictEqual(outcome.adapterId, 'quick');
+    await sleep(250);
+    assert.deepStrictEqual(calls, ['quick'], 'Spare provider should not be started');
+    console.log('Test 3 passed: hedged strategy only hedges slow providers');
+  } catch (err) {
+    console.error('Test 3 failed:', err);
+    process.exit(1);
+  }
+
+  // Test 4: race starts every provider and takes the first success
+  try {
+    resetBreakers();
+    const calls = [];
+    const outcome = await runWithFallback({
+      ...baseParams,
+      adapters: [fakeAdapter('a', { delay: 100, calls }), fakeAdapter('b', { fail: true, calls }), fakeAdapter('c', { delay: 20, calls })],
+      strategy: { name: 'race' },
+    });
+    assert.strictEqual(outcome.adapterId, 'c');
+    assert.deepStrictEqual(calls, ['a', 'b', 'c'], 'All providers should start together');
+    assert.strictEqual(outcome.errors.length, 1);
+    console.log('Test 4 passed: race strategy takes first success');
+  } catch (err) {
+    console.error('Test 4 failed:', err);
+    process.exit(1);
+  }
+
+  // Test 5: race returns null result when all providers fail
+  try {
+    resetBreakers();
+    const calls = [];
+    const outcome = await runWithFallback({
+      ...baseParams,
+      adapters: [fakeAdapter('a', { fail: true, calls }), fakeAdapter('b', { fail: true, calls })],
+      strategy: { name: 'race' },
+    });
+    assert.strictEqual(outcome.result, null);
+    assert.strictEqual(outcome.errors.length, 2);
+    console.log('Test 5 passed: race strategy reports all failures');
+  } catch (err) {
+    console.error('Test 5 failed:', err);
+    process.exit(1);
+  }
+
+  // Test 6: weighted picks the primary by weight, then falls back in order
+  try {
+    resetBreakers();
+    const calls = [];
+    const outcome = await runWithFallback({
+      ...baseParams,
+      adapters: [fakeAdapter('a', { calls }), fakeAdapter('b', { fail: true, calls }), fakeAdapter('c', { calls })],
+      strategy: { name: 'weighted', weights: { a: 1, b: 3, c: 0 }, random: () => 0.5 },
+    });
+    assert.deepStrictEqual(calls, ['b', 'a'], 'Expected weighted primary first, then configured order');
+    assert.strictEqual(outcome.adapterId, 'a');
+    console.log('Test 6 passed: weighted strategy selects primary by weight');
+  } catch (err) {
+    console.error('Test 6 failed:', err);
+    process.exit(1);
+  }
+
+  // Test 7: strategy settings are read per endpoint from the environment
+  try {
+    process.env.TTS_STRATEGY = 'Race';
+    process.env.TEXT_PROVIDER_WEIGHTS = 'gemini=3, openai:1, bad=x';
+    assert.strictEqual(resolveStrategyConfig('TTS').name, 'race');
+    assert.strictEqual(resolveStrategyConfig('TEXT').name, 'sequential');
+    assert.deepStrictEqual(resolveStrategyConfig('TEXT').weights, { gemini: 3, openai: 1 });
+    assert.deepStrictEqual(parseWeights(''), {});
+    delete process.env.TTS_STRATEGY;
+    delete process.env.TEXT_PROVIDER_WEIGHTS;
+    console.log('Test 7 passed: strategy config resolved per endpoint');
+  } catch (err) {
+    console.error('Test 7 failed:', err);
+    process.exit(1);
+  }
+
+  // Test 8: a started stream is cut off when it stalls or runs past the deadline
+  try {
+    resetBreakers();
+    const calls = [];
+    const chunks = [];
+    const streamParams = {
+      label: 'Test',
+      input: { prompt: 'x' },
+      onStart: () => {},
+      onChunk: chunk => chunks.push(chunk),
+      timeoutMs: 1000,
+    };
+    let startedAt = Date.now();
+    let outcome = await runStreamWithFallback({ ...streamParams, adapters: [stallingStreamAdapter('a', ['Hola'], calls)], idleTimeoutMs: 50 });
+    assert.ok(Date.now() - startedAt < 500, 'The idle timeout applies after the first chunk');
+    assert.deepStrictEqual(chunks, ['Hola']);
+    assert.ok(outcome.streamError, 'A stalled stream ends with an error');
+
+    startedAt = Date.now();
+    outcome = await runStreamWithFallback({ ...streamParams, adapters: [stallingStreamAdapter('a', ['Hola'], calls)], deadlineAt: Date.now() + 80 });
+    assert.ok(Date.now() - startedAt < 500, 'The deadline still applies once streaming');
+    assert.ok(outcome.streamError);
+    console.log('Test 8 passed: stream idle timeout and deadline');
+  } catch (err) {
+    console.error('Test 8 failed:', err);
+    process.exit(1);
+  }
+
+  // Test 9: the caller's signal aborts the stream without blaming the provider
+  try {
+    resetBreakers();
+    const calls = [];
+    const disconnect = new AbortController();
+    const outcome = await runStreamWithFallback({
+      label: 'Test',
+      adapters: [stallingStreamAdapter('a', ['Hola'], calls), stallingStreamAdapter('b', ['Hi'], calls)],
+      input: { prompt: 'x' },
+      onStart: () => {},
+      onChunk: () => disconnect.abort(),
+      timeoutMs: 1000,
+      signal: disconnect.signal,
+    });
+    assert.strictEqual(outcome.aborted, true);
+    assert.strictEqual(outcome.streamError, null);
+    assert.deepStrictEqual(calls, ['a'], 'No fallback after the client is gone');
+    assert.strictEqual(require('../lib/circuitBreaker').getBreaker('a').tryAcquire(), true);
+    console.log('Test 9 passed: stream aborted by the caller');
+  } catch (err) {
+    console.error('Test 9 failed:', err);
+    process.exit(1);
+  }
+
+  console.log('All provider orchestrator tests passed.');
+}
+
+run();
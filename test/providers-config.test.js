@@ -0,0 +1,197 @@
+// Test for file-based provider configuration and its validation
+// Run with: node test/providers-config.test.js
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { clearModuleCache } = require('./helpers');
+
+function writeConfig(dir, name, config) {
+  const file = path.join(dir, name);
+  fs.writeFileSync(file, typeof config === 'string' ? config : JSON.stringify(config));
+  return file;
+}
+
+async function run() {
+  console.log('Starting provider config tests...');
+
+  const originalFetch = global.fetch;
+  const originalEnv = { ...process.env };
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'providers-config-test-'));
+  ['TEXT_PROVIDERS', 'TTS_PROVIDERS', 'IMAGE_PROVIDERS', 'PRIMARY_TEXT_API_URL', 'PRIMARY_TTS_API_URL', 'AUDIO_FALLBACK_PROVIDER', 'TEXT_STRATEGY']
+    .forEach(key => delete process.env[key]);
+
+  const { validateProvidersConfig } = require('../lib/envValidator');
+
+  // Test 1: the schema reports precise paths for invalid values
+  try {
+    const { errors } = validateProvidersConfig({
+      providers: {
+        openai: { url: 'not a url', timeoutMs: 0, models: { video: 'x' } },
+        custom: { type: 'unknown' },
+      },
+      endpoints: { text: { order: [] } },
+      extra: true,
+    }, {});
+    assert.ok(errors.includes('config.providers.openai.url: must be a valid http(s) URL'), errors.join('\n'));
+    assert.ok(errors.includes('config.providers.openai.timeoutMs: must be at least 1'));
+    assert.ok(errors.includes('config.providers.openai.models.video: unknown property'));
+    assert.ok(errors.some(e => e.startsWith('config.providers.custom.type: must be one of:')));
+    assert.ok(errors.includes('config.endpoints.text.order: must have at least 1 item(s)'));
+    assert.ok(errors.includes('config.extra: unknown property'));
+    console.log('Test 1 passed: schema errors');
+  } catch (err) {
+    console.error('Test 1 failed:', err);
+    process.exit(1);
+  }
+
+  // Test 2: unknown provider IDs, missing keys and invalid URL overrides are reported
+  try {
+    const { errors } = validateProvidersConfig({
+      providers: {
+        'school-llm': { type: 'generic', url: 'http://llm.local/generate', keyEnv: 'SCHOOL_LLM_KEY' },
+      },
+      endpoints: {
+        text: { order: ['school-llm', 'openai', 'missing'] },
+        tts: { audioFallback: 'nobody' },
+      },
+    }, { PROVIDER_SCHOOL_LLM_API_URL: 'ftp://nope' });
+    assert.deepStrictEqual(errors, [
+      'config.providers.school-llm.keyEnv: environment variable SCHOOL_LLM_KEY is not set',
+      'PROVIDER_SCHOOL_LLM_API_URL: must be a valid http(s) URL (overrides config.providers.school-llm.url)',
+      "config.endpoints.text.order[2]: unknown provider 'missing'",
+      "config.endpoints.tts.audioFallback: unknown provider 'nobody'",
+    ]);
+    console.log('Test 2 passed: semantic errors');
+  } catch (err) {
+    console.error('Test 2 failed:', err);
+    process.exit(1);
+  }
+
+  // Test 3: a valid file drives provider settings, order and models; env overrides win
+  try {
+    process.env.SCHOOL_LLM_KEY = 'file-key';
+    process.env.PROVIDERS_CONFIG = writeConfig(dir, 'providers.json', {
+      providers: {
+        'school-llm': { type: 'openai', url: 'http://llm.local/v1', keyEnv: 'SCHOOL_LLM_KEY', models: { text: 'llama3' } },
+      },
+      endpoints: { text: { order: ['school-llm'], strategy: 'race', timeoutMs: 1234 }, tts: { order: ['openai'], audioFallback: 'school-llm' } },
+    });
+    clearModuleCache();
+    const { resolveProviderSettings, loadProvidersConfig } = require('../lib/envValidator');
+    const { textProviderIds, ttsProviderIds, endpointTimeoutMs } = require('../lib/pipelines');
+    const { resolveStrategyConfig } = require('../lib/providerOrchestrator');
+
+    assert.deepStrictEqual(loadProvidersConfig().errors, []);
+    const settings = resolveProviderSettings('school-llm');
+    assert.strictEqual(settings.type, 'openai');
+    assert.strictEqual(settings.key, 'file-key');
+    assert.deepStrictEqual(textProviderIds(), ['school-llm']);
+    assert.deepStrictEqual(ttsProviderIds(), ['openai', 'school-llm']);
+    assert.strictEqual(endpointTimeoutMs('text'), 1234);
+    assert.strictEqual(resolveStrategyConfig('TEXT').name, 'race');
+
+    process.env.TEXT_PROVIDERS = 'gemini';
+    process.env.TEXT_STRATEGY = 'sequential';
+    process.env.PROVIDER_SCHOOL_LLM_API_KEY = 'env-key';
+    assert.deepStrictEqual(textProviderIds(), ['gemini'], 'TEXT_PROVIDERS should override the file order');
+    assert.strictEqual(resolveStrategyConfig('TEXT').name, 'sequential');
+    assert.strictEqual(resolveProviderSettings('school-llm').key, 'env-key');
+    delete process.env.TEXT_PROVIDERS;
+    delete process.env.TEXT_STRATEGY;
+
+    let sent = null;
+    global.fetch = async (url, init) => {
+      sent = { url, body: JSON.parse(init.body), auth: init.headers.Authorization };
+      return { ok: true, json: async () => ({ choices: [{ message: { content: 'Hola' } }] }) };
+    };
+    clearModuleCache();
+    const { runTextPipeline } = require('../lib/pipelines');
+    const outcome = await runTextPipeline({ prompt: 'Hola' });
+    assert.strictEqual(outcome.adapterId, 'school-llm');
+    assert.strictEqual(sent.url, 'http://llm.local/v1/chat/completions');
+    assert.strictEqual(sent.body.model, 'llama3');
+    assert.strictEqual(sent.auth, 'Bearer env-key');
+    console.log('Test 3 passed: config file with env overrides');
+  } catch (err) {
+    console.error('Test 3 failed:', err);
+    process.exit(1);
+  } finally {
+    global.fetch = originalFetch;
+    delete process.env.PROVIDER_SCHOOL_LLM_API_KEY;
+  }
+
+  // Test 4: an invalid file is reported at startup and ignored
+  try {
+    process.env.PROVIDERS_CONFIG = writeConfig(dir, 'broken.json', { endpoints: { text: { order: ['ghost'] } } });
+    clearModuleCache();
+    const logged = [];
+    const originalError = console.error;
+    console.error = (...args) => logged.push(args.join(' '));
+    try {
+      require('../lib/envValidator').logValidationWarnings(false);
+    } finally {
+      console.error = originalError;
+    }
+    assert.ok(logged.some(line => line.includes("config.endpoints.text.order[0]: unknown provider 'ghost'")), logged.join('\n'));
+    assert.deepStrictEqual(require('../lib/pipelines').textProviderIds(), ['gemini', 'openai', 'grok'], 'Invalid file should be ignored');
+
+    process.env.PROVIDERS_CONFIG = writeConfig(dir, 'providers.json', '{ not json');
+    clearModuleCache();
+    assert.ok(/providers\.json: /.test(require('../lib/envValidator').loadProvidersConfig().errors[0]));
+    console.log('Test 4 passed: invalid config reported and ignored');
+  } catch (err) {
+    console.error('Test 4 failed:', err);
+    process.exit(1);
+  }
+
+  // Test 5: one invalid provider entry is skipped instead of discarding the file
+  try {
+    process.env.PROVIDERS_CONFIG = writeConfig(dir, 'partial.json', {
+      providers: {
+        'school-llm': { type: 'generic', url: 'http://llm.local/generate' },
+        broken: { type: 'unknown', url: 'http://broken.local' },
+      },
+      endpoints: { text: { order: ['broken', 'school-llm', 'openai'] } },
+    });
+    clearModuleCache();
+    const originalWarn = console.warn;
+    const logged = [];
+    console.warn = (...args) => logged.push(args.join(' '));
+    let loaded;
+    try {
+      loaded = require('../lib/envValidator').loadProvidersConfig();
+    } finally {
+      console.warn = originalWarn;
+    }
+    assert.deepStrictEqual(loaded.errors, []);
+    assert.deepStrictEqual(Object.keys(loaded.config.providers), ['school-llm']);
+    assert.deepStrictEqual(loaded.skipped.map(s => s.id), ['broken']);
+    assert.ok(loaded.warnings.some(w => w.startsWith('config.providers.broken: skipped')), loaded.warnings.join('\n'));
+    assert.ok(logged.some(line => line.includes('broken')), 'Skipped entries are logged');
+    assert.deepStrictEqual(require('../lib/pipelines').textProviderIds(), ['school-llm', 'openai']);
+
+    process.env.PROVIDERS_CONFIG = writeConfig(dir, 'providers.yaml', 'providers: {}');
+    clearModuleCache();
+    assert.ok(/providers\.yaml: YAML provider config files are not supported/.test(require('../lib/envValidator').loadProvidersConfig().errors[0]));
+    console.log('Test 5 passed: invalid entries skipped and YAML rejected');
+  } catch (err) {
+    console.error('Test 5 failed:', err);
+    process.exit(1);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+
+  // Restore original env
+  Object.keys(process.env).forEach(key => {
+    if (!originalEnv.hasOwnProperty(key)) {
+      delete process.env[key];
+    }
+  });
+  Object.assign(process.env, originalEnv);
+
+  console.log('All provider config tests passed.');
+}
+
+run();
@@ -0,0 +1,157 @@
+// Test for rate limiting and daily quotas
+// Run with: node test/rate-limiter.test.js
+
+const assert = require('assert');
+const { createMockRes, clearModuleCache } = require('./helpers');
+
+async function run() {
+  console.log('Starting rate limiter tests...');
+
+  const originalEnv = { ...process.env };
+  // Handlers are exercised without sign-in; see test/auth.test.js
+  process.env.AUTH_ENABLED = 'false';
+  const { consume, resolveClientKey, applyRateLimit, resetRateLimits, resolveLimits, trackedClientCount } = require('../lib/rateLimiter');
+
+  // Test 1: token bucket rejects bursts and refills over time
+  try {
+    resetRateLimits();
+    const limits = { capacity: 2, refillPerMinute: 60, dailyQuota: 0 };
+    const t0 = Date.UTC(2026, 0, 1, 10, 0, 0);
+    assert.strictEqual(consume('chat', 'ip:a', { limits, now: t0 }).allowed, true);
+    assert.strictEqual(consume('chat', 'ip:a', { limits, now: t0 }).allowed, true);
+    const rejected = consume('chat', 'ip:a', { limits, now: t0 });
+    assert.strictEqual(rejected.allowed, false);
+    assert.strictEqual(rejected.code, 'RATE_LIMITED');
+    assert.strictEqual(rejected.retryAfterSeconds, 1);
+    assert.strictEqual(consume('chat', 'ip:b', { limits, now: t0 }).allowed, true, 'Other clients have their own bucket');
+    assert.strictEqual(consume('chat', 'ip:a', { limits, now: t0 + 1000 }).allowed, true, 'Bucket should refill');
+    console.log('Test 1 passed: token bucket');
+  } catch (err) {
+    console.error('Test 1 failed:', err);
+    process.exit(1);
+  }
+
+  // Test 2: daily quota is enforced and resets at UTC midnight
+  try {
+    resetRateLimits();
+    const limits = { capacity: 100, refillPerMinute: 100, dailyQuota: 2 };
+    const t0 = Date.UTC(2026, 0, 1, 23, 59, 0);
+    consume('image', 'ip:a', { limits, now: t0 });
+    consume('image', 'ip:a', { limits, now: t0 });
+    const rejected = consume('image', 'ip:a', { limits, now: t0 });
+    assert.strictEqual(rejected.code, 'DAILY_QUOTA_EXCEEDED');
+    assert.strictEqual(rejected.retryAfterSeconds, 60);
+    assert.strictEqual(consume('image', 'ip:a', { limits, now: t0 + 61000 }).allowed, true, 'Quota should reset next day');
+    console.log('Test 2 passed: daily quota');
+  } catch (err) {
+    console.error('Test 2 failed:', err);
+    process.exit(1);
+  }
+
+  // Test 3: client keys prefer authenticated identities over IP
+  try {
+    assert.strictEqual(resolveClientKey({ identity: { studentId: 's1', classroomId: 'c1' } }), 'student:s1');
+    assert.strictEqual(resolveClientKey({ identity: { classroomId: 'c1' } }), 'classroom:c1');
+    assert.strictEqual(resolveClientKey({ headers: {}, socket: { remoteAddress: '127.0.0.1' } }), 'ip:127.0.0.1');
+
+    // Forwarding headers are client-controlled unless a trusted proxy sets them
+    const forwarded = { headers: { 'x-forwarded-for': '203.0.113.9, 10.0.0.1', 'x-real-ip': '203.0.113.9' }, socket: { remoteAddress: '10.0.0.2' } };
+    assert.strictEqual(resolveClientKey(forwarded), 'ip:10.0.0.2');
+    process.env.TRUST_PROXY = '1';
+    assert.strictEqual(resolveClientKey(forwarded), 'ip:10.0.0.1', 'Right-most entry, added by the trusted proxy');
+    process.env.TRUST_PROXY = '2';
+    assert.strictEqual(resolveClientKey(forwarded), 'ip:203.0.113.9');
+    delete process.env.TRUST_PROXY;
+    console.log('Test 3 passed: client key resolution');
+  } catch (err) {
+    console.error('Test 3 failed:', err);
+    process.exit(1);
+  }
+
+  // Test 4: limits are configurable per endpoint from the environment
+  try {
+    process.env.RATE_LIMIT_TTS_CAPACITY = '7';
+    process.env.DAILY_QUOTA_TTS = '0';
+    const limits = resolveLimits('tts');
+    assert.strictEqual(limits.capacity, 7);
+    assert.strictEqual(limits.dailyQuota, 0);
+    assert.strictEqual(resolveLimits('image').capacity, 5);
+    console.log('Test 4 passed: per-endpoint configuration');
+  } catch (err) {
+    console.error('Test 4 failed:', err);
+    process.exit(1);
+  }
+
+  // Test 5: handlers reply 429 with Retry-After and a stable code
+  try {
+    resetRateLimits();
+    process.env.RATE_LIMIT_CHAT_CAPACITY = '1';
+    process.env.RATE_LIMIT_CHAT_REFILL_PER_MIN = '1';
+    clearModuleCache();
+    const chatHandler = require('../api/chat');
+    const req = { method: 'POST', body: {}, headers: {}, socket: { remoteAddress: '192.0.2.7' } };
+
+    let res = createMockRes();
+    await chatHandler(req, res);
+    assert.strictEqual(res.statusCode, 400, 'First request passes the limiter');
+
+    res = createMockRes();
+    await chatHandler(req, res);
+    assert.strictEqual(res.statusCode, 429);
+    assert.strictEqual(res.responseBody.code, 'RATE_LIMITED');
+    assert.strictEqual(res.headers['Retry-After'], '60');
+    console.log('Test 5 passed: 429 response with Retry-After');
+  } catch (err) {
+    console.error('Test 5 failed:', err);
+    process.exit(1);
+  }
+
+  // Test 6: RATE_LIMIT_ENABLED=false disables limiting
+  try {
+    process.env.RATE_LIMIT_ENABLED = 'false';
+    const res = createMockRes();
+    assert.strictEqual(applyRateLimit({ headers: {}, socket: { remoteAddress: '192.0.2.7' } }, res, 'chat'), null);
+    console.log('Test 6 passed: limiter can be disabled');
+  } catch (err) {
+    console.error('Test 6 failed:', err);
+    process.exit(1);
+  }
+
+  // Test 7: spoofed keys cannot grow the bucket Map past its cap
+  try {
+    resetRateLimits();
+    process.env.RATE_LIMIT_MAX_CLIENTS = '50';
+    const limits = { capacity: 1, refillPerMinute: 0, dailyQuota: 0 };
+    const t0 = Date.UTC(2026, 0, 1, 10, 0, 0);
+    consume('chat', 'ip:regular', { limits, now: t0 });
+    for (let i = 0; i < 500; i++) {
+      consume('chat', `ip:spoofed-${i}`, { limits, now: t0 });
+      if (i % 10 === 0) consume('chat', 'ip:regular', { limits, now: t0 });
+    }
+    assert.ok(trackedClientCount() <= 50, `Tracked ${trackedClientCount()} clients`);
+    assert.strictEqual(consume('chat', 'ip:regular', { limits, now: t0 }).allowed, false, 'Recently used buckets are kept');
+
+    // A flood on another endpoint does not evict this endpoint's buckets
+    consume('chat', 'student:ana', { limits, now: t0 });
+    for (let i = 0; i < 500; i++) consume('session', `ip:flood-${i}`, { limits, now: t0 });
+    assert.strictEqual(consume('chat', 'student:ana', { limits, now: t0 }).allowed, false, 'The student keeps their used bucket');
+    console.log('Test 7 passed: bounded client tracking');
+  } catch (err) {
+    console.error('Test 7 failed:', err);
+    process.exit(1);
+  } finally {
+    delete process.env.RATE_LIMIT_MAX_CLIENTS;
+  }
+
+  // Restore original env
+  Object.keys(process.env).forEach(key => {
+    if (!originalEnv.hasOwnProperty(key)) {
+      delete process.env[key];
+    }
+  });
+  Object.assign(process.env, originalEnv);
+
+  console.log('All rate limiter tests passed.');
+}
+
+run();
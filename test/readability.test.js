@@ -0,0 +1,152 @@
+// Test for grade-level adaptation and readability scoring in /api/chat
+// Run with: node test/readability.test.js
+
+const assert = require('assert');
+const { createMockReq, createMockRes, freshRequire } = require('./helpers');
+
+const EASY_ES = 'El sol es una estrella. Nos da luz y calor. Las plantas usan la luz para crecer.';
+const HARD_ES = 'La fotosíntesis constituye un proceso metabólico fundamental mediante el cual los organismos autótrofos transforman la energía lumínica en energía química, sintetizando compuestos orgánicos a partir de dióxido de carbono y agua.';
+
+async function run() {
+  console.log('Starting readability tests...');
+
+  const originalFetch = global.fetch;
+  const originalEnv = { ...process.env };
+  // Handlers are exercised without sign-in; see test/auth.test.js
+  process.env.AUTH_ENABLED = 'false';
+  const { countSpanishSyllables, countEnglishSyllables, scoreReadability, isTooHard, gradeLevelInstruction } = require('../lib/readability');
+
+  // Test 1: syllable counting handles Spanish diphthongs and hiatus, and silent English endings
+  try {
+    assert.strictEqual(countSpanishSyllables('ciudad'), 2);
+    assert.strictEqual(countSpanishSyllables('poesía'), 4);
+    assert.strictEqual(countSpanishSyllables('queso'), 2);
+    assert.strictEqual(countSpanishSyllables('murciélago'), 4);
+    assert.strictEqual(countEnglishSyllables('make'), 1);
+    assert.strictEqual(countEnglishSyllables('table'), 2);
+    assert.strictEqual(countEnglishSyllables('beautiful'), 3);
+    console.log('Test 1 passed: syllable counting');
+  } catch (err) {
+    console.error('Test 1 failed:', err);
+    process.exit(1);
+  }
+
+  // Test 2: metrics separate easy and hard texts in both languages
+  try {
+    const easy = scoreReadability(EASY_ES, 'es');
+    const hard = scoreReadability(HARD_ES, 'es');
+    assert.strictEqual(easy.metric, 'fernandez_huerta');
+    assert.strictEqual(easy.secondary.metric, 'szigriszt_pazos');
+    assert.ok(easy.score > 90 && hard.score < 40, `Unexpected scores ${easy.score} / ${hard.score}`);
+    assert.ok(!isTooHard(easy, 2));
+    assert.ok(isTooHard(hard, 6));
+
+    const en = scoreReadability('Photosynthesis constitutes a fundamental metabolic process whereby autotrophic organisms transform light into chemical energy.', 'en');
+    assert.strictEqual(en.metric, 'flesch_kincaid');
+    assert.ok(en.gradeEstimate > 12);
+    assert.ok(scoreReadability('The sun is a star. It gives us light. Plants use it to grow.', 'en').gradeEstimate < 3);
+    assert.strictEqual(scoreReadability('', 'es'), null);
+    console.log('Test 2 passed: readability metrics');
+  } catch (err) {
+    console.error('Test 2 failed:', err);
+    process.exit(1);
+  }
+
+  // Test 3: instructions follow grade and language
+  try {
+    assert.ok(gradeLevelInstruction(0, 'es').includes('kindergarten'));
+    assert.ok(gradeLevelInstruction(0, 'es').includes('Spanish'));
+    assert.ok(gradeLevelInstruction(10, 'en').includes('grade 10 student'));
+    console.log('Test 3 passed: grade-level instructions');
+  } catch (err) {
+    console.error('Test 3 failed:', err);
+    process.exit(1);
+  }
+
+  process.env.TEXT_PROVIDERS = 'openai';
+  process.env.PROVIDER_OPENAI_API_KEY = 'test-key';
+
+  // Test 4: a too-hard answer is simplified once on the same provider
+  try {
+    const bodies = [];
+    const replies = [HARD_ES, EASY_ES];
+    global.fetch = async (url, init) => {
+      bodies.push(JSON.parse(init.body));
+      return { ok: true, json: async () => ({ choices: [{ message: { content: replies.shift() } }] }) };
+    };
+    const chatHandler = freshRequire('../api/chat');
+    const res = createMockRes();
+    await chatHandler(createMockReq({ prompt: '¿Qué es la fotosíntesis?', options: { gradeLevel: 3 } }), res);
+
+    assert.strictEqual(res.statusCode, 200);
+    assert.strictEqual(res.responseBody.text, EASY_ES);
+    assert.strictEqual(res.responseBody.readability.simplified, true);
+    assert.strictEqual(res.responseBody.readability.targetGrade, 3);
+    assert.strictEqual(res.responseBody.readability.metric, 'fernandez_huerta');
+    assert.strictEqual(bodies.length, 2);
+    assert.ok(bodies[0].messages[0].role === 'system' && bodies[0].messages[0].content.includes('grade 3'), 'Grade instruction should be sent');
+    const followUp = bodies[1].messages[bodies[1].messages.length - 1].content;
+    assert.ok(followUp.includes('too hard'), 'Second request should ask to simplify');
+    console.log('Test 4 passed: too-hard answer is simplified');
+  } catch (err) {
+    console.error('Test 4 failed:', err);
+    process.exit(1);
+  } finally {
+    global.fetch = originalFetch;
+  }
+
+  // Test 5: suitable answers are returned as-is; requests without gradeLevel are unchanged
+  try {
+    let calls = 0;
+    global.fetch = async () => {
+      calls++;
+      return { ok: true, json: async () => ({ choices: [{ message: { content: EASY_ES } }] }) };
+    };
+    let chatHandler = freshRequire('../api/chat');
+    let res = createMockRes();
+    await chatHandler(createMockReq({ prompt: '¿Qué es el sol?', options: { gradeLevel: '4' } }), res);
+    assert.strictEqual(res.responseBody.readability.simplified, false);
+    assert.strictEqual(calls, 1);
+
+    chatHandler = freshRequire('../api/chat');
+    res = createMockRes();
+    await chatHandler(createMockReq({ prompt: '¿Qué es el sol?' }), res);
+    assert.strictEqual(res.responseBody.readability, undefined);
+    console.log('Test 5 passed: suitable answers and ungraded requests');
+  } catch (err) {
+    console.error('Test 5 failed:', err);
+    process.exit(1);
+  } finally {
+    global.fetch = originalFetch;
+  }
+
+  // Test 6: invalid grade level or language is rejected
+  try {
+    const chatHandler = freshRequire('../api/chat');
+    let res = createMockRes();
+    await chatHandler(createMockReq({ prompt: 'Hola', options: { gradeLevel: 13 } }), res);
+    assert.strictEqual(res.statusCode, 400);
+    assert.strictEqual(res.responseBody.code, 'INVALID_GRADE_LEVEL');
+
+    res = createMockRes();
+    await chatHandler(createMockReq({ prompt: 'Hola', options: { gradeLevel: 2, language: 'fr' } }), res);
+    assert.strictEqual(res.statusCode, 400);
+    assert.strictEqual(res.responseBody.code, 'INVALID_LANGUAGE');
+    console.log('Test 6 passed: invalid options rejected');
+  } catch (err) {
+    console.error('Test 6 failed:', err);
+    process.exit(1);
+  }
+
+  // Restore original env
+  Object.keys(process.env).forEach(key => {
+    if (!originalEnv.hasOwnProperty(key)) {
+      delete process.env[key];
+    }
+  });
+  Object.assign(process.env, originalEnv);
+
+  console.log('All readability tests passed.');
+}
+
+run();
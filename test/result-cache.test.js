@@ -0,0 +1,119 @@
+// Test for the content-addressed TTS/image result cache
+// Run with: node test/result-cache.test.js
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createMockReq, createMockRes, clearModuleCache } = require('./helpers');
+
+async function run() {
+  console.log('Starting result cache tests...');
+
+  const { buildCacheKey, createMemoryCache, createFileCache } = require('../lib/resultCache');
+
+  // Test 1: keys are stable across whitespace and option order, and ignore the cache flag
+  try {
+    const a = buildCacheKey('tts', { text: 'Hola  mundo ', voice: 'nova', options: { speed: 1, format: 'mp3' } });
+    const b = buildCacheKey('tts', { text: 'Hola mundo', voice: 'nova', options: { format: 'mp3', speed: 1, cache: true } });
+    const c = buildCacheKey('tts', { text: 'Hola mundo', voice: 'alloy', options: { format: 'mp3', speed: 1 } });
+    const d = buildCacheKey('image', { prompt: 'Hola mundo', options: { format: 'mp3', speed: 1 } });
+    assert.strictEqual(a, b, 'Equivalent requests should share a key');
+    assert.notStrictEqual(a, c, 'Voice should change the key');
+    assert.notStrictEqual(c, d, 'Endpoint should change the key');
+    console.log('Test 1 passed: cache keys');
+  } catch (err) {
+    console.error('Test 1 failed:', err);
+    process.exit(1);
+  }
+
+  // Test 2: memory backend evicts least recently used entries and expires by TTL
+  try {
+    let clock = 0;
+    const cache = createMemoryCache({ maxEntries: 2, ttlMs: 100, now: () => clock });
+    await cache.set('a', 1);
+    await cache.set('b', 2);
+    await cache.get('a'); // a is now most recent
+    await cache.set('c', 3);
+    assert.strictEqual(await cache.get('b'), null, 'Least recently used entry should be evicted');
+    assert.strictEqual(await cache.get('a'), 1);
+    clock = 150;
+    assert.strictEqual(await cache.get('a'), null, 'Expired entry should not be returned');
+    console.log('Test 2 passed: memory LRU and TTL');
+  } catch (err) {
+    console.error('Test 2 failed:', err);
+    process.exit(1);
+  }
+
+  // Test 3: file backend persists entries and enforces max entries
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'result-cache-test-'));
+  try {
+    const cache = createFileCache({ dir, maxEntries: 2 });
+    await cache.set('k1', { audioUrl: 'one' });
+    await new Promise(resolve => setTimeout(resolve, 20));
+    await cache.set('k2', { audioUrl: 'two' });
+    await new Promise(resolve => setTimeout(resolve, 20));
+    await cache.set('k3', { audioUrl: 'three' });
+    assert.strictEqual(await cache.get('k1'), null, 'Oldest file entry should be evicted');
+    const reopened = createFileCache({ dir });
+    assert.deepStrictEqual(await reopened.get('k3'), { audioUrl: 'three' }, 'Entries should survive a new instance');
+    const expired = createFileCache({ dir, now: () => Date.now() + 48 * 60 * 60 * 1000 });
+    assert.strictEqual(await expired.get('k2'), null, 'Expired file entry should not be returned');
+    console.log('Test 3 passed: file backend');
+  } catch (err) {
+    console.error('Test 3 failed:', err);
+    process.exit(1);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+
+  // Test 4: TTS handler reports cache hits and honours options.cache === false
+  const originalFetch = global.fetch;
+  const originalEnv = { ...process.env };
+  // Handlers are exercised without sign-in; see test/auth.test.js
+  process.env.AUTH_ENABLED = 'false';
+  try {
+    let calls = 0;
+    global.fetch = async () => {
+      calls++;
+      return { ok: true, json: async () => ({ url: `https://cdn.test/audio-${calls}.mp3` }) };
+    };
+    process.env.TTS_PROVIDERS = 'speaker';
+    process.env.AUDIO_FALLBACK_PROVIDER = 'speaker';
+    process.env.PROVIDER_SPEAKER_API_URL = 'https://speaker.test/api';
+    process.env.CACHE_BACKEND = 'memory';
+    clearModuleCache();
+    const ttsHandler = require('../api/tts');
+
+    let res = createMockRes();
+    await ttsHandler(createMockReq({ text: 'El sol es una estrella.' }), res);
+    assert.strictEqual(res.responseBody.cached, false);
+
+    res = createMockRes();
+    await ttsHandler(createMockReq({ text: 'El sol es una  estrella.' }), res);
+    assert.strictEqual(res.responseBody.cached, true, 'Second identical request should hit the cache');
+    assert.strictEqual(res.responseBody.audioUrl, 'https://cdn.test/audio-1.mp3');
+    assert.strictEqual(calls, 1);
+
+    res = createMockRes();
+    await ttsHandler(createMockReq({ text: 'El sol es una estrella.', options: { cache: false } }), res);
+    assert.strictEqual(res.responseBody.cached, false, 'Bypass should skip the cache');
+    assert.strictEqual(calls, 2);
+    console.log('Test 4 passed: TTS handler cache hits and bypass');
+  } catch (err) {
+    console.error('Test 4 failed:', err);
+    process.exit(1);
+  } finally {
+    global.fetch = originalFetch;
+    Object.keys(process.env).forEach(key => {
+      if (!originalEnv.hasOwnProperty(key)) {
+        delete process.env[key];
+      }
+    });
+    Object.assign(process.env, originalEnv);
+  }
+
+  console.log('All result cache tests passed.');
+}
+
+run();
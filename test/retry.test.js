@@ -0,0 +1,153 @@
+// Test for the adapter retry policy: backoff, Retry-After and the time budget
+// Run with: node test/retry.test.js
+
+const assert = require('assert');
+const { clearModuleCache } = require('./helpers');
+
+function response(status, { retryAfter, body = {} } = {}) {
+  return {
+    ok: status >= 200 && status < 300,
+    status,
+    headers: { get: name => (name.toLowerCase() === 'retry-after' ? retryAfter || null : null) },
+    text: async () => JSON.stringify(body),
+    json: async () => body,
+  };
+}
+
+function networkError(code) {
+  return Object.assign(new TypeError('fetch failed'), { cause: Object.assign(new Error(code), { code }) });
+}
+
+async function run() {
+  console.log('Starting retry tests...');
+
+  const originalFetch = global.fetch;
+  const originalEnv = { ...process.env };
+  const { fetchWithRetry, parseRetryAfter, isRetryableStatus, isRetryableError, backoffDelay } = require('../lib/retry');
+  const { createTimeoutController } = require('../lib/providerOrchestrator');
+  const policy = { retries: 2, baseDelayMs: 10, maxDelayMs: 1000 };
+
+  // Test 1: failure classes, Retry-After parsing and backoff bounds
+  try {
+    assert.ok(isRetryableStatus(429) && isRetryableStatus(503));
+    assert.ok(!isRetryableStatus(400) && !isRetryableStatus(401));
+    assert.ok(isRetryableError(networkError('ECONNRESET')));
+    assert.ok(!isRetryableError(Object.assign(new Error('aborted'), { name: 'AbortError' })));
+    assert.strictEqual(parseRetryAfter('2'), 2000);
+    assert.strictEqual(parseRetryAfter(new Date(10000).toUTCString(), 4000), 6000);
+    assert.strictEqual(parseRetryAfter('soon'), null);
+    for (let i = 0; i < 20; i++) {
+      const delay = backoffDelay(3, policy);
+      assert.ok(delay >= 0 && delay <= 80, `Backoff ${delay} out of range`);
+    }
+    console.log('Test 1 passed: retry classification');
+  } catch (err) {
+    console.error('Test 1 failed:', err);
+    process.exit(1);
+  }
+
+  // Test 2: transient statuses and resets are retried; other failures are not
+  try {
+    let calls = 0;
+    let res = await fetchWithRetry(async () => (++calls < 3 ? response(503) : response(200)), 'https://x.test', {}, { policy });
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(calls, 3);
+
+    calls = 0;
+    res = await fetchWithRetry(async () => { calls++; return response(400); }, 'https://x.test', {}, { policy });
+    assert.strictEqual(res.status, 400);
+    assert.strictEqual(calls, 1, '400 should not be retried');
+
+    calls = 0;
+    res = await fetchWithRetry(async () => { calls++; return response(429); }, 'https://x.test', {}, { policy });
+    assert.strictEqual(res.status, 429, 'Final response should be returned once retries run out');
+    assert.strictEqual(calls, 3);
+
+    calls = 0;
+    res = await fetchWithRetry(async () => {
+      if (++calls === 1) throw networkError('ECONNRESET');
+      return response(200);
+    }, 'https://x.test', {}, { policy });
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(calls, 2);
+    console.log('Test 2 passed: retryable failures');
+  } catch (err) {
+    console.error('Test 2 failed:', err);
+    process.exit(1);
+  }
+
+  // Test 3: Retry-After is honoured, but not beyond the attempt's time budget
+  try {
+    let calls = 0;
+    const startedAt = Date.now();
+    let res = await fetchWithRetry(async () => (++calls === 1 ? response(429, { retryAfter: '0' }) : response(200)), 'https://x.test', {}, {
+      policy: { retries: 2, baseDelayMs: 5000, maxDelayMs: 10000 },
+    });
+    assert.strictEqual(res.status, 200);
+    assert.ok(Date.now() - startedAt < 1000, 'Retry-After: 0 should override the backoff');
+
+    calls = 0;
+    const { controller, clear } = createTimeoutController(200);
+    res = await fetchWithRetry(async () => { calls++; return response(429, { retryAfter: '1' }); }, 'https://x.test', { signal: controller.signal }, { policy });
+    clear();
+    assert.strictEqual(res.status, 429);
+    assert.strictEqual(calls, 1, 'A wait past the deadline should not be attempted');
+    console.log('Test 3 passed: Retry-After and budget');
+  } catch (err) {
+    console.error('Test 3 failed:', err);
+    process.exit(1);
+  }
+
+  // Test 4: an abort during the backoff stops retrying
+  try {
+    const controller = new AbortController();
+    let calls = 0;
+    setTimeout(() => controller.abort(), 30);
+    await assert.rejects(
+      fetchWithRetry(async () => { calls++; return response(503); }, 'https://x.test', { signal: controller.signal }, {
+        policy: { retries: 2, baseDelayMs: 5000, maxDelayMs: 10000 },
+      }),
+      err => err.name === 'AbortError'
+    );
+    assert.strictEqual(calls <= 2, true);
+    console.log('Test 4 passed: abort stops retries');
+  } catch (err) {
+    console.error('Test 4 failed:', err);
+    process.exit(1);
+  }
+
+  // Test 5: adapters retry a rate-limited provider before falling back
+  try {
+    let calls = 0;
+    global.fetch = async () => (++calls === 1 ? response(429, { retryAfter: '0' }) : response(200, { body: { text: 'Hola' } }));
+    process.env.RETRY_ATTEMPTS = '1';
+    clearModuleCache();
+    const generic = require('../adapters/generic')({ id: 'school', url: 'https://school.test/generate' });
+    const result = await generic.generateText({ prompt: 'Hola' });
+    assert.strictEqual(result.text, 'Hola');
+    assert.strictEqual(calls, 2);
+
+    process.env.RETRY_ATTEMPTS = '0';
+    calls = 0;
+    await assert.rejects(generic.generateText({ prompt: 'Hola' }), /429/);
+    assert.strictEqual(calls, 1, 'RETRY_ATTEMPTS=0 should disable retries');
+    console.log('Test 5 passed: adapter retries');
+  } catch (err) {
+    console.error('Test 5 failed:', err);
+    process.exit(1);
+  } finally {
+    global.fetch = originalFetch;
+  }
+
+  // Restore original env
+  Object.keys(process.env).forEach(key => {
+    if (!originalEnv.hasOwnProperty(key)) {
+      delete process.env[key];
+    }
+  });
+  Object.assign(process.env, originalEnv);
+
+  console.log('All retry tests passed.');
+}
+
+run();
@@ -0,0 +1,160 @@
+// Test for binary audio from OpenAI-compatible speech endpoints
+// Run with: node test/tts-audio.test.js
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createMockReq, createMockRes, clearModuleCache } = require('./helpers');
+
+// One second of 128 kbps MPEG-1 layer III after a small ID3 tag
+function mp3Second() {
+  const id3 = Buffer.from([0x49, 0x44, 0x33, 4, 0, 0, 0, 0, 0, 6, 0, 0, 0, 0, 0, 0]);
+  const frames = Buffer.alloc(16000);
+  frames.set([0xff, 0xfb, 0x90, 0x64]);
+  return Buffer.concat([id3, frames]);
+}
+
+// Ogg Opus whose last page ends one second after the pre-skip
+function opusSecond() {
+  const head = Buffer.alloc(19);
+  head.write('OpusHead');
+  head.writeUInt16LE(312, 10);
+  const page = granule => {
+    const header = Buffer.alloc(27);
+    header.write('OggS');
+    header.writeBigUInt64LE(BigInt(granule), 6);
+    return header;
+  };
+  return Buffer.concat([page(0), head, page(48000 + 312)]);
+}
+
+function audioResponse(buffer, contentType) {
+  return {
+    ok: true,
+    status: 200,
+    headers: { get: name => (name.toLowerCase() === 'content-type' ? contentType : null) },
+    arrayBuffer: async () => buffer.buffer.slice(buffer.byteOffset, buffer.byteOffset + buffer.length),
+  };
+}
+
+async function run() {
+  console.log('Starting TTS audio tests...');
+
+  const originalFetch = global.fetch;
+  const originalEnv = { ...process.env };
+  // Handlers are exercised without sign-in; see test/auth.test.js
+  process.env.AUTH_ENABLED = 'false';
+  ['PROVIDERS_CONFIG', 'MODERATION_PROVIDER', 'DEFAULT_TTS_VOICE', 'TTS_AUDIO_DIR', 'TTS_AUDIO_BASE_URL', 'OPENAI_API_URL'].forEach(key => delete process.env[key]);
+  process.env.TTS_PROVIDERS = 'openai';
+  process.env.AUDIO_FALLBACK_PROVIDER = 'openai';
+  process.env.PROVIDER_OPENAI_API_KEY = 'sk-test';
+  process.env.RETRY_ATTEMPTS = '0';
+  process.env.LOG_LEVEL = 'silent';
+
+  // Test 1: format detection and duration estimates
+  try {
+    clearModuleCache();
+    const { describeAudio, pcmToWav } = require('../lib/audio');
+    assert.deepStrictEqual(describeAudio(pcmToWav(Buffer.alloc(48000))), { format: 'wav', mimeType: 'audio/wav', durationMs: 1000 });
+    assert.deepStrictEqual(describeAudio(mp3Second(), 'audio/mpeg'), { format: 'mp3', mimeType: 'audio/mpeg', durationMs: 1000 });
+    assert.strictEqual(describeAudio(mp3Second(), 'application/octet-stream').format, 'mp3', 'Sniffed without a content type');
+    assert.deepStrictEqual(describeAudio(opusSecond()), { format: 'opus', mimeType: 'audio/ogg', durationMs: 1000 });
+    assert.strictEqual(describeAudio(Buffer.alloc(96000), 'audio/pcm').durationMs, 2000);
+    assert.deepStrictEqual(describeAudio(Buffer.from([0xff, 0xf1, 0x50, 0x80]), 'audio/aac'), { format: 'aac', mimeType: 'audio/aac', durationMs: null });
+    console.log('Test 1 passed: audio formats and durations');
+  } catch (err) {
+    console.error('Test 1 failed:', err);
+    process.exit(1);
+  }
+
+  // Test 2: raw audio/mpeg bytes become base64 with format and duration
+  const sent = [];
+  global.fetch = async (url, init) => {
+    sent.push({ url, body: JSON.parse(init.body) });
+    return audioResponse(mp3Second(), 'audio/mpeg');
+  };
+  try {
+    clearModuleCache();
+    const ttsHandler = require('../api/tts');
+    const res = createMockRes();
+    await ttsHandler(createMockReq({ text: 'Buenos días', options: { model: 'tts-1-hd', speed: 1.25, response_format: 'mp3' } }), res);
+
+    assert.strictEqual(res.statusCode, 200);
+    assert.strictEqual(res.responseBody.format, 'mp3');
+    assert.strictEqual(res.responseBody.mimeType, 'audio/mpeg');
+    assert.strictEqual(res.responseBody.durationMs, 1000);
+    assert.ok(Buffer.from(res.responseBody.base64, 'base64').equals(mp3Second()));
+    assert.strictEqual(res.responseBody.audioUrl, null);
+    assert.strictEqual(sent[0].url, 'https://api.openai.com/v1/audio/speech');
+    assert.deepStrictEqual(sent[0].body, { model: 'tts-1-hd', input: 'Buenos días', voice: 'alloy', speed: 1.25, response_format: 'mp3' });
+
+    await ttsHandler(createMockReq({ text: 'Buenas noches', voice: 'nova', options: { voice: 'shimmer' } }), createMockRes());
+    assert.strictEqual(sent[1].body.voice, 'shimmer', 'options.voice wins over voice');
+    console.log('Test 2 passed: binary speech responses');
+  } catch (err) {
+    console.error('Test 2 failed:', err);
+    process.exit(1);
+  }
+
+  // Test 3: audio is stored as an asset when TTS_AUDIO_DIR is set
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tts-audio-test-'));
+  try {
+    process.env.TTS_AUDIO_DIR = dir;
+    process.env.TTS_AUDIO_BASE_URL = 'https://cdn.school.test/audio/';
+    global.fetch = async () => audioResponse(opusSecond(), 'audio/opus');
+    clearModuleCache();
+    const res = createMockRes();
+    await require('../api/tts')(createMockReq({ text: 'Hola', options: { response_format: 'opus' } }), res);
+
+    assert.strictEqual(res.statusCode, 200);
+    assert.strictEqual(res.responseBody.base64, null);
+    assert.ok(/^https:\/\/cdn\.school\.test\/audio\/[0-9a-f]{32}\.opus$/.test(res.responseBody.audioUrl), res.responseBody.audioUrl);
+    const stored = fs.readFileSync(path.join(dir, path.basename(res.responseBody.audioUrl)));
+    assert.ok(stored.equals(opusSecond()));
+    assert.strictEqual(res.responseBody.durationMs, 1000);
+    console.log('Test 3 passed: stored audio assets');
+  } catch (err) {
+    console.error('Test 3 failed:', err);
+    process.exit(1);
+  } finally {
+    global.fetch = originalFetch;
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+
+  // Test 4: speech options are validated before any provider is called
+  try {
+    let calls = 0;
+    global.fetch = async () => {
+      calls++;
+      return audioResponse(mp3Second(), 'audio/mpeg');
+    };
+    clearModuleCache();
+    const ttsHandler = require('../api/tts');
+    for (const options of [{ speed: 9 }, { speed: '1' }, { response_format: 'ogg' }, { voice: '' }]) {
+      const res = createMockRes();
+      await ttsHandler(createMockReq({ text: 'Hola', options }), res);
+      assert.strictEqual(res.statusCode, 400, JSON.stringify(options));
+      assert.strictEqual(res.responseBody.code, 'INVALID_OPTIONS');
+    }
+    assert.strictEqual(calls, 0);
+    console.log('Test 4 passed: option validation');
+  } catch (err) {
+    console.error('Test 4 failed:', err);
+    process.exit(1);
+  } finally {
+    global.fetch = originalFetch;
+  }
+
+  // Restore original env
+  Object.keys(process.env).forEach(key => {
+    if (!originalEnv.hasOwnProperty(key)) {
+      delete process.env[key];
+    }
+  });
+  Object.assign(process.env, originalEnv);
+
+  console.log('All TTS audio tests passed.');
+}
+
+run();
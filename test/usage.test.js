@@ -0,0 +1,225 @@
+// Test for usage and cost accounting, the usage report and budgets
+// Run with: node test/usage.test.js
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createMockReq, createMockRes, clearModuleCache } = require('./helpers');
+
+// OpenAI-shaped replies for chat, speech and image requests
+async function mockFetch(url, init) {
+  const body = JSON.parse(init.body);
+  if (url.endsWith('chat/completions')) {
+    return { ok: true, json: async () => ({ choices: [{ message: { content: 'Hola' } }], usage: { prompt_tokens: 1000, completion_tokens: 500 } }) };
+  }
+  if (url.endsWith('images/generations')) return { ok: true, json: async () => ({ data: [{ url: 'https://cdn.test/cat.png' }] }) };
+  return { ok: true, json: async () => ({ url: `https://cdn.test/${body.input.length}.mp3` }) };
+}
+
+async function run() {
+  console.log('Starting usage tests...');
+
+  const originalFetch = global.fetch;
+  const originalEnv = { ...process.env };
+  // Handlers are exercised without sign-in; see test/auth.test.js
+  process.env.AUTH_ENABLED = 'false';
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'usage-test-'));
+  ['TEXT_PROVIDERS', 'TTS_PROVIDERS', 'IMAGE_PROVIDERS', 'MODERATION_PROVIDER', 'USAGE_REPORT_TOKEN', 'USAGE_LEDGER_FILE',
+    'USAGE_BUDGET_DAILY_USD', 'USAGE_BUDGET_MONTHLY_USD', 'USAGE_BUDGET_CLASSROOM_DAILY_USD']
+    .forEach(key => delete process.env[key]);
+  const configFile = path.join(dir, 'providers.json');
+  fs.writeFileSync(configFile, JSON.stringify({
+    providers: { openai: { pricing: { inputTokensPer1k: 0.01, outputTokensPer1k: 0.02, charactersPer1k: 1, perImage: 0.04 } } },
+  }));
+  process.env.PROVIDERS_CONFIG = configFile;
+  process.env.PROVIDER_OPENAI_API_KEY = 'sk-test';
+  process.env.TEXT_PROVIDERS = 'openai';
+  process.env.TTS_PROVIDERS = 'openai';
+  process.env.AUDIO_FALLBACK_PROVIDER = 'openai';
+  process.env.IMAGE_PROVIDERS = 'openai';
+  process.env.RETRY_ATTEMPTS = '0';
+  process.env.LOG_LEVEL = 'silent';
+
+  // Test 1: reported tokens are used when present, otherwise estimated
+  try {
+    clearModuleCache();
+    const { textUsage, costOf } = require('../lib/usage');
+    assert.deepStrictEqual(textUsage({ prompt: 'Hola' }, 'Hola', { prompt_tokens: 7, completion_tokens: 3 }), { inputTokens: 7, outputTokens: 3, estimated: false });
+    assert.deepStrictEqual(textUsage({ prompt: 'a'.repeat(40), system: 'b'.repeat(39) }, 'c'.repeat(10)), { inputTokens: 20, outputTokens: 3, estimated: true });
+    assert.deepStrictEqual(costOf('openai', { inputTokens: 1000, outputTokens: 500 }), { costUsd: 0.02, priced: true });
+    assert.deepStrictEqual(costOf('school', { inputTokens: 1000 }), { costUsd: 0, priced: false });
+    console.log('Test 1 passed: usage and pricing');
+  } catch (err) {
+    console.error('Test 1 failed:', err);
+    process.exit(1);
+  }
+
+  // Test 2: handlers record priced usage per provider, endpoint and classroom
+  try {
+    process.env.USAGE_LEDGER_FILE = path.join(dir, 'usage.jsonl');
+    global.fetch = mockFetch;
+    clearModuleCache();
+    const chatHandler = require('../api/chat');
+    const ttsHandler = require('../api/tts');
+    const imageHandler = require('../api/image');
+    const identity = { classroomId: 'room-1', studentId: 'student-7' };
+
+    let res = createMockRes();
+    await chatHandler(createMockReq({ prompt: 'Hola' }, { identity }), res);
+    assert.strictEqual(res.statusCode, 200);
+    res = createMockRes();
+    await ttsHandler(createMockReq({ text: 'Buenos días' }, { identity }), res);
+    assert.strictEqual(res.statusCode, 200);
+    res = createMockRes();
+    await imageHandler(createMockReq({ prompt: 'Un gato' }), res);
+    assert.strictEqual(res.statusCode, 200);
+
+    const { getUsageEntries } = require('../lib/usage');
+    const [image, tts, chat] = getUsageEntries();
+    assert.strictEqual(chat.endpoint, 'chat');
+    assert.strictEqual(chat.provider, 'openai');
+    assert.strictEqual(chat.inputTokens, 1000);
+    assert.strictEqual(chat.estimated, false);
+    assert.strictEqual(chat.costUsd, 0.02);
+    assert.strictEqual(chat.classroomId, 'room-1');
+    assert.strictEqual(chat.studentId, 'student-7');
+    assert.strictEqual(tts.characters, 'Buenos días'.length);
+    assert.strictEqual(tts.costUsd, 0.011);
+    assert.strictEqual(image.images, 1);
+    assert.strictEqual(image.classroomId, null);
+
+    // Appends are asynchronous and go to one file per day; the files survive a restart
+    await new Promise(resolve => setTimeout(resolve, 50));
+    assert.ok(fs.existsSync(path.join(dir, `usage-${new Date().toISOString().slice(0, 10)}.jsonl`)));
+    assert.ok(!fs.existsSync(process.env.USAGE_LEDGER_FILE));
+    clearModuleCache();
+    assert.strictEqual(require('../lib/usage').getUsageEntries().length, 3);
+    console.log('Test 2 passed: usage recorded by the handlers');
+  } catch (err) {
+    console.error('Test 2 failed:', err);
+    process.exit(1);
+  } finally {
+    global.fetch = originalFetch;
+  }
+
+  // Test 3: the report needs a token and summarises spend
+  try {
+    clearModuleCache();
+    const usageHandler = require('../api/usage');
+
+    let res = createMockRes();
+    await usageHandler(createMockReq({}, { method: 'GET' }), res);
+    assert.strictEqual(res.statusCode, 403);
+
+    process.env.USAGE_REPORT_TOKEN = 'report-token';
+    res = createMockRes();
+    await usageHandler(createMockReq({}, { method: 'GET', headers: { authorization: 'Bearer nope' } }), res);
+    assert.strictEqual(res.statusCode, 401);
+
+    res = createMockRes();
+    await usageHandler(createMockReq({}, { method: 'GET', headers: { authorization: 'Bearer report-token' }, query: { from: 'yesterday' } }), res);
+    assert.strictEqual(res.statusCode, 400);
+
+    res = createMockRes();
+    await usageHandler(createMockReq({}, { method: 'GET', headers: { authorization: 'Bearer report-token' } }), res);
+    assert.strictEqual(res.statusCode, 200);
+    const report = res.responseBody;
+    const today = new Date().toISOString().slice(0, 10);
+    assert.strictEqual(report.totals.calls, 3);
+    assert.strictEqual(report.totals.costUsd, 0.071);
+    assert.strictEqual(report.byDay[today].calls, 3);
+    assert.strictEqual(report.byProvider.openai.images, 1);
+    assert.strictEqual(report.byEndpoint.tts.characters, 'Buenos días'.length);
+    assert.strictEqual(report.byClassroom['room-1'].costUsd, 0.031);
+    assert.strictEqual(report.byClassroom.unassigned.calls, 1);
+    assert.strictEqual(report.unpricedCalls, 0);
+    console.log('Test 3 passed: usage report');
+  } catch (err) {
+    console.error('Test 3 failed:', err);
+    process.exit(1);
+  }
+
+  // Test 4: requests are refused once a budget is spent
+  try {
+    let calls = 0;
+    global.fetch = async (url, init) => {
+      calls++;
+      return mockFetch(url, init);
+    };
+    process.env.USAGE_BUDGET_CLASSROOM_DAILY_USD = '0.03';
+    clearModuleCache();
+    const chatHandler = require('../api/chat');
+
+    let res = createMockRes();
+    await chatHandler(createMockReq({ prompt: 'Hola' }, { identity: { classroomId: 'room-1' } }), res);
+    assert.strictEqual(res.statusCode, 429);
+    assert.strictEqual(res.responseBody.code, 'CLASSROOM_BUDGET_EXCEEDED');
+    assert.ok(Number(res.headers['Retry-After']) > 0);
+    assert.strictEqual(calls, 0, 'No provider is called once the budget is spent');
+
+    res = createMockRes();
+    await chatHandler(createMockReq({ prompt: 'Hola' }, { identity: { classroomId: 'room-2' } }), res);
+    assert.strictEqual(res.statusCode, 200, 'Other classrooms keep their own budget');
+
+    process.env.USAGE_BUDGET_DAILY_USD = '0.05';
+    res = createMockRes();
+    await chatHandler(createMockReq({ prompt: 'Hola' }, { identity: { classroomId: 'room-2' } }), res);
+    assert.strictEqual(res.responseBody.code, 'DAILY_BUDGET_EXCEEDED');
+    console.log('Test 4 passed: budgets');
+  } catch (err) {
+    console.error('Test 4 failed:', err);
+    process.exit(1);
+  } finally {
+    global.fetch = originalFetch;
+  }
+
+  // Test 5: budgets use running totals seeded once from the daily ledger files, skipping bad lines
+  try {
+    const seedDir = fs.mkdtempSync(path.join(dir, 'seed-'));
+    process.env.USAGE_LEDGER_FILE = path.join(seedDir, 'usage.jsonl');
+    ['USAGE_BUDGET_DAILY_USD', 'USAGE_BUDGET_CLASSROOM_DAILY_USD'].forEach(key => delete process.env[key]);
+    const now = new Date('2026-03-15T12:00:00Z');
+    const entry = (day, costUsd, classroomId) => JSON.stringify({ day, costUsd, classroomId, provider: 'openai', endpoint: 'chat' });
+    fs.writeFileSync(path.join(seedDir, 'usage-2026-03-14.jsonl'), `${entry('2026-03-14', 4, 'room-1')}\n`);
+    // A half-written line in the middle of a day does not hide the entries after it
+    fs.writeFileSync(path.join(seedDir, 'usage-2026-03-15.jsonl'),
+      `${entry('2026-03-15', 0.5, 'room-1')}\n{"day":"2026-03-15","cos\n${entry('2026-03-15', 0.5, 'room-1')}\n${entry('2026-03-15', 0.5, null)}\n`);
+    fs.writeFileSync(path.join(seedDir, 'usage-notes.jsonl'), 'not a ledger');
+    clearModuleCache();
+    const { checkBudget } = require('../lib/usage');
+
+    process.env.USAGE_BUDGET_CLASSROOM_DAILY_USD = '1';
+    assert.strictEqual(checkBudget('room-1', now).code, 'CLASSROOM_BUDGET_EXCEEDED');
+    assert.strictEqual(checkBudget('room-2', now).allowed, true);
+    delete process.env.USAGE_BUDGET_CLASSROOM_DAILY_USD;
+
+    process.env.USAGE_BUDGET_DAILY_USD = '2';
+    assert.strictEqual(checkBudget(null, now).allowed, true, 'Yesterday does not count against today');
+    delete process.env.USAGE_BUDGET_DAILY_USD;
+
+    process.env.USAGE_BUDGET_MONTHLY_USD = '5';
+    const monthly = checkBudget(null, now);
+    assert.strictEqual(monthly.code, 'MONTHLY_BUDGET_EXCEEDED');
+    assert.strictEqual(monthly.spentUsd, 5.5);
+    delete process.env.USAGE_BUDGET_MONTHLY_USD;
+    console.log('Test 5 passed: budgets from daily ledger files');
+  } catch (err) {
+    console.error('Test 5 failed:', err);
+    process.exit(1);
+  }
+
+  fs.rmSync(dir, { recursive: true, force: true });
+
+  // Restore original env
+  Object.keys(process.env).forEach(key => {
+    if (!originalEnv.hasOwnProperty(key)) {
+      delete process.env[key];
+    }
+  });
+  Object.assign(process.env, originalEnv);
+
+  console.log('All usage tests passed.');
+}
+
+run();